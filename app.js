@@ -5,6 +5,9 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJsDoc = require('swagger-jsdoc');
 const { iniciarServer } = require('./config/databaseConfig');
 const PaymentApiInitializer = require('./services/PaymentApiInitializer');
+const pendingPaymentExpiryJob = require('./services/PendingPaymentExpiryJob');
+const reservationExpiryJob = require('./services/ReservationExpiryJob');
+const preorderReleaseJob = require('./services/PreorderReleaseJob');
 const userRoutes = require('./routes/userRoutes');
 const userRoutesV2 = require('./routes/userRoutesV2');
 
@@ -110,7 +113,14 @@ if (process.env.NODE_ENV !== 'test') {
     await PaymentApiInitializer.inicializar();
     
     // Iniciar base de datos
-    iniciarServer();
+    await iniciarServer();
+
+    // Cancelar periódicamente las órdenes con pago manual vencido
+    pendingPaymentExpiryJob.start();
+    // Marcar como vencidas las reservas de inventario
+    reservationExpiryJob.start();
+    // Liberar las preventas de los juegos que ya salieron
+    preorderReleaseJob.start();
     
     // Escuchar en el puerto
     app.listen(port, () => {
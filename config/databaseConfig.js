@@ -10,11 +10,37 @@ const Category = require('../models/Category');
 const Tag = require('../models/Tag');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const Cart = require('../models/Cart');
+const CartItem = require('../models/CartItem');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const GiftCard = require('../models/GiftCard');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const TaxRule = require('../models/TaxRule');
+const ExchangeRate = require('../models/ExchangeRate');
+const InventoryReservation = require('../models/InventoryReservation');
+const StockMovement = require('../models/StockMovement');
+const StockAlert = require('../models/StockAlert');
+const StockSubscription = require('../models/StockSubscription');
+const OutboxMessage = require('../models/OutboxMessage');
+const DigitalKey = require('../models/DigitalKey');
+const DigitalKeyReveal = require('../models/DigitalKeyReveal');
+const BundleComponent = require('../models/BundleComponent');
+const GameVariant = require('../models/GameVariant');
+const GameImage = require('../models/GameImage');
+const Review = require('../models/Review');
+const ReviewReport = require('../models/ReviewReport');
+const { MoneyMinorUnits1792425600000 } = require('../migrations/1792425600000-MoneyMinorUnits');
 
 const AppDataSource = new DataSource({
   type: "sqlite",
   database: isTest ? `${process.env.TEST_DATABASE_PATH}` : `${process.env.DATABASE_PATH}` ,
-  entities: [Usuario, Product, Category, Tag, Order, OrderItem],
+  entities: [Usuario, Product, Category, Tag, Order, OrderItem, Session, RefreshToken, Cart, CartItem, IdempotencyKey, GiftCard, Coupon, CouponRedemption, TaxRule, ExchangeRate, InventoryReservation, StockMovement, StockAlert, StockSubscription, OutboxMessage, DigitalKey, DigitalKeyReveal, BundleComponent, GameVariant, GameImage, Review, ReviewReport],
+  // Las migraciones de datos corren antes de synchronize (ver migrations/)
+  migrations: [MoneyMinorUnits1792425600000],
+  migrationsRun: true,
   synchronize: true,
   logging: false,
 });
@@ -1,7 +1,7 @@
 const Usuario = require('../models/usuario');
 const { AppDataSource } = require('../config/databaseConfig');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const tokenService = require('../services/TokenService');
 require('dotenv').config();
 
 // Controlador para registrar un nuevo usuario, controlador de endpoint publico
@@ -69,16 +69,69 @@ const loginUser = async (req, res) => {
             return res.status(401).json({ status: "fail", message: "Credenciales inválidas." });
         }
 
-        const token = jwt.sign({ id: usuario.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        const { token, refreshToken, expiresIn } = await tokenService.startSession(usuario);
 
-        res.json({ status: "success", token });
+        res.json({ status: "success", token, refreshToken, expiresIn });
     } catch (error) {
         console.error('Error al iniciar sesión:', error);
         res.status(500).json({ status: "error", message: "Error al iniciar sesión." });
     }
 };
 
+// Controlador para renovar el access token con un refresh token (rotativo), endpoint publico
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken: rawToken } = req.body || {};
+
+        if (!rawToken || typeof rawToken !== 'string') {
+            return res.status(400).json({ status: "fail", message: "El campo refreshToken es obligatorio." });
+        }
+
+        const { token, refreshToken: newRefreshToken, expiresIn } = await tokenService.refresh(rawToken);
+
+        res.json({ status: "success", token, refreshToken: newRefreshToken, expiresIn });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ status: "fail", message: error.message });
+        }
+        console.error('Error al renovar el token:', error);
+        res.status(500).json({ status: "error", message: "Error al renovar el token." });
+    }
+};
+
+// Controlador para cerrar la sesión actual, require token
+const logoutUser = async (req, res) => {
+    try {
+        await tokenService.revokeSession(req.user.sid);
+
+        // Solo se revoca la sesión del refresh token si es del mismo usuario
+        const { refreshToken: rawToken } = req.body || {};
+        if (rawToken && typeof rawToken === 'string') {
+            await tokenService.revokeByRefreshToken(rawToken, req.user.id);
+        }
+
+        res.json({ status: "success", data: null });
+    } catch (error) {
+        console.error('Error al cerrar sesión:', error);
+        res.status(500).json({ status: "error", message: "Error al cerrar sesión." });
+    }
+};
+
+// Controlador para cerrar todas las sesiones del usuario, require token
+const logoutAll = async (req, res) => {
+    try {
+        const revoked = await tokenService.revokeAllForUser(req.user.id);
+        res.json({ status: "success", data: { revokedSessions: revoked } });
+    } catch (error) {
+        console.error('Error al cerrar todas las sesiones:', error);
+        res.status(500).json({ status: "error", message: "Error al cerrar las sesiones." });
+    }
+};
+
 module.exports = {
     registerUser,
-    loginUser
+    loginUser,
+    refreshToken,
+    logoutUser,
+    logoutAll
 };
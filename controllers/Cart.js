@@ -0,0 +1,197 @@
+const cartService = require('../services/CartService');
+const { ORDER_STATUS } = require('../services/OrderStateMachine');
+const paymentMethodRegistry = require('../services/PaymentMethodRegistry');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * Cart Controller
+ * Maneja el carrito de compras del usuario autenticado
+ */
+const cartController = {
+  /**
+   * GET /cart
+   * Ver el carrito con totales calculados al precio actual
+   */
+  async view(req, res) {
+    try {
+      const cart = await cartService.getCart(req.user.id);
+      return res.status(200).json({ status: 'success', data: cart });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo el carrito');
+    }
+  },
+
+  /**
+   * POST /cart/items
+   * Agregar un producto al carrito
+   */
+  async addItem(req, res) {
+    try {
+      const productId = parseId(req.body.productId);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'productId es requerido y debe ser un entero positivo' });
+      }
+      const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+      const cart = await cartService.addItem(req.user.id, productId, quantity);
+      return res.status(200).json({ status: 'success', data: cart });
+    } catch (error) {
+      return handleError(res, error, 'Error agregando el producto al carrito');
+    }
+  },
+
+  /**
+   * PUT /cart/items/:productId
+   * Cambiar la cantidad de un producto del carrito
+   */
+  async updateItem(req, res) {
+    try {
+      const productId = parseId(req.params.productId);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de producto inválido' });
+      }
+
+      const cart = await cartService.updateItem(req.user.id, productId, Number(req.body.quantity));
+      return res.status(200).json({ status: 'success', data: cart });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando el carrito');
+    }
+  },
+
+  /**
+   * DELETE /cart/items/:productId
+   * Quitar un producto del carrito
+   */
+  async removeItem(req, res) {
+    try {
+      const productId = parseId(req.params.productId);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de producto inválido' });
+      }
+
+      const cart = await cartService.removeItem(req.user.id, productId);
+      return res.status(200).json({ status: 'success', data: cart });
+    } catch (error) {
+      return handleError(res, error, 'Error quitando el producto del carrito');
+    }
+  },
+
+  /**
+   * DELETE /cart
+   * Vaciar el carrito
+   */
+  async clear(req, res) {
+    try {
+      const cart = await cartService.clear(req.user.id);
+      return res.status(200).json({ status: 'success', data: cart });
+    } catch (error) {
+      return handleError(res, error, 'Error vaciando el carrito');
+    }
+  },
+
+  /**
+   * POST /cart/reservation
+   * Iniciar el checkout: reservar las unidades del carrito mientras se paga
+   */
+  async reserve(req, res) {
+    try {
+      const reservation = await cartService.reserve(req.user.id);
+      return res.status(201).json({ status: 'success', data: reservation });
+    } catch (error) {
+      return handleError(res, error, 'Error reservando el carrito');
+    }
+  },
+
+  /**
+   * DELETE /cart/reservation
+   * Cancelar el checkout y liberar la reserva
+   */
+  async releaseReservation(req, res) {
+    try {
+      const released = await cartService.releaseReservation(req.user.id);
+      return res.status(200).json({ status: 'success', data: { released } });
+    } catch (error) {
+      return handleError(res, error, 'Error liberando la reserva del carrito');
+    }
+  },
+
+  /**
+   * POST /cart/checkout
+   * Crear una orden con pago a partir del carrito y vaciarlo
+   */
+  async checkout(req, res) {
+    try {
+      const { paymentMethod, cardNumber, cvv, expirationMonth, expirationYear, fullName, currency, description } = req.body;
+      const { paymentReference, bankCode, phone, documentId, giftCardCode, couponCode, billingCountry, billingRegion } = req.body;
+
+      if (!paymentMethod) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'paymentMethod es requerido (ver GET /v2/payment-methods)'
+        });
+      }
+
+      if (!paymentMethodRegistry.has(paymentMethod)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `Método de pago no soportado: ${paymentMethod}. Disponibles: ${paymentMethodRegistry.codes().join(', ')}`
+        });
+      }
+
+      // Cada método declara sus campos requeridos (ver GET /v2/payment-methods)
+      const missing = paymentMethodRegistry.missingFields(paymentMethod, req.body);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `Datos de pago incompletos para ${String(paymentMethod).toUpperCase()} (${missing.join(', ')})`
+        });
+      }
+
+      const order = await cartService.checkout(req.user.id, {
+        paymentMethod,
+        cardNumber,
+        cvv,
+        expirationMonth: Number(expirationMonth),
+        expirationYear: Number(expirationYear),
+        fullName,
+        paymentReference,
+        bankCode,
+        phone,
+        documentId,
+        giftCardCode,
+        couponCode,
+        billingCountry,
+        billingRegion,
+        currency,
+        description: description || 'Compra de productos',
+      });
+
+      return res.status(201).json({
+        status: 'success',
+        data: order,
+        message: order.status === ORDER_STATUS.PENDING
+          ? 'Orden creada, pago pendiente de confirmación'
+          : 'Orden creada exitosamente y pago procesado'
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ status: 'fail', message: error.message });
+      }
+
+      // Errores esperados del OrderService
+      if (error.message.includes('Stock insuficiente') ||
+          error.message.includes('Pago rechazado') ||
+          error.message.includes('no encontrado')) {
+        return res.status(400).json({ status: 'fail', message: error.message });
+      }
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error procesando el checkout',
+        error: error.message
+      });
+    }
+  },
+};
+
+module.exports = cartController;
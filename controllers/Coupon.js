@@ -0,0 +1,55 @@
+const couponService = require('../services/CouponService');
+const { handleError } = require('../utils/controllerHelpers');
+
+/**
+ * Coupon Controller
+ * Administración de cupones de descuento (staff/admin).
+ * Los clientes los aplican enviando couponCode al crear la orden.
+ */
+const couponController = {
+  /**
+   * GET /coupons
+   * Listar cupones
+   */
+  async list(req, res) {
+    try {
+      const coupons = await couponService.list();
+      return res.status(200).json({ status: 'success', data: coupons });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo cupones');
+    }
+  },
+
+  /**
+   * POST /coupons
+   * Crear un cupón
+   */
+  async create(req, res) {
+    try {
+      const coupon = await couponService.create(req.body || {});
+      return res.status(201).json({ status: 'success', data: coupon });
+    } catch (error) {
+      return handleError(res, error, 'Error creando el cupón');
+    }
+  },
+
+  /**
+   * POST /coupons/:id/deactivate
+   * Desactivar un cupón
+   */
+  async deactivate(req, res) {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ status: 'fail', message: 'ID de cupón inválido' });
+      }
+
+      const coupon = await couponService.deactivate(id);
+      return res.status(200).json({ status: 'success', data: coupon });
+    } catch (error) {
+      return handleError(res, error, 'Error desactivando el cupón');
+    }
+  },
+};
+
+module.exports = couponController;
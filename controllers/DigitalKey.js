@@ -0,0 +1,72 @@
+const digitalKeyService = require('../services/DigitalKeyService');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * DigitalKey Controller
+ * Carga de claves de juegos digitales (admin), resumen del inventario y revelación al comprador
+ */
+const digitalKeyController = {
+  /**
+   * POST /games/:id/keys
+   * Cargar claves: JSON { codes: [...] } o text/plain con una clave por línea (admin)
+   */
+  async upload(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const input = typeof req.body === 'string' ? req.body : (req.body || {}).codes;
+      const result = await digitalKeyService.upload(productId, input, req.user);
+      return res.status(201).json({
+        status: 'success',
+        data: result,
+        message: `${result.added} claves cargadas`,
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error cargando las claves');
+    }
+  },
+
+  /**
+   * GET /games/:id/keys
+   * Claves por estado (sin exponer los códigos)
+   */
+  async summary(req, res) {
+    try {
+      const productId = parseId(req.params.id);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const summary = await digitalKeyService.summary(productId);
+      return res.status(200).json({ status: 'success', data: summary });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo las claves');
+    }
+  },
+
+  /**
+   * POST /orders/:id/keys/reveal
+   * El comprador ve las claves de su orden; cada revelación queda registrada
+   */
+  async reveal(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const keys = await digitalKeyService.reveal(orderId, req.user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+      return res.status(200).json({ status: 'success', data: keys });
+    } catch (error) {
+      return handleError(res, error, 'Error revelando las claves');
+    }
+  },
+};
+
+module.exports = digitalKeyController;
@@ -0,0 +1,53 @@
+const exchangeRateService = require('../services/ExchangeRateService');
+const { handleError } = require('../utils/controllerHelpers');
+
+/**
+ * ExchangeRate Controller
+ * Consulta y actualización de tipos de cambio
+ */
+const exchangeRateController = {
+  /**
+   * GET /exchange-rates
+   * Listar los tipos de cambio vigentes
+   */
+  async list(req, res) {
+    try {
+      const rates = await exchangeRateService.list();
+      return res.status(200).json({
+        status: 'success',
+        data: { baseCurrency: exchangeRateService.baseCurrency(), rates },
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo tipos de cambio');
+    }
+  },
+
+  /**
+   * PUT /exchange-rates/:currency
+   * Crear o actualizar el tipo de cambio de una moneda (admin)
+   */
+  async update(req, res) {
+    try {
+      const rate = await exchangeRateService.setRate(req.params.currency, (req.body || {}).rate);
+      return res.status(200).json({ status: 'success', data: rate });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando el tipo de cambio');
+    }
+  },
+
+  /**
+   * POST /exchange-rates/import
+   * Importar tipos de cambio desde el contenido de un archivo JSON o CSV (admin)
+   */
+  async import(req, res) {
+    try {
+      const format = req.is('text/csv') ? 'csv' : 'json';
+      const rates = await exchangeRateService.importRates(req.body, format);
+      return res.status(200).json({ status: 'success', data: rates, message: `${rates.length} tipos de cambio importados` });
+    } catch (error) {
+      return handleError(res, error, 'Error importando tipos de cambio');
+    }
+  },
+};
+
+module.exports = exchangeRateController;
@@ -0,0 +1,55 @@
+const giftCardService = require('../services/GiftCardService');
+const { handleError } = require('../utils/controllerHelpers');
+
+/**
+ * GiftCard Controller
+ * Emisión y anulación de tarjetas de regalo (admin) y consulta de saldo
+ */
+const giftCardController = {
+  /**
+   * POST /gift-cards
+   * Emitir una tarjeta de regalo (admin)
+   */
+  async issue(req, res) {
+    try {
+      const { amount, currency, expiresAt } = req.body || {};
+      const giftCard = await giftCardService.issue({ amount, currency, expiresAt });
+      return res.status(201).json({ status: 'success', data: giftCard });
+    } catch (error) {
+      return handleError(res, error, 'Error emitiendo la tarjeta de regalo');
+    }
+  },
+
+  /**
+   * POST /gift-cards/:id/void
+   * Anular una tarjeta de regalo (admin)
+   */
+  async void(req, res) {
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ status: 'fail', message: 'ID de tarjeta inválido' });
+      }
+
+      const giftCard = await giftCardService.void(id, (req.body || {}).reason);
+      return res.status(200).json({ status: 'success', data: giftCard });
+    } catch (error) {
+      return handleError(res, error, 'Error anulando la tarjeta de regalo');
+    }
+  },
+
+  /**
+   * GET /gift-cards/:code/balance
+   * Consultar saldo, moneda, estado y vencimiento de una tarjeta
+   */
+  async balance(req, res) {
+    try {
+      const { balance, currency, status, expiresAt } = await giftCardService.findByCode(req.params.code);
+      return res.status(200).json({ status: 'success', data: { balance, currency, status, expiresAt } });
+    } catch (error) {
+      return handleError(res, error, 'Error consultando la tarjeta de regalo');
+    }
+  },
+};
+
+module.exports = giftCardController;
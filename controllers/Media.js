@@ -0,0 +1,103 @@
+const mediaService = require('../services/MediaService');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * Media Controller
+ * Portada y capturas de los juegos (admin) y entrega pública de los archivos
+ */
+const mediaController = {
+  /**
+   * PUT /games/:id/cover
+   * Subir o reemplazar la portada (campo image)
+   */
+  async setCover(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const cover = await mediaService.setCover(gameId, (req.files || [])[0]);
+      return res.status(200).json({ status: 'success', data: cover });
+    } catch (error) {
+      return handleError(res, error, 'Error subiendo la portada');
+    }
+  },
+
+  /**
+   * POST /games/:id/screenshots
+   * Agregar capturas al final de la galería (campo images)
+   */
+  async addScreenshots(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const gallery = await mediaService.addScreenshots(gameId, req.files);
+      return res.status(201).json({ status: 'success', data: gallery });
+    } catch (error) {
+      return handleError(res, error, 'Error subiendo las capturas');
+    }
+  },
+
+  /**
+   * PUT /games/:id/screenshots/order
+   * Reordenar la galería
+   */
+  async reorder(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const gallery = await mediaService.reorder(gameId, (req.body || {}).imageIds);
+      return res.status(200).json({ status: 'success', data: gallery });
+    } catch (error) {
+      return handleError(res, error, 'Error reordenando las capturas');
+    }
+  },
+
+  /**
+   * DELETE /games/:id/images/:imageId
+   * Eliminar la portada o una captura
+   */
+  async remove(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      const imageId = parseId(req.params.imageId);
+      if (!gameId || !imageId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid id' });
+      }
+
+      await mediaService.remove(gameId, imageId);
+      return res.status(200).json({ status: 'success', message: 'Image deleted' });
+    } catch (error) {
+      return handleError(res, error, 'Error eliminando la imagen');
+    }
+  },
+
+  /**
+   * GET /media/*key
+   * Entregar una imagen o miniatura guardada en el almacenamiento local
+   */
+  async serve(req, res) {
+    try {
+      const key = [].concat(req.params.key).join('/');
+      const file = await mediaService.read(key);
+      if (!file) {
+        return res.status(404).json({ status: 'fail', message: 'Imagen no encontrada' });
+      }
+
+      // Las claves son únicas por archivo: el contenido de una URL nunca cambia
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+      return res.type(file.contentType).send(file.buffer);
+    } catch (error) {
+      return handleError(res, error, 'Error leyendo la imagen');
+    }
+  },
+};
+
+module.exports = mediaController;
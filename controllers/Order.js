@@ -1,4 +1,9 @@
 const orderService = require('../services/OrderService');
+const { ORDER_STATUS } = require('../services/OrderStateMachine');
+const { PREORDER_PAYMENT } = require('../services/PreorderService');
+const paymentMethodRegistry = require('../services/PaymentMethodRegistry');
+const { ROLES } = require('../middlewares/authorize');
+const { handleError, parseId } = require('../utils/controllerHelpers');
 
 /**
  * Order Controller
@@ -13,6 +18,8 @@ const orderController = {
     try {
       const userId = req.user.id; // Del token JWT
       const { items, paymentMethod, cardNumber, cvv, expirationMonth, expirationYear, fullName, currency, description } = req.body;
+      const { paymentReference, bankCode, phone, documentId, giftCardCode, couponCode, billingCountry, billingRegion } = req.body;
+      const { preorderPayment } = req.body;
 
       // Validar datos
       if (!items || !Array.isArray(items) || items.length === 0) {
@@ -25,14 +32,25 @@ const orderController = {
       if (!paymentMethod) {
         return res.status(400).json({ 
           status: 'fail', 
-          message: 'paymentMethod es requerido (ej. CREDIT_CARD)' 
+          message: 'paymentMethod es requerido (ver GET /v2/payment-methods)' 
         });
       }
 
-      if (!cardNumber || !cvv || !expirationMonth || !expirationYear || !fullName) {
-        return res.status(400).json({ 
-          status: 'fail', 
-          message: 'Datos de tarjeta incompletos (cardNumber, cvv, expirationMonth, expirationYear, fullName)' 
+      if (!paymentMethodRegistry.has(paymentMethod)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `Método de pago no soportado: ${paymentMethod}. Disponibles: ${paymentMethodRegistry.codes().join(', ')}`
+        });
+      }
+
+      // Cada método declara sus campos requeridos (ver GET /v2/payment-methods).
+      // Una preventa con cobro al lanzamiento no cobra nada ahora: los datos se piden en POST /orders/:id/pay
+      const deferPayment = String(preorderPayment || '').toUpperCase() === PREORDER_PAYMENT.ON_RELEASE;
+      const missing = deferPayment ? [] : paymentMethodRegistry.missingFields(paymentMethod, req.body);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `Datos de pago incompletos para ${String(paymentMethod).toUpperCase()} (${missing.join(', ')})`
         });
       }
 
@@ -44,16 +62,33 @@ const orderController = {
         expirationMonth: Number(expirationMonth),
         expirationYear: Number(expirationYear),
         fullName,
-        currency: currency || 'USD',
+        paymentReference,
+        bankCode,
+        phone,
+        documentId,
+        giftCardCode,
+        couponCode,
+        billingCountry,
+        billingRegion,
+        currency,
+        preorderPayment,
         description: description || 'Compra de productos',
       });
 
+      let message = 'Orden creada exitosamente y pago procesado';
+      if (order.status === ORDER_STATUS.PENDING) message = 'Orden creada, pago pendiente de confirmación';
+      if (order.status === ORDER_STATUS.PREORDERED) message = 'Preventa registrada';
+
       return res.status(201).json({ 
         status: 'success', 
         data: order,
-        message: 'Orden creada exitosamente y pago procesado'
+        message
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ status: 'fail', message: error.message });
+      }
+
       // Errores esperados
       if (error.message.includes('Stock insuficiente') || 
           error.message.includes('Pago rechazado') ||
@@ -75,11 +110,12 @@ const orderController = {
 
   /**
    * GET /orders
-   * Obtener órdenes del usuario autenticado
+   * Obtener órdenes del usuario autenticado (filtro opcional por status).
+   * Staff/admin pueden consultar las órdenes de otro usuario con ?userId=
    */
   async list(req, res) {
     try {
-      const userId = req.user.id;
+      let userId = req.user.id;
       const page = Number(req.query.page) || 1;
       const limit = Number(req.query.limit) || 10;
 
@@ -90,7 +126,25 @@ const orderController = {
         });
       }
 
-      const result = await orderService.getUserOrders(userId, page, limit);
+      const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+      if (status && !Object.values(ORDER_STATUS).includes(status)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `status debe ser uno de: ${Object.values(ORDER_STATUS).join(', ')}`
+        });
+      }
+
+      if (req.query.userId !== undefined) {
+        if (req.user.role !== ROLES.STAFF && req.user.role !== ROLES.ADMIN) {
+          return res.status(403).json({ status: 'fail', message: 'Acceso denegado: permisos insuficientes' });
+        }
+        userId = Number(req.query.userId);
+        if (!Number.isInteger(userId) || userId <= 0) {
+          return res.status(400).json({ status: 'fail', message: 'userId inválido' });
+        }
+      }
+
+      const result = await orderService.getUserOrders(userId, page, limit, { status });
 
       return res.status(200).json({ 
         status: 'success', 
@@ -150,6 +204,140 @@ const orderController = {
       });
     }
   },
+
+  /**
+   * POST /orders/:id/cancel
+   * Cancelar una orden (reembolsa si ya estaba pagada y devuelve stock)
+   */
+  async cancel(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const order = await orderService.cancelOrder(orderId, req.user, req.body && req.body.reason);
+
+      return res.status(200).json({
+        status: 'success',
+        data: order,
+        message: 'Orden cancelada'
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error cancelando la orden');
+    }
+  },
+
+  /**
+   * POST /orders/:id/refund
+   * Reembolsar una orden total o parcialmente (staff/admin)
+   */
+  async refund(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const { items, reason } = req.body || {};
+      const order = await orderService.refundOrder(orderId, items, reason);
+
+      return res.status(200).json({
+        status: 'success',
+        data: order,
+        message: 'Reembolso procesado'
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error reembolsando la orden');
+    }
+  },
+
+  /**
+   * POST /orders/:id/fulfill
+   * Marcar una orden pagada como entregada (staff/admin)
+   */
+  async fulfill(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const order = await orderService.fulfillOrder(orderId);
+
+      return res.status(200).json({ status: 'success', data: order });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando la orden');
+    }
+  },
+
+  /**
+   * POST /orders/:id/confirm-payment
+   * Confirmar la referencia de un pago manual (staff/admin)
+   */
+  async confirmPayment(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const order = await orderService.confirmPayment(orderId);
+
+      return res.status(200).json({ status: 'success', data: order, message: 'Pago confirmado' });
+    } catch (error) {
+      return handleError(res, error, 'Error confirmando el pago');
+    }
+  },
+
+  /**
+   * POST /orders/:id/pay
+   * Pagar una preventa con cobro al lanzamiento una vez que el juego salió
+   */
+  async payPreorder(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const { cardNumber, cvv, expirationMonth, expirationYear, fullName } = req.body || {};
+      const order = await orderService.payPreorder(orderId, req.user, {
+        cardNumber,
+        cvv,
+        expirationMonth: Number(expirationMonth),
+        expirationYear: Number(expirationYear),
+        fullName,
+      });
+
+      return res.status(200).json({ status: 'success', data: order, message: 'Pago procesado, preventa entregada' });
+    } catch (error) {
+      if (!error.statusCode && error.message.includes('Pago rechazado')) {
+        return res.status(400).json({ status: 'fail', message: error.message });
+      }
+      return handleError(res, error, 'Error pagando la preventa');
+    }
+  },
+
+  /**
+   * POST /orders/:id/reject-payment
+   * Rechazar la referencia de un pago manual y liberar el stock reservado (staff/admin)
+   */
+  async rejectPayment(req, res) {
+    try {
+      const orderId = parseId(req.params.id);
+      if (!orderId) {
+        return res.status(400).json({ status: 'fail', message: 'ID de orden inválido' });
+      }
+
+      const { reason } = req.body || {};
+      const order = await orderService.rejectPayment(orderId, reason);
+
+      return res.status(200).json({ status: 'success', data: order, message: 'Pago rechazado' });
+    } catch (error) {
+      return handleError(res, error, 'Error rechazando el pago');
+    }
+  },
 };
 
 module.exports = orderController;
@@ -0,0 +1,17 @@
+const paymentMethodRegistry = require('../services/PaymentMethodRegistry');
+
+/**
+ * PaymentMethod Controller
+ * Expone los métodos de pago registrados para que los clientes armen su formulario de pago
+ */
+const paymentMethodController = {
+  /**
+   * GET /payment-methods
+   * Listar métodos de pago con monedas y campos requeridos
+   */
+  list(req, res) {
+    return res.status(200).json({ status: 'success', data: paymentMethodRegistry.list() });
+  },
+};
+
+module.exports = paymentMethodController;
@@ -15,6 +15,24 @@ const slugify = (text = '') =>
 
 const productRepository = require('../repositories/ProductRepository');
 const productQueryBuilder = require('../services/ProductQueryBuilder');
+const exchangeRateService = require('../services/ExchangeRateService');
+const inventoryService = require('../services/InventoryService');
+const stockMovementService = require('../services/StockMovementService');
+const { MOVEMENT_TYPES } = require('../services/StockMovementService');
+const stockAlertService = require('../services/StockAlertService');
+const digitalKeyService = require('../services/DigitalKeyService');
+const bundleService = require('../services/BundleService');
+const variantService = require('../services/VariantService');
+const mediaService = require('../services/MediaService');
+const reviewService = require('../services/ReviewService');
+const { handleError } = require('../utils/controllerHelpers');
+
+const DIGITAL_STOCK_MESSAGE = "The stock of a digital game is the number of available keys (upload keys instead)";
+const BUNDLE_STOCK_MESSAGE = "A bundle has no stock of its own (its availability comes from its component games)";
+
+// Datos calculados de las respuestas de lectura: disponibilidad, calificación e imágenes
+const withDetails = async (products) =>
+  mediaService.withImages(await reviewService.withRatings(await inventoryService.withAvailability(products)));
 
 const productController = {
   /**
@@ -71,7 +89,8 @@ const productController = {
         return res.redirect(301, canonical);
       }
 
-      return res.status(200).json({ status: "success", data: product });
+      const [data] = await withDetails([product]);
+      return res.status(200).json({ status: "success", data });
     } catch (error) {
       return res.status(500).json({ status: "error", message: error.message });
     }
@@ -80,11 +99,31 @@ const productController = {
   /**
    * GET /products
    * Endpoint de listado avanzado público
+   * Con ?currency= los precios (y price_min/price_max) se expresan en esa moneda
+   * Cada item incluye available (stock menos unidades reservadas), rating ({ average, count }) e images
    */
   async list(req, res) {
     try {
+      const query = { ...req.query };
+      let currency = null;
+      let exchangeRate = 1;
+      if (query.currency) {
+        currency = String(query.currency).toUpperCase();
+        try {
+          exchangeRate = await exchangeRateService.getRate(currency);
+        } catch (error) {
+          return res.status(error.statusCode || 500).json({ status: "fail", message: error.message });
+        }
+        // Los filtros de precio llegan en la moneda pedida; la base de datos guarda la moneda base
+        for (const key of ['price_min', 'price_max']) {
+          if (query[key] !== undefined && query[key] !== '' && !Number.isNaN(Number(query[key]))) {
+            query[key] = Number(query[key]) / exchangeRate;
+          }
+        }
+      }
+
       // Delegar TODO al QueryBuilder: validación y construcción de query
-      const result = await productQueryBuilder.buildAndExecute(req.query);
+      const result = await productQueryBuilder.buildAndExecute(query);
 
       // Si la validación falló, retornar errores
       if (!result.success) {
@@ -95,13 +134,26 @@ const productController = {
         });
       }
 
-      // Retornar resultados paginados en formato JSend
-      const { items, total, page, limit, totalPages } = result.data;
+      // Retornar resultados paginados en formato JSend (available = stock - reservado)
+      const { total, page, limit, totalPages } = result.data;
+      const items = await withDetails(result.data.items);
+      const meta = { total, page, limit, totalPages };
+      if (currency) {
+        meta.currency = currency;
+        meta.baseCurrency = exchangeRateService.baseCurrency();
+        meta.exchangeRate = exchangeRate;
+      }
       return res.status(200).json({
         status: "success",
         data: {
-          items,
-          meta: { total, page, limit, totalPages }
+          items: currency
+            ? items.map(item => ({
+              ...item,
+              price: item.price === null ? null : exchangeRateService.convert(item.price, exchangeRate, currency).toMajor(),
+              currency,
+            }))
+            : items,
+          meta,
         }
       });
     } catch (error) {
@@ -129,7 +181,8 @@ const productController = {
         return res.status(404).json({ status: "fail", message: "Product not found" });
       }
 
-      return res.status(200).json({ status: "success", data: product });
+      const [data] = await withDetails([product]);
+      return res.status(200).json({ status: "success", data });
     } catch (error) {
       return res.status(500).json({ status: "error", message: error.message });
     }
@@ -166,6 +219,23 @@ const productController = {
         if (Number(body.stock) < 0) {
           return res.status(400).json({ status: "fail", message: "Field 'stock' cannot be negative" });
         }
+        if (body.digital === true && Number(body.stock) > 0) {
+          return res.status(400).json({ status: "fail", message: DIGITAL_STOCK_MESSAGE });
+        }
+        if (body.bundle === true && Number(body.stock) > 0) {
+          return res.status(400).json({ status: "fail", message: BUNDLE_STOCK_MESSAGE });
+        }
+      }
+
+      // Bundle: sus componentes se validan antes de guardar
+      let components = null;
+      if (body.bundle === true) {
+        if (body.digital === true) {
+          return res.status(400).json({ status: "fail", message: "A bundle cannot be a digital game" });
+        }
+        components = await bundleService.resolveComponents(body.components);
+      } else if (body.components !== undefined) {
+        return res.status(400).json({ status: "fail", message: "Field 'components' requires bundle: true" });
       }
 
       // Crear el producto
@@ -194,21 +264,45 @@ const productController = {
         product.tags = foundTags;
       }
 
-      // Guardar con reintentos en caso de conflicto de slug
-      const savedProduct = await productRepository.saveWithRetry(product, {
-        onConflict: async (err, attempt, ent) => {
-          const msg = String(err && err.message || '').toLowerCase();
-          if (msg.includes('slug') || /unique/i.test(msg)) {
-            ent.slug = `${baseSlug}-${attempt}`;
-            return true;
+      // El juego y su stock inicial (reposición en el libro de movimientos) se guardan juntos
+      const savedProduct = await AppDataSource.transaction(async (manager) => {
+        // Guardar con reintentos en caso de conflicto de slug
+        const created = await productRepository.saveWithRetry(product, {
+          manager,
+          onConflict: async (err, attempt, ent) => {
+            const msg = String(err && err.message || '').toLowerCase();
+            if (msg.includes('slug') || /unique/i.test(msg)) {
+              ent.slug = `${baseSlug}-${attempt}`;
+              return true;
+            }
+            return false;
           }
-          return false;
+        }, 6);
+
+        const initialStock = Number(created.stock) || 0;
+        if (initialStock > 0) {
+          await stockMovementService.record(manager, {
+            product: { id: created.id, stock: initialStock },
+            type: MOVEMENT_TYPES.RESTOCK,
+            quantity: initialStock,
+            reason: 'INITIAL_STOCK',
+            user: req.user,
+          });
         }
-      }, 6);
+        return created;
+      });
+
+      if (components) {
+        await bundleService.setComponents(savedProduct.id, components);
+        // El stock de un bundle sale de sus componentes: recién ahora puede evaluarse la alerta
+        await stockAlertService.evaluate(AppDataSource.manager, savedProduct);
+        const [bundle] = await inventoryService.withAvailability([savedProduct]);
+        return res.status(201).json({ status: "success", data: bundle });
+      }
 
       return res.status(201).json({ status: "success", data: savedProduct });
     } catch (error) {
-      return res.status(500).json({ status: "error", message: error.message });
+      return handleError(res, error, "Error creating product");
     }
   },
 
@@ -248,9 +342,37 @@ const productController = {
         if (Number(body.stock) < 0) {
           return res.status(400).json({ status: "fail", message: "Field 'stock' cannot be negative" });
         }
+        if (existing.digital || body.digital === true) {
+          return res.status(400).json({ status: "fail", message: DIGITAL_STOCK_MESSAGE });
+        }
+        if (existing.bundle) {
+          return res.status(400).json({ status: "fail", message: BUNDLE_STOCK_MESSAGE });
+        }
+      }
+
+      // Un juego no pasa a ser (ni deja de ser) bundle; los componentes solo se editan en bundles
+      if (body.bundle !== undefined && body.bundle !== existing.bundle) {
+        return res.status(400).json({ status: "fail", message: "Field 'bundle' cannot be changed after creation" });
+      }
+      if (body.components !== undefined && !existing.bundle) {
+        return res.status(400).json({ status: "fail", message: "Field 'components' requires bundle: true" });
+      }
+      if (body.digital === true && !existing.digital) {
+        if (existing.bundle || await bundleService.isComponent(id)) {
+          return res.status(400).json({ status: "fail", message: "Bundles and their games cannot be digital" });
+        }
+        if (((await variantService.variantsOf(AppDataSource.manager, [id])).get(id) || []).length > 0) {
+          return res.status(400).json({ status: "fail", message: "A game with variants cannot be digital" });
+        }
       }
+      const components = body.components !== undefined
+        ? await bundleService.resolveComponents(body.components, id)
+        : null;
 
       // Mezclar cambios
+      const previousStock = existing.stock;
+      const previousThreshold = existing.lowStockThreshold;
+      const wasDigital = existing.digital;
       AppDataSource.getRepository(Producto).merge(existing, body);
 
       // Actualizar slug si el nombre cambió
@@ -280,22 +402,64 @@ const productController = {
         existing.tags = foundTags;
       }
 
-      // Guardar con reintentos
+      // El juego y el movimiento de su cambio de stock se guardan juntos
       const base = slugify(String(existing.name));
-      const saved = await productRepository.saveWithRetry(existing, {
-        onConflict: async (err, attempt, ent) => {
-          const msg = String(err && err.message || '').toLowerCase();
-          if (msg.includes('slug') || /unique/i.test(msg)) {
-            ent.slug = `${base}-${attempt}`;
-            return true;
+      const saved = await AppDataSource.transaction(async (manager) => {
+        // Guardar con reintentos
+        const updated = await productRepository.saveWithRetry(existing, {
+          manager,
+          onConflict: async (err, attempt, ent) => {
+            const msg = String(err && err.message || '').toLowerCase();
+            if (msg.includes('slug') || /unique/i.test(msg)) {
+              ent.slug = `${base}-${attempt}`;
+              return true;
+            }
+            return false;
           }
-          return false;
+        }, 6);
+
+        const stock = Number(updated.stock);
+        if (updated.digital && !wasDigital) {
+          // Un juego que pasa a ser digital toma como stock sus claves disponibles
+          await digitalKeyService.syncStock(manager, updated.id, {
+            type: MOVEMENT_TYPES.ADJUSTMENT,
+            reason: 'DIGITAL_KEYS',
+            user: req.user,
+          });
+          updated.stock = (await manager.findOneBy(Producto, { id: updated.id })).stock;
+        } else if (stock !== previousStock) {
+          // Sobrescribir el stock desde el PUT también deja su movimiento (la diferencia)
+          await stockMovementService.record(manager, {
+            product: { id: updated.id, stock },
+            type: MOVEMENT_TYPES.ADJUSTMENT,
+            quantity: stock - previousStock,
+            reason: 'PRODUCT_UPDATE',
+            user: req.user,
+          });
+        } else if (Number(updated.lowStockThreshold) !== previousThreshold) {
+          // Cambió solo el umbral: la alerta de stock bajo se abre o se resuelve con el nuevo valor
+          await stockAlertService.evaluate(manager, {
+            id: updated.id,
+            bundle: updated.bundle,
+            stock,
+            lowStockThreshold: Number(updated.lowStockThreshold),
+          });
         }
-      }, 6);
+        return updated;
+      });
+
+      if (saved.bundle) {
+        if (components) {
+          await bundleService.setComponents(saved.id, components);
+          await stockAlertService.evaluate(AppDataSource.manager, saved);
+        }
+        const [bundle] = await inventoryService.withAvailability([saved]);
+        return res.status(200).json({ status: "success", data: bundle });
+      }
 
       return res.status(200).json({ status: "success", data: saved });
     } catch (error) {
-      return res.status(500).json({ status: "error", message: error.message });
+      return handleError(res, error, "Error updating product");
     }
   },
 
@@ -315,7 +479,11 @@ const productController = {
         return res.status(404).json({ status: "fail", message: "Product not found" });
       }
 
-      await productRepository.remove(product);
+      if (await bundleService.isComponent(id)) {
+        return res.status(409).json({ status: "fail", message: "Game is part of a bundle (remove it from the bundle first)" });
+      }
+
+      await mediaService.removeWithGame(id, () => productRepository.remove(product));
       return res.status(200).json({ status: "success", message: "Product deleted" });
     } catch (error) {
       return res.status(500).json({ status: "error", message: error.message });
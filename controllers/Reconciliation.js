@@ -0,0 +1,35 @@
+const reconciliationService = require('../services/ReconciliationService');
+
+/**
+ * Reconciliation Controller
+ * Conciliación de órdenes contra el proveedor de pagos (admin)
+ */
+const reconciliationController = {
+  /**
+   * POST /payments/reconciliation
+   * Ejecutar la conciliación y devolver el reporte generado
+   */
+  async run(req, res) {
+    try {
+      const { transactionIds } = req.body || {};
+      if (transactionIds !== undefined &&
+          (!Array.isArray(transactionIds) || transactionIds.some(id => typeof id !== 'string' || !id.trim()))) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'transactionIds debe ser un array de strings no vacíos'
+        });
+      }
+
+      const report = await reconciliationService.reconcile({ transactionIds });
+      return res.status(200).json({ status: 'success', data: report });
+    } catch (error) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error ejecutando la conciliación de pagos',
+        error: error.message
+      });
+    }
+  },
+};
+
+module.exports = reconciliationController;
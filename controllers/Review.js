@@ -0,0 +1,192 @@
+const reviewService = require('../services/ReviewService');
+const { REVIEW_STATUS } = require('../services/ReviewService');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * Review Controller
+ * Reseñas públicas de un juego, la reseña propia del cliente que lo compró,
+ * reportes de reseñas abusivas y la cola de moderación del staff
+ */
+const reviewController = {
+  /**
+   * GET /games/:id/reviews
+   * Reseñas del juego con su promedio (público)
+   */
+  async list(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      if (page < 1 || limit < 1 || limit > 50) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'page y limit deben ser números válidos (limit máximo 50)'
+        });
+      }
+
+      const result = await reviewService.list(gameId, { page, limit });
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          items: result.items,
+          rating: result.rating,
+          meta: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+          }
+        }
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo las reseñas');
+    }
+  },
+
+  /**
+   * POST /games/:id/reviews
+   * Reseñar un juego comprado
+   */
+  async create(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const review = await reviewService.create(gameId, req.user, req.body || {});
+      return res.status(201).json({ status: 'success', data: review });
+    } catch (error) {
+      return handleError(res, error, 'Error creando la reseña');
+    }
+  },
+
+  /**
+   * PUT /games/:id/reviews
+   * Editar la reseña propia
+   */
+  async update(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const review = await reviewService.update(gameId, req.user, req.body || {});
+      return res.status(200).json({ status: 'success', data: review });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando la reseña');
+    }
+  },
+
+  /**
+   * DELETE /games/:id/reviews
+   * Eliminar la reseña propia
+   */
+  async remove(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      await reviewService.remove(gameId, req.user);
+      return res.status(200).json({ status: 'success', message: 'Review deleted' });
+    } catch (error) {
+      return handleError(res, error, 'Error eliminando la reseña');
+    }
+  },
+
+  /**
+   * GET /reviews/moderation
+   * Cola de moderación (staff): PENDING por defecto, o ?status=REPORTED|APPROVED|REJECTED
+   */
+  async queue(req, res) {
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      if (page < 1 || limit < 1 || limit > 50) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'page y limit deben ser números válidos (limit máximo 50)'
+        });
+      }
+
+      const result = await reviewService.queue({ status: req.query.status || undefined, page, limit });
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          items: result.items,
+          meta: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+          }
+        }
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo la cola de moderación');
+    }
+  },
+
+  /**
+   * POST /reviews/:id/approve
+   * Publicar una reseña (motivo opcional)
+   */
+  async approve(req, res) {
+    try {
+      const reviewId = parseId(req.params.id);
+      if (!reviewId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid review id' });
+      }
+
+      const review = await reviewService.moderate(reviewId, REVIEW_STATUS.APPROVED, (req.body || {}).reason, req.user);
+      return res.status(200).json({ status: 'success', data: review });
+    } catch (error) {
+      return handleError(res, error, 'Error aprobando la reseña');
+    }
+  },
+
+  /**
+   * POST /reviews/:id/reject
+   * Rechazar una reseña con un motivo (deja de publicarse)
+   */
+  async reject(req, res) {
+    try {
+      const reviewId = parseId(req.params.id);
+      if (!reviewId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid review id' });
+      }
+
+      const review = await reviewService.moderate(reviewId, REVIEW_STATUS.REJECTED, (req.body || {}).reason, req.user);
+      return res.status(200).json({ status: 'success', data: review });
+    } catch (error) {
+      return handleError(res, error, 'Error rechazando la reseña');
+    }
+  },
+
+  /**
+   * POST /reviews/:id/report
+   * Reportar una reseña publicada como abusiva
+   */
+  async report(req, res) {
+    try {
+      const reviewId = parseId(req.params.id);
+      if (!reviewId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid review id' });
+      }
+
+      const result = await reviewService.report(reviewId, req.user, (req.body || {}).reason);
+      return res.status(201).json({ status: 'success', data: result });
+    } catch (error) {
+      return handleError(res, error, 'Error reportando la reseña');
+    }
+  },
+};
+
+module.exports = reviewController;
@@ -0,0 +1,93 @@
+const stockAlertService = require('../services/StockAlertService');
+const { ALERT_STATUS } = require('../services/StockAlertService');
+const { handleError } = require('../utils/controllerHelpers');
+
+const parseProductId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * StockAlert Controller
+ * Listado de alertas de stock bajo (admin) y suscripciones de vuelta de stock (clientes)
+ */
+const stockAlertController = {
+  /**
+   * GET /stock-alerts
+   * Alertas de stock bajo (por defecto las ACTIVE)
+   */
+  async list(req, res) {
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      if (page < 1 || limit < 1 || limit > 50) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'page y limit deben ser números válidos (limit máximo 50)'
+        });
+      }
+
+      const status = req.query.status ? String(req.query.status).toUpperCase() : ALERT_STATUS.ACTIVE;
+      if (!Object.values(ALERT_STATUS).includes(status)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `status debe ser uno de: ${Object.values(ALERT_STATUS).join(', ')}`
+        });
+      }
+
+      const result = await stockAlertService.listAlerts({ status, page, limit });
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          items: result.items,
+          meta: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+          }
+        }
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo las alertas de stock');
+    }
+  },
+
+  /**
+   * POST /games/:id/stock-subscription
+   * Avisarme cuando el juego vuelva a tener stock
+   */
+  async subscribe(req, res) {
+    try {
+      const productId = parseProductId(req);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const { subscription, created } = await stockAlertService.subscribe(req.user.id, productId);
+      return res.status(created ? 201 : 200).json({ status: 'success', data: subscription });
+    } catch (error) {
+      return handleError(res, error, 'Error creando la suscripción');
+    }
+  },
+
+  /**
+   * DELETE /games/:id/stock-subscription
+   * Cancelar el aviso de vuelta de stock
+   */
+  async unsubscribe(req, res) {
+    try {
+      const productId = parseProductId(req);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const subscription = await stockAlertService.unsubscribe(req.user.id, productId);
+      return res.status(200).json({ status: 'success', data: subscription });
+    } catch (error) {
+      return handleError(res, error, 'Error cancelando la suscripción');
+    }
+  },
+};
+
+module.exports = stockAlertController;
@@ -0,0 +1,72 @@
+const stockMovementService = require('../services/StockMovementService');
+const { handleError } = require('../utils/controllerHelpers');
+
+const parseProductId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * StockMovement Controller
+ * Ajustes manuales de stock (admin) e historial de movimientos de un juego
+ */
+const stockMovementController = {
+  /**
+   * POST /games/:id/stock-adjustments
+   * Ajustar el stock con un código de motivo (admin)
+   */
+  async adjust(req, res) {
+    try {
+      const productId = parseProductId(req);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const movement = await stockMovementService.adjust(productId, req.body || {}, req.user);
+      return res.status(201).json({ status: 'success', data: movement });
+    } catch (error) {
+      return handleError(res, error, 'Error ajustando el stock');
+    }
+  },
+
+  /**
+   * GET /games/:id/stock-movements
+   * Historial de movimientos de stock (filtro opcional por type)
+   */
+  async history(req, res) {
+    try {
+      const productId = parseProductId(req);
+      if (!productId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 20;
+      if (page < 1 || limit < 1 || limit > 50) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'page y limit deben ser números válidos (limit máximo 50)'
+        });
+      }
+
+      const result = await stockMovementService.history(productId, { page, limit, type: req.query.type });
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          items: result.items,
+          stock: result.stock,
+          meta: {
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            totalPages: result.totalPages,
+          }
+        }
+      });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo los movimientos de stock');
+    }
+  },
+};
+
+module.exports = stockMovementController;
@@ -0,0 +1,68 @@
+const taxService = require('../services/TaxService');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * TaxRule Controller
+ * Administración de reglas de impuesto (admin)
+ */
+const taxRuleController = {
+  /**
+   * GET /tax-rules
+   */
+  async list(req, res) {
+    try {
+      const rules = await taxService.list();
+      return res.status(200).json({ status: 'success', data: rules });
+    } catch (error) {
+      return handleError(res, error, 'Error obteniendo reglas de impuesto');
+    }
+  },
+
+  /**
+   * POST /tax-rules
+   */
+  async create(req, res) {
+    try {
+      const rule = await taxService.create(req.body || {});
+      return res.status(201).json({ status: 'success', data: rule });
+    } catch (error) {
+      return handleError(res, error, 'Error creando la regla de impuesto');
+    }
+  },
+
+  /**
+   * PUT /tax-rules/:id
+   */
+  async update(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({ status: 'fail', message: 'ID de regla inválido' });
+      }
+
+      const rule = await taxService.update(id, req.body || {});
+      return res.status(200).json({ status: 'success', data: rule });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando la regla de impuesto');
+    }
+  },
+
+  /**
+   * DELETE /tax-rules/:id
+   */
+  async delete(req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) {
+        return res.status(400).json({ status: 'fail', message: 'ID de regla inválido' });
+      }
+
+      await taxService.remove(id);
+      return res.status(200).json({ status: 'success', message: 'Regla de impuesto eliminada' });
+    } catch (error) {
+      return handleError(res, error, 'Error eliminando la regla de impuesto');
+    }
+  },
+};
+
+module.exports = taxRuleController;
@@ -1,17 +1,23 @@
 const Usuario = require('../models/usuario'); 
 const { AppDataSource } = require('../config/databaseConfig');
 const bcrypt = require('bcrypt');
+const { ROLES } = require('../middlewares/authorize');
 const saltRounds = 10;
+const validRoles = Object.values(ROLES);
 
 // Controlador Usercreate por token
 const createUser = async (req, res) => {
     try {
-        const { nombre, email, contrasena } = req.body;
+        const { nombre, email, contrasena, role } = req.body;
 
         if (!nombre || !email || !contrasena) {
             return res.status(400).json({ status: "fail", message: "Todos los campos son obligatorios" });
         }
 
+        if (role !== undefined && !validRoles.includes(role)) {
+            return res.status(400).json({ status: "fail", message: `El rol debe ser uno de: ${validRoles.join(', ')}` });
+        }
+
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(email)) {
             return res.status(400).json({ status: "fail", message: "El correo electrónico no es válido" });
@@ -28,6 +34,7 @@ const createUser = async (req, res) => {
             nombre,
             email,
             contrasena: hashedPassword,
+            role: role || ROLES.CUSTOMER,
         });
 
         await AppDataSource.getRepository(Usuario).save(usuario);
@@ -67,6 +74,16 @@ const updateUser = async (req, res) => {
             return res.status(400).json({ status: "fail", message: "No se proporcionaron datos para actualizar" });
         }
 
+        // Solo un administrador puede cambiar el rol de un usuario
+        if (req.body.role !== undefined) {
+            if (!req.user || req.user.role !== ROLES.ADMIN) {
+                return res.status(403).json({ status: "fail", message: "Solo un administrador puede cambiar el rol" });
+            }
+            if (!validRoles.includes(req.body.role)) {
+                return res.status(400).json({ status: "fail", message: `El rol debe ser uno de: ${validRoles.join(', ')}` });
+            }
+        }
+
         const camposRequeridos = ['nombre', 'apellido', 'email'];
 
         for (const campo of camposRequeridos) {
@@ -0,0 +1,66 @@
+const variantService = require('../services/VariantService');
+const { handleError, parseId } = require('../utils/controllerHelpers');
+
+/**
+ * Variant Controller
+ * Ediciones de un juego (admin); se leen anidadas en las respuestas del juego
+ */
+const variantController = {
+  /**
+   * POST /games/:id/variants
+   * Crear una variante con SKU, precio y stock propios
+   */
+  async create(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      if (!gameId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid product id' });
+      }
+
+      const variant = await variantService.create(gameId, req.body || {}, req.user);
+      return res.status(201).json({ status: 'success', data: variant });
+    } catch (error) {
+      return handleError(res, error, 'Error creando la variante');
+    }
+  },
+
+  /**
+   * PUT /games/:id/variants/:variantId
+   * Editar una variante (el cambio de stock queda en el libro de movimientos)
+   */
+  async update(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      const variantId = parseId(req.params.variantId);
+      if (!gameId || !variantId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid id' });
+      }
+
+      const variant = await variantService.update(gameId, variantId, req.body || {}, req.user);
+      return res.status(200).json({ status: 'success', data: variant });
+    } catch (error) {
+      return handleError(res, error, 'Error actualizando la variante');
+    }
+  },
+
+  /**
+   * DELETE /games/:id/variants/:variantId
+   * Eliminar una variante que no se haya vendido
+   */
+  async remove(req, res) {
+    try {
+      const gameId = parseId(req.params.id);
+      const variantId = parseId(req.params.variantId);
+      if (!gameId || !variantId) {
+        return res.status(400).json({ status: 'fail', message: 'Invalid id' });
+      }
+
+      await variantService.remove(gameId, variantId);
+      return res.status(200).json({ status: 'success', message: 'Variant deleted' });
+    } catch (error) {
+      return handleError(res, error, 'Error eliminando la variante');
+    }
+  },
+};
+
+module.exports = variantController;
@@ -1,7 +1,8 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
+const tokenService = require('../services/TokenService');
 
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   // Verifica que el encabezado exista y tenga formato Bearer
@@ -14,16 +15,27 @@ const authenticateJWT = (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Guarda los datos del token en la solicitud
-    next(); // Continúa con la siguiente función
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res.status(403).json({
       status: 'fail',
       message: 'Token no válido o expirado',
     });
   }
+
+  // Todo access token lleva el id de su sesión (sid): sin sesión vigente no se acepta,
+  // así el logout y el logout everywhere pueden revocarlo
+  if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+    return res.status(401).json({
+      status: 'fail',
+      message: 'Sesión revocada o expirada',
+    });
+  }
+
+  req.user = decoded; // Guarda los datos del token en la solicitud
+  next(); // Continúa con la siguiente función
 };
 
 module.exports = authenticateJWT;
@@ -0,0 +1,40 @@
+// Roles soportados por la aplicación
+const ROLES = Object.freeze({
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+  ADMIN: 'admin',
+});
+
+const forbidden = (res) => res.status(403).json({
+  status: 'fail',
+  message: 'Acceso denegado: permisos insuficientes',
+});
+
+// Requiere que el usuario autenticado tenga alguno de los roles indicados.
+// Debe declararse después de authenticateJWT.
+const authorizeRoles = (...allowedRoles) => (req, res, next) => {
+  const role = (req.user && req.user.role) || ROLES.CUSTOMER;
+  if (!allowedRoles.includes(role)) {
+    return forbidden(res);
+  }
+  next();
+};
+
+// Permite el acceso si el :id de la ruta es el del propio usuario
+// o si tiene alguno de los roles indicados
+const authorizeSelfOrRoles = (...allowedRoles) => (req, res, next) => {
+  const role = (req.user && req.user.role) || ROLES.CUSTOMER;
+  if (allowedRoles.includes(role)) {
+    return next();
+  }
+  if (req.user && Number(req.params.id) === Number(req.user.id)) {
+    return next();
+  }
+  return forbidden(res);
+};
+
+module.exports = {
+  ROLES,
+  authorizeRoles,
+  authorizeSelfOrRoles,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { AppDataSource } = require('../config/databaseConfig');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+// Serializa con las claves ordenadas para que el orden de los campos no cambie el hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Soporte del header Idempotency-Key para endpoints que crean recursos con efectos externos
+ * (cobros, stock). Debe declararse después de authenticateJWT.
+ *
+ * - Misma clave y mismo cuerpo: se repite la respuesta guardada (header Idempotent-Replayed).
+ * - Misma clave y distinto cuerpo: 422.
+ * - Misma clave mientras la primera solicitud sigue en proceso: 409.
+ * - Respuestas 5xx, errores no manejados y respuestas que no son JSON no se guardan: la clave se libera
+ *   para que el cliente pueda reintentar con ella.
+ */
+const idempotent = () => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Idempotency-Key debe tener entre 1 y ${MAX_KEY_LENGTH} caracteres`,
+    });
+  }
+
+  const repo = AppDataSource.getRepository(IdempotencyKey);
+  const userId = req.user.id;
+  const requestHash = hashRequest(req);
+
+  let record = await repo.findOneBy({ userId, key });
+  if (record && new Date(record.expiresAt) <= new Date()) {
+    await repo.remove(record);
+    record = null;
+  }
+
+  if (record) {
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        status: 'fail',
+        message: 'Idempotency-Key ya fue usada con un cuerpo de solicitud distinto',
+      });
+    }
+    if (record.status !== 'COMPLETED') {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'Hay una solicitud en proceso con esta Idempotency-Key',
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.responseStatus).json(JSON.parse(record.responseBody));
+  }
+
+  try {
+    record = await repo.save(repo.create({
+      key,
+      userId,
+      endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+    }));
+  } catch (error) {
+    // Otra solicitud con la misma clave ganó la carrera
+    return res.status(409).json({
+      status: 'fail',
+      message: 'Hay una solicitud en proceso con esta Idempotency-Key',
+    });
+  }
+
+  // Libera la clave para que el cliente pueda reintentar con ella
+  let settled = false;
+  const release = () => repo.remove(record)
+    .catch(err => console.error('Error liberando Idempotency-Key:', err));
+
+  // Guardar la respuesta antes de enviarla, así un reintento inmediato ya la encuentra
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const persist = res.statusCode >= 500
+      ? release()
+      : repo.save(Object.assign(record, {
+        status: 'COMPLETED',
+        responseStatus: res.statusCode,
+        responseBody: JSON.stringify(body),
+      })).catch(err => {
+        console.error('Error guardando Idempotency-Key:', err);
+        return release();
+      });
+
+    persist.finally(() => originalJson(body));
+    return res;
+  };
+
+  // Una respuesta que no pasa por res.json (error no manejado, res.send, etc.) no se puede repetir:
+  // se libera la clave antes de enviarla en lugar de dejarla IN_PROGRESS hasta que venza
+  const originalEnd = res.end.bind(res);
+  res.end = (...args) => {
+    if (settled) return originalEnd(...args);
+    settled = true;
+    release().finally(() => originalEnd(...args));
+    return res;
+  };
+  // Conexión cerrada antes de responder
+  res.on('close', () => {
+    if (settled) return;
+    settled = true;
+    release();
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,33 @@
+const multer = require('multer');
+const mediaService = require('../services/MediaService');
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: () => `Cada imagen puede pesar hasta ${mediaService.maxBytes()} bytes`,
+  LIMIT_FILE_COUNT: (maxCount) => `Se permiten hasta ${maxCount} imágenes por solicitud`,
+  LIMIT_UNEXPECTED_FILE: (maxCount, field) => `Las imágenes deben enviarse en el campo ${field} (máximo ${maxCount})`,
+};
+
+/**
+ * Recibe imágenes multipart/form-data en memoria (req.files) para que MediaService las valide
+ * y las guarde. El límite de tamaño se lee en cada solicitud (MEDIA_MAX_BYTES).
+ * Los errores de multer se responden como 400.
+ * @param {string} field - Nombre del campo del formulario
+ * @param {number} maxCount - Máximo de archivos
+ */
+const imageUpload = (field, maxCount = 1) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: mediaService.maxBytes(), files: maxCount },
+  }).array(field, maxCount);
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message = LIMIT_MESSAGES[error.code] ? LIMIT_MESSAGES[error.code](maxCount, field) : error.message;
+      return res.status(400).json({ status: 'fail', message });
+    }
+    return next(error);
+  });
+};
+
+module.exports = { imageUpload };
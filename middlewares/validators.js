@@ -37,6 +37,14 @@ const gameCreate = [
   body('releaseDate').optional().isISO8601().toDate(),
   body('price').optional().isFloat({ min: 0 }),
   body('stock').optional().isInt({ min: 0 }),
+  body('lowStockThreshold').optional().isInt({ min: 0 }),
+  body('preorderStock').optional().isInt({ min: 0 }),
+  body('preorderLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('digital').optional().isBoolean().toBoolean(),
+  body('bundle').optional().isBoolean().toBoolean(),
+  body('components').optional().isArray({ min: 1 }),
+  body('components.*.productId').isInt({ min: 1 }),
+  body('components.*.quantity').optional().isInt({ min: 1 }),
   body('categoryId').optional().isInt({ min: 1 }),
   body('tags').optional().isArray(),
   checkValidation,
@@ -49,11 +57,61 @@ const gameUpdate = [
   body('releaseDate').optional().isISO8601().toDate(),
   body('price').optional().isFloat({ min: 0 }),
   body('stock').optional().isInt({ min: 0 }),
+  body('lowStockThreshold').optional().isInt({ min: 0 }),
+  body('preorderStock').optional().isInt({ min: 0 }),
+  body('preorderLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('digital').optional().isBoolean().toBoolean(),
+  body('bundle').optional().isBoolean().toBoolean(),
+  body('components').optional().isArray({ min: 1 }),
+  body('components.*.productId').isInt({ min: 1 }),
+  body('components.*.quantity').optional().isInt({ min: 1 }),
   body('categoryId').optional().isInt({ min: 1 }),
   body('tags').optional().isArray(),
   checkValidation,
 ];
 
+const variantCreate = [
+  body('sku').exists().withMessage('sku is required').bail().isString().trim().notEmpty(),
+  body('edition').optional().isString().trim().notEmpty(),
+  body('region').optional({ nullable: true }).isString().trim(),
+  body('format').optional().isIn(['PHYSICAL', 'DIGITAL', 'physical', 'digital']),
+  body('price').exists().withMessage('price is required').bail().isFloat({ min: 0 }),
+  body('stock').optional().isInt({ min: 0 }),
+  checkValidation,
+];
+
+const variantUpdate = [
+  body('sku').optional().isString().trim().notEmpty(),
+  body('edition').optional().isString().trim().notEmpty(),
+  body('region').optional({ nullable: true }).isString().trim(),
+  body('format').optional().isIn(['PHYSICAL', 'DIGITAL', 'physical', 'digital']),
+  body('price').optional().isFloat({ min: 0 }),
+  body('stock').optional().isInt({ min: 0 }),
+  checkValidation,
+];
+
+const reviewCreate = [
+  body('rating').exists().withMessage('rating is required').bail().isInt({ min: 1, max: 5 }),
+  body('text').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  checkValidation,
+];
+
+const reviewUpdate = [
+  body('rating').optional().isInt({ min: 1, max: 5 }),
+  body('text').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  checkValidation,
+];
+
+const reviewModeration = [
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  checkValidation,
+];
+
+const reviewReport = [
+  body('reason').exists().withMessage('reason is required').bail().isString().trim().notEmpty().isLength({ max: 500 }),
+  checkValidation,
+];
+
 module.exports = {
   categoryCreate,
   categoryUpdate,
@@ -61,4 +119,10 @@ module.exports = {
   tagUpdate,
   gameCreate,
   gameUpdate,
+  variantCreate,
+  variantUpdate,
+  reviewCreate,
+  reviewUpdate,
+  reviewModeration,
+  reviewReport,
 };
@@ -0,0 +1,75 @@
+/**
+ * Migra los montos guardados como float (unidades mayores) a columnas enteras en centavos.
+ * Se ejecuta antes de synchronize (migrationsRun), así synchronize solo elimina las columnas
+ * float viejas después de que sus valores se copiaron a las nuevas columnas *Cents.
+ * Si la tabla existe pero le falta la columna float (bases anteriores a esa columna) la columna
+ * en centavos se crea en 0, porque synchronize ya no puede agregarla con default.
+ * En una base nueva las tablas aún no existen y no hace nada.
+ */
+const MONEY_COLUMNS = {
+  games: [['price', 'priceCents', false]],
+  orders: [
+    ['subtotalAmount', 'subtotalAmountCents', false],
+    ['discountAmount', 'discountAmountCents', false],
+    ['taxAmount', 'taxAmountCents', false],
+    ['totalAmount', 'totalAmountCents', false],
+    ['refundedAmount', 'refundedAmountCents', false],
+    ['giftCardAmount', 'giftCardAmountCents', false],
+  ],
+  order_items: [
+    ['unitPrice', 'unitPriceCents', false],
+    ['subtotal', 'subtotalCents', false],
+    ['discountAmount', 'discountAmountCents', false],
+    ['taxAmount', 'taxAmountCents', false],
+    ['total', 'totalCents', true],
+  ],
+  gift_cards: [
+    ['initialBalance', 'initialBalanceCents', false],
+    ['balance', 'balanceCents', false],
+  ],
+  coupon_redemptions: [['discountAmount', 'discountAmountCents', false]],
+};
+
+class MoneyMinorUnits1792425600000 {
+  constructor() {
+    this.name = 'MoneyMinorUnits1792425600000';
+  }
+
+  async up(queryRunner) {
+    for (const [table, columns] of Object.entries(MONEY_COLUMNS)) {
+      if (!(await queryRunner.hasTable(table))) continue;
+
+      for (const [floatColumn, centsColumn, nullable] of columns) {
+        if (await queryRunner.hasColumn(table, centsColumn)) continue;
+
+        await queryRunner.query(
+          `ALTER TABLE "${table}" ADD COLUMN "${centsColumn}" integer ${nullable ? 'NULL' : 'NOT NULL DEFAULT (0)'}`
+        );
+        if (!(await queryRunner.hasColumn(table, floatColumn))) continue;
+        await queryRunner.query(
+          `UPDATE "${table}" SET "${centsColumn}" = CAST(ROUND("${floatColumn}" * 100) AS INTEGER) WHERE "${floatColumn}" IS NOT NULL`
+        );
+      }
+    }
+  }
+
+  async down(queryRunner) {
+    for (const [table, columns] of Object.entries(MONEY_COLUMNS)) {
+      if (!(await queryRunner.hasTable(table))) continue;
+
+      for (const [floatColumn, centsColumn, nullable] of columns) {
+        if (!(await queryRunner.hasColumn(table, centsColumn)) || (await queryRunner.hasColumn(table, floatColumn))) {
+          continue;
+        }
+        await queryRunner.query(
+          `ALTER TABLE "${table}" ADD COLUMN "${floatColumn}" float ${nullable ? 'NULL' : 'NOT NULL DEFAULT (0)'}`
+        );
+        await queryRunner.query(
+          `UPDATE "${table}" SET "${floatColumn}" = "${centsColumn}" / 100.0 WHERE "${centsColumn}" IS NOT NULL`
+        );
+      }
+    }
+  }
+}
+
+module.exports = { MoneyMinorUnits1792425600000 };
@@ -0,0 +1,46 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * BundleComponent Model
+ * Juego incluido en un bundle (un Game con bundle = true) y cuántas unidades trae.
+ * El bundle no tiene stock propio: su disponibilidad sale del stock de sus componentes.
+ */
+module.exports = new EntitySchema({
+  name: 'BundleComponent',
+  tableName: 'bundle_components',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Unidades del componente por cada bundle vendido
+    quantity: {
+      type: 'int',
+      nullable: false,
+      default: 1,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    bundle: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Un juego que forma parte de un bundle no puede eliminarse
+    component: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'RESTRICT',
+    },
+  },
+});
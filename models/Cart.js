@@ -0,0 +1,46 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Cart Model
+ * Carrito de compras persistente de un usuario (uno por usuario)
+ */
+module.exports = new EntitySchema({
+  name: 'Cart',
+  tableName: 'carts',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Relación con User (dueño del carrito)
+    user: {
+      type: 'one-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Relación con CartItems
+    items: {
+      type: 'one-to-many',
+      target: 'CartItem',
+      inverseSide: 'cart',
+      eager: true,
+      cascade: true,
+    },
+  },
+});
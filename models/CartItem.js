@@ -0,0 +1,54 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * CartItem Model
+ * Línea del carrito: qué producto y cuántas unidades.
+ * No guarda precio: los totales del carrito se calculan con el Game.price vigente.
+ */
+module.exports = new EntitySchema({
+  name: 'CartItem',
+  tableName: 'cart_items',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Cantidad del producto en el carrito
+    quantity: {
+      type: 'int',
+      nullable: false,
+      default: 1,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Relación con Cart
+    cart: {
+      type: 'many-to-one',
+      target: 'Cart',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Relación con Product
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      eager: true,
+      onDelete: 'CASCADE',
+    },
+  },
+});
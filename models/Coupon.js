@@ -0,0 +1,103 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Coupon Model
+ * Código de promoción aplicable al crear una orden (ver services/PromotionEngine.js)
+ */
+module.exports = new EntitySchema({
+  name: 'Coupon',
+  tableName: 'coupons',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Código que ingresa el cliente (se guarda en mayúsculas)
+    code: {
+      type: String,
+      unique: true,
+      nullable: false,
+    },
+    description: {
+      type: 'text',
+      nullable: true,
+    },
+    // PERCENTAGE, FIXED_AMOUNT o BUY_X_GET_Y
+    type: {
+      type: String,
+      nullable: false,
+    },
+    // PERCENTAGE: % de descuento; FIXED_AMOUNT: monto; BUY_X_GET_Y: % de descuento de las unidades de regalo (100 = gratis)
+    value: {
+      type: 'float',
+      nullable: false,
+      default: 0,
+    },
+    // BUY_X_GET_Y: unidades a comprar (X) y unidades con descuento (Y)
+    buyQuantity: {
+      type: 'int',
+      nullable: true,
+    },
+    getQuantity: {
+      type: 'int',
+      nullable: true,
+    },
+    // Moneda del monto fijo (solo FIXED_AMOUNT)
+    currency: {
+      type: String,
+      nullable: true,
+    },
+    // Alcance: ORDER (todos los productos), CATEGORY, TAG o GAMES
+    scope: {
+      type: String,
+      nullable: false,
+      default: 'ORDER',
+    },
+    // IDs de categorías, tags o juegos según el alcance
+    scopeIds: {
+      type: 'simple-json',
+      nullable: true,
+    },
+    // Ventana de validez (null = sin límite)
+    startsAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    endsAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // Límites de uso (null = ilimitado)
+    maxUses: {
+      type: 'int',
+      nullable: true,
+    },
+    maxUsesPerUser: {
+      type: 'int',
+      nullable: true,
+    },
+    // Usos registrados
+    timesUsed: {
+      type: 'int',
+      nullable: false,
+      default: 0,
+    },
+    active: {
+      type: Boolean,
+      nullable: false,
+      default: true,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+});
@@ -0,0 +1,48 @@
+const { EntitySchema } = require('typeorm');
+const { moneyColumn } = require('../utils/Money');
+
+/**
+ * CouponRedemption Model
+ * Uso de un cupón en una orden; permite aplicar el límite de usos por usuario
+ */
+module.exports = new EntitySchema({
+  name: 'CouponRedemption',
+  tableName: 'coupon_redemptions',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Descuento aplicado en la orden
+    discountAmount: moneyColumn('discountAmountCents', { default: 0 }),
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    coupon: {
+      type: 'many-to-one',
+      target: 'Coupon',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    order: {
+      type: 'many-to-one',
+      target: 'Order',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
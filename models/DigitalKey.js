@@ -0,0 +1,60 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * DigitalKey Model
+ * Código digital (PSN) de un juego digital. El stock del juego es la cantidad de claves
+ * AVAILABLE; al pagarse una orden se asignan (ASSIGNED) a sus OrderItems. Una clave ya
+ * revelada que se reembolsa queda REVOKED y no vuelve al inventario.
+ */
+module.exports = new EntitySchema({
+  name: 'DigitalKey',
+  tableName: 'digital_keys',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    code: {
+      type: String,
+      nullable: false,
+      unique: true,
+    },
+    // AVAILABLE, ASSIGNED o REVOKED
+    status: {
+      type: String,
+      nullable: false,
+      default: 'AVAILABLE',
+    },
+    assignedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // Primera vez que el comprador vio la clave
+    revealedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    orderItem: {
+      type: 'many-to-one',
+      target: 'OrderItem',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'SET NULL',
+    },
+  },
+});
@@ -0,0 +1,46 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * DigitalKeyReveal Model
+ * Registro de cada vez que un comprador revela una clave digital (auditoría y soporte)
+ */
+module.exports = new EntitySchema({
+  name: 'DigitalKeyReveal',
+  tableName: 'digital_key_reveals',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    ip: {
+      type: String,
+      nullable: true,
+    },
+    userAgent: {
+      type: 'text',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    key: {
+      type: 'many-to-one',
+      target: 'DigitalKey',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
@@ -0,0 +1,44 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * ExchangeRate Model
+ * Tipo de cambio desde la moneda base de los precios (BASE_CURRENCY, USD por defecto)
+ */
+module.exports = new EntitySchema({
+  name: 'ExchangeRate',
+  tableName: 'exchange_rates',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Código ISO de 3 letras (EUR, VES, ...)
+    currency: {
+      type: String,
+      unique: true,
+      nullable: false,
+    },
+    // Unidades de esta moneda por 1 unidad de la moneda base
+    rate: {
+      type: 'float',
+      nullable: false,
+    },
+    // MANUAL (actualizado por un admin) o FILE (importado desde archivo)
+    source: {
+      type: String,
+      nullable: false,
+      default: 'MANUAL',
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+});
@@ -0,0 +1,70 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * GameImage Model
+ * Imagen de un juego: portada (COVER, una por juego) o captura de la galería (SCREENSHOT,
+ * ordenadas por position). El archivo y su miniatura viven en el almacenamiento de medios
+ * (ver MediaStorage); aquí se guardan sus claves.
+ */
+module.exports = new EntitySchema({
+  name: 'GameImage',
+  tableName: 'game_images',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // COVER o SCREENSHOT
+    kind: {
+      type: String,
+      nullable: false,
+    },
+    // Claves del archivo original y de su miniatura en el almacenamiento
+    storageKey: {
+      type: String,
+      nullable: false,
+    },
+    thumbnailKey: {
+      type: String,
+      nullable: false,
+    },
+    mimeType: {
+      type: String,
+      nullable: false,
+    },
+    // Tamaño en bytes del original
+    size: {
+      type: 'int',
+      nullable: false,
+    },
+    width: {
+      type: 'int',
+      nullable: false,
+    },
+    height: {
+      type: 'int',
+      nullable: false,
+    },
+    // Orden en la galería (0 = primera); la portada siempre es 0
+    position: {
+      type: 'int',
+      nullable: false,
+      default: 0,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    game: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
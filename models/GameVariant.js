@@ -0,0 +1,67 @@
+const { EntitySchema } = require('typeorm');
+const { moneyColumn } = require('../utils/Money');
+
+/**
+ * GameVariant Model
+ * Edición de un juego (Standard, Deluxe, Collector's...) por región y formato, con SKU,
+ * precio y stock propios. Una orden puede comprar el juego o una de sus variantes.
+ */
+module.exports = new EntitySchema({
+  name: 'GameVariant',
+  tableName: 'game_variants',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Nombre de la edición (Standard, Deluxe, Collector's)
+    edition: {
+      type: String,
+      nullable: false,
+      default: 'Standard',
+    },
+    // Región del producto (NTSC-U, PAL, NTSC-J...)
+    region: {
+      type: String,
+      nullable: true,
+    },
+    // PHYSICAL o DIGITAL
+    format: {
+      type: String,
+      nullable: false,
+      default: 'PHYSICAL',
+    },
+    sku: {
+      type: String,
+      nullable: false,
+      unique: true,
+    },
+    price: moneyColumn('priceCents', { default: 0 }),
+    stock: {
+      type: 'int',
+      nullable: false,
+      default: 0,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Juego al que pertenece la variante
+    game: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
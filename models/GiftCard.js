@@ -0,0 +1,66 @@
+const { EntitySchema } = require('typeorm');
+const { moneyColumn } = require('../utils/Money');
+
+/**
+ * GiftCard Model
+ * Tarjeta de regalo / crédito de tienda con saldo en una moneda.
+ * Se usa como método de pago GIFT_CARD o combinada con tarjeta de crédito (pago dividido).
+ */
+module.exports = new EntitySchema({
+  name: 'GiftCard',
+  tableName: 'gift_cards',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Código que el cliente ingresa al pagar (ej. GC-7K3M-Q9XP-2HDW)
+    code: {
+      type: String,
+      unique: true,
+      nullable: false,
+    },
+    // Saldo con el que fue emitida
+    initialBalance: moneyColumn('initialBalanceCents'),
+    // Saldo disponible
+    balance: moneyColumn('balanceCents'),
+    // Moneda del saldo (USD, EUR, VES)
+    currency: {
+      type: String,
+      nullable: false,
+      default: 'USD',
+    },
+    // Fecha de vencimiento (null = no vence)
+    expiresAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // ACTIVE o VOID
+    status: {
+      type: String,
+      nullable: false,
+      default: 'ACTIVE',
+    },
+    // Anulación por un admin
+    voidedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    voidReason: {
+      type: 'text',
+      nullable: true,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+});
@@ -0,0 +1,74 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * IdempotencyKey Model
+ * Registra cada Idempotency-Key recibida por usuario, el hash del cuerpo enviado
+ * y la respuesta producida, para poder repetirla en reintentos del cliente.
+ */
+module.exports = new EntitySchema({
+  name: 'IdempotencyKey',
+  tableName: 'idempotency_keys',
+  uniques: [
+    { name: 'UQ_idempotency_user_key', columns: ['userId', 'key'] },
+  ],
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Valor del header Idempotency-Key
+    key: {
+      type: String,
+      length: 255,
+      nullable: false,
+    },
+    // Usuario dueño de la clave (las claves son por usuario)
+    userId: {
+      type: 'int',
+      nullable: false,
+    },
+    // Endpoint protegido (ej. POST /v2/orders)
+    endpoint: {
+      type: String,
+      nullable: false,
+    },
+    // SHA-256 del cuerpo de la solicitud original
+    requestHash: {
+      type: String,
+      nullable: false,
+    },
+    // Estado: IN_PROGRESS mientras se procesa, COMPLETED cuando hay respuesta guardada
+    status: {
+      type: String,
+      nullable: false,
+      default: 'IN_PROGRESS',
+    },
+    // Código HTTP de la respuesta original
+    responseStatus: {
+      type: 'int',
+      nullable: true,
+    },
+    // Cuerpo JSON de la respuesta original
+    responseBody: {
+      type: 'text',
+      nullable: true,
+    },
+    // Fecha a partir de la cual la clave puede reutilizarse
+    expiresAt: {
+      type: 'datetime',
+      nullable: false,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+});
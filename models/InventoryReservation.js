@@ -0,0 +1,73 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * InventoryReservation Model
+ * Unidades de un juego apartadas por un usuario mientras paga (checkout del carrito)
+ * o mientras se confirma el pago de una orden PENDING. Mientras está ACTIVE y no vence,
+ * descuenta del disponible (available = stock - reservado) sin tocar el stock.
+ */
+module.exports = new EntitySchema({
+  name: 'InventoryReservation',
+  tableName: 'inventory_reservations',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    quantity: {
+      type: 'int',
+      nullable: false,
+    },
+    // ACTIVE, CONSUMED (se convirtió en venta), RELEASED (cancelada) o EXPIRED
+    status: {
+      type: String,
+      nullable: false,
+      default: 'ACTIVE',
+    },
+    // Pasada esta fecha deja de contar como reservada
+    expiresAt: {
+      type: 'datetime',
+      nullable: false,
+    },
+    // Motivo de la liberación (cancelación, vencimiento, rechazo del pago...)
+    releaseReason: {
+      type: 'text',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Orden PENDING que retiene las unidades (null en reservas del carrito)
+    order: {
+      type: 'many-to-one',
+      target: 'Order',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'CASCADE',
+    },
+  },
+});
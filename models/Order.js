@@ -1,4 +1,5 @@
 const { EntitySchema } = require('typeorm');
+const { moneyColumn } = require('../utils/Money');
 
 /**
  * Order Model
@@ -18,20 +19,61 @@ module.exports = new EntitySchema({
       type: String,
       nullable: false,
       default: 'PENDING',
-      // Estados posibles: PENDING, COMPLETED, CANCELED, PAYMENT_FAILED
+      // Estados posibles (ver services/OrderStateMachine.js):
+      // PENDING, PREORDERED, PAID, FULFILLED, CANCELED, REFUNDED, PARTIALLY_REFUNDED, PAYMENT_FAILED
     },
-    // Monto total de la orden
-    totalAmount: {
-      type: 'float',
-      nullable: false,
-      default: 0,
+    // Suma de los items antes de descuentos
+    subtotalAmount: moneyColumn('subtotalAmountCents', { default: 0 }),
+    // Descuento total aplicado por promociones
+    discountAmount: moneyColumn('discountAmountCents', { default: 0 }),
+    // Impuestos de la orden (incluidos o sumados según cada regla)
+    taxAmount: moneyColumn('taxAmountCents', { default: 0 }),
+    // Monto total de la orden (subtotalAmount - discountAmount + impuestos no incluidos en el precio)
+    totalAmount: moneyColumn('totalAmountCents', { default: 0 }),
+    // Cupón aplicado (código al momento de la compra)
+    couponCode: {
+      type: String,
+      nullable: true,
+    },
+    // Detalle de los descuentos aplicados [{ couponCode, type, description, amount }]
+    discountLines: {
+      type: 'simple-json',
+      nullable: true,
+    },
+    // Detalle de impuestos por regla [{ ruleId, name, rate, inclusive, taxableAmount, amount }]
+    taxLines: {
+      type: 'simple-json',
+      nullable: true,
+    },
+    // Ubicación de facturación usada para calcular impuestos
+    billingCountry: {
+      type: String,
+      nullable: true,
     },
+    billingRegion: {
+      type: String,
+      nullable: true,
+    },
+    // Monto total reembolsado hasta el momento
+    refundedAmount: moneyColumn('refundedAmountCents', { default: 0 }),
     // Moneda utilizada (USD, EUR, VES)
     currency: {
       type: String,
       nullable: false,
       default: 'USD',
     },
+    // Tipo de cambio usado para convertir los precios desde la moneda base (1 si la orden es en la moneda base)
+    exchangeRate: {
+      type: 'float',
+      nullable: false,
+      default: 1,
+    },
+    // Moneda en la que estaban los precios del catálogo al momento de la compra
+    baseCurrency: {
+      type: String,
+      nullable: false,
+      default: 'USD',
+    },
     // ID de transacción en el proveedor externo
     transactionId: {
       type: String,
@@ -43,6 +85,43 @@ module.exports = new EntitySchema({
       nullable: false,
       default: 'CREDIT_CARD',
     },
+    // Parte del total pagada con tarjeta de regalo (pago dividido o GIFT_CARD)
+    giftCardAmount: moneyColumn('giftCardAmountCents', { default: 0 }),
+    // Tarjeta enmascarada (solo últimos 4 dígitos)
+    maskedCard: {
+      type: String,
+      nullable: true,
+    },
+    // Referencia del pago manual (transferencia / Pago Móvil) reportada por el cliente
+    paymentReference: {
+      type: String,
+      nullable: true,
+    },
+    // Datos del pagador del pago manual (banco, teléfono, cédula)
+    paymentDetails: {
+      type: 'simple-json',
+      nullable: true,
+    },
+    // Fecha límite para confirmar un pago manual (solo PENDING)
+    paymentExpiresAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // Solo preventas: UPFRONT (cobrada al crearla) u ON_RELEASE (se cobra cuando sale el juego)
+    preorderPayment: {
+      type: String,
+      nullable: true,
+    },
+    // Solo preventas: fecha de lanzamiento (la más tardía de sus juegos); ese día se libera la orden
+    preorderReleaseDate: {
+      type: 'date',
+      nullable: true,
+    },
+    // Motivo del rechazo del pago (PAYMENT_FAILED) o de la expiración de una orden PENDING
+    failureReason: {
+      type: 'text',
+      nullable: true,
+    },
     // Descripción o notas de la orden
     description: {
       type: 'text',
@@ -69,6 +148,13 @@ module.exports = new EntitySchema({
       nullable: false,
       eager: true,
     },
+    // Tarjeta de regalo usada en el pago (si aplica)
+    giftCard: {
+      type: 'many-to-one',
+      target: 'GiftCard',
+      joinColumn: true,
+      nullable: true,
+    },
     // Relación con OrderItems
     items: {
       type: 'one-to-many',
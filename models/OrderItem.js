@@ -1,4 +1,5 @@
 const { EntitySchema } = require('typeorm');
+const { moneyColumn } = require('../utils/Money');
 
 /**
  * OrderItem Model
@@ -21,14 +22,28 @@ module.exports = new EntitySchema({
       default: 1,
     },
     // Precio unitario del producto AL MOMENTO de la compra (precio histórico)
-    unitPrice: {
+    unitPrice: moneyColumn('unitPriceCents', { default: 0 }),
+    // Subtotal de este item (quantity * unitPrice)
+    subtotal: moneyColumn('subtotalCents', { default: 0 }),
+    // Parte del descuento de la orden asignada a este item (el neto es subtotal - discountAmount)
+    discountAmount: moneyColumn('discountAmountCents', { default: 0 }),
+    // Tasa aplicada (%) y monto de impuesto de la línea
+    taxRate: {
       type: 'float',
       nullable: false,
       default: 0,
     },
-    // Subtotal de este item (quantity * unitPrice)
-    subtotal: {
-      type: 'float',
+    taxAmount: moneyColumn('taxAmountCents', { default: 0 }),
+    // Total de la línea: subtotal - discountAmount + impuesto no incluido (null en órdenes anteriores a impuestos)
+    total: moneyColumn('totalCents', { nullable: true }),
+    // Solo bundles: juegos que incluía al momento de la compra [{ productId, name, quantity }] (por unidad)
+    components: {
+      type: 'simple-json',
+      nullable: true,
+    },
+    // Unidades de este item ya reembolsadas (stock devuelto)
+    refundedQuantity: {
+      type: 'int',
       nullable: false,
       default: 0,
     },
@@ -60,5 +75,13 @@ module.exports = new EntitySchema({
       nullable: false,
       eager: true,
     },
+    // Variante comprada (edición/región/formato); null si se compró el juego sin variante
+    variant: {
+      type: 'many-to-one',
+      target: 'GameVariant',
+      joinColumn: true,
+      nullable: true,
+      eager: true,
+    },
   },
 });
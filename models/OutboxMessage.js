@@ -0,0 +1,48 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * OutboxMessage Model
+ * Outbox local: los mensajes para clientes (p. ej. aviso de vuelta de stock) se guardan en
+ * la misma transacción que el cambio que los origina; un proceso de envío los toma como
+ * PENDING y los marca SENT. Así nunca se avisa de un cambio que luego se revirtió.
+ */
+module.exports = new EntitySchema({
+  name: 'OutboxMessage',
+  tableName: 'outbox_messages',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Tipo de mensaje (BACK_IN_STOCK...)
+    type: {
+      type: String,
+      nullable: false,
+    },
+    // Destinatario (email del cliente)
+    recipient: {
+      type: String,
+      nullable: false,
+    },
+    payload: {
+      type: 'simple-json',
+      nullable: false,
+    },
+    // PENDING o SENT
+    status: {
+      type: String,
+      nullable: false,
+      default: 'PENDING',
+    },
+    sentAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+});
@@ -1,4 +1,5 @@
 const { EntitySchema } = require("typeorm");
+const { moneyColumn } = require("../utils/Money");
 
 // Game entity: represents a PS4 game in the collection
 module.exports = new EntitySchema({
@@ -30,16 +31,41 @@ module.exports = new EntitySchema({
       type: "date",
       nullable: true,
     },
-    price: {
-      type: "float",
+    price: moneyColumn('priceCents', { default: 0 }),
+    stock: {
+      type: "int",
       nullable: false,
       default: 0,
     },
-    stock: {
+    // Juego digital: se entrega con claves (DigitalKey) y su stock es la cantidad de claves disponibles
+    digital: {
+      type: Boolean,
+      nullable: false,
+      default: false,
+    },
+    // Bundle: se vende como un solo item y agrupa otros juegos (ver BundleComponent); su stock se deriva de ellos
+    bundle: {
+      type: Boolean,
+      nullable: false,
+      default: false,
+    },
+    // Unidades que se pueden vender en preventa mientras releaseDate es futura (separadas del stock)
+    preorderStock: {
       type: "int",
       nullable: false,
       default: 0,
     },
+    // Máximo de unidades en preventa por cliente (null = sin límite)
+    preorderLimit: {
+      type: "int",
+      nullable: true,
+    },
+    // Por debajo de este stock se abre una alerta de stock bajo (5 por defecto, 0 desactiva las alertas)
+    lowStockThreshold: {
+      type: "int",
+      nullable: false,
+      default: 5,
+    },
     genre: {
       type: String,
       nullable: true,
@@ -0,0 +1,51 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * RefreshToken Model
+ * Refresh tokens rotativos de una sesión. Solo se almacena el hash SHA-256;
+ * cada token se puede usar una única vez (usedAt) y se reemplaza por uno nuevo.
+ */
+module.exports = new EntitySchema({
+  name: 'RefreshToken',
+  tableName: 'refresh_tokens',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Hash SHA-256 del token entregado al cliente
+    tokenHash: {
+      type: String,
+      nullable: false,
+      unique: true,
+    },
+    // Fecha de expiración del token
+    expiresAt: {
+      type: 'datetime',
+      nullable: false,
+    },
+    // Fecha en que el token fue canjeado (rotado)
+    usedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Relación con Session
+    session: {
+      type: 'many-to-one',
+      target: 'Session',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+      eager: true,
+    },
+  },
+});
@@ -0,0 +1,79 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Review Model
+ * Reseña de un juego (calificación 1-5 y texto) escrita por un cliente que lo compró.
+ * Una reseña por usuario y juego. Solo las aprobadas (APPROVED) se publican y cuentan en el promedio.
+ */
+module.exports = new EntitySchema({
+  name: 'Review',
+  tableName: 'reviews',
+  uniques: [
+    { name: 'UQ_review_user_game', columns: ['user', 'game'] },
+  ],
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // Calificación de 1 a 5
+    rating: {
+      type: 'int',
+      nullable: false,
+    },
+    text: {
+      type: 'text',
+      nullable: true,
+    },
+    // PENDING, APPROVED o REJECTED (las reseñas anteriores a la moderación quedan aprobadas)
+    status: {
+      type: String,
+      nullable: false,
+      default: 'APPROVED',
+    },
+    // Motivo de la última decisión de moderación
+    moderationReason: {
+      type: 'text',
+      nullable: true,
+    },
+    moderatedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    game: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Staff que aprobó o rechazó la reseña
+    moderatedBy: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'SET NULL',
+    },
+  },
+});
@@ -0,0 +1,53 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * ReviewReport Model
+ * Reporte de un cliente sobre una reseña abusiva. Queda abierto hasta que el staff
+ * aprueba o rechaza la reseña; un reporte por usuario y reseña.
+ */
+module.exports = new EntitySchema({
+  name: 'ReviewReport',
+  tableName: 'review_reports',
+  uniques: [
+    { name: 'UQ_review_report_review_user', columns: ['review', 'user'] },
+  ],
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    reason: {
+      type: 'text',
+      nullable: false,
+    },
+    // true cuando una decisión de moderación posterior atendió el reporte
+    resolved: {
+      type: Boolean,
+      nullable: false,
+      default: false,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    review: {
+      type: 'many-to-one',
+      target: 'Review',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Cliente que reportó
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
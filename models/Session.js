@@ -0,0 +1,49 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Session Model
+ * Sesión de login de un usuario. Su id viaja en los access tokens (claim sid)
+ * para poder revocarlos desde el servidor.
+ */
+module.exports = new EntitySchema({
+  name: 'Session',
+  tableName: 'sessions',
+  columns: {
+    // UUID generado al iniciar sesión
+    id: {
+      type: String,
+      primary: true,
+    },
+    // Fecha en que la sesión deja de poder refrescarse
+    expiresAt: {
+      type: 'datetime',
+      nullable: false,
+    },
+    // Fecha de revocación (logout, logout global o reuso de refresh token)
+    revokedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Relación con User (dueño de la sesión)
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
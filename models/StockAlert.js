@@ -0,0 +1,53 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * StockAlert Model
+ * Alerta de stock bajo: se abre cuando el stock de un juego cae por debajo de su
+ * lowStockThreshold y se resuelve sola cuando vuelve a alcanzarlo. Hay como máximo
+ * una alerta ACTIVE por juego.
+ */
+module.exports = new EntitySchema({
+  name: 'StockAlert',
+  tableName: 'stock_alerts',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // ACTIVE o RESOLVED
+    status: {
+      type: String,
+      nullable: false,
+      default: 'ACTIVE',
+    },
+    // Umbral vigente cuando se abrió la alerta
+    threshold: {
+      type: 'int',
+      nullable: false,
+    },
+    // Stock que disparó la alerta
+    stockAtAlert: {
+      type: 'int',
+      nullable: false,
+    },
+    resolvedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
@@ -0,0 +1,81 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * StockMovement Model
+ * Libro de movimientos de inventario: cada cambio del stock de un juego deja un registro
+ * (venta, reembolso, ajuste manual, reposición) y también las reservas, que no tocan el stock
+ * pero sí el disponible.
+ */
+module.exports = new EntitySchema({
+  name: 'StockMovement',
+  tableName: 'stock_movements',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // SALE, REFUND, ADJUSTMENT, RESTOCK o RESERVATION
+    type: {
+      type: String,
+      nullable: false,
+    },
+    // Cambio en unidades (negativo = salida). En RESERVATION es el cambio del disponible
+    quantity: {
+      type: 'int',
+      nullable: false,
+    },
+    // Stock del juego (o de la variante) después del movimiento
+    stockAfter: {
+      type: 'int',
+      nullable: false,
+    },
+    // Código del motivo (ver StockMovementService.ADJUSTMENT_REASONS) o motivo del sistema
+    reason: {
+      type: String,
+      nullable: true,
+    },
+    note: {
+      type: 'text',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    // Variante cuyo stock cambió (stockAfter es entonces el stock de la variante)
+    variant: {
+      type: 'many-to-one',
+      target: 'GameVariant',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'CASCADE',
+    },
+    // Orden que originó el movimiento (ventas, reembolsos, reservas de órdenes PENDING)
+    order: {
+      type: 'many-to-one',
+      target: 'Order',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'SET NULL',
+    },
+    // Usuario que hizo el movimiento (comprador o staff/admin que ajustó)
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: true,
+      onDelete: 'SET NULL',
+    },
+  },
+});
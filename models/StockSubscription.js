@@ -0,0 +1,55 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * StockSubscription Model
+ * "Avísame cuando vuelva a haber stock": un cliente se suscribe a un juego agotado y,
+ * cuando el stock pasa de 0 a positivo, se encola un mensaje en el outbox y la
+ * suscripción queda NOTIFIED.
+ */
+module.exports = new EntitySchema({
+  name: 'StockSubscription',
+  tableName: 'stock_subscriptions',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    // ACTIVE, NOTIFIED o CANCELED
+    status: {
+      type: String,
+      nullable: false,
+      default: 'ACTIVE',
+    },
+    notifiedAt: {
+      type: 'datetime',
+      nullable: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    product: {
+      type: 'many-to-one',
+      target: 'Game',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+    user: {
+      type: 'many-to-one',
+      target: 'Usuario',
+      joinColumn: true,
+      nullable: false,
+      onDelete: 'CASCADE',
+    },
+  },
+});
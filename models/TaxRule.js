@@ -0,0 +1,68 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * TaxRule Model
+ * Tasa de impuesto (ej. IVA) por país/región y opcionalmente por categoría (ver services/TaxService.js)
+ */
+module.exports = new EntitySchema({
+  name: 'TaxRule',
+  tableName: 'tax_rules',
+  columns: {
+    id: {
+      type: Number,
+      primary: true,
+      generated: true,
+    },
+    name: {
+      type: String,
+      nullable: false,
+    },
+    // Código ISO de 2 letras (VE, ES, ...)
+    country: {
+      type: String,
+      nullable: false,
+    },
+    // Región/estado; null = todo el país
+    region: {
+      type: String,
+      nullable: true,
+    },
+    // Porcentaje (16 = 16%)
+    rate: {
+      type: 'float',
+      nullable: false,
+    },
+    // true: el precio del juego ya incluye el impuesto; false: se suma al precio
+    inclusive: {
+      type: Boolean,
+      nullable: false,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      nullable: false,
+      default: true,
+    },
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false,
+    },
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false,
+    },
+  },
+  relations: {
+    // Categoría a la que aplica; null = todas
+    category: {
+      type: 'many-to-one',
+      target: 'Category',
+      joinColumn: true,
+      nullable: true,
+      eager: true,
+      onDelete: 'CASCADE',
+    },
+  },
+});
@@ -24,6 +24,13 @@ module.exports = new EntitySchema({
       type: "varchar",
       length: 255,
       nullable: false
+    },
+    // Rol del usuario: customer, staff o admin
+    role: {
+      type: "varchar",
+      length: 20,
+      nullable: false,
+      default: "customer"
     }
   }
 });
\ No newline at end of file
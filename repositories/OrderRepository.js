@@ -67,18 +67,6 @@ class OrderRepository {
       relations: ['user', 'items', 'items.product'],
     });
   }
-
-  /**
-   * Elimina una orden (soft delete - solo cambiar estado)
-   */
-  async cancel(orderId) {
-    const order = await this.repo.findOne({ where: { id: orderId } });
-    if (order && order.status === 'PENDING') {
-      order.status = 'CANCELED';
-      return await this.repo.save(order);
-    }
-    throw new Error('No se puede cancelar una orden que no está PENDING');
-  }
 }
 
 module.exports = new OrderRepository();
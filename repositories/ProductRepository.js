@@ -34,11 +34,13 @@ class ProductRepository {
     return this.repo.save(entity);
   }
 
+  // options.manager: guarda dentro de esa transacción
   async saveWithRetry(entity, options = {}, maxRetries = 5) {
+    const repo = options.manager ? options.manager.getRepository(Producto) : this.repo;
     let attempt = 0;
     while (true) {
       try {
-        return await this.repo.save(entity);
+        return await repo.save(entity);
       } catch (err) {
         attempt += 1;
         const canRetry = attempt <= maxRetries && typeof options.onConflict === 'function';
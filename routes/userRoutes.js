@@ -1,8 +1,9 @@
 const { getAllUsers, getUserById } = require('../controllers/UserGet')
 const { createUser, updateUser } = require('../controllers/UserPostPut')
 const { deleteUser } = require('../controllers/UserDelete')
-const { loginUser, registerUser } = require('../controllers/Access')
+const { loginUser, registerUser, refreshToken, logoutUser, logoutAll } = require('../controllers/Access')
 const authenticateJWT = require('../middlewares/auth')
+const { ROLES, authorizeRoles, authorizeSelfOrRoles } = require('../middlewares/authorize')
 
 const express = require('express')
 const router = express.Router()
@@ -137,8 +138,16 @@ router.post('/auth/register', registerUser)
  *                   example: "success"
  *                 token:
  *                   type: string
- *                   description: Token JWT para la sesión del usuario.
+ *                   description: Access token JWT de corta duración para la sesión del usuario.
  *                   example: "eyJhbGciOiJIUzI1NiIsInR..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token de un solo uso para obtener un nuevo access token en /auth/refresh.
+ *                   example: "9f86d081884c7d659a2feaa0c55ad015..."
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Duración del access token.
+ *                   example: "15m"
  *       400:
  *         description: Solicitud incorrecta, falta email o contraseña o tienen formato inválido.
  *         content:
@@ -181,12 +190,112 @@ router.post('/auth/register', registerUser)
  */
 router.post('/auth/login', loginUser)
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Renueva el access token
+ *     description: Canjea un refresh token por un nuevo access token y un nuevo refresh token (rotación). Cada refresh token solo puede usarse una vez; reutilizarlo revoca la sesión completa.
+ *     tags: [Login]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "9f86d081884c7d659a2feaa0c55ad015..."
+ *     responses:
+ *       200:
+ *         description: Tokens renovados.
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               token: "eyJhbGciOiJIUzI1NiIsInR..."
+ *               refreshToken: "1b4f0e9851971998e73207..."
+ *               expiresIn: "15m"
+ *       400:
+ *         description: Falta el refresh token.
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "fail"
+ *               message: "El campo refreshToken es obligatorio."
+ *       401:
+ *         description: Refresh token inválido, reutilizado, expirado o sesión revocada.
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "fail"
+ *               message: "Sesión revocada o expirada"
+ */
+router.post('/auth/refresh', refreshToken)
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Cierra la sesión actual
+ *     description: Revoca la sesión del access token enviado (y la del refresh token si se incluye y es del mismo usuario). Los access tokens de esa sesión dejan de ser aceptados.
+ *     tags: [Login]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada.
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data: null
+ *       401:
+ *         description: No autorizado.
+ */
+router.post('/auth/logout', authenticateJWT, logoutUser)
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Cierra todas las sesiones del usuario
+ *     description: Revoca todas las sesiones activas del usuario autenticado en todos sus dispositivos.
+ *     tags: [Login]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas.
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: "success"
+ *               data:
+ *                 revokedSessions: 3
+ *       401:
+ *         description: No autorizado.
+ */
+router.post('/auth/logout-all', authenticateJWT, logoutAll)
+
 /**
  * @swagger
  * /users:
  *   get:
  *     summary: Obtiene la lista de todos los usuarios
- *     description: Recupera todos los usuarios de la base de datos.
+ *     description: Recupera todos los usuarios de la base de datos. Requiere rol admin.
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []  # Indica que se requiere autenticación
@@ -231,6 +340,19 @@ router.post('/auth/login', loginUser)
  *                 message:
  *                   type: string
  *                   example: "No autorizado."
+ *       403:
+ *         description: Acceso denegado, el usuario no tiene permisos suficientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "fail"
+ *                 message:
+ *                   type: string
+ *                   example: "Acceso denegado: permisos insuficientes"
  *       500:
  *         description: Error interno del servidor durante la recuperación de usuarios.
  *         content:
@@ -245,14 +367,14 @@ router.post('/auth/login', loginUser)
  *                   type: string
  *                   example: "Error al obtener los usuarios"
  */
-router.get('/users',authenticateJWT, getAllUsers)
+router.get('/users',authenticateJWT, authorizeRoles(ROLES.ADMIN), getAllUsers)
 
 /**
  * @swagger
  * /users/{id}:
  *   get:
  *     summary: Obtiene un usuario por su ID
- *     description: Recupera los detalles de un usuario específico de la base de datos utilizando su ID.
+ *     description: Recupera los detalles de un usuario específico de la base de datos utilizando su ID. Solo el propio usuario o un admin.
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []  # Asegúrate de que esto esté presente
@@ -316,6 +438,19 @@ router.get('/users',authenticateJWT, getAllUsers)
  *                 message:
  *                   type: string
  *                   example: "Usuario no encontrado"
+ *       403:
+ *         description: Acceso denegado, el usuario no tiene permisos suficientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "fail"
+ *                 message:
+ *                   type: string
+ *                   example: "Acceso denegado: permisos insuficientes"
  *       500:
  *         description: Error interno del servidor.
  *         content:
@@ -330,14 +465,14 @@ router.get('/users',authenticateJWT, getAllUsers)
  *                   type: string
  *                   example: "Error interno del servidor"
  */
-router.get('/users/:id',authenticateJWT, getUserById)
+router.get('/users/:id',authenticateJWT, authorizeSelfOrRoles(ROLES.ADMIN), getUserById)
 
 /**
  * @swagger
  * /users:
  *   post:
  *     summary: Crea un nuevo usuario
- *     description: Permite la creación de un nuevo usuario en el sistema, requiere autenticación.
+ *     description: Permite la creación de un nuevo usuario en el sistema, requiere rol admin.
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []  # Asegúrate de que esto esté presente
@@ -364,6 +499,11 @@ router.get('/users/:id',authenticateJWT, getUserById)
  *                 type: string
  *                 description: La contraseña del usuario.
  *                 example: "ContraseñaSegura123!"
+ *               role:
+ *                 type: string
+ *                 enum: [customer, staff, admin]
+ *                 description: Rol del usuario (por defecto customer).
+ *                 example: "staff"
  *     responses:
  *       201:
  *         description: Usuario creado exitosamente.
@@ -416,6 +556,19 @@ router.get('/users/:id',authenticateJWT, getUserById)
  *                 message:
  *                   type: string
  *                   example: "El correo ya está en uso"
+ *       403:
+ *         description: Acceso denegado, el usuario no tiene permisos suficientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "fail"
+ *                 message:
+ *                   type: string
+ *                   example: "Acceso denegado: permisos insuficientes"
  *       500:
  *         description: Error interno del servidor.
  *         content:
@@ -430,14 +583,14 @@ router.get('/users/:id',authenticateJWT, getUserById)
  *                   type: string
  *                   example: "Error al crear el usuario"
  */
-router.post('/users',authenticateJWT, createUser)
+router.post('/users',authenticateJWT, authorizeRoles(ROLES.ADMIN), createUser)
 
 /**
  * @swagger
  * /users/{id}:
  *   put:
  *     summary: Actualizar información de usuario
- *     description: Permite actualizar la información de un usuario existente
+ *     description: Permite actualizar la información de un usuario existente. Solo el propio usuario o un admin; solo un admin puede cambiar el rol.
  *     security:
  *       - bearerAuth: []  # Asegúrate de que esto esté presente
  *     tags:
@@ -468,6 +621,11 @@ router.post('/users',authenticateJWT, createUser)
  *                 type: string
  *                 description: Nueva contraseña del usuario (opcional)
  *                 example: NuevaContraseña123
+ *               role:
+ *                 type: string
+ *                 enum: [customer, staff, admin]
+ *                 description: Nuevo rol del usuario (solo admin)
+ *                 example: staff
  *     responses:
  *       200:
  *         description: Usuario actualizado exitosamente
@@ -543,6 +701,19 @@ router.post('/users',authenticateJWT, createUser)
  *                 message:
  *                   type: string
  *                   example: El correo ya está en uso
+ *       403:
+ *         description: Acceso denegado, el usuario no tiene permisos suficientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "fail"
+ *                 message:
+ *                   type: string
+ *                   example: "Acceso denegado: permisos insuficientes"
  *       500:
  *         description: Error interno del servidor
  *         content:
@@ -557,14 +728,14 @@ router.post('/users',authenticateJWT, createUser)
  *                   type: string
  *                   example: Error interno del servidor
  */
-router.put('/users/:id',authenticateJWT, updateUser)
+router.put('/users/:id',authenticateJWT, authorizeSelfOrRoles(ROLES.ADMIN), updateUser)
 
 /**
  * @swagger
  * /users/{id}:
  *   delete:
  *     summary: Elimina un usuario por su ID
- *     description: Permite la eliminación de un usuario existente en el sistema.
+ *     description: Permite la eliminación de un usuario existente en el sistema. Solo el propio usuario o un admin.
  *     tags: [Usuarios]
  *     security:
  *       - bearerAuth: []  # Asegúrate de que esto esté presente
@@ -616,6 +787,19 @@ router.put('/users/:id',authenticateJWT, updateUser)
  *                 message:
  *                   type: string
  *                   example: "Usuario no encontrado"
+ *       403:
+ *         description: Acceso denegado, el usuario no tiene permisos suficientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "fail"
+ *                 message:
+ *                   type: string
+ *                   example: "Acceso denegado: permisos insuficientes"
  *       500:
  *         description: Error interno del servidor.
  *         content:
@@ -629,6 +813,6 @@ router.put('/users/:id',authenticateJWT, updateUser)
  *                 message:
  *                   type: string
  */
-router.delete('/users/:id',authenticateJWT, deleteUser)
+router.delete('/users/:id',authenticateJWT, authorizeSelfOrRoles(ROLES.ADMIN), deleteUser)
 
 module.exports = router
\ No newline at end of file
@@ -1,11 +1,38 @@
 const express = require('express');
 const authenticateJWT = require('../middlewares/auth');
+const { ROLES, authorizeRoles } = require('../middlewares/authorize');
+const { idempotent } = require('../middlewares/idempotency');
+const { imageUpload } = require('../middlewares/upload');
 const { getAll: getAllCategories, create: createCategory, update: updateCategory, delete: deleteCategory } = require('../controllers/Category');
 const { getAll: getAllTags, create: createTag, update: updateTag, delete: deleteTag } = require('../controllers/Tag');
 const { list: listProducts, publicView, getById, create, update, delete: deleteProduct } = require('../controllers/Product');
-const { create: createOrder, list: listOrders, getById: getOrderById } = require('../controllers/Order');
+const {
+  create: createOrder,
+  list: listOrders,
+  getById: getOrderById,
+  cancel: cancelOrder,
+  refund: refundOrder,
+  fulfill: fulfillOrder,
+  confirmPayment,
+  rejectPayment,
+  payPreorder,
+} = require('../controllers/Order');
+const cartController = require('../controllers/Cart');
+const { run: runReconciliation } = require('../controllers/Reconciliation');
+const { list: listPaymentMethods } = require('../controllers/PaymentMethod');
+const giftCardController = require('../controllers/GiftCard');
+const couponController = require('../controllers/Coupon');
+const taxRuleController = require('../controllers/TaxRule');
+const exchangeRateController = require('../controllers/ExchangeRate');
+const stockMovementController = require('../controllers/StockMovement');
+const stockAlertController = require('../controllers/StockAlert');
+const digitalKeyController = require('../controllers/DigitalKey');
+const variantController = require('../controllers/Variant');
+const mediaController = require('../controllers/Media');
+const reviewController = require('../controllers/Review');
 
 const router = express.Router();
+const canManageCatalog = authorizeRoles(ROLES.STAFF, ROLES.ADMIN);
 
 /**
  * @swagger
@@ -57,9 +84,51 @@ const router = express.Router();
  *           type: number
  *           format: float
  *           example: 59.99
+ *           description: "Precio en la moneda base; se guarda en centavos, siempre con 2 decimales exactos"
  *         stock:
  *           type: integer
  *           example: 10
+ *         digital:
+ *           type: boolean
+ *           default: false
+ *           description: "Juego digital: se entrega con claves PSN y su stock es la cantidad de claves disponibles (no se edita a mano)"
+ *         bundle:
+ *           type: boolean
+ *           default: false
+ *           description: "Bundle: se vende como un solo item a su precio y descuenta el stock de sus components (solo al crear; no admite stock propio)"
+ *         components:
+ *           type: array
+ *           description: "Solo bundles: juegos físicos incluidos y unidades de cada uno por bundle (en un PUT reemplaza la lista)"
+ *           items:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *                 example: 3
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *                 example: 1
+ *         preorderStock:
+ *           type: integer
+ *           example: 100
+ *           description: "Unidades que se venden en preventa mientras releaseDate sea futura (separadas de stock)"
+ *         preorderLimit:
+ *           type: integer
+ *           nullable: true
+ *           example: 2
+ *           description: "Máximo de unidades en preventa por cliente (null = sin límite)"
+ *         lowStockThreshold:
+ *           type: integer
+ *           example: 5
+ *           description: "Si el stock cae por debajo de este valor se abre una alerta de stock bajo (5 por defecto, 0 desactiva las alertas)"
+ *         available:
+ *           type: integer
+ *           example: 8
+ *           readOnly: true
+ *           description: "Unidades que se pueden comprar: stock - unidades reservadas en checkouts y órdenes pendientes. En un bundle, los bundles que alcanzan a armarse con el disponible de sus componentes (su stock se calcula igual con el stock de los componentes)"
  *         genre:
  *           type: string
  *           example: "Action-Adventure"
@@ -160,17 +229,158 @@ const router = express.Router();
  *         slug:
  *           type: string
  *           example: "god-of-war-ps4"
+ *         variants:
+ *           type: array
+ *           readOnly: true
+ *           description: "Ediciones del juego con SKU, precio y stock propios"
+ *           items:
+ *             $ref: '#/components/schemas/GameVariant'
+ *         rating:
+ *           type: object
+ *           readOnly: true
+ *           description: "Promedio y cantidad de reseñas"
+ *           properties:
+ *             average:
+ *               type: number
+ *               nullable: true
+ *               example: 4.5
+ *             count:
+ *               type: integer
+ *               example: 12
+ *         images:
+ *           type: object
+ *           readOnly: true
+ *           description: "Portada y galería de capturas (en orden)"
+ *           properties:
+ *             cover:
+ *               nullable: true
+ *               allOf:
+ *                 - $ref: '#/components/schemas/GameImage'
+ *             screenshots:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GameImage'
+ *
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 5
+ *         text:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 2000
+ *           example: "Gran historia y combate"
+ *         status:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *           readOnly: true
+ *           description: "Solo las reseñas APPROVED se publican y cuentan en el promedio"
+ *         moderationReason:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *         moderatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *         user:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             nombre:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *
+ *     GameImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         kind:
+ *           type: string
+ *           enum: [COVER, SCREENSHOT]
+ *         url:
+ *           type: string
+ *           example: "/v2/media/games/1/3f2a9c1e-5b7d-4e8a-9c0f-1a2b3c4d5e6f.png"
+ *         thumbnailUrl:
+ *           type: string
+ *           example: "/v2/media/games/1/3f2a9c1e-5b7d-4e8a-9c0f-1a2b3c4d5e6f-thumb.webp"
+ *           description: "Miniatura WebP de 320 px de ancho"
+ *         mimeType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp]
+ *         size:
+ *           type: integer
+ *           description: "Bytes"
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         position:
+ *           type: integer
+ *           description: "Orden en la galería (0 para la portada)"
+ *
+ *     GameVariant:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - price
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *           example: 4
+ *         edition:
+ *           type: string
+ *           default: "Standard"
+ *           example: "Deluxe"
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           example: "NTSC-U"
+ *         format:
+ *           type: string
+ *           enum: [PHYSICAL, DIGITAL]
+ *           default: PHYSICAL
+ *         sku:
+ *           type: string
+ *           example: "GOW-PS4-DLX-US"
+ *           description: "Único entre todas las variantes"
+ *         price:
+ *           type: number
+ *           format: float
+ *           example: 79.99
+ *         stock:
+ *           type: integer
+ *           example: 3
  *
  *     OrderCreate:
  *       type: object
  *       required:
  *         - items
  *         - paymentMethod
- *         - cardNumber
- *         - cvv
- *         - expirationMonth
- *         - expirationYear
- *         - fullName
+ *       description: |
+ *         Los campos requeridos dependen de paymentMethod (ver GET /v2/payment-methods).
+ *         CREDIT_CARD requiere cardNumber, cvv, expirationMonth, expirationYear y fullName.
+ *         BANK_TRANSFER requiere paymentReference y bankCode; PAGO_MOVIL además phone y documentId (solo VES).
  *       properties:
  *         items:
  *           type: array
@@ -185,6 +395,10 @@ const router = express.Router();
  *                 type: integer
  *                 example: 1
  *                 description: "ID del producto a comprar"
+ *               variantId:
+ *                 type: integer
+ *                 example: 4
+ *                 description: "Variante (edición) del producto; se cobra su precio y se descuenta su stock. Si se omite se compra el juego base"
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -194,7 +408,7 @@ const router = express.Router();
  *         paymentMethod:
  *           type: string
  *           example: "CREDIT_CARD"
- *           description: "Método de pago (actualmente solo CREDIT_CARD)"
+ *           description: "Código del método de pago (ver GET /v2/payment-methods)"
  *         cardNumber:
  *           type: string
  *           example: "4111111111111111"
@@ -217,11 +431,53 @@ const router = express.Router();
  *           type: string
  *           example: "John Doe"
  *           description: "Nombre titular de la tarjeta"
+ *         paymentReference:
+ *           type: string
+ *           example: "00123456"
+ *           description: "Referencia de la transferencia o del Pago Móvil (4-30 caracteres alfanuméricos)"
+ *         bankCode:
+ *           type: string
+ *           example: "0102"
+ *           description: "Código del banco emisor (4 dígitos)"
+ *         phone:
+ *           type: string
+ *           example: "04141234567"
+ *           description: "Teléfono del pagador (solo PAGO_MOVIL)"
+ *         documentId:
+ *           type: string
+ *           example: "V12345678"
+ *           description: "Cédula o RIF del pagador (solo PAGO_MOVIL)"
+ *         giftCardCode:
+ *           type: string
+ *           example: "GC-7K3M-Q9XP-2HDW"
+ *           description: |
+ *             Código de tarjeta de regalo. Requerido con GIFT_CARD (debe cubrir todo el total).
+ *             Con un método sincrónico (ej. CREDIT_CARD) se usa el saldo disponible y el resto se cobra con ese método.
+ *         couponCode:
+ *           type: string
+ *           example: "VERANO10"
+ *           description: "Cupón de descuento (opcional). El total cobrado ya descuenta la promoción."
+ *         billingCountry:
+ *           type: string
+ *           example: "VE"
+ *           description: "País de facturación (ISO 2 letras) para calcular impuestos; por defecto TAX_DEFAULT_COUNTRY (VE)"
+ *         billingRegion:
+ *           type: string
+ *           example: "MIRANDA"
+ *           description: "Región/estado de facturación (opcional)"
+ *         preorderPayment:
+ *           type: string
+ *           enum: [UPFRONT, ON_RELEASE]
+ *           default: UPFRONT
+ *           description: |
+ *             Solo preventas (juegos con releaseDate futura, que deben pedirse en una orden separada).
+ *             UPFRONT cobra al crear la orden; ON_RELEASE no cobra nada hasta el lanzamiento y luego se paga con
+ *             POST /v2/orders/{id}/pay, por eso al crearla no se piden los datos del método (tarjeta, etc.).
+ *             Requiere un método sincrónico; ON_RELEASE no admite tarjetas de regalo ni órdenes sin preventas.
  *         currency:
  *           type: string
  *           example: "USD"
- *           default: "USD"
- *           description: "Moneda de la transacción"
+ *           description: "Moneda de la transacción; si se omite se usa la moneda por defecto del método"
  *         description:
  *           type: string
  *           example: "Compra de juegos PS4"
@@ -250,6 +506,49 @@ const router = express.Router();
  *           format: float
  *           example: 119.98
  *           description: "Subtotal = quantity * unitPrice"
+ *         discountAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *           description: "Parte del descuento de la orden asignada a este item"
+ *         taxRate:
+ *           type: number
+ *           example: 16
+ *           description: "Tasa de impuesto aplicada (%)"
+ *         taxAmount:
+ *           type: number
+ *           format: float
+ *           example: 19.2
+ *         total:
+ *           type: number
+ *           format: float
+ *           example: 139.18
+ *           description: "subtotal - discountAmount + impuesto no incluido en el precio; es lo que devuelve un reembolso"
+ *         refundedQuantity:
+ *           type: integer
+ *           example: 0
+ *           description: "Unidades ya reembolsadas (devueltas al stock)"
+ *         variant:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/GameVariant'
+ *           description: "Variante comprada (null si se compró el juego base)"
+ *         components:
+ *           type: array
+ *           nullable: true
+ *           description: "Solo bundles: juegos que incluía por unidad al momento de la compra (son los que salen y vuelven al stock)"
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *                 example: 3
+ *               name:
+ *                 type: string
+ *                 example: "Uncharted 4"
+ *               quantity:
+ *                 type: integer
+ *                 example: 1
  *
  *     Order:
  *       type: object
@@ -272,18 +571,91 @@ const router = express.Router();
  *               example: "john@example.com"
  *         status:
  *           type: string
- *           enum: [PENDING, COMPLETED, CANCELED, PAYMENT_FAILED]
- *           example: "COMPLETED"
- *           description: "Estado de la orden"
+ *           enum: [PENDING, PREORDERED, PAID, FULFILLED, CANCELED, REFUNDED, PARTIALLY_REFUNDED, PAYMENT_FAILED]
+ *           example: "PAID"
+ *           description: "Estado de la orden (ver máquina de estados en services/OrderStateMachine.js)"
+ *         subtotalAmount:
+ *           type: number
+ *           format: float
+ *           example: 119.98
+ *           description: "Suma de los items antes de descuentos"
+ *         discountAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *           description: "Descuento aplicado por cupón"
+ *         taxAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *           description: "Impuestos de la orden (incluidos en el precio o sumados, según la regla)"
  *         totalAmount:
  *           type: number
  *           format: float
  *           example: 119.98
- *           description: "Monto total de la orden"
+ *           description: "Monto total cobrado (subtotalAmount - discountAmount + impuestos no incluidos). Los montos se calculan y guardan en centavos"
+ *         couponCode:
+ *           type: string
+ *           nullable: true
+ *           example: "VERANO10"
+ *         discountLines:
+ *           type: array
+ *           nullable: true
+ *           description: "Detalle de los descuentos aplicados al momento de la compra"
+ *           items:
+ *             type: object
+ *             properties:
+ *               couponCode:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         taxLines:
+ *           type: array
+ *           nullable: true
+ *           description: "Impuestos por regla aplicada"
+ *           items:
+ *             type: object
+ *             properties:
+ *               ruleId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 example: "IVA"
+ *               rate:
+ *                 type: number
+ *                 example: 16
+ *               inclusive:
+ *                 type: boolean
+ *               taxableAmount:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         billingCountry:
+ *           type: string
+ *           example: "VE"
+ *         billingRegion:
+ *           type: string
+ *           nullable: true
+ *         refundedAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *           description: "Monto reembolsado hasta el momento"
  *         currency:
  *           type: string
  *           example: "USD"
  *           description: "Moneda de la transacción"
+ *         exchangeRate:
+ *           type: number
+ *           example: 1
+ *           description: "Tipo de cambio usado para convertir los precios desde baseCurrency"
+ *         baseCurrency:
+ *           type: string
+ *           example: "USD"
  *         transactionId:
  *           type: string
  *           example: "txn_abc123"
@@ -293,6 +665,36 @@ const router = express.Router();
  *           type: string
  *           example: "CREDIT_CARD"
  *           description: "Método de pago utilizado"
+ *         giftCardAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *           description: "Parte del total pagada con tarjeta de regalo"
+ *         maskedCard:
+ *           type: string
+ *           nullable: true
+ *           example: "************1111"
+ *           description: "Tarjeta usada (solo últimos 4 dígitos)"
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *           example: "Insufficient funds on card"
+ *           description: "Motivo del rechazo (PAYMENT_FAILED) o de la expiración de una orden PENDING"
+ *         paymentReference:
+ *           type: string
+ *           nullable: true
+ *           example: "00123456"
+ *           description: "Referencia reportada en pagos manuales (BANK_TRANSFER, PAGO_MOVIL)"
+ *         paymentDetails:
+ *           type: object
+ *           nullable: true
+ *           example: { bankCode: "0102", phone: "04141234567", documentId: "V12345678" }
+ *           description: "Datos del pagador en pagos manuales"
+ *         paymentExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: "Fecha límite para confirmar el pago manual; luego la orden se cancela y se libera el stock"
  *         description:
  *           type: string
  *           example: "Compra de juegos PS4"
@@ -327,6 +729,18 @@ const router = express.Router();
  *     description: "Protected endpoints to manage tags"
  *   - name: "Admin - Orders"
  *     description: "Protected endpoints for orders and payments (transactional operations)"
+ *   - name: "Cart"
+ *     description: "Carrito de compras persistente del usuario autenticado"
+ *   - name: "Payment Methods"
+ *     description: "Métodos de pago disponibles y sus requisitos"
+ *   - name: "Gift Cards"
+ *     description: "Tarjetas de regalo: emisión y anulación (admin) y consulta de saldo"
+ *   - name: "Coupons"
+ *     description: "Cupones de descuento aplicables al crear una orden (couponCode)"
+ *   - name: "Tax Rules"
+ *     description: "Reglas de impuesto por país, región y categoría (admin)"
+ *   - name: "Exchange Rates"
+ *     description: "Tipos de cambio desde la moneda base de los precios"
  */
 
 /**
@@ -356,6 +770,8 @@ const router = express.Router();
  *                 price: 59.99
  *                 platform: "PS4"
  *                 slug: "god-of-war-ps4"
+ *                 bundle: false
+ *                 available: 8
  *       301:
  *         description: Redirección a la URL canónica cuando el slug no coincide
  *         content:
@@ -451,6 +867,53 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Filtrar por clasificación ESRB
+ *       - in: query
+ *         name: bundle
+ *         schema:
+ *           type: boolean
+ *         description: true para listar solo bundles, false para excluirlos (los bundles incluyen components)
+ *       - in: query
+ *         name: edition
+ *         schema:
+ *           type: string
+ *         description: Juegos con alguna variante de esa edición (ej. Deluxe)
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Juegos con alguna variante de esa región
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [PHYSICAL, DIGITAL]
+ *         description: Juegos con alguna variante en ese formato
+ *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Juego del SKU (del juego o de una de sus variantes)
+ *       - in: query
+ *         name: rating_min
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Calificación promedio mínima (excluye juegos sin reseñas)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating_desc, rating_asc]
+ *         description: Ordenar por calificación promedio (sin reseñas cuenta como 0). Por defecto, los más recientes primero
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: "EUR"
+ *         description: |
+ *           Moneda en la que devolver los precios (convertidos con el tipo de cambio vigente).
+ *           price_min y price_max se interpretan en esa moneda. 400 si no hay tipo de cambio para ella.
  *     responses:
  *       200:
  *         description: Lista paginada de juegos
@@ -529,13 +992,20 @@ router.get('/games', listProducts);
  *                 id: 10
  *                 name: "New Category"
  *                 description: "Created by CI"
+ *       403:
+ *         description: Rol sin permisos (se requiere staff o admin)
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: fail
+ *               message: "Acceso denegado: permisos insuficientes"
  *
  */
-// Category routes (protected)
+// Category routes (protected, escritura solo staff/admin)
 router.get('/categories', authenticateJWT, getAllCategories);
-router.post('/categories', authenticateJWT, require('../middlewares/validators').categoryCreate, createCategory);
-router.put('/categories/:id', authenticateJWT, require('../middlewares/validators').categoryUpdate, updateCategory);
-router.delete('/categories/:id', authenticateJWT, deleteCategory);
+router.post('/categories', authenticateJWT, canManageCatalog, require('../middlewares/validators').categoryCreate, createCategory);
+router.put('/categories/:id', authenticateJWT, canManageCatalog, require('../middlewares/validators').categoryUpdate, updateCategory);
+router.delete('/categories/:id', authenticateJWT, canManageCatalog, deleteCategory);
 
 /**
  * @swagger
@@ -672,13 +1142,20 @@ router.delete('/categories/:id', authenticateJWT, deleteCategory);
  *               data:
  *                 id: 5
  *                 name: "NewTag"
+ *       403:
+ *         description: Rol sin permisos (se requiere staff o admin)
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: fail
+ *               message: "Acceso denegado: permisos insuficientes"
  *
  */
-// Tag routes (protected)
+// Tag routes (protected, escritura solo staff/admin)
 router.get('/tags', authenticateJWT, getAllTags);
-router.post('/tags', authenticateJWT, require('../middlewares/validators').tagCreate, createTag);
-router.put('/tags/:id', authenticateJWT, require('../middlewares/validators').tagUpdate, updateTag);
-router.delete('/tags/:id', authenticateJWT, deleteTag);
+router.post('/tags', authenticateJWT, canManageCatalog, require('../middlewares/validators').tagCreate, createTag);
+router.put('/tags/:id', authenticateJWT, canManageCatalog, require('../middlewares/validators').tagUpdate, updateTag);
+router.delete('/tags/:id', authenticateJWT, canManageCatalog, deleteTag);
 
 /**
  * @swagger
@@ -807,6 +1284,13 @@ router.delete('/tags/:id', authenticateJWT, deleteTag);
  *             example:
  *               status: fail
  *               message: "Field 'name' is required"
+ *       403:
+ *         description: Rol sin permisos (se requiere staff o admin)
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: fail
+ *               message: "Acceso denegado: permisos insuficientes"
  *       409:
  *         description: Conflicto - el slug o juego ya existe
  *         content:
@@ -956,69 +1440,970 @@ router.delete('/tags/:id', authenticateJWT, deleteTag);
  *               status: error
  *               message: "Internal Server Error"
  */
-// Game management routes (protected)
-router.post('/games', authenticateJWT, require('../middlewares/validators').gameCreate, create);
+// Game management routes (protected, escritura solo staff/admin)
+router.post('/games', authenticateJWT, canManageCatalog, require('../middlewares/validators').gameCreate, create);
 router.get('/games/:id', authenticateJWT, getById);
-router.put('/games/:id', authenticateJWT, require('../middlewares/validators').gameUpdate, update);
-router.delete('/games/:id', authenticateJWT, deleteProduct);
-
-
-router.get('/p/:composite', publicView);
+router.put('/games/:id', authenticateJWT, canManageCatalog, require('../middlewares/validators').gameUpdate, update);
+router.delete('/games/:id', authenticateJWT, canManageCatalog, deleteProduct);
 
 /**
  * @swagger
- * /v2/orders:
+ * /v2/games/{id}/stock-adjustments:
  *   post:
- *     summary: "Crear una orden con pago (OPERACIÓN TRANSACCIONAL ATÓMICA)"
- *     description: |
- *       Crea una orden completa con procesamiento de pago integrado.
- *       **IMPORTANTE: Esta es una operación transaccional que es ATÓMICA (todo o nada):**
- *       
- *       **Flujo de la transacción:**
- *       1. Validar stock disponible para todos los items
- *       2. Calcular monto total de la orden
- *       3. Procesar el pago mediante la tarjeta de crédito
- *       4. Si el pago es exitoso:
- *          - Reducir stock de cada producto
- *          - Crear registro de Order
- *          - Crear registros de OrderItem (con precio histórico)
- *          - COMMIT de transacción
- *       5. Si algún paso falla:
- *          - ROLLBACK completo: stock NO es modificado, orden NO es creada
- *       
- *       **Garantías:**
- *       - Si recibe 201, la orden fue creada exitosamente Y el pago fue procesado AND stock fue reducido
- *       - Si recibe 400, nada fue modificado (completo rollback)
- *       - Cada OrderItem preserva el unitPrice al momento de la compra (auditoría histórica)
- *       
- *       **Métodos de pago soportados:**
- *       - CREDIT_CARD: Tarjeta de crédito integrada con https://fakepayment.onrender.com
- *     tags: ["Admin - Orders"]
+ *     summary: "Ajustar el stock de un juego con un código de motivo (admin)"
+ *     description: >
+ *       quantity es el cambio en unidades (negativo para descontar). RESTOCK, FOUND y CUSTOMER_RETURN
+ *       solo suman; DAMAGED, LOST y RETURN_TO_SUPPLIER solo descuentan; CYCLE_COUNT y OTHER admiten
+ *       ambos signos (OTHER requiere note). El stock nunca queda negativo.
+ *     tags: ["Admin - Games"]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/OrderCreate'
- *           examples:
- *             successful:
- *               summary: "Ejemplo de orden exitosa"
- *               value:
- *                 items:
- *                   - productId: 1
- *                     quantity: 2
- *                 paymentMethod: "CREDIT_CARD"
- *                 cardNumber: "4111111111111111"
- *                 cvv: "123"
- *                 expirationMonth: 12
- *                 expirationYear: 2025
- *                 fullName: "John Doe"
- *                 currency: "USD"
- *                 description: "Compra de juegos PS4"
- *     responses:
- *       201:
+ *             type: object
+ *             required: [quantity, reason]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 example: -2
+ *               reason:
+ *                 type: string
+ *                 enum: [RESTOCK, FOUND, CUSTOMER_RETURN, DAMAGED, LOST, RETURN_TO_SUPPLIER, CYCLE_COUNT, OTHER]
+ *               note:
+ *                 type: string
+ *                 example: "Cajas dañadas en el depósito"
+ *     responses:
+ *       201:
+ *         description: "Movimiento registrado"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 id: 12
+ *                 type: ADJUSTMENT
+ *                 quantity: -2
+ *                 stockAfter: 8
+ *                 reason: DAMAGED
+ *                 note: "Cajas dañadas en el depósito"
+ *                 product:
+ *                   id: 1
+ *                   stock: 8
+ *       400:
+ *         description: "quantity, reason o note inválidos"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *       404:
+ *         description: "Juego no encontrado"
+ *       409:
+ *         description: "El ajuste dejaría el stock negativo"
+ *
+ * /v2/games/{id}/stock-movements:
+ *   get:
+ *     summary: "Historial de movimientos de stock de un juego (staff/admin)"
+ *     description: >
+ *       Ventas, reembolsos, ajustes, reposiciones y reservas, más recientes primero. En RESERVATION,
+ *       quantity es el cambio del disponible (-n al reservar, +n al consumirse, liberarse o vencer) y
+ *       el stock no cambia.
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [SALE, REFUND, ADJUSTMENT, RESTOCK, RESERVATION]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: "Movimientos paginados y stock actual"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 items:
+ *                   - id: 7
+ *                     type: SALE
+ *                     quantity: -1
+ *                     stockAfter: 9
+ *                     reason: null
+ *                     order:
+ *                       id: 3
+ *                       status: PAID
+ *                     user:
+ *                       id: 5
+ *                       nombre: "Ana"
+ *                       role: customer
+ *                 stock: 9
+ *                 meta:
+ *                   total: 1
+ *                   page: 1
+ *                   limit: 20
+ *                   totalPages: 1
+ *       400:
+ *         description: "type, page o limit inválidos"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       404:
+ *         description: "Juego no encontrado"
+ */
+router.post('/games/:id/stock-adjustments', authenticateJWT, authorizeRoles(ROLES.ADMIN), stockMovementController.adjust);
+router.get('/games/:id/stock-movements', authenticateJWT, canManageCatalog, stockMovementController.history);
+
+/**
+ * @swagger
+ * /v2/stock-alerts:
+ *   get:
+ *     summary: "Alertas de stock bajo (admin)"
+ *     description: >
+ *       Se abre una alerta cuando una venta, un ajuste o una edición deja el stock de un juego por
+ *       debajo de su lowStockThreshold (5 por defecto, 0 desactiva las alertas). Se resuelve sola
+ *       cuando el stock vuelve a alcanzar el umbral. Cuenta el stock de las variantes del juego; los
+ *       bundles usan las unidades que alcanzan a armarse con sus componentes.
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, RESOLVED]
+ *           default: ACTIVE
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: "Alertas paginadas"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 items:
+ *                   - id: 4
+ *                     status: ACTIVE
+ *                     threshold: 5
+ *                     stockAtAlert: 3
+ *                     resolvedAt: null
+ *                     product:
+ *                       id: 1
+ *                       name: "God of War"
+ *                       stock: 2
+ *                       lowStockThreshold: 5
+ *                 meta:
+ *                   total: 1
+ *                   page: 1
+ *                   limit: 20
+ *                   totalPages: 1
+ *       400:
+ *         description: "status, page o limit inválidos"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *
+ * /v2/games/{id}/stock-subscription:
+ *   post:
+ *     summary: "Avisarme cuando el juego vuelva a tener stock"
+ *     description: >
+ *       Solo para juegos agotados. Cuando el stock pasa de 0 a positivo se encola un mensaje
+ *       BACK_IN_STOCK en el outbox local y la suscripción queda NOTIFIED. El stock de un juego incluye
+ *       el de sus variantes; el de un bundle, las unidades que alcanzan sus componentes.
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       201:
+ *         description: "Suscripción creada"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 id: 2
+ *                 productId: 1
+ *                 status: ACTIVE
+ *                 notifiedAt: null
+ *       200:
+ *         description: "Ya estaba suscrito"
+ *       404:
+ *         description: "Juego no encontrado"
+ *       409:
+ *         description: "El juego tiene stock"
+ *   delete:
+ *     summary: "Cancelar el aviso de vuelta de stock"
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Suscripción cancelada"
+ *       404:
+ *         description: "Suscripción no encontrada"
+ */
+router.get('/stock-alerts', authenticateJWT, authorizeRoles(ROLES.ADMIN), stockAlertController.list);
+router.post('/games/:id/stock-subscription', authenticateJWT, stockAlertController.subscribe);
+router.delete('/games/:id/stock-subscription', authenticateJWT, stockAlertController.unsubscribe);
+
+/**
+ * @swagger
+ * /v2/games/{id}/keys:
+ *   post:
+ *     summary: "Cargar claves digitales de un juego (admin)"
+ *     description: >
+ *       Solo juegos con digital = true. Acepta JSON { codes: [...] } o text/plain con una clave por línea
+ *       (máximo 1000 por carga). Las claves repetidas o ya cargadas se informan en duplicates y se ignoran.
+ *       El stock del juego pasa a ser la cantidad de claves disponibles (movimiento RESTOCK KEY_UPLOAD).
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               codes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["AB12-CD34-EF56", "GH78-IJ90-KL12"]
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *             example: "AB12-CD34-EF56\nGH78-IJ90-KL12"
+ *     responses:
+ *       201:
+ *         description: "Claves cargadas"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 added: 2
+ *                 duplicates: []
+ *                 summary:
+ *                   productId: 1
+ *                   digital: true
+ *                   stock: 2
+ *                   keys:
+ *                     AVAILABLE: 2
+ *                     ASSIGNED: 0
+ *                     REVOKED: 0
+ *       400:
+ *         description: "Sin claves, demasiadas claves o el juego no es digital"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *       404:
+ *         description: "Juego no encontrado"
+ *   get:
+ *     summary: "Claves de un juego por estado (staff/admin)"
+ *     description: "AVAILABLE (en stock), ASSIGNED (entregadas en una orden) y REVOKED (reveladas y luego reembolsadas). No expone los códigos."
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Resumen del inventario de claves"
+ *       404:
+ *         description: "Juego no encontrado"
+ */
+router.post('/games/:id/keys', authenticateJWT, authorizeRoles(ROLES.ADMIN), express.text({ type: 'text/plain' }), digitalKeyController.upload);
+router.get('/games/:id/keys', authenticateJWT, canManageCatalog, digitalKeyController.summary);
+
+/**
+ * @swagger
+ * /v2/games/{id}/variants:
+ *   post:
+ *     summary: "Crear una variante (edición) de un juego"
+ *     description: >
+ *       Edición, región y formato con SKU, precio y stock propios. Se devuelve anidada en las respuestas del juego
+ *       y una orden la compra con items[].variantId. Los bundles y los juegos digitales no admiten variantes.
+ *       El stock inicial queda en el libro de movimientos del juego (RESTOCK INITIAL_STOCK con la variante).
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GameVariant'
+ *     responses:
+ *       201:
+ *         description: "Variante creada"
+ *       400:
+ *         description: "Datos inválidos, o el juego es un bundle o digital"
+ *       404:
+ *         description: "Juego no encontrado"
+ *       409:
+ *         description: "El SKU ya existe"
+ * /v2/games/{id}/variants/{variantId}:
+ *   put:
+ *     summary: "Editar una variante"
+ *     description: "Un cambio de stock queda en el libro de movimientos (ADJUSTMENT VARIANT_UPDATE)."
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GameVariant'
+ *     responses:
+ *       200:
+ *         description: "Variante actualizada"
+ *       404:
+ *         description: "Variante no encontrada para ese juego"
+ *       409:
+ *         description: "El SKU ya existe"
+ *   delete:
+ *     summary: "Eliminar una variante"
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Variante eliminada"
+ *       404:
+ *         description: "Variante no encontrada para ese juego"
+ *       409:
+ *         description: "La variante ya figura en órdenes"
+ */
+router.post('/games/:id/variants', authenticateJWT, canManageCatalog, require('../middlewares/validators').variantCreate, variantController.create);
+router.put('/games/:id/variants/:variantId', authenticateJWT, canManageCatalog, require('../middlewares/validators').variantUpdate, variantController.update);
+router.delete('/games/:id/variants/:variantId', authenticateJWT, canManageCatalog, variantController.remove);
+
+/**
+ * @swagger
+ * /v2/games/{id}/cover:
+ *   put:
+ *     summary: "Subir o reemplazar la portada de un juego"
+ *     description: |
+ *       multipart/form-data con el archivo en el campo `image`. Se aceptan JPEG, PNG y WebP
+ *       (se verifica el contenido, no solo el Content-Type) de hasta MEDIA_MAX_BYTES (5 MB por defecto).
+ *       Se genera una miniatura WebP; la portada anterior y sus archivos se eliminan.
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: "Portada guardada"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/GameImage'
+ *       400:
+ *         description: "Falta el archivo, tipo no permitido, contenido inválido o tamaño excedido"
+ *       404:
+ *         description: "Juego no encontrado"
+ * /v2/games/{id}/screenshots:
+ *   post:
+ *     summary: "Agregar capturas a la galería de un juego"
+ *     description: |
+ *       multipart/form-data con hasta 10 archivos en el campo `images` (mismas reglas que la portada).
+ *       Se agregan al final de la galería; un juego admite hasta 20 capturas.
+ *       Si un archivo es inválido no se guarda ninguno.
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: "Galería completa en orden"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GameImage'
+ *       400:
+ *         description: "Sin archivos, archivo inválido o límite de capturas excedido"
+ *       404:
+ *         description: "Juego no encontrado"
+ * /v2/games/{id}/screenshots/order:
+ *   put:
+ *     summary: "Reordenar la galería de un juego"
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: "Todas las capturas del juego, cada una una vez, en el orden nuevo"
+ *                 items:
+ *                   type: integer
+ *                 example: [14, 12, 13]
+ *     responses:
+ *       200:
+ *         description: "Galería en el orden nuevo"
+ *       400:
+ *         description: "imageIds no coincide con las capturas del juego"
+ *       404:
+ *         description: "Juego no encontrado"
+ * /v2/games/{id}/images/{imageId}:
+ *   delete:
+ *     summary: "Eliminar la portada o una captura"
+ *     description: "Se borran también el archivo y su miniatura; la galería se compacta."
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: imageId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Imagen eliminada"
+ *       404:
+ *         description: "Imagen no encontrada para ese juego"
+ * /v2/media/{key}:
+ *   get:
+ *     summary: "Obtener una imagen o miniatura"
+ *     description: "Entrega los archivos del almacenamiento local; las URLs vienen en `images` de cada juego."
+ *     tags: ["Public - Games"]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         schema:
+ *           type: string
+ *         required: true
+ *         example: "games/1/3f2a9c1e-5b7d-4e8a-9c0f-1a2b3c4d5e6f.png"
+ *     responses:
+ *       200:
+ *         description: "Imagen"
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: "Imagen no encontrada"
+ */
+router.put('/games/:id/cover', authenticateJWT, canManageCatalog, imageUpload('image', 1), mediaController.setCover);
+router.post('/games/:id/screenshots', authenticateJWT, canManageCatalog, imageUpload('images', 10), mediaController.addScreenshots);
+router.put('/games/:id/screenshots/order', authenticateJWT, canManageCatalog, mediaController.reorder);
+router.delete('/games/:id/images/:imageId', authenticateJWT, canManageCatalog, mediaController.remove);
+router.get('/media/*key', mediaController.serve);
+
+/**
+ * @swagger
+ * /v2/games/{id}/reviews:
+ *   get:
+ *     summary: "Reseñas de un juego"
+ *     description: "Reseñas aprobadas, las más recientes primero, con el promedio y la cantidad del juego."
+ *     tags: ["Public - Games"]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: "Reseñas"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     rating:
+ *                       type: object
+ *                       properties:
+ *                         average:
+ *                           type: number
+ *                           nullable: true
+ *                         count:
+ *                           type: integer
+ *                     meta:
+ *                       type: object
+ *       404:
+ *         description: "Juego no encontrado"
+ *   post:
+ *     summary: "Reseñar un juego comprado"
+ *     description: |
+ *       Requiere una orden propia con el juego en estado PAID, FULFILLED o PARTIALLY_REFUNDED
+ *       (o COMPLETED en órdenes anteriores) y sin todas sus unidades reembolsadas. Una reseña por usuario y juego.
+ *       Las reseñas sin texto, o de autores con REVIEW_AUTO_APPROVE_AFTER reseñas aprobadas (3 por defecto),
+ *       se publican al instante; el resto queda PENDING hasta que el staff la apruebe.
+ *       Un texto con palabras de REVIEW_BANNED_WORDS se rechaza con 400.
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       201:
+ *         description: "Reseña creada (status APPROVED o PENDING)"
+ *       400:
+ *         description: "rating fuera de 1-5, texto demasiado largo o con palabras no permitidas"
+ *       403:
+ *         description: "El usuario no tiene una orden completada con el juego"
+ *       404:
+ *         description: "Juego no encontrado"
+ *       409:
+ *         description: "El usuario ya reseñó el juego"
+ *   put:
+ *     summary: "Editar la reseña propia"
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       200:
+ *         description: "Reseña actualizada (vuelve a pasar por las reglas de moderación)"
+ *       400:
+ *         description: "rating fuera de 1-5, texto demasiado largo o con palabras no permitidas"
+ *       404:
+ *         description: "El usuario no tiene una reseña del juego"
+ *   delete:
+ *     summary: "Eliminar la reseña propia"
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Reseña eliminada"
+ *       404:
+ *         description: "El usuario no tiene una reseña del juego"
+ */
+router.get('/games/:id/reviews', reviewController.list);
+router.post('/games/:id/reviews', authenticateJWT, require('../middlewares/validators').reviewCreate, reviewController.create);
+router.put('/games/:id/reviews', authenticateJWT, require('../middlewares/validators').reviewUpdate, reviewController.update);
+router.delete('/games/:id/reviews', authenticateJWT, reviewController.remove);
+
+/**
+ * @swagger
+ * /v2/reviews/moderation:
+ *   get:
+ *     summary: "Cola de moderación de reseñas"
+ *     description: |
+ *       Por defecto las reseñas PENDING, las más antiguas primero. Con status=REPORTED, las que tienen
+ *       reportes abiertos. Cada item incluye el juego y sus reportes abiertos.
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, REPORTED, APPROVED, REJECTED]
+ *           default: PENDING
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: "Reseñas de la cola"
+ *       400:
+ *         description: "status inválido"
+ *       403:
+ *         description: "Requiere rol staff o admin"
+ * /v2/reviews/{id}/approve:
+ *   post:
+ *     summary: "Aprobar una reseña"
+ *     description: "La reseña se publica; sus reportes abiertos quedan resueltos."
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Los reportes no aplican"
+ *     responses:
+ *       200:
+ *         description: "Reseña aprobada"
+ *       404:
+ *         description: "Reseña no encontrada"
+ * /v2/reviews/{id}/reject:
+ *   post:
+ *     summary: "Rechazar una reseña"
+ *     description: "La reseña deja de publicarse; sus reportes abiertos quedan resueltos."
+ *     tags: ["Admin - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Lenguaje ofensivo"
+ *     responses:
+ *       200:
+ *         description: "Reseña rechazada"
+ *       400:
+ *         description: "Falta el motivo"
+ *       404:
+ *         description: "Reseña no encontrada"
+ * /v2/reviews/{id}/report:
+ *   post:
+ *     summary: "Reportar una reseña abusiva"
+ *     description: |
+ *       Un reporte por usuario y reseña publicada. Con REVIEW_REPORT_THRESHOLD reportes abiertos (3 por defecto)
+ *       la reseña deja de publicarse y vuelve a la cola como PENDING.
+ *     tags: ["Public - Games"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Insultos a otros usuarios"
+ *     responses:
+ *       201:
+ *         description: "Reporte registrado ({ reviewId, openReports, status })"
+ *       400:
+ *         description: "Falta el motivo o la reseña es propia"
+ *       404:
+ *         description: "Reseña no encontrada o no publicada"
+ *       409:
+ *         description: "El usuario ya reportó la reseña"
+ */
+router.get('/reviews/moderation', authenticateJWT, canManageCatalog, reviewController.queue);
+router.post('/reviews/:id/approve', authenticateJWT, canManageCatalog, require('../middlewares/validators').reviewModeration, reviewController.approve);
+router.post('/reviews/:id/reject', authenticateJWT, canManageCatalog, require('../middlewares/validators').reviewModeration, reviewController.reject);
+router.post('/reviews/:id/report', authenticateJWT, require('../middlewares/validators').reviewReport, reviewController.report);
+
+
+router.get('/p/:composite', publicView);
+
+/**
+ * @swagger
+ * /v2/orders:
+ *   post:
+ *     summary: "Crear una orden con pago (OPERACIÓN TRANSACCIONAL ATÓMICA)"
+ *     description: |
+ *       Crea una orden completa con procesamiento de pago integrado.
+ *       **IMPORTANTE: Esta es una operación transaccional que es ATÓMICA (todo o nada):**
+ *       
+ *       **Flujo de la transacción:**
+ *       1. Validar stock disponible (stock - unidades reservadas por otros usuarios) para todos los items
+ *       2. Calcular monto total de la orden
+ *       3. Procesar el pago mediante la tarjeta de crédito
+ *       4. Si el pago es exitoso:
+ *          - Reducir stock de cada producto
+ *          - Crear registro de Order
+ *          - Crear registros de OrderItem (con precio histórico)
+ *          - COMMIT de transacción
+ *       5. Si algún paso falla:
+ *          - ROLLBACK completo: stock NO es modificado, orden NO es creada
+ *       
+ *       **Garantías:**
+ *       - Si recibe 201, la orden fue creada exitosamente Y el pago fue procesado AND stock fue reducido
+ *       - Si recibe 400, el stock no fue modificado (completo rollback)
+ *       - Si el pago fue rechazado, el intento queda registrado como orden PAYMENT_FAILED (motivo, tarjeta enmascarada y monto) sin afectar stock
+ *       - Cada OrderItem preserva el unitPrice al momento de la compra (auditoría histórica)
+ *       
+ *       **Métodos de pago soportados** (lista completa en GET /v2/payment-methods):
+ *       - CREDIT_CARD: Tarjeta de crédito integrada con https://fakepayment.onrender.com
+ *       - GIFT_CARD: saldo de tarjeta de regalo; también puede combinarse con CREDIT_CARD enviando giftCardCode (pago dividido).
+ *         El saldo se descuenta dentro de la misma transacción: si el cobro con tarjeta falla, el saldo no se pierde.
+ *       - BANK_TRANSFER y PAGO_MOVIL (VES): la orden queda PENDING con la referencia reportada y sus unidades reservadas
+ *         (no disponibles para otros, sin descontar el stock) hasta que staff/admin confirme o rechace el pago. Si no se confirma dentro de PENDING_PAYMENT_EXPIRY_MINUTES
+ *         (24 horas por defecto) la orden se cancela y el stock se libera.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: |
+ *           Clave única generada por el cliente para reintentar de forma segura.
+ *           Un reintento con la misma clave y el mismo cuerpo devuelve la respuesta original (header Idempotent-Replayed: true) sin volver a cobrar ni descontar stock.
+ *           La misma clave con otro cuerpo devuelve 422; si la primera solicitud sigue en proceso devuelve 409.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrderCreate'
+ *           examples:
+ *             successful:
+ *               summary: "Ejemplo de orden exitosa"
+ *               value:
+ *                 items:
+ *                   - productId: 1
+ *                     quantity: 2
+ *                 paymentMethod: "CREDIT_CARD"
+ *                 cardNumber: "4111111111111111"
+ *                 cvv: "123"
+ *                 expirationMonth: 12
+ *                 expirationYear: 2025
+ *                 fullName: "John Doe"
+ *                 currency: "USD"
+ *                 description: "Compra de juegos PS4"
+ *             pagoMovil:
+ *               summary: "Pago Móvil pendiente de confirmación"
+ *               value:
+ *                 items:
+ *                   - productId: 1
+ *                     quantity: 1
+ *                 paymentMethod: "PAGO_MOVIL"
+ *                 paymentReference: "00123456"
+ *                 bankCode: "0102"
+ *                 phone: "04141234567"
+ *                 documentId: "V12345678"
+ *                 currency: "VES"
+ *     responses:
+ *       201:
  *         description: "✅ Orden creada exitosamente Y pago procesado Y stock actualizado"
  *         content:
  *           application/json:
@@ -1028,71 +2413,1070 @@ router.get('/p/:composite', publicView);
  *                 status:
  *                   type: string
  *                   example: success
- *                 message:
- *                   type: string
- *                   example: "Orden creada exitosamente y pago procesado"
+ *                 message:
+ *                   type: string
+ *                   example: "Orden creada exitosamente y pago procesado"
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: |
+ *           ❌ Validación fallida O stock insuficiente O pago rechazado.
+ *           **Garantizado: Transacción hizo ROLLBACK - stock NO fue modificado, orden NO fue creada**
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *               examples:
+ *                 insufficientStock:
+ *                   summary: "Stock insuficiente"
+ *                   value:
+ *                     status: fail
+ *                     message: "Stock insuficiente para God of War. Disponible: 5, Solicitado: 10"
+ *                 paymentRejected:
+ *                   summary: "Pago rechazado"
+ *                   value:
+ *                     status: fail
+ *                     message: "Pago rechazado: Fondos insuficientes"
+ *                 invalidItems:
+ *                   summary: "Items inválidos"
+ *                   value:
+ *                     status: fail
+ *                     message: "Items es requerido y debe ser un array no vacío"
+ *       409:
+ *         description: "Hay una solicitud en proceso con la misma Idempotency-Key"
+ *       422:
+ *         description: "Idempotency-Key reutilizada con un cuerpo distinto"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: fail
+ *               message: "Idempotency-Key ya fue usada con un cuerpo de solicitud distinto"
+ *       401:
+ *         description: "❌ No autorizado - Token JWT inválido o ausente"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *             examples:
+ *               noToken:
+ *                 summary: "Token ausente"
+ *                 value:
+ *                   status: fail
+ *                   message: "No token provided"
+ *               invalidToken:
+ *                 summary: "Token inválido"
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid token"
+ *               expiredToken:
+ *                 summary: "Token expirado"
+ *                 value:
+ *                   status: fail
+ *                   message: "Token expired"
+ *       500:
+ *         description: "❌ Error interno del servidor"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ *             examples:
+ *               paymentApiError:
+ *                 summary: "Error comunicándose con API de pagos"
+ *                 value:
+ *                   status: error
+ *                   message: "Error creando la orden"
+ *                   error: "Error comunicándose con el servidor de pagos"
+ *               databaseError:
+ *                 summary: "Error de base de datos"
+ *                 value:
+ *                   status: error
+ *                   message: "Error creando la orden"
+ *                   error: "Database connection failed"
+ *               timeoutError:
+ *                 summary: "Timeout en API de pagos"
+ *                 value:
+ *                   status: error
+ *                   message: "Error creando la orden"
+ *                   error: "Payment API timeout after 15000ms"
+ *   get:
+ *     summary: "Obtener órdenes del usuario autenticado (con paginación)"
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: "Número de página (comienza en 1)"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: "Elementos por página (máximo 50)"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PREORDERED, PAID, FULFILLED, CANCELED, REFUNDED, PARTIALLY_REFUNDED, PAYMENT_FAILED]
+ *         description: "Filtrar por estado (ej. PAYMENT_FAILED para ver pagos rechazados con su motivo)"
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: "Solo staff/admin: consultar las órdenes de otro usuario (soporte)"
+ *     responses:
+ *       200:
+ *         description: "Lista de órdenes del usuario autenticado"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *                     meta:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                           example: 5
+ *                         page:
+ *                           type: integer
+ *                           example: 1
+ *                         limit:
+ *                           type: integer
+ *                           example: 10
+ *                         totalPages:
+ *                           type: integer
+ *                           example: 1
+ *             examples:
+ *               success:
+ *                 summary: "Órdenes encontradas"
+ *                 value:
+ *                   status: success
+ *                   data:
+ *                     items:
+ *                       - id: 1
+ *                         status: PAID
+ *                         totalAmount: 119.98
+ *                         currency: USD
+ *                         createdAt: "2025-12-04T20:30:00Z"
+ *                       - id: 2
+ *                         status: PAID
+ *                         totalAmount: 59.99
+ *                         currency: USD
+ *                         createdAt: "2025-12-04T19:45:00Z"
+ *                     meta:
+ *                       total: 2
+ *                       page: 1
+ *                       limit: 10
+ *                       totalPages: 1
+ *               empty:
+ *                 summary: "Sin órdenes"
+ *                 value:
+ *                   status: success
+ *                   data:
+ *                     items: []
+ *                     meta:
+ *                       total: 0
+ *                       page: 1
+ *                       limit: 10
+ *                       totalPages: 0
+ *       401:
+ *         description: "❌ No autorizado - Token JWT inválido o ausente"
+ *         content:
+ *           application/json:
+ *             examples:
+ *               noToken:
+ *                 summary: "Token ausente"
+ *                 value:
+ *                   status: fail
+ *                   message: "No token provided"
+ *               invalidToken:
+ *                 summary: "Token inválido"
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid token"
+ *       500:
+ *         description: "❌ Error interno del servidor"
+ *         content:
+ *           application/json:
+ *             examples:
+ *               databaseError:
+ *                 summary: "Error de base de datos"
+ *                 value:
+ *                   status: error
+ *                   message: "Error obteniendo órdenes"
+ *                   error: "Database connection failed"
+ * /v2/orders/{id}:
+ *   get:
+ *     summary: "Obtener detalle de una orden específica"
+ *     description: |
+ *       Recupera los detalles completos de una orden incluyendo:
+ *       - Información del usuario comprador
+ *       - Estado de la orden (PENDING, PAID, FULFILLED, CANCELED, REFUNDED, PARTIALLY_REFUNDED, PAYMENT_FAILED)
+ *       - Detalles de cada item con precio histórico (unitPrice)
+ *       - Información de la transacción de pago (transactionId)
+ *       - Timestamps de creación y actualización
+ *       
+ *       **Seguridad:** El usuario autenticado solo puede ver sus propias órdenes
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: "ID de la orden"
+ *     responses:
+ *       200:
+ *         description: "Detalle completo de la orden"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: "❌ ID de orden inválido (no es un número)"
+ *         content:
+ *           application/json:
+ *             examples:
+ *               invalidId:
+ *                 summary: "ID no es número"
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid product id"
+ *       404:
+ *         description: "❌ Orden no encontrada"
+ *         content:
+ *           application/json:
+ *             examples:
+ *               notFound:
+ *                 summary: "Orden no existe"
+ *                 value:
+ *                   status: fail
+ *                   message: "Order not found"
+ *       401:
+ *         description: "❌ No autorizado - Token JWT inválido o ausente"
+ *         content:
+ *           application/json:
+ *             examples:
+ *               noToken:
+ *                 summary: "Token ausente"
+ *                 value:
+ *                   status: fail
+ *                   message: "No token provided"
+ *               invalidToken:
+ *                 summary: "Token inválido"
+ *                 value:
+ *                   status: fail
+ *                   message: "Invalid token"
+ */
+// Order routes (protected)
+router.post('/orders', authenticateJWT, idempotent(), createOrder);
+router.get('/orders', authenticateJWT, listOrders);
+router.get('/orders/:id', authenticateJWT, getOrderById);
+
+/**
+ * @swagger
+ * /v2/orders/{id}/cancel:
+ *   post:
+ *     summary: "Cancelar una orden"
+ *     description: |
+ *       Transiciones permitidas: PENDING -> CANCELED y PAID -> CANCELED.
+ *       Si la orden ya estaba pagada se reembolsa el saldo pendiente con la misma estrategia de pago.
+ *       Las unidades no reembolsadas vuelven al stock. El cliente solo puede cancelar sus propias órdenes; staff/admin cualquiera.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Compra duplicada"
+ *     responses:
+ *       200:
+ *         description: "Orden cancelada"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: "Orden no encontrada"
+ *       409:
+ *         description: "Transición de estado no permitida"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: fail
+ *               message: "Transición de estado no permitida: FULFILLED -> CANCELED"
+ *       502:
+ *         description: "El proveedor de pagos rechazó el reembolso (no se modificó nada)"
+ * /v2/orders/{id}/refund:
+ *   post:
+ *     summary: "Reembolsar una orden (staff/admin)"
+ *     description: |
+ *       Reembolsa todo lo pendiente o solo los items indicados. Las unidades reembolsadas vuelven al stock.
+ *       Resultado: REFUNDED si ya no quedan unidades por reembolsar, PARTIALLY_REFUNDED en caso contrario.
+ *       Permitido desde PAID, FULFILLED y PARTIALLY_REFUNDED.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                       example: 1
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               reason:
+ *                 type: string
+ *                 example: "Disco dañado"
+ *     responses:
+ *       200:
+ *         description: "Reembolso procesado"
+ *       400:
+ *         description: "Items o cantidades inválidas"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       404:
+ *         description: "Orden no encontrada"
+ *       409:
+ *         description: "Transición de estado no permitida"
+ *       502:
+ *         description: "El proveedor de pagos rechazó el reembolso (no se modificó nada)"
+ * /v2/orders/{id}/fulfill:
+ *   post:
+ *     summary: "Marcar una orden pagada como entregada (staff/admin)"
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Orden en estado FULFILLED"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       409:
+ *         description: "Transición de estado no permitida"
+ */
+router.post('/orders/:id/cancel', authenticateJWT, cancelOrder);
+router.post('/orders/:id/refund', authenticateJWT, authorizeRoles(ROLES.STAFF, ROLES.ADMIN), refundOrder);
+router.post('/orders/:id/fulfill', authenticateJWT, authorizeRoles(ROLES.STAFF, ROLES.ADMIN), fulfillOrder);
+
+/**
+ * @swagger
+ * /v2/orders/{id}/confirm-payment:
+ *   post:
+ *     summary: "Confirmar la referencia de un pago manual (staff/admin)"
+ *     description: "Orden PENDING (BANK_TRANSFER / PAGO_MOVIL) pasa a PAID y las unidades reservadas se descuentan del stock. Si el plazo venció la orden ya fue cancelada y responde 409."
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Orden en estado PAID"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       409:
+ *         description: "La orden no está pendiente de pago (o expiró)"
+ *
+ * /v2/orders/{id}/reject-payment:
+ *   post:
+ *     summary: "Rechazar la referencia de un pago manual (staff/admin)"
+ *     description: "Orden PENDING pasa a PAYMENT_FAILED con el motivo indicado y se libera el stock reservado."
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "La referencia no aparece en el estado de cuenta"
+ *     responses:
+ *       200:
+ *         description: "Orden en estado PAYMENT_FAILED"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       409:
+ *         description: "La orden no está pendiente de pago"
+ */
+router.post('/orders/:id/confirm-payment', authenticateJWT, authorizeRoles(ROLES.STAFF, ROLES.ADMIN), confirmPayment);
+router.post('/orders/:id/reject-payment', authenticateJWT, authorizeRoles(ROLES.STAFF, ROLES.ADMIN), rejectPayment);
+
+/**
+ * @swagger
+ * /v2/orders/{id}/pay:
+ *   post:
+ *     summary: "Pagar una preventa con cobro al lanzamiento"
+ *     description: >
+ *       Cuando el juego sale, las preventas ON_RELEASE pasan de PREORDERED a PENDING con un plazo de pago
+ *       (PENDING_PAYMENT_EXPIRY_MINUTES). Con el cobro aprobado la orden queda FULFILLED; si el plazo vence
+ *       se cancela y las unidades vuelven al stock de preventa. Las preventas UPFRONT se entregan solas al lanzamiento.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cardNumber:
+ *                 type: string
+ *                 example: "4111111111111111"
+ *               cvv:
+ *                 type: string
+ *                 example: "123"
+ *               expirationMonth:
+ *                 type: integer
+ *                 example: 12
+ *               expirationYear:
+ *                 type: integer
+ *                 example: 2030
+ *               fullName:
+ *                 type: string
+ *                 example: "John Doe"
+ *     responses:
+ *       200:
+ *         description: "Pago aprobado, orden FULFILLED"
+ *       400:
+ *         description: "Datos de pago incompletos o pago rechazado"
+ *       404:
+ *         description: "Orden no encontrada o no pertenece al usuario"
+ *       409:
+ *         description: "La orden no tiene un pago de preventa pendiente"
+ */
+router.post('/orders/:id/pay', authenticateJWT, payPreorder);
+
+/**
+ * @swagger
+ * /v2/orders/{id}/keys/reveal:
+ *   post:
+ *     summary: "Ver las claves digitales de una orden propia"
+ *     description: >
+ *       Las claves se asignan al pagarse la orden. Solo el comprador puede verlas, con la orden PAID,
+ *       FULFILLED o PARTIALLY_REFUNDED. Cada llamada registra una revelación por clave (IP y user agent);
+ *       una clave revelada que luego se reembolsa queda revocada.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Claves de la orden"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 - keyId: 10
+ *                   orderItemId: 4
+ *                   productId: 1
+ *                   productName: "God of War"
+ *                   code: "AB12-CD34-EF56"
+ *                   revealedAt: "2025-01-01T12:00:00.000Z"
+ *       404:
+ *         description: "Orden no encontrada o no pertenece al usuario"
+ *       409:
+ *         description: "La orden no está pagada"
+ */
+router.post('/orders/:id/keys/reveal', authenticateJWT, digitalKeyController.reveal);
+
+/**
+ * @swagger
+ * /v2/payment-methods:
+ *   get:
+ *     summary: "Listar los métodos de pago disponibles"
+ *     description: |
+ *       Cada método indica las monedas aceptadas (la primera es la de defecto), los campos que deben enviarse
+ *       en POST /v2/orders y POST /v2/cart/checkout, y si es sincrónico (orden PAID al instante) o queda
+ *       pendiente de confirmación manual (orden PENDING).
+ *     tags: ["Payment Methods"]
+ *     responses:
+ *       200:
+ *         description: "Métodos de pago registrados"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 - code: "CREDIT_CARD"
+ *                   label: "Tarjeta de crédito"
+ *                   description: "Cobro inmediato a través del proveedor de pagos"
+ *                   currencies: ["USD", "EUR", "VES"]
+ *                   requiredFields: ["cardNumber", "cvv", "expirationMonth", "expirationYear", "fullName"]
+ *                   synchronous: true
+ *                 - code: "PAGO_MOVIL"
+ *                   label: "Pago Móvil"
+ *                   description: "La orden queda pendiente hasta que se confirme la referencia del Pago Móvil"
+ *                   currencies: ["VES"]
+ *                   requiredFields: ["paymentReference", "bankCode", "phone", "documentId"]
+ *                   synchronous: false
+ */
+router.get('/payment-methods', listPaymentMethods);
+
+/**
+ * @swagger
+ * /v2/payments/reconciliation:
+ *   post:
+ *     summary: "Conciliar órdenes con el proveedor de pagos (admin)"
+ *     description: |
+ *       Consulta en el proveedor cada orden con transactionId y marca las diferencias:
+ *       MISSING_AT_PROVIDER (cobrada localmente, sin cobro en el proveedor), NOT_RECORDED_AS_PAID
+ *       (cobrada en el proveedor, la orden no figura como cobrada), UNKNOWN_TRANSACTION (cobro sin orden),
+ *       AMOUNT_MISMATCH y REFUND_MISMATCH. El reporte también se escribe como JSON en reports/.
+ *     tags: ["Admin - Orders"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transactionIds:
+ *                 type: array
+ *                 description: "IDs del extracto del proveedor, para detectar cobros sin orden"
+ *                 items:
+ *                   type: string
+ *           example:
+ *             transactionIds: ["txn_abc123"]
+ *     responses:
+ *       200:
+ *         description: "Reporte de conciliación"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 generatedAt: "2025-01-15T10:30:00.000Z"
+ *                 checkedOrders: 12
+ *                 checkedTransactions: 1
+ *                 mismatches:
+ *                   - type: "REFUND_MISMATCH"
+ *                     orderId: 7
+ *                     transactionId: "txn_abc123"
+ *                     localStatus: "PAID"
+ *                     localAmount: 59.99
+ *                     localRefundedAmount: 0
+ *                     providerStatus: "REFUNDED"
+ *                     providerAmount: 59.99
+ *                     providerRefundedAmount: 59.99
+ *                     detail: "Reembolsado local 0 vs proveedor 59.99"
+ *                 errors: []
+ *                 reportPath: "reports/reconciliation-2025-01-15T10-30-00-000Z.json"
+ *       400:
+ *         description: "transactionIds inválido"
+ *       403:
+ *         description: "Se requiere rol admin"
+ */
+router.post('/payments/reconciliation', authenticateJWT, authorizeRoles(ROLES.ADMIN), runReconciliation);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GiftCard:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         code:
+ *           type: string
+ *           example: "GC-7K3M-Q9XP-2HDW"
+ *         initialBalance:
+ *           type: number
+ *           example: 50
+ *         balance:
+ *           type: number
+ *           example: 50
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, VOID]
+ *         voidedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         voidReason:
+ *           type: string
+ *           nullable: true
+ *
+ * /v2/gift-cards:
+ *   post:
+ *     summary: "Emitir una tarjeta de regalo (admin)"
+ *     tags: ["Gift Cards"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 50
+ *               currency:
+ *                 type: string
+ *                 default: "USD"
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: "Opcional; sin fecha la tarjeta no vence"
+ *     responses:
+ *       201:
+ *         description: "Tarjeta emitida con un código generado"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/GiftCard'
+ *       400:
+ *         description: "amount, currency o expiresAt inválidos"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *
+ * /v2/gift-cards/{id}/void:
+ *   post:
+ *     summary: "Anular una tarjeta de regalo (admin)"
+ *     tags: ["Gift Cards"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Emitida por error"
+ *     responses:
+ *       200:
+ *         description: "Tarjeta anulada; su saldo ya no puede usarse"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *       404:
+ *         description: "Tarjeta no encontrada"
+ *       409:
+ *         description: "La tarjeta ya estaba anulada"
+ *
+ * /v2/gift-cards/{code}/balance:
+ *   get:
+ *     summary: "Consultar el saldo de una tarjeta de regalo"
+ *     tags: ["Gift Cards"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Saldo disponible"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 balance: 35.5
+ *                 currency: "USD"
+ *                 status: "ACTIVE"
+ *                 expiresAt: null
+ *       404:
+ *         description: "Tarjeta no encontrada"
+ */
+router.post('/gift-cards', authenticateJWT, authorizeRoles(ROLES.ADMIN), giftCardController.issue);
+router.post('/gift-cards/:id/void', authenticateJWT, authorizeRoles(ROLES.ADMIN), giftCardController.void);
+router.get('/gift-cards/:code/balance', authenticateJWT, giftCardController.balance);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         code:
+ *           type: string
+ *           example: "VERANO10"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED_AMOUNT, BUY_X_GET_Y]
+ *         value:
+ *           type: number
+ *           example: 10
+ *           description: "PERCENTAGE: % de descuento; FIXED_AMOUNT: monto; BUY_X_GET_Y: % de descuento de las unidades de regalo (100 = gratis)"
+ *         buyQuantity:
+ *           type: integer
+ *           nullable: true
+ *         getQuantity:
+ *           type: integer
+ *           nullable: true
+ *         currency:
+ *           type: string
+ *           nullable: true
+ *           description: "Moneda del monto (solo FIXED_AMOUNT)"
+ *         scope:
+ *           type: string
+ *           enum: [ORDER, CATEGORY, TAG, GAMES]
+ *         scopeIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *           description: "IDs de categorías, tags o juegos según scope"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *         maxUsesPerUser:
+ *           type: integer
+ *           nullable: true
+ *         timesUsed:
+ *           type: integer
+ *           example: 0
+ *         active:
+ *           type: boolean
+ *
+ * /v2/coupons:
+ *   get:
+ *     summary: "Listar cupones (staff/admin)"
+ *     tags: ["Coupons"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Cupones, más recientes primero"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *   post:
+ *     summary: "Crear un cupón (staff/admin)"
+ *     description: |
+ *       Tipos:
+ *       - PERCENTAGE: value % sobre los productos dentro del alcance.
+ *       - FIXED_AMOUNT: value en currency, repartido entre los productos dentro del alcance (nunca más que su subtotal).
+ *       - BUY_X_GET_Y: por cada buyQuantity + getQuantity unidades dentro del alcance, las getQuantity más baratas llevan value % de descuento (100 por defecto).
+ *       El alcance (scope) limita los productos: ORDER (todos), CATEGORY, TAG o GAMES con sus IDs en scopeIds.
+ *     tags: ["Coupons"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, type]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "VERANO10"
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PERCENTAGE, FIXED_AMOUNT, BUY_X_GET_Y]
+ *               value:
+ *                 type: number
+ *                 example: 10
+ *               buyQuantity:
+ *                 type: integer
+ *               getQuantity:
+ *                 type: integer
+ *               currency:
+ *                 type: string
+ *                 default: "USD"
+ *               scope:
+ *                 type: string
+ *                 default: "ORDER"
+ *               scopeIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               maxUses:
+ *                 type: integer
+ *                 description: "Usos totales permitidos (sin valor = ilimitado)"
+ *               maxUsesPerUser:
+ *                 type: integer
+ *                 description: "Usos permitidos por usuario (sin valor = ilimitado)"
+ *     responses:
+ *       201:
+ *         description: "Cupón creado"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
  *                 data:
- *                   $ref: '#/components/schemas/Order'
+ *                   $ref: '#/components/schemas/Coupon'
  *       400:
- *         description: |
- *           ❌ Validación fallida O stock insuficiente O pago rechazado.
- *           **Garantizado: Transacción hizo ROLLBACK - stock NO fue modificado, orden NO fue creada**
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *               examples:
- *                 insufficientStock:
- *                   summary: "Stock insuficiente"
- *                   value:
- *                     status: fail
- *                     message: "Stock insuficiente para God of War. Disponible: 5, Solicitado: 10"
- *                 paymentRejected:
- *                   summary: "Pago rechazado"
- *                   value:
- *                     status: fail
- *                     message: "Pago rechazado: Fondos insuficientes"
- *                 invalidItems:
- *                   summary: "Items inválidos"
- *                   value:
- *                     status: fail
- *                     message: "Items es requerido y debe ser un array no vacío"
- *       401:
- *         description: "❌ No autorizado - Token JWT inválido o ausente"
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: fail
- *                 message:
- *                   type: string
- *             examples:
- *               noToken:
- *                 summary: "Token ausente"
- *                 value:
- *                   status: fail
- *                   message: "No token provided"
- *               invalidToken:
- *                 summary: "Token inválido"
- *                 value:
- *                   status: fail
- *                   message: "Invalid token"
- *               expiredToken:
- *                 summary: "Token expirado"
- *                 value:
- *                   status: fail
- *                   message: "Token expired"
- *       500:
- *         description: "❌ Error interno del servidor"
+ *         description: "Datos del cupón inválidos"
+ *       403:
+ *         description: "Se requiere rol staff o admin"
+ *       409:
+ *         description: "Ya existe un cupón con ese código"
+ *
+ * /v2/coupons/{id}/deactivate:
+ *   post:
+ *     summary: "Desactivar un cupón (staff/admin)"
+ *     description: "Las órdenes que ya usaron el cupón conservan su descuento."
+ *     tags: ["Coupons"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Cupón desactivado"
+ *       404:
+ *         description: "Cupón no encontrado"
+ *       409:
+ *         description: "El cupón ya estaba desactivado"
+ */
+router.get('/coupons', authenticateJWT, canManageCatalog, couponController.list);
+router.post('/coupons', authenticateJWT, canManageCatalog, couponController.create);
+router.post('/coupons/:id/deactivate', authenticateJWT, canManageCatalog, couponController.deactivate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: "IVA"
+ *         country:
+ *           type: string
+ *           example: "VE"
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           description: "Región/estado; null aplica a todo el país"
+ *         category:
+ *           $ref: '#/components/schemas/Category'
+ *         rate:
+ *           type: number
+ *           example: 16
+ *         inclusive:
+ *           type: boolean
+ *           description: "true: el precio ya incluye el impuesto; false: se suma al precio"
+ *         active:
+ *           type: boolean
+ *
+ * /v2/tax-rules:
+ *   get:
+ *     summary: "Listar reglas de impuesto (admin)"
+ *     tags: ["Tax Rules"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Reglas ordenadas por país"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *   post:
+ *     summary: "Crear una regla de impuesto (admin)"
+ *     description: |
+ *       Cada item de una orden usa la regla activa más específica del país de facturación:
+ *       categoría + región > categoría > región > país. Sin regla el item no lleva impuesto.
+ *     tags: ["Tax Rules"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, country, rate]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "IVA"
+ *               country:
+ *                 type: string
+ *                 example: "VE"
+ *               region:
+ *                 type: string
+ *               categoryId:
+ *                 type: integer
+ *               rate:
+ *                 type: number
+ *                 example: 16
+ *               inclusive:
+ *                 type: boolean
+ *                 default: false
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: "Regla creada"
  *         content:
  *           application/json:
  *             schema:
@@ -1100,52 +3484,127 @@ router.get('/p/:composite', publicView);
  *               properties:
  *                 status:
  *                   type: string
- *                   example: error
- *                 message:
- *                   type: string
- *                 error:
- *                   type: string
- *             examples:
- *               paymentApiError:
- *                 summary: "Error comunicándose con API de pagos"
- *                 value:
- *                   status: error
- *                   message: "Error creando la orden"
- *                   error: "Error comunicándose con el servidor de pagos"
- *               databaseError:
- *                 summary: "Error de base de datos"
- *                 value:
- *                   status: error
- *                   message: "Error creando la orden"
- *                   error: "Database connection failed"
- *               timeoutError:
- *                 summary: "Timeout en API de pagos"
- *                 value:
- *                   status: error
- *                   message: "Error creando la orden"
- *                   error: "Payment API timeout after 15000ms"
- *   get:
- *     summary: "Obtener órdenes del usuario autenticado (con paginación)"
- *     tags: ["Admin - Orders"]
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/TaxRule'
+ *       400:
+ *         description: "Datos inválidos o categoría inexistente"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *
+ * /v2/tax-rules/{id}:
+ *   put:
+ *     summary: "Actualizar una regla de impuesto (admin)"
+ *     description: "Solo cambia los campos enviados. Las órdenes ya creadas conservan sus impuestos."
+ *     tags: ["Tax Rules"]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
+ *       - in: path
+ *         name: id
  *         schema:
  *           type: integer
- *           default: 1
- *         description: "Número de página (comienza en 1)"
- *       - in: query
- *         name: limit
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Regla actualizada"
+ *       400:
+ *         description: "Datos inválidos"
+ *       404:
+ *         description: "Regla no encontrada"
+ *   delete:
+ *     summary: "Eliminar una regla de impuesto (admin)"
+ *     tags: ["Tax Rules"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
  *         schema:
  *           type: integer
- *           default: 10
- *           maximum: 50
- *         description: "Elementos por página (máximo 50)"
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Regla eliminada"
+ *       404:
+ *         description: "Regla no encontrada"
+ */
+router.get('/tax-rules', authenticateJWT, authorizeRoles(ROLES.ADMIN), taxRuleController.list);
+router.post('/tax-rules', authenticateJWT, authorizeRoles(ROLES.ADMIN), taxRuleController.create);
+router.put('/tax-rules/:id', authenticateJWT, authorizeRoles(ROLES.ADMIN), taxRuleController.update);
+router.delete('/tax-rules/:id', authenticateJWT, authorizeRoles(ROLES.ADMIN), taxRuleController.delete);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         currency:
+ *           type: string
+ *           example: "VES"
+ *         rate:
+ *           type: number
+ *           example: 36.5
+ *           description: "Unidades de la moneda por 1 unidad de la moneda base"
+ *         source:
+ *           type: string
+ *           enum: [MANUAL, FILE]
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /v2/exchange-rates:
+ *   get:
+ *     summary: "Listar tipos de cambio vigentes"
+ *     description: "Los precios de los juegos están en la moneda base (BASE_CURRENCY, USD por defecto)."
+ *     tags: ["Exchange Rates"]
+ *     responses:
+ *       200:
+ *         description: "Moneda base y tipos de cambio"
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               data:
+ *                 baseCurrency: "USD"
+ *                 rates:
+ *                   - currency: "EUR"
+ *                     rate: 0.92
+ *                     source: "MANUAL"
+ *
+ * /v2/exchange-rates/{currency}:
+ *   put:
+ *     summary: "Crear o actualizar el tipo de cambio de una moneda (admin)"
+ *     description: "Las órdenes ya creadas conservan el tipo de cambio con el que se cobraron."
+ *     tags: ["Exchange Rates"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         required: true
+ *         example: "VES"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate]
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 example: 36.5
  *     responses:
  *       200:
- *         description: "Lista de órdenes del usuario autenticado"
+ *         description: "Tipo de cambio guardado"
  *         content:
  *           application/json:
  *             schema:
@@ -1155,111 +3614,240 @@ router.get('/p/:composite', publicView);
  *                   type: string
  *                   example: success
  *                 data:
- *                   type: object
- *                   properties:
- *                     items:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Order'
- *                     meta:
- *                       type: object
- *                       properties:
- *                         total:
- *                           type: integer
- *                           example: 5
- *                         page:
- *                           type: integer
- *                           example: 1
- *                         limit:
- *                           type: integer
- *                           example: 10
- *                         totalPages:
- *                           type: integer
- *                           example: 1
- *             examples:
- *               success:
- *                 summary: "Órdenes encontradas"
- *                 value:
- *                   status: success
- *                   data:
- *                     items:
- *                       - id: 1
- *                         status: COMPLETED
- *                         totalAmount: 119.98
- *                         currency: USD
- *                         createdAt: "2025-12-04T20:30:00Z"
- *                       - id: 2
- *                         status: COMPLETED
- *                         totalAmount: 59.99
- *                         currency: USD
- *                         createdAt: "2025-12-04T19:45:00Z"
- *                     meta:
- *                       total: 2
- *                       page: 1
- *                       limit: 10
- *                       totalPages: 1
- *               empty:
- *                 summary: "Sin órdenes"
- *                 value:
- *                   status: success
- *                   data:
- *                     items: []
- *                     meta:
- *                       total: 0
- *                       page: 1
- *                       limit: 10
- *                       totalPages: 0
- *       401:
- *         description: "❌ No autorizado - Token JWT inválido o ausente"
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: "Moneda o tipo inválido (la moneda base no tiene tipo de cambio)"
+ *       403:
+ *         description: "Se requiere rol admin"
+ *
+ * /v2/exchange-rates/import:
+ *   post:
+ *     summary: "Importar tipos de cambio desde un archivo (admin)"
+ *     description: |
+ *       El cuerpo es el contenido del archivo. Si alguna entrada es inválida no se importa ninguna.
+ *       También puede importarse desde la consola: npm run import-rates -- rates.json
+ *     tags: ["Exchange Rates"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             base: "USD"
+ *             rates:
+ *               EUR: 0.92
+ *               VES: 36.5
+ *         text/csv:
+ *           example: |
+ *             currency,rate
+ *             EUR,0.92
+ *             VES,36.5
+ *     responses:
+ *       200:
+ *         description: "Tipos de cambio importados"
+ *       400:
+ *         description: "Archivo inválido"
+ *       403:
+ *         description: "Se requiere rol admin"
+ */
+router.get('/exchange-rates', exchangeRateController.list);
+router.post('/exchange-rates/import', authenticateJWT, authorizeRoles(ROLES.ADMIN), express.text({ type: 'text/csv' }), exchangeRateController.import);
+router.put('/exchange-rates/:currency', authenticateJWT, authorizeRoles(ROLES.ADMIN), exchangeRateController.update);
+
+/**
+ * @swagger
+ * /v2/cart:
+ *   get:
+ *     summary: "Ver el carrito del usuario autenticado"
+ *     description: "Los precios y totales se calculan con el precio actual de cada juego (Game.price)."
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Carrito con totales"
  *         content:
  *           application/json:
- *             examples:
- *               noToken:
- *                 summary: "Token ausente"
- *                 value:
- *                   status: fail
- *                   message: "No token provided"
- *               invalidToken:
- *                 summary: "Token inválido"
- *                 value:
- *                   status: fail
- *                   message: "Invalid token"
- *       500:
- *         description: "❌ Error interno del servidor"
+ *             example:
+ *               status: success
+ *               data:
+ *                 id: 1
+ *                 items:
+ *                   - id: 3
+ *                     product:
+ *                       id: 1
+ *                       name: "God of War"
+ *                       price: 59.99
+ *                     quantity: 2
+ *                     unitPrice: 59.99
+ *                     subtotal: 119.98
+ *                 totalItems: 2
+ *                 totalAmount: 119.98
+ *       401:
+ *         description: "No autorizado"
+ *   delete:
+ *     summary: "Vaciar el carrito"
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Carrito vacío"
+ * /v2/cart/items:
+ *   post:
+ *     summary: "Agregar un juego al carrito"
+ *     description: "Si el juego ya está en el carrito, suma la cantidad."
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *                 example: 1
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: "Carrito actualizado"
+ *       400:
+ *         description: "Datos inválidos o stock insuficiente"
  *         content:
  *           application/json:
- *             examples:
- *               databaseError:
- *                 summary: "Error de base de datos"
- *                 value:
- *                   status: error
- *                   message: "Error obteniendo órdenes"
- *                   error: "Database connection failed"
- * /v2/orders/{id}:
- *   get:
- *     summary: "Obtener detalle de una orden específica"
- *     description: |
- *       Recupera los detalles completos de una orden incluyendo:
- *       - Información del usuario comprador
- *       - Estado de la orden (PENDING, COMPLETED, CANCELED, PAYMENT_FAILED)
- *       - Detalles de cada item con precio histórico (unitPrice)
- *       - Información de la transacción de pago (transactionId)
- *       - Timestamps de creación y actualización
- *       
- *       **Seguridad:** El usuario autenticado solo puede ver sus propias órdenes
- *     tags: ["Admin - Orders"]
+ *             example:
+ *               status: fail
+ *               message: "Stock insuficiente para God of War. Disponible: 1, Solicitado: 2"
+ *       404:
+ *         description: "Producto no encontrado"
+ * /v2/cart/items/{productId}:
+ *   put:
+ *     summary: "Cambiar la cantidad de un juego del carrito"
+ *     tags: ["Cart"]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: productId
  *         schema:
  *           type: integer
  *         required: true
- *         description: "ID de la orden"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 3
  *     responses:
  *       200:
- *         description: "Detalle completo de la orden"
+ *         description: "Carrito actualizado"
+ *       400:
+ *         description: "Cantidad inválida o stock insuficiente"
+ *       404:
+ *         description: "El juego no está en el carrito"
+ *   delete:
+ *     summary: "Quitar un juego del carrito"
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: "Carrito actualizado"
+ *       404:
+ *         description: "El juego no está en el carrito"
+ * /v2/cart/checkout:
+ *   post:
+ *     summary: "Comprar el contenido del carrito"
+ *     description: |
+ *       Crea una orden con pago usando los items del carrito (misma transacción atómica que POST /v2/orders).
+ *       Si el pago es exitoso el carrito se vacía; si falla, el carrito queda intacto.
+ *       Si antes se llamó a POST /v2/cart/reservation, la orden usa las unidades reservadas.
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: |
+ *           Clave única generada por el cliente para reintentar de forma segura.
+ *           Un reintento con la misma clave y el mismo cuerpo devuelve la respuesta original (header Idempotent-Replayed: true) sin volver a cobrar ni descontar stock.
+ *           La misma clave con otro cuerpo devuelve 422; si la primera solicitud sigue en proceso devuelve 409.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *               - cardNumber
+ *               - cvv
+ *               - expirationMonth
+ *               - expirationYear
+ *               - fullName
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 example: "CREDIT_CARD"
+ *               cardNumber:
+ *                 type: string
+ *                 example: "4111111111111111"
+ *               cvv:
+ *                 type: string
+ *                 example: "123"
+ *               expirationMonth:
+ *                 type: integer
+ *                 example: 12
+ *               expirationYear:
+ *                 type: integer
+ *                 example: 2025
+ *               fullName:
+ *                 type: string
+ *                 example: "John Doe"
+ *               billingCountry:
+ *                 type: string
+ *                 example: "VE"
+ *               billingRegion:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 example: "VERANO10"
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
+ *               description:
+ *                 type: string
+ *                 example: "Compra desde el carrito"
+ *     responses:
+ *       201:
+ *         description: "Orden creada y carrito vaciado"
  *         content:
  *           application/json:
  *             schema:
@@ -1268,47 +3856,65 @@ router.get('/p/:composite', publicView);
  *                 status:
  *                   type: string
  *                   example: success
+ *                 message:
+ *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: "❌ ID de orden inválido (no es un número)"
+ *         description: "Carrito vacío, datos de pago incompletos, stock insuficiente o pago rechazado"
  *         content:
  *           application/json:
- *             examples:
- *               invalidId:
- *                 summary: "ID no es número"
- *                 value:
- *                   status: fail
- *                   message: "Invalid product id"
- *       404:
- *         description: "❌ Orden no encontrada"
+ *             example:
+ *               status: fail
+ *               message: "El carrito está vacío"
+ * /v2/cart/reservation:
+ *   post:
+ *     summary: "Iniciar el checkout reservando el stock del carrito"
+ *     description: |
+ *       Reserva las unidades del carrito por INVENTORY_RESERVATION_MINUTES minutos (15 por defecto).
+ *       Mientras dure la reserva esas unidades no están disponibles para otros usuarios
+ *       (GET /v2/games expone available = stock - reservado). Llamarlo de nuevo renueva la reserva.
+ *       La reserva se consume con POST /v2/cart/checkout y se libera al vencer, al cancelarla o al vaciar el carrito.
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: "Unidades reservadas"
  *         content:
  *           application/json:
- *             examples:
- *               notFound:
- *                 summary: "Orden no existe"
- *                 value:
- *                   status: fail
- *                   message: "Order not found"
- *       401:
- *         description: "❌ No autorizado - Token JWT inválido o ausente"
+ *             example:
+ *               status: success
+ *               data:
+ *                 items:
+ *                   - productId: 1
+ *                     quantity: 2
+ *                 expiresAt: "2025-01-01T12:15:00.000Z"
+ *       400:
+ *         description: "Carrito vacío o stock disponible insuficiente"
+ *   delete:
+ *     summary: "Cancelar el checkout y liberar la reserva del carrito"
+ *     tags: ["Cart"]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "Reserva liberada"
  *         content:
  *           application/json:
- *             examples:
- *               noToken:
- *                 summary: "Token ausente"
- *                 value:
- *                   status: fail
- *                   message: "No token provided"
- *               invalidToken:
- *                 summary: "Token inválido"
- *                 value:
- *                   status: fail
- *                   message: "Invalid token"
+ *             example:
+ *               status: success
+ *               data:
+ *                 released: 1
  */
-// Order routes (protected)
-router.post('/orders', authenticateJWT, createOrder);
-router.get('/orders', authenticateJWT, listOrders);
-router.get('/orders/:id', authenticateJWT, getOrderById);
+// Cart routes (protected)
+router.get('/cart', authenticateJWT, cartController.view);
+router.delete('/cart', authenticateJWT, cartController.clear);
+router.post('/cart/items', authenticateJWT, cartController.addItem);
+router.put('/cart/items/:productId', authenticateJWT, cartController.updateItem);
+router.delete('/cart/items/:productId', authenticateJWT, cartController.removeItem);
+router.post('/cart/reservation', authenticateJWT, cartController.reserve);
+router.delete('/cart/reservation', authenticateJWT, cartController.releaseReservation);
+router.post('/cart/checkout', authenticateJWT, idempotent(), cartController.checkout);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+// Importa tipos de cambio desde un archivo .json o .csv (ver services/ExchangeRateService.js)
+// Uso: node scripts/importExchangeRates.js rates.json
+const { AppDataSource } = require('../config/databaseConfig');
+const exchangeRateService = require('../services/ExchangeRateService');
+
+(async () => {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Uso: node scripts/importExchangeRates.js <archivo.json|archivo.csv>');
+    process.exit(1);
+  }
+
+  await AppDataSource.initialize();
+  const rates = await exchangeRateService.importFile(filePath);
+  await AppDataSource.destroy();
+
+  for (const r of rates) {
+    console.log(`1 ${exchangeRateService.baseCurrency()} = ${r.rate} ${r.currency}`);
+  }
+  console.log(`${rates.length} tipos de cambio importados`);
+})().catch(err => {
+  console.error('Error importando tipos de cambio:', err.message);
+  process.exit(1);
+});
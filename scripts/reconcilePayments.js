@@ -0,0 +1,28 @@
+// Concilia las órdenes locales con el proveedor de pagos y escribe el reporte en reports/
+// Uso: node scripts/reconcilePayments.js [transactionId ...]
+// Los transactionIds opcionales (ej. del extracto del proveedor) permiten detectar cobros sin orden
+const { AppDataSource } = require('../config/databaseConfig');
+const reconciliationService = require('../services/ReconciliationService');
+
+(async () => {
+  const transactionIds = process.argv.slice(2);
+
+  await AppDataSource.initialize();
+  const report = await reconciliationService.reconcile({ transactionIds });
+  await AppDataSource.destroy();
+
+  console.log(`Órdenes revisadas: ${report.checkedOrders}, transacciones adicionales: ${report.checkedTransactions}`);
+  for (const m of report.mismatches) {
+    console.log(`[${m.type}] orden ${m.orderId ?? '-'} / ${m.transactionId}: ${m.detail}`);
+  }
+  for (const e of report.errors) {
+    console.log(`[ERROR] orden ${e.orderId ?? '-'} / ${e.transactionId}: ${e.message}`);
+  }
+  console.log(`Reporte: ${report.reportPath}`);
+
+  // Código de salida distinto de 0 si hay diferencias, útil para tareas programadas
+  process.exit(report.mismatches.length > 0 || report.errors.length > 0 ? 2 : 0);
+})().catch(err => {
+  console.error('Error en la conciliación de pagos:', err);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Asigna un rol a un usuario existente (útil para crear el primer admin)
+// Uso: node scripts/setRole.js <email> <customer|staff|admin>
+const { AppDataSource } = require('../config/databaseConfig');
+const Usuario = require('../models/usuario');
+const { ROLES } = require('../middlewares/authorize');
+
+(async () => {
+  const [email, role] = process.argv.slice(2);
+  const validRoles = Object.values(ROLES);
+
+  if (!email || !validRoles.includes(role)) {
+    console.error(`Uso: node scripts/setRole.js <email> <${validRoles.join('|')}>`);
+    process.exit(1);
+  }
+
+  await AppDataSource.initialize();
+  const repo = AppDataSource.getRepository(Usuario);
+  const usuario = await repo.findOneBy({ email });
+
+  if (!usuario) {
+    console.error(`Usuario no encontrado: ${email}`);
+    await AppDataSource.destroy();
+    process.exit(1);
+  }
+
+  usuario.role = role;
+  await repo.save(usuario);
+  console.log(`Rol de ${email} actualizado a ${role}`);
+  await AppDataSource.destroy();
+})().catch(err => {
+  console.error('Error al asignar el rol:', err);
+  process.exit(1);
+});
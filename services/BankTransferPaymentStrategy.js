@@ -0,0 +1,18 @@
+const ManualPaymentStrategy = require('./ManualPaymentStrategy');
+
+/**
+ * BankTransferPaymentStrategy
+ * Transferencia bancaria en VES, confirmada manualmente con la referencia reportada
+ */
+class BankTransferPaymentStrategy extends ManualPaymentStrategy {
+  constructor() {
+    super();
+    this.label = 'Transferencia bancaria';
+    this.fieldFormats = {
+      ...this.fieldFormats,
+      bankCode: [/^\d{4}$/, 'código de banco de 4 dígitos, ej. 0102'],
+    };
+  }
+}
+
+module.exports = BankTransferPaymentStrategy;
@@ -0,0 +1,154 @@
+const { In } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const BundleComponent = require('../models/BundleComponent');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+
+/**
+ * BundleService
+ * Bundles: un Game con bundle = true que se vende a su propio precio y agrupa otros juegos.
+ * No tiene stock propio: cada bundle vendido descuenta sus componentes, y su disponibilidad es
+ * la menor cantidad de bundles que alcanzan a armarse con el disponible de cada componente.
+ * Los componentes deben ser juegos físicos (ni bundles ni digitales).
+ */
+class BundleService {
+  constructor() {
+    this.componentRepo = AppDataSource.getRepository(BundleComponent);
+  }
+
+  /**
+   * Componentes de varios bundles
+   * @param {EntityManager} manager
+   * @param {number[]} bundleIds
+   * @returns {Promise<Map<number, Array>>} bundleId -> [BundleComponent con component]
+   */
+  async componentsOf(manager, bundleIds) {
+    const components = new Map();
+    if (bundleIds.length === 0) return components;
+
+    const rows = await manager.find(BundleComponent, {
+      where: { bundle: { id: In(bundleIds) } },
+      relations: ['bundle', 'component'],
+      order: { id: 'ASC' },
+    });
+    for (const row of rows) {
+      const list = components.get(row.bundle.id) || [];
+      list.push(row);
+      components.set(row.bundle.id, list);
+    }
+    return components;
+  }
+
+  /**
+   * Bundles que se pueden armar según el disponible de cada componente
+   * @param {Array} components - [BundleComponent con component]
+   * @param {Function} availableOf - component -> unidades disponibles
+   */
+  units(components, availableOf) {
+    if (components.length === 0) return 0;
+    return Math.min(...components.map(c => Math.floor(availableOf(c.component) / c.quantity)));
+  }
+
+  /**
+   * Reemplaza los bundles por las unidades de sus componentes (agrupadas por juego)
+   * @param {EntityManager} manager
+   * @param {Array} items - [{ product, quantity }]
+   * @returns {Promise<Array>} [{ product, quantity }] solo con juegos que tienen stock propio
+   */
+  async expand(manager, items) {
+    const components = await this.componentsOf(manager, items.filter(i => i.product.bundle).map(i => i.product.id));
+    const units = new Map();
+    const add = (product, quantity) => {
+      const current = units.get(product.id);
+      units.set(product.id, { product, quantity: (current ? current.quantity : 0) + quantity });
+    };
+
+    for (const item of items) {
+      if (item.product.bundle) {
+        (components.get(item.product.id) || []).forEach(c => add(c.component, c.quantity * item.quantity));
+      } else {
+        add(item.product, item.quantity);
+      }
+    }
+    return [...units.values()];
+  }
+
+  /**
+   * IDs con stock propio detrás de los productos indicados (los bundles se cambian por sus componentes)
+   */
+  async stockProductIds(manager, productIds) {
+    const products = await manager.find(Game, { where: { id: In(productIds) } });
+    const units = await this.expand(manager, products.map(product => ({ product, quantity: 1 })));
+    return units.map(unit => unit.product.id);
+  }
+
+  /**
+   * Componentes de un bundle al momento de la compra, para guardarlos en el OrderItem
+   * @returns {Promise<Array|null>} [{ productId, name, quantity }] o null si no es un bundle
+   */
+  async snapshot(manager, product) {
+    if (!product.bundle) return null;
+    const components = (await this.componentsOf(manager, [product.id])).get(product.id) || [];
+    return components.map(c => ({ productId: c.component.id, name: c.component.name, quantity: c.quantity }));
+  }
+
+  /**
+   * Valida los componentes recibidos al crear o editar un bundle
+   * @param {Array} input - [{ productId, quantity }]
+   * @param {number|null} bundleId - El bundle no puede incluirse a sí mismo
+   * @returns {Promise<Array>} [{ component: Game, quantity }]
+   */
+  async resolveComponents(input, bundleId = null) {
+    if (!Array.isArray(input) || input.length === 0) {
+      throw new HttpError(400, 'Un bundle requiere components: [{ productId, quantity }]');
+    }
+
+    const quantities = new Map();
+    for (const { productId, quantity = 1 } of input) {
+      const id = Number(productId);
+      const qty = Number(quantity);
+      if (!Number.isInteger(id) || id <= 0 || !Number.isInteger(qty) || qty < 1) {
+        throw new HttpError(400, 'Cada componente requiere productId y quantity enteros positivos');
+      }
+      if (id === bundleId) {
+        throw new HttpError(400, 'Un bundle no puede incluirse a sí mismo');
+      }
+      quantities.set(id, (quantities.get(id) || 0) + qty);
+    }
+
+    const games = await AppDataSource.manager.find(Game, { where: { id: In([...quantities.keys()]) } });
+    return [...quantities.entries()].map(([id, quantity]) => {
+      const component = games.find(game => game.id === id);
+      if (!component) {
+        throw new HttpError(404, `Producto ${id} no encontrado`);
+      }
+      if (component.bundle || component.digital) {
+        throw new HttpError(400, `${component.name} no puede ser parte de un bundle (solo juegos físicos)`);
+      }
+      return { component, quantity };
+    });
+  }
+
+  /**
+   * Guarda los componentes de un bundle (reemplaza los anteriores)
+   * @param {number} bundleId
+   * @param {Array} components - Resultado de resolveComponents
+   */
+  async setComponents(bundleId, components) {
+    return AppDataSource.transaction(async (manager) => {
+      const previous = await manager.find(BundleComponent, { where: { bundle: { id: bundleId } } });
+      await manager.remove(BundleComponent, previous);
+      await manager.save(BundleComponent, components.map(({ component, quantity }) =>
+        manager.create(BundleComponent, { bundle: { id: bundleId }, component: { id: component.id }, quantity })));
+    });
+  }
+
+  /**
+   * Indica si el juego forma parte de algún bundle
+   */
+  async isComponent(productId) {
+    return (await this.componentRepo.count({ where: { component: { id: productId } } })) > 0;
+  }
+}
+
+module.exports = new BundleService();
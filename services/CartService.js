@@ -0,0 +1,203 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const Cart = require('../models/Cart');
+const CartItem = require('../models/CartItem');
+const Game = require('../models/Product');
+const orderService = require('./OrderService');
+const inventoryService = require('./InventoryService');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+
+/**
+ * CartService
+ * Maneja el carrito persistente de cada usuario y su checkout.
+ * Los totales siempre se calculan con el precio vigente de cada Game.
+ */
+class CartService {
+  constructor() {
+    this.cartRepo = AppDataSource.getRepository(Cart);
+    this.cartItemRepo = AppDataSource.getRepository(CartItem);
+    this.productRepo = AppDataSource.getRepository(Game);
+  }
+
+  /**
+   * Obtiene el carrito del usuario (lo crea vacío si no existe)
+   * @param {number} userId
+   * @returns {Promise<Object>} Entidad Cart con items
+   */
+  async getOrCreateCart(userId) {
+    let cart = await this.cartRepo.findOne({ where: { user: { id: userId } } });
+    if (!cart) {
+      cart = await this.cartRepo.save(this.cartRepo.create({ user: { id: userId }, items: [] }));
+    }
+    return cart;
+  }
+
+  /**
+   * Devuelve el carrito con totales calculados
+   * @param {number} userId
+   * @returns {Promise<Object>} { id, items, totalItems, totalAmount }
+   */
+  async getCart(userId) {
+    const cart = await this.getOrCreateCart(userId);
+    return this.summarize(cart);
+  }
+
+  /**
+   * Agrega unidades de un producto (suma a la cantidad existente)
+   * @param {number} userId
+   * @param {number} productId
+   * @param {number} quantity
+   */
+  async addItem(userId, productId, quantity = 1) {
+    this.assertQuantity(quantity);
+    const product = await this.findProduct(productId);
+    const cart = await this.getOrCreateCart(userId);
+
+    const existing = cart.items.find(i => i.product.id === product.id);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    await inventoryService.assertAvailable(AppDataSource.manager, product, newQuantity, userId);
+
+    if (existing) {
+      existing.quantity = newQuantity;
+      await this.cartItemRepo.save(existing);
+    } else {
+      await this.cartItemRepo.save(this.cartItemRepo.create({ cart: { id: cart.id }, product, quantity }));
+    }
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * Cambia la cantidad de un producto que ya está en el carrito
+   * @param {number} userId
+   * @param {number} productId
+   * @param {number} quantity
+   */
+  async updateItem(userId, productId, quantity) {
+    this.assertQuantity(quantity);
+    const cart = await this.getOrCreateCart(userId);
+    const item = this.findItem(cart, productId);
+
+    const product = await this.findProduct(productId);
+    await inventoryService.assertAvailable(AppDataSource.manager, product, quantity, userId);
+
+    item.quantity = quantity;
+    await this.cartItemRepo.save(item);
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * Quita un producto del carrito
+   * @param {number} userId
+   * @param {number} productId
+   */
+  async removeItem(userId, productId) {
+    const cart = await this.getOrCreateCart(userId);
+    const item = this.findItem(cart, productId);
+    await this.cartItemRepo.remove(item);
+    await inventoryService.releaseCart(userId, 'Producto quitado del carrito', AppDataSource.manager, [productId]);
+
+    return this.getCart(userId);
+  }
+
+  /**
+   * Vacía el carrito
+   * @param {number} userId
+   */
+  async clear(userId) {
+    const cart = await this.getOrCreateCart(userId);
+    if (cart.items.length > 0) {
+      await this.cartItemRepo.remove(cart.items);
+    }
+    await inventoryService.releaseCart(userId, 'Carrito vaciado');
+    return this.getCart(userId);
+  }
+
+  /**
+   * Inicia el checkout: reserva las unidades del carrito por unos minutos
+   * (INVENTORY_RESERVATION_MINUTES) para que nadie más las compre mientras se paga
+   * @param {number} userId
+   * @returns {Promise<Object>} { items, expiresAt }
+   */
+  async reserve(userId) {
+    const cart = await this.getOrCreateCart(userId);
+    if (cart.items.length === 0) {
+      throw new HttpError(400, 'El carrito está vacío');
+    }
+    const items = cart.items.map(i => ({ productId: i.product.id, quantity: i.quantity }));
+    return inventoryService.reserveCart(userId, items);
+  }
+
+  /**
+   * Cancela el checkout y libera la reserva del carrito
+   * @param {number} userId
+   * @returns {Promise<number>} Reservas liberadas
+   */
+  async releaseReservation(userId) {
+    return inventoryService.releaseCart(userId, 'Checkout cancelado');
+  }
+
+  /**
+   * Convierte el carrito en una orden pagada y lo vacía si el pago fue exitoso
+   * @param {number} userId
+   * @param {Object} paymentData - Mismos datos de pago que POST /orders
+   * @returns {Promise<Object>} Orden creada
+   */
+  async checkout(userId, paymentData) {
+    const cart = await this.getOrCreateCart(userId);
+    if (cart.items.length === 0) {
+      throw new HttpError(400, 'El carrito está vacío');
+    }
+
+    const items = cart.items.map(i => ({ productId: i.product.id, quantity: i.quantity }));
+    const order = await orderService.createOrderWithPayment(userId, items, paymentData);
+
+    await this.cartItemRepo.remove(cart.items);
+    return order;
+  }
+
+  summarize(cart) {
+    const items = cart.items
+      .slice()
+      .sort((a, b) => a.id - b.id)
+      .map(i => ({
+        id: i.id,
+        product: i.product,
+        quantity: i.quantity,
+        unitPrice: i.product.price,
+        subtotal: Money.of(i.product.price).multiply(i.quantity).toMajor(),
+      }));
+
+    return {
+      id: cart.id,
+      items,
+      totalItems: items.reduce((sum, i) => sum + i.quantity, 0),
+      totalAmount: Money.sum(items.map(i => i.subtotal)).toMajor(),
+    };
+  }
+
+  async findProduct(productId) {
+    const product = await this.productRepo.findOne({ where: { id: productId } });
+    if (!product) {
+      throw new HttpError(404, `Producto ${productId} no encontrado`);
+    }
+    return product;
+  }
+
+  findItem(cart, productId) {
+    const item = cart.items.find(i => i.product.id === productId);
+    if (!item) {
+      throw new HttpError(404, `El producto ${productId} no está en el carrito`);
+    }
+    return item;
+  }
+
+  assertQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new HttpError(400, 'quantity debe ser un entero mayor o igual a 1');
+    }
+  }
+}
+
+module.exports = new CartService();
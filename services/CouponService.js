@@ -0,0 +1,211 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+const promotionEngine = require('./PromotionEngine');
+const { COUPON_TYPES, COUPON_SCOPES } = require('./PromotionEngine');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const optionalPositiveInt = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, `${field} debe ser un entero mayor a 0`);
+  }
+  return number;
+};
+
+const optionalDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${field} debe ser una fecha válida`);
+  }
+  return date;
+};
+
+/**
+ * CouponService
+ * Alta y baja de cupones, validación al momento de la compra y registro de sus usos.
+ * validateForOrder() y redeem() reciben el EntityManager de la transacción de la orden,
+ * así los límites de uso se verifican y actualizan junto con la orden.
+ */
+class CouponService {
+  constructor() {
+    this.couponRepo = AppDataSource.getRepository(Coupon);
+  }
+
+  /**
+   * Crea un cupón
+   * @param {Object} data - { code, description, type, value, buyQuantity, getQuantity, currency,
+   *   scope, scopeIds, startsAt, endsAt, maxUses, maxUsesPerUser }
+   * @returns {Promise<Object>} Cupón creado
+   */
+  async create(data) {
+    const code = normalizeCode(data.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      throw new HttpError(400, 'code debe tener entre 3 y 32 caracteres (letras, números, - o _)');
+    }
+
+    const type = String(data.type || '').toUpperCase();
+    if (!Object.values(COUPON_TYPES).includes(type)) {
+      throw new HttpError(400, `type debe ser uno de: ${Object.values(COUPON_TYPES).join(', ')}`);
+    }
+
+    let value = Number(data.value);
+    let buyQuantity = null;
+    let getQuantity = null;
+    let currency = null;
+
+    if (type === COUPON_TYPES.BUY_X_GET_Y) {
+      buyQuantity = optionalPositiveInt(data.buyQuantity, 'buyQuantity');
+      getQuantity = optionalPositiveInt(data.getQuantity, 'getQuantity');
+      if (!buyQuantity || !getQuantity) {
+        throw new HttpError(400, 'buyQuantity y getQuantity son requeridos para BUY_X_GET_Y');
+      }
+      // Por defecto las unidades de regalo son gratis
+      if (data.value === undefined || data.value === null) value = 100;
+    }
+
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new HttpError(400, 'value debe ser un número mayor a 0');
+    }
+    if (type !== COUPON_TYPES.FIXED_AMOUNT && value > 100) {
+      throw new HttpError(400, 'value es un porcentaje y no puede ser mayor a 100');
+    }
+
+    if (type === COUPON_TYPES.FIXED_AMOUNT) {
+      currency = String(data.currency || 'USD').toUpperCase();
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        throw new HttpError(400, 'currency debe ser un código de 3 letras (ej. USD)');
+      }
+    }
+
+    const scope = String(data.scope || COUPON_SCOPES.ORDER).toUpperCase();
+    if (!Object.values(COUPON_SCOPES).includes(scope)) {
+      throw new HttpError(400, `scope debe ser uno de: ${Object.values(COUPON_SCOPES).join(', ')}`);
+    }
+    let scopeIds = null;
+    if (scope !== COUPON_SCOPES.ORDER) {
+      if (!Array.isArray(data.scopeIds) || data.scopeIds.length === 0) {
+        throw new HttpError(400, `scopeIds debe ser un array no vacío de IDs para el alcance ${scope}`);
+      }
+      scopeIds = data.scopeIds.map(id => optionalPositiveInt(id, 'scopeIds'));
+    }
+
+    const startsAt = optionalDate(data.startsAt, 'startsAt');
+    const endsAt = optionalDate(data.endsAt, 'endsAt');
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      throw new HttpError(400, 'endsAt debe ser posterior a startsAt');
+    }
+
+    const existing = await this.couponRepo.findOneBy({ code });
+    if (existing) {
+      throw new HttpError(409, `Ya existe un cupón con el código ${code}`);
+    }
+
+    return this.couponRepo.save(this.couponRepo.create({
+      code,
+      description: data.description || null,
+      type,
+      // Los porcentajes se guardan tal cual; los montos fijos, al centavo
+      value: type === COUPON_TYPES.FIXED_AMOUNT ? Money.of(value).toMajor() : value,
+      buyQuantity,
+      getQuantity,
+      currency,
+      scope,
+      scopeIds,
+      startsAt,
+      endsAt,
+      maxUses: optionalPositiveInt(data.maxUses, 'maxUses'),
+      maxUsesPerUser: optionalPositiveInt(data.maxUsesPerUser, 'maxUsesPerUser'),
+    }));
+  }
+
+  /**
+   * Lista los cupones (más recientes primero)
+   */
+  async list() {
+    return this.couponRepo.find({ order: { createdAt: 'DESC' } });
+  }
+
+  /**
+   * Desactiva un cupón; las órdenes que ya lo usaron conservan su descuento
+   * @param {number} id
+   */
+  async deactivate(id) {
+    const coupon = await this.couponRepo.findOneBy({ id });
+    if (!coupon) {
+      throw new HttpError(404, 'Cupón no encontrado');
+    }
+    if (!coupon.active) {
+      throw new HttpError(409, 'El cupón ya está desactivado');
+    }
+    coupon.active = false;
+    return this.couponRepo.save(coupon);
+  }
+
+  /**
+   * Verifica que el cupón pueda usarse en una orden y calcula su descuento
+   * @param {EntityManager} manager - Manager de la transacción
+   * @param {string} code - Código ingresado
+   * @param {number} userId - Comprador
+   * @param {Array} lines - Líneas de la orden [{ product, quantity, unitPrice, subtotal }] con montos Money
+   * @param {string} currency - Moneda de la orden
+   * @returns {Promise<Object>} { coupon, discountAmount, lineDiscounts, description }
+   */
+  async validateForOrder(manager, code, userId, lines, currency) {
+    const coupon = await manager.findOne(Coupon, { where: { code: normalizeCode(code) } });
+    const now = new Date();
+
+    if (!coupon || !coupon.active) {
+      throw new HttpError(400, 'Cupón no válido');
+    }
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+      throw new HttpError(400, 'El cupón aún no está vigente');
+    }
+    if (coupon.endsAt && new Date(coupon.endsAt) <= now) {
+      throw new HttpError(400, 'El cupón está vencido');
+    }
+    if (coupon.maxUses !== null && coupon.timesUsed >= coupon.maxUses) {
+      throw new HttpError(400, 'El cupón alcanzó su límite de usos');
+    }
+    if (coupon.maxUsesPerUser !== null) {
+      const used = await manager.count(CouponRedemption, {
+        where: { coupon: { id: coupon.id }, user: { id: userId } },
+      });
+      if (used >= coupon.maxUsesPerUser) {
+        throw new HttpError(400, 'Ya usaste este cupón el máximo de veces permitido');
+      }
+    }
+    if (coupon.type === COUPON_TYPES.FIXED_AMOUNT && coupon.currency !== String(currency).toUpperCase()) {
+      throw new HttpError(400, `El cupón es en ${coupon.currency} y la orden en ${currency}`);
+    }
+
+    const result = promotionEngine.apply(coupon, lines, currency);
+    if (!result.discountAmount.isPositive()) {
+      throw new HttpError(400, 'El cupón no aplica a los productos de la orden');
+    }
+    return { coupon, ...result };
+  }
+
+  /**
+   * Registra el uso de un cupón en una orden ya creada
+   * @param {EntityManager} manager - Manager de la transacción
+   * @param {Money} discountAmount - Descuento aplicado
+   */
+  async redeem(manager, coupon, user, order, discountAmount) {
+    coupon.timesUsed += 1;
+    await manager.save(Coupon, coupon);
+    await manager.save(CouponRedemption, manager.create(CouponRedemption, {
+      coupon,
+      user,
+      order,
+      discountAmount,
+    }));
+  }
+}
+
+module.exports = new CouponService();
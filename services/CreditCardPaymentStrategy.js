@@ -1,5 +1,6 @@
 const PaymentStrategy = require('./PaymentStrategy');
 const axios = require('axios');
+const HttpError = require('../utils/HttpError');
 
 /**
  * CreditCardPaymentStrategy
@@ -120,6 +121,99 @@ class CreditCardPaymentStrategy extends PaymentStrategy {
       throw new Error(`Payment processing failed: ${errorMessage}`);
     }
   }
+
+  /**
+   * Reembolsa total o parcialmente un pago con tarjeta
+   * @param {string} transactionId - ID de la transacción original
+   * @param {number} amount - Monto a reembolsar
+   * @param {string} currency - Moneda (USD, EUR, etc.)
+   * @param {string} reason - Motivo del reembolso
+   * @returns {Promise<Object>} { success, refundId, message }
+   */
+  async refund(transactionId, amount, currency, reason) {
+    if (!transactionId) {
+      throw new HttpError(502, 'Refund failed: la orden no tiene transactionId');
+    }
+
+    try {
+      const token = await this.getPaymentApiToken();
+
+      const response = await axios.post(
+        `${this.apiUrl}/payments/${encodeURIComponent(transactionId)}/refunds`,
+        {
+          amount: parseFloat(amount),
+          currency: currency.toUpperCase(),
+          reason: reason || null,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          validateStatus: (status) => status < 500,
+        }
+      );
+
+      if (response.status >= 400 || (response.data && response.data.success === false)) {
+        throw new Error((response.data && response.data.message) || `status ${response.status}`);
+      }
+
+      const data = response.data || {};
+      return {
+        success: true,
+        refundId: data.data?.refund_id || data.refund_id || null,
+        message: 'Refund processed successfully',
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new HttpError(502, `Refund failed: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Consulta el estado de una transacción en la API de pagos
+   * @param {string} transactionId - ID de la transacción
+   * @returns {Promise<Object>} { found, transactionId, status, amount, refundedAmount, currency }
+   */
+  async getTransactionStatus(transactionId) {
+    if (!transactionId) {
+      throw new Error('Transaction lookup failed: transactionId es requerido');
+    }
+
+    try {
+      const token = await this.getPaymentApiToken();
+
+      const response = await axios.get(
+        `${this.apiUrl}/payments/${encodeURIComponent(transactionId)}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          validateStatus: (status) => status < 500,
+        }
+      );
+
+      // La transacción no existe en el proveedor
+      if (response.status === 404) {
+        return { found: false, transactionId, status: null, amount: null, refundedAmount: null, currency: null };
+      }
+
+      if (response.status >= 400 || (response.data && response.data.success === false)) {
+        throw new Error((response.data && response.data.message) || `status ${response.status}`);
+      }
+
+      const data = response.data?.data || response.data || {};
+      return {
+        found: true,
+        transactionId: data.transaction_id || transactionId,
+        status: data.status ? String(data.status).toUpperCase() : null,
+        amount: data.amount !== undefined ? Number(data.amount) : null,
+        refundedAmount: Number(data.refunded_amount || 0),
+        currency: data.currency || null,
+      };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      throw new Error(`Transaction lookup failed: ${errorMessage}`);
+    }
+  }
 }
 
 module.exports = CreditCardPaymentStrategy;
@@ -0,0 +1,247 @@
+const { In } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const DigitalKey = require('../models/DigitalKey');
+const DigitalKeyReveal = require('../models/DigitalKeyReveal');
+const Order = require('../models/Order');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const stockMovementService = require('./StockMovementService');
+const { MOVEMENT_TYPES } = require('./StockMovementService');
+const { ORDER_STATUS, normalizeStatus } = require('./OrderStateMachine');
+
+const KEY_STATUS = Object.freeze({
+  AVAILABLE: 'AVAILABLE',
+  ASSIGNED: 'ASSIGNED',
+  REVOKED: 'REVOKED',
+});
+
+// Máximo de claves por carga
+const MAX_UPLOAD = 1000;
+
+// Estados de la orden en los que el comprador puede ver sus claves
+const REVEALABLE_STATUSES = [ORDER_STATUS.PAID, ORDER_STATUS.FULFILLED, ORDER_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * DigitalKeyService
+ * Inventario de claves de juegos digitales. El stock de un juego digital se mantiene igual a
+ * sus claves AVAILABLE (syncStock registra la diferencia en el libro de movimientos).
+ * Los métodos que reciben un EntityManager participan de la transacción de la orden.
+ */
+class DigitalKeyService {
+  constructor() {
+    this.keyRepo = AppDataSource.getRepository(DigitalKey);
+  }
+
+  /**
+   * Carga masiva de claves (admin). Ignora las repetidas y las que ya existen.
+   * @param {number} productId
+   * @param {string[]|string} input - Array de códigos o texto con un código por línea
+   * @param {Object} actor - Usuario que carga
+   * @returns {Promise<Object>} { added, duplicates, summary }
+   */
+  async upload(productId, input, actor) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(/\r?\n/);
+    const codes = raw.map(code => String(code).trim()).filter(Boolean);
+    if (codes.length === 0) {
+      throw new HttpError(400, 'Se requiere al menos una clave (codes: [...] o texto con una clave por línea)');
+    }
+    if (codes.length > MAX_UPLOAD) {
+      throw new HttpError(400, `Máximo ${MAX_UPLOAD} claves por carga`);
+    }
+
+    return AppDataSource.transaction(async (manager) => {
+      const product = await manager.findOne(Game, { where: { id: productId } });
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+      if (!product.digital) {
+        throw new HttpError(400, `${product.name} no es un juego digital`);
+      }
+
+      const existing = await manager.find(DigitalKey, { where: { code: In(codes) }, select: ['id', 'code'] });
+      const seen = new Set(existing.map(key => key.code));
+      const duplicates = [];
+      const fresh = [];
+      for (const code of codes) {
+        if (seen.has(code)) {
+          duplicates.push(code);
+        } else {
+          seen.add(code);
+          fresh.push(manager.create(DigitalKey, { code, product: { id: productId } }));
+        }
+      }
+
+      await manager.save(DigitalKey, fresh);
+      await this.syncStock(manager, productId, { type: MOVEMENT_TYPES.RESTOCK, reason: 'KEY_UPLOAD', user: actor });
+
+      return { added: fresh.length, duplicates, summary: await this.summary(productId, manager) };
+    });
+  }
+
+  /**
+   * Cantidad de claves por estado (nunca expone los códigos)
+   */
+  async summary(productId, manager = AppDataSource.manager) {
+    const product = await manager.findOne(Game, { where: { id: productId } });
+    if (!product) {
+      throw new HttpError(404, 'Product not found');
+    }
+
+    const counts = { [KEY_STATUS.AVAILABLE]: 0, [KEY_STATUS.ASSIGNED]: 0, [KEY_STATUS.REVOKED]: 0 };
+    const keys = await manager.find(DigitalKey, { where: { product: { id: productId } }, select: ['id', 'status'] });
+    keys.forEach(key => { counts[key.status] += 1; });
+    return { productId, digital: product.digital, stock: product.stock, keys: counts };
+  }
+
+  /**
+   * Ajusta Game.stock a la cantidad de claves disponibles
+   * @param {EntityManager} manager
+   * @param {number} productId
+   * @param {Object} movement - { type, reason, user } del movimiento que registra la diferencia
+   */
+  async syncStock(manager, productId, movement) {
+    const product = await manager.findOne(Game, { where: { id: productId } });
+    const available = await manager.count(DigitalKey, {
+      where: { product: { id: productId }, status: KEY_STATUS.AVAILABLE },
+    });
+    if (product && available !== product.stock) {
+      await stockMovementService.changeStock(manager, productId, available - product.stock, movement);
+    }
+  }
+
+  /**
+   * Lanza 409 si no hay claves disponibles para todos los items digitales de la orden.
+   * Se usa antes de cobrar, así un faltante de claves no deja un cobro sin orden.
+   * @param {EntityManager} manager
+   * @param {Object} order - Orden con items e items.product
+   */
+  async assertAssignable(manager, order) {
+    const needed = new Map();
+    for (const item of order.items.filter(i => i.product.digital)) {
+      const assigned = await manager.count(DigitalKey, { where: { orderItem: { id: item.id }, status: KEY_STATUS.ASSIGNED } });
+      const current = needed.get(item.product.id) || { product: item.product, quantity: 0 };
+      current.quantity += item.quantity - (item.refundedQuantity || 0) - assigned;
+      needed.set(item.product.id, current);
+    }
+
+    for (const { product, quantity } of needed.values()) {
+      const available = await manager.count(DigitalKey, { where: { product: { id: product.id }, status: KEY_STATUS.AVAILABLE } });
+      if (available < quantity) {
+        throw new HttpError(409, `No hay claves disponibles para ${product.name}. Disponibles: ${available}, Requeridas: ${quantity}`);
+      }
+    }
+  }
+
+  /**
+   * Asigna claves disponibles a los items digitales de una orden pagada
+   * @param {EntityManager} manager
+   * @param {Object} order - Orden con items e items.product
+   */
+  async assignForOrder(manager, order) {
+    for (const item of order.items) {
+      if (!item.product.digital) continue;
+
+      const assigned = await manager.count(DigitalKey, { where: { orderItem: { id: item.id }, status: KEY_STATUS.ASSIGNED } });
+      const needed = item.quantity - (item.refundedQuantity || 0) - assigned;
+      if (needed <= 0) continue;
+
+      const keys = await manager.find(DigitalKey, {
+        where: { product: { id: item.product.id }, status: KEY_STATUS.AVAILABLE },
+        order: { id: 'ASC' },
+        take: needed,
+      });
+      if (keys.length < needed) {
+        throw new HttpError(409, `No hay claves disponibles para ${item.product.name}. Disponibles: ${keys.length}, Requeridas: ${needed}`);
+      }
+
+      for (const key of keys) {
+        key.status = KEY_STATUS.ASSIGNED;
+        key.orderItem = { id: item.id };
+        key.assignedAt = new Date();
+      }
+      await manager.save(DigitalKey, keys);
+      await this.syncStock(manager, item.product.id, { type: MOVEMENT_TYPES.ADJUSTMENT, reason: 'KEY_ASSIGNED', order });
+    }
+  }
+
+  /**
+   * Devuelve las claves de unidades reembolsadas: las no reveladas vuelven al inventario
+   * y las ya reveladas quedan REVOKED
+   * @param {EntityManager} manager
+   * @param {Object} item - OrderItem con product
+   * @param {number} quantity - Unidades reembolsadas
+   */
+  async releaseForItem(manager, item, quantity) {
+    if (!item.product.digital || quantity <= 0) return;
+
+    const keys = await manager.find(DigitalKey, {
+      where: { orderItem: { id: item.id }, status: KEY_STATUS.ASSIGNED },
+      order: { id: 'ASC' },
+    });
+    // Primero las que el comprador nunca vio
+    keys.sort((a, b) => Number(Boolean(a.revealedAt)) - Number(Boolean(b.revealedAt)));
+
+    for (const key of keys.slice(0, quantity)) {
+      if (key.revealedAt) {
+        key.status = KEY_STATUS.REVOKED;
+      } else {
+        key.status = KEY_STATUS.AVAILABLE;
+        key.orderItem = null;
+        key.assignedAt = null;
+      }
+      await manager.save(DigitalKey, key);
+    }
+    await this.syncStock(manager, item.product.id, { type: MOVEMENT_TYPES.ADJUSTMENT, reason: 'KEY_REVOKED' });
+  }
+
+  /**
+   * Revela al comprador las claves de su orden y registra cada revelación
+   * @param {number} orderId
+   * @param {Object} user - Comprador
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Array>} [{ keyId, orderItemId, productId, productName, code, revealedAt }]
+   */
+  async reveal(orderId, user, { ip = null, userAgent = null } = {}) {
+    return AppDataSource.transaction(async (manager) => {
+      const order = await manager.findOne(Order, { where: { id: orderId, user: { id: user.id } } });
+      if (!order) {
+        throw new HttpError(404, 'Orden no encontrada o no pertenece al usuario');
+      }
+      if (!REVEALABLE_STATUSES.includes(normalizeStatus(order.status))) {
+        throw new HttpError(409, `Las claves no están disponibles para una orden ${order.status}`);
+      }
+
+      const keys = await manager.find(DigitalKey, {
+        where: { orderItem: { order: { id: orderId } }, status: KEY_STATUS.ASSIGNED },
+        relations: ['orderItem', 'product'],
+        order: { id: 'ASC' },
+      });
+
+      const now = new Date();
+      for (const key of keys) {
+        if (!key.revealedAt) {
+          key.revealedAt = now;
+          await manager.save(DigitalKey, key);
+        }
+        await manager.save(DigitalKeyReveal, manager.create(DigitalKeyReveal, {
+          key: { id: key.id },
+          user: { id: user.id },
+          ip,
+          userAgent,
+        }));
+      }
+
+      return keys.map(key => ({
+        keyId: key.id,
+        orderItemId: key.orderItem.id,
+        productId: key.product.id,
+        productName: key.product.name,
+        code: key.code,
+        revealedAt: key.revealedAt,
+      }));
+    });
+  }
+}
+
+module.exports = new DigitalKeyService();
+module.exports.KEY_STATUS = KEY_STATUS;
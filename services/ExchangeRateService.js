@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { AppDataSource } = require('../config/databaseConfig');
+const ExchangeRate = require('../models/ExchangeRate');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+
+const RATE_SOURCES = Object.freeze({
+  MANUAL: 'MANUAL',
+  FILE: 'FILE',
+});
+
+/**
+ * ExchangeRateService
+ * Tipos de cambio para convertir los precios del catálogo (en la moneda base) a la moneda de la orden.
+ * Los tipos se actualizan a mano (admin) o se importan desde un archivo JSON o CSV:
+ *
+ *   JSON: { "base": "USD", "rates": { "EUR": 0.92, "VES": 36.5 } }
+ *   CSV:  currency,rate
+ *         EUR,0.92
+ *         VES,36.5
+ */
+class ExchangeRateService {
+  constructor() {
+    this.rateRepo = AppDataSource.getRepository(ExchangeRate);
+  }
+
+  /**
+   * Moneda en la que están expresados los precios de los juegos
+   * @returns {string}
+   */
+  baseCurrency() {
+    return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+  }
+
+  async list() {
+    return this.rateRepo.find({ order: { currency: 'ASC' } });
+  }
+
+  /**
+   * Crea o actualiza el tipo de cambio de una moneda
+   * @param {string} currency - Código ISO de 3 letras
+   * @param {number} rate - Unidades de la moneda por 1 unidad de la moneda base
+   * @param {string} source - MANUAL o FILE
+   * @param {EntityManager} manager - Opcional, para usarlo dentro de una transacción
+   */
+  async setRate(currency, rate, source = RATE_SOURCES.MANUAL, manager = AppDataSource.manager) {
+    const { currency: code, rate: value } = this.validateEntry(currency, rate);
+
+    let exchangeRate = await manager.findOne(ExchangeRate, { where: { currency: code } });
+    if (!exchangeRate) {
+      exchangeRate = manager.create(ExchangeRate, { currency: code });
+    }
+    exchangeRate.rate = value;
+    exchangeRate.source = source;
+    return manager.save(ExchangeRate, exchangeRate);
+  }
+
+  /**
+   * Valida una moneda y su tipo de cambio
+   * @returns {Object} { currency, rate }
+   */
+  validateEntry(currency, rate) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new HttpError(400, `Moneda inválida: ${currency}`);
+    }
+    if (code === this.baseCurrency()) {
+      throw new HttpError(400, `${code} es la moneda base; su tipo de cambio es siempre 1`);
+    }
+    const value = Number(rate);
+    if (rate === null || rate === '' || !Number.isFinite(value) || value <= 0) {
+      throw new HttpError(400, `Tipo de cambio inválido para ${code}: debe ser un número mayor a 0`);
+    }
+    return { currency: code, rate: value };
+  }
+
+  /**
+   * Interpreta el contenido de un archivo de tipos de cambio
+   * @param {string} content - Contenido del archivo
+   * @param {string} format - json o csv
+   * @returns {Array} [{ currency, rate }]
+   */
+  parse(content, format) {
+    if (format === 'json') {
+      let data;
+      try {
+        data = typeof content === 'string' ? JSON.parse(content) : content;
+      } catch (error) {
+        throw new HttpError(400, `JSON inválido: ${error.message}`);
+      }
+      if (!data || typeof data.rates !== 'object' || data.rates === null) {
+        throw new HttpError(400, 'El archivo JSON debe tener la forma { "base": "USD", "rates": { "EUR": 0.92 } }');
+      }
+      if (data.base && String(data.base).toUpperCase() !== this.baseCurrency()) {
+        throw new HttpError(400, `La moneda base del archivo (${data.base}) no coincide con ${this.baseCurrency()}`);
+      }
+      return Object.entries(data.rates).map(([currency, rate]) => ({ currency, rate }));
+    }
+
+    if (format === 'csv') {
+      const lines = String(content).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+      // Encabezado opcional
+      if (lines.length > 0 && /^currency\s*,/i.test(lines[0])) lines.shift();
+      return lines.map((line, index) => {
+        const [currency, rate] = line.split(',').map(v => v.trim());
+        if (!currency || rate === undefined) {
+          throw new HttpError(400, `Línea ${index + 1} inválida: se espera "moneda,tipo"`);
+        }
+        return { currency, rate };
+      });
+    }
+
+    throw new HttpError(400, `Formato no soportado: ${format} (use json o csv)`);
+  }
+
+  /**
+   * Importa tipos de cambio; si una entrada es inválida no se guarda ninguna
+   * @param {string|Object} content - Contenido del archivo
+   * @param {string} format - json o csv
+   * @returns {Promise<Object[]>} Tipos guardados
+   */
+  async importRates(content, format) {
+    const entries = this.parse(content, format).map(e => this.validateEntry(e.currency, e.rate));
+    if (entries.length === 0) {
+      throw new HttpError(400, 'El archivo no contiene tipos de cambio');
+    }
+
+    return AppDataSource.transaction(async (manager) => {
+      const saved = [];
+      for (const { currency, rate } of entries) {
+        saved.push(await this.setRate(currency, rate, RATE_SOURCES.FILE, manager));
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * Importa tipos de cambio desde un archivo .json o .csv
+   * @param {string} filePath
+   */
+  async importFile(filePath) {
+    const format = path.extname(filePath).slice(1).toLowerCase();
+    return this.importRates(fs.readFileSync(filePath, 'utf8'), format);
+  }
+
+  /**
+   * Tipo de cambio de la moneda base a la moneda indicada
+   * @param {string} currency
+   * @param {EntityManager} manager - Opcional, para leerlo dentro de una transacción
+   * @returns {Promise<number>} 1 para la moneda base; HttpError 400 si no hay tipo registrado
+   */
+  async getRate(currency, manager = AppDataSource.manager) {
+    const code = String(currency || '').toUpperCase();
+    if (code === this.baseCurrency()) return 1;
+
+    const exchangeRate = await manager.findOne(ExchangeRate, { where: { currency: code } });
+    if (!exchangeRate) {
+      throw new HttpError(400, `No hay tipo de cambio registrado para ${code}`);
+    }
+    return exchangeRate.rate;
+  }
+
+  /**
+   * Convierte un monto de la moneda base con el tipo indicado
+   * @param {number|Money} amount - Monto en la moneda base
+   * @param {number} rate - Tipo de cambio (ver getRate)
+   * @param {string} currency - Moneda destino
+   * @returns {Money}
+   */
+  convert(amount, rate, currency) {
+    return Money.of(amount, this.baseCurrency()).convert(rate, currency);
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,164 @@
+/**
+ * FakePaymentProvider
+ * Sustituto local (en proceso) de https://fakepayment.onrender.com para pruebas y desarrollo sin conexión.
+ * Implementa el mismo contrato HTTP que usan CreditCardPaymentStrategy y PaymentApiInitializer:
+ *
+ * - GET|POST /payments/api-key          -> { apiKey }
+ * - POST /payments                      -> 302 a /payments/:transactionId si el pago se aprueba
+ * - GET /payments/:transactionId        -> detalle de la transacción
+ * - POST /payments/:transactionId/refunds -> reembolso total o parcial
+ *
+ * Igual que el servicio real, el resultado se decide por el nombre del titular (full-name):
+ * "Card rejected", "Card error" e "Insufficient funds" producen un rechazo con ese mensaje.
+ *
+ * Se activa con FAKE_PAYMENT_API=local (ver PaymentApiInitializer) o levantándolo aparte con
+ * `npm run fake-payment` y FAKE_PAYMENT_API=http://127.0.0.1:4010.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DECLINES = ['Card rejected', 'Card error', 'Insufficient funds'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Crea la app Express del proveedor. El estado vive en app.locals (apiKeys y transactions).
+ * @returns {express.Express}
+ */
+function createFakePaymentApp() {
+  const app = express();
+  app.use(express.json());
+
+  app.locals.apiKeys = new Set();
+  app.locals.transactions = new Map();
+
+  const issueApiKey = (req, res) => {
+    const apiKey = `fake_${crypto.randomBytes(16).toString('hex')}`;
+    app.locals.apiKeys.add(apiKey);
+    res.json({ apiKey });
+  };
+
+  const requireApiKey = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const apiKey = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!apiKey || !app.locals.apiKeys.has(apiKey)) {
+      return res.status(401).json({ success: false, message: 'Invalid or missing API key' });
+    }
+    next();
+  };
+
+  const findTransaction = (req, res, next) => {
+    const transaction = app.locals.transactions.get(req.params.transactionId);
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+    req.transaction = transaction;
+    next();
+  };
+
+  app.get(['/', '/health'], (req, res) => res.json({ success: true, message: 'Fake payment provider running' }));
+  app.get('/payments/api-key', issueApiKey);
+  app.post('/payments/api-key', issueApiKey);
+
+  app.post('/payments', requireApiKey, (req, res) => {
+    const body = req.body || {};
+    const fullName = String(body['full-name'] || '').trim();
+    const cardNumber = String(body['card-number'] || '').replace(/\s/g, '');
+    const month = Number(body['expiration-month']);
+    const amount = Number(body.amount);
+
+    const errors = [];
+    if (!fullName) errors.push('full-name is required');
+    if (!/^\d{13,19}$/.test(cardNumber)) errors.push('card-number must have 13 to 19 digits');
+    if (!Number.isInteger(month) || month < 1 || month > 12) errors.push('expiration-month must be between 1 and 12');
+    if (!/^\d{4}$/.test(String(body['expiration-year'] || ''))) errors.push('expiration-year must have 4 digits');
+    if (!/^\d{3,4}$/.test(String(body.cvv || ''))) errors.push('cvv must have 3 or 4 digits');
+    if (!Number.isFinite(amount) || amount <= 0) errors.push('amount must be greater than 0');
+    if (!body.currency) errors.push('currency is required');
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: `Invalid payment data: ${errors.join(', ')}` });
+    }
+
+    const decline = DECLINES.find(d => d.toLowerCase() === fullName.toLowerCase());
+    if (decline) {
+      return res.status(400).json({ success: false, message: decline });
+    }
+
+    const transactionId = `txn_${crypto.randomBytes(8).toString('hex')}`;
+    app.locals.transactions.set(transactionId, {
+      transaction_id: transactionId,
+      status: 'APPROVED',
+      amount: round2(amount),
+      refunded_amount: 0,
+      currency: String(body.currency).toUpperCase(),
+      description: body.description || null,
+      reference: body.reference || null,
+      card_last4: cardNumber.slice(-4),
+      created_at: new Date().toISOString(),
+      refunds: [],
+    });
+
+    res.redirect(302, `/payments/${transactionId}`);
+  });
+
+  app.get('/payments/:transactionId', requireApiKey, findTransaction, (req, res) => {
+    res.json({ success: true, data: req.transaction });
+  });
+
+  app.post('/payments/:transactionId/refunds', requireApiKey, findTransaction, (req, res) => {
+    const transaction = req.transaction;
+    const remaining = round2(transaction.amount - transaction.refunded_amount);
+    const amount = req.body && req.body.amount !== undefined ? Number(req.body.amount) : remaining;
+
+    if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+      return res.status(400).json({ success: false, message: `Invalid refund amount (refundable: ${remaining})` });
+    }
+
+    const refund = {
+      refund_id: `rfd_${crypto.randomBytes(8).toString('hex')}`,
+      amount: round2(amount),
+      reason: (req.body && req.body.reason) || null,
+      created_at: new Date().toISOString(),
+    };
+    transaction.refunds.push(refund);
+    transaction.refunded_amount = round2(transaction.refunded_amount + amount);
+    transaction.status = transaction.refunded_amount >= transaction.amount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+    res.status(201).json({ success: true, refund_id: refund.refund_id, data: refund });
+  });
+
+  return app;
+}
+
+/**
+ * Levanta el proveedor en un puerto local (0 = puerto libre aleatorio)
+ * @param {number} port
+ * @returns {Promise<Object>} { app, server, url, close }
+ */
+function startFakePaymentServer(port = 0) {
+  const app = createFakePaymentApp();
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        app,
+        server,
+        url,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createFakePaymentApp, startFakePaymentServer };
+
+// Ejecución directa: node services/FakePaymentProvider.js
+if (require.main === module) {
+  const port = Number(process.env.FAKE_PAYMENT_PORT) || 4010;
+  startFakePaymentServer(port).then(({ url }) => {
+    console.log(`Proveedor de pagos local corriendo en ${url}`);
+  });
+}
@@ -0,0 +1,44 @@
+const PaymentStrategy = require('./PaymentStrategy');
+const giftCardService = require('./GiftCardService');
+
+/**
+ * GiftCardPaymentStrategy
+ * Paga con el saldo de una tarjeta de regalo. El descuento se hace con el EntityManager
+ * de la transacción de la orden (paymentDetails.manager), así un rollback devuelve el saldo.
+ */
+class GiftCardPaymentStrategy extends PaymentStrategy {
+  /**
+   * Descuenta el monto de la tarjeta de regalo
+   * @param {Object} paymentDetails - { giftCardCode, manager, allowPartial }
+   * @param {number|Money} amount - Monto a cubrir
+   * @param {string} currency - Moneda de la orden (debe coincidir con la de la tarjeta)
+   * @returns {Promise<Object>} { success, transactionId, giftCard, amount: Money, message }
+   */
+  async processPayment(paymentDetails, amount, currency) {
+    const { giftCard, amount: applied } = await giftCardService.redeem(
+      paymentDetails.manager,
+      paymentDetails.giftCardCode,
+      amount,
+      currency,
+      Boolean(paymentDetails.allowPartial)
+    );
+
+    return {
+      success: true,
+      transactionId: null,
+      giftCard,
+      amount: applied,
+      message: 'Pago con tarjeta de regalo aplicado',
+    };
+  }
+
+  /**
+   * La devolución de saldo la aplica OrderService con giftCardService.restore(),
+   * porque necesita la tarjeta asociada a la orden y no un transactionId
+   */
+  async refund() {
+    throw new Error('Los reembolsos con tarjeta de regalo se aplican con GiftCardService.restore()');
+  }
+}
+
+module.exports = GiftCardPaymentStrategy;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { AppDataSource } = require('../config/databaseConfig');
+const GiftCard = require('../models/GiftCard');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+
+const GIFT_CARD_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  VOID: 'VOID',
+});
+
+// Sin caracteres ambiguos (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateCode = () => {
+  const groups = [];
+  for (let g = 0; g < 3; g++) {
+    let group = '';
+    for (let i = 0; i < 4; i++) {
+      group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return `GC-${groups.join('-')}`;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * GiftCardService
+ * Emisión, anulación, consulta y uso del saldo de tarjetas de regalo.
+ * redeem() y restore() reciben el EntityManager de la transacción de la orden,
+ * así un rollback de la orden también revierte el movimiento de saldo.
+ */
+class GiftCardService {
+  constructor() {
+    this.giftCardRepo = AppDataSource.getRepository(GiftCard);
+  }
+
+  /**
+   * Emite una tarjeta de regalo
+   * @param {Object} data - { amount, currency, expiresAt }
+   * @returns {Promise<Object>} Tarjeta creada
+   */
+  async issue({ amount, currency = 'USD', expiresAt = null }) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new HttpError(400, 'amount debe ser un número mayor a 0');
+    }
+
+    const currencyCode = String(currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currencyCode)) {
+      throw new HttpError(400, 'currency debe ser un código de 3 letras (ej. USD)');
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new HttpError(400, 'expiresAt debe ser una fecha futura');
+      }
+    }
+
+    const balance = Money.of(value, currencyCode);
+    return this.giftCardRepo.save(this.giftCardRepo.create({
+      code: generateCode(),
+      initialBalance: balance,
+      balance,
+      currency: currencyCode,
+      expiresAt: expiry,
+    }));
+  }
+
+  /**
+   * Anula una tarjeta; su saldo deja de poder usarse
+   * @param {number} id
+   * @param {string} reason
+   */
+  async void(id, reason) {
+    const giftCard = await this.giftCardRepo.findOneBy({ id });
+    if (!giftCard) {
+      throw new HttpError(404, 'Tarjeta de regalo no encontrada');
+    }
+    if (giftCard.status === GIFT_CARD_STATUS.VOID) {
+      throw new HttpError(409, 'La tarjeta de regalo ya está anulada');
+    }
+
+    giftCard.status = GIFT_CARD_STATUS.VOID;
+    giftCard.voidedAt = new Date();
+    giftCard.voidReason = reason || null;
+    return this.giftCardRepo.save(giftCard);
+  }
+
+  /**
+   * Consulta una tarjeta por código
+   * @param {string} code
+   */
+  async findByCode(code) {
+    const giftCard = await this.giftCardRepo.findOneBy({ code: normalizeCode(code) });
+    if (!giftCard) {
+      throw new HttpError(404, 'Tarjeta de regalo no encontrada');
+    }
+    return giftCard;
+  }
+
+  /**
+   * Descuenta saldo de una tarjeta dentro de la transacción de la orden
+   * @param {EntityManager} manager - Manager de la transacción
+   * @param {string} code - Código de la tarjeta
+   * @param {number|Money} amount - Monto a cubrir
+   * @param {string} currency - Moneda de la orden
+   * @param {boolean} allowPartial - true en pago dividido: se usa el saldo disponible aunque no cubra todo
+   * @returns {Promise<Object>} { giftCard, amount: Money } monto efectivamente descontado
+   */
+  async redeem(manager, code, amount, currency, allowPartial = false) {
+    const giftCard = await manager.findOne(GiftCard, { where: { code: normalizeCode(code) } });
+
+    if (!giftCard) {
+      throw new HttpError(400, 'Tarjeta de regalo no encontrada');
+    }
+    if (giftCard.status === GIFT_CARD_STATUS.VOID) {
+      throw new HttpError(400, 'La tarjeta de regalo está anulada');
+    }
+    if (giftCard.expiresAt && new Date(giftCard.expiresAt) <= new Date()) {
+      throw new HttpError(400, 'La tarjeta de regalo está vencida');
+    }
+    if (giftCard.currency !== String(currency).toUpperCase()) {
+      throw new HttpError(400, `La tarjeta de regalo es en ${giftCard.currency} y la orden en ${currency}`);
+    }
+    const balance = Money.of(giftCard.balance, giftCard.currency);
+    const required = Money.of(amount, giftCard.currency);
+    if (!balance.isPositive()) {
+      throw new HttpError(400, 'La tarjeta de regalo no tiene saldo');
+    }
+    if (!allowPartial && balance.lessThan(required)) {
+      throw new HttpError(400, `Saldo insuficiente en la tarjeta de regalo. Disponible: ${balance.toMajor()}, Requerido: ${required.toMajor()}`);
+    }
+
+    const applied = balance.min(required);
+    giftCard.balance = balance.subtract(applied);
+    await manager.save(GiftCard, giftCard);
+
+    return { giftCard, amount: applied };
+  }
+
+  /**
+   * Devuelve saldo a una tarjeta (reembolsos y cancelaciones)
+   * @param {EntityManager} manager - Manager de la transacción
+   * @param {number} giftCardId
+   * @param {number|Money} amount
+   */
+  async restore(manager, giftCardId, amount) {
+    if (!Money.of(amount).isPositive()) return;
+    const giftCard = await manager.findOne(GiftCard, { where: { id: giftCardId } });
+    if (giftCard) {
+      giftCard.balance = Money.of(giftCard.balance, giftCard.currency).add(Money.of(amount, giftCard.currency));
+      await manager.save(GiftCard, giftCard);
+    }
+  }
+}
+
+module.exports = new GiftCardService();
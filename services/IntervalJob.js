@@ -0,0 +1,44 @@
+/**
+ * IntervalJob
+ * Tarea periódica en segundo plano. El intervalo se lee de una variable de entorno (en minutos)
+ * y los errores de cada corrida se registran sin detener las siguientes.
+ */
+class IntervalJob {
+  /**
+   * @param {Object} options
+   * @param {string} options.envVar - Variable de entorno con el intervalo en minutos
+   * @param {number} options.defaultMinutes - Intervalo si la variable no está definida
+   * @param {Function} options.task - Función async a ejecutar en cada corrida
+   * @param {string} options.errorMessage - Mensaje a registrar si la corrida falla
+   */
+  constructor({ envVar, defaultMinutes, task, errorMessage }) {
+    this.envVar = envVar;
+    this.defaultMinutes = defaultMinutes;
+    this.task = task;
+    this.errorMessage = errorMessage;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    const minutes = Number(process.env[this.envVar]) || this.defaultMinutes;
+    this.timer = setInterval(() => this.run(), minutes * 60 * 1000);
+    // No mantener vivo el proceso solo por este intervalo
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    try {
+      await this.task();
+    } catch (error) {
+      console.error(this.errorMessage, error);
+    }
+  }
+}
+
+module.exports = IntervalJob;
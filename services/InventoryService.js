@@ -0,0 +1,307 @@
+const { In, IsNull, MoreThan, LessThanOrEqual } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const InventoryReservation = require('../models/InventoryReservation');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const stockMovementService = require('./StockMovementService');
+const bundleService = require('./BundleService');
+const variantService = require('./VariantService');
+const { MOVEMENT_TYPES } = require('./StockMovementService');
+
+const RESERVATION_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  CONSUMED: 'CONSUMED',
+  RELEASED: 'RELEASED',
+  EXPIRED: 'EXPIRED',
+});
+
+// Tiempo que el checkout del carrito retiene las unidades (minutos)
+const reservationDeadline = () => {
+  const minutes = Number(process.env.INVENTORY_RESERVATION_MINUTES) || 15;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+/**
+ * InventoryService
+ * Reservas de stock: el disponible de un juego es stock - unidades reservadas (ACTIVE y sin vencer).
+ * Las reservas del carrito se crean al iniciar el checkout y se consumen al crear la orden;
+ * las de una orden PENDING se consumen al confirmar el pago (recién ahí se descuenta el stock)
+ * y se liberan si la orden se cancela, se rechaza o vence.
+ * Los métodos que reciben un EntityManager participan de la transacción de la orden.
+ * Cada reserva deja un movimiento RESERVATION en el libro de stock: -unidades al crearse y
+ * +unidades cuando deja de estar activa (consumida, liberada o vencida).
+ * Los bundles no tienen stock propio: se reservan sus componentes y su disponible se calcula a partir de ellos.
+ */
+class InventoryService {
+  constructor() {
+    this.reservationRepo = AppDataSource.getRepository(InventoryReservation);
+  }
+
+  /**
+   * Unidades reservadas por producto
+   * @param {EntityManager} manager
+   * @param {number[]} productIds
+   * @param {number|null} excludeUserId - No cuenta las reservas del carrito de este usuario (son suyas);
+   *   las de sus órdenes PENDING sí cuentan: esas unidades ya están comprometidas
+   * @returns {Promise<Map<number, number>>} productId -> unidades reservadas
+   */
+  async reservedByProduct(manager, productIds, excludeUserId = null) {
+    const reserved = new Map();
+    if (productIds.length === 0) return reserved;
+
+    const reservations = await manager.find(InventoryReservation, {
+      where: {
+        product: { id: In(productIds) },
+        status: RESERVATION_STATUS.ACTIVE,
+        expiresAt: MoreThan(new Date()),
+      },
+      loadRelationIds: { relations: ['product', 'user', 'order'] },
+    });
+
+    for (const reservation of reservations) {
+      if (excludeUserId !== null && reservation.user === excludeUserId && !reservation.order) continue;
+      reserved.set(reservation.product, (reserved.get(reservation.product) || 0) + reservation.quantity);
+    }
+    return reserved;
+  }
+
+  /**
+   * Unidades de un producto que el usuario puede comprar
+   * @param {EntityManager} manager
+   * @param {Object} product - Game
+   * @param {number|null} userId - Las reservas de su carrito cuentan como disponibles para él
+   */
+  async available(manager, product, userId = null) {
+    if (product.bundle) {
+      const components = (await bundleService.componentsOf(manager, [product.id])).get(product.id) || [];
+      const reserved = await this.reservedByProduct(manager, components.map(c => c.component.id), userId);
+      return bundleService.units(components, game => Math.max(0, game.stock - (reserved.get(game.id) || 0)));
+    }
+    const reserved = await this.reservedByProduct(manager, [product.id], userId);
+    return Math.max(0, product.stock - (reserved.get(product.id) || 0));
+  }
+
+  /**
+   * Agrega `available` y sus `variants` a juegos ya cargados (listados y detalle).
+   * Los bundles además llevan sus components y stock/available derivados de ellos.
+   * @param {Array} products - Games
+   * @returns {Promise<Array>}
+   */
+  async withAvailability(products) {
+    const variants = await variantService.variantsOf(AppDataSource.manager, products.map(p => p.id));
+    const components = await bundleService.componentsOf(AppDataSource.manager, products.filter(p => p.bundle).map(p => p.id));
+    const componentIds = [...components.values()].flat().map(c => c.component.id);
+    const reserved = await this.reservedByProduct(AppDataSource.manager, [...products.map(p => p.id), ...componentIds]);
+    const availableOf = (game) => Math.max(0, game.stock - (reserved.get(game.id) || 0));
+
+    return products.map(product => {
+      if (!product.bundle) {
+        return { ...product, available: availableOf(product), variants: variants.get(product.id) || [] };
+      }
+      const list = components.get(product.id) || [];
+      return {
+        ...product,
+        stock: bundleService.units(list, game => game.stock),
+        available: bundleService.units(list, availableOf),
+        variants: [],
+        components: list.map(c => ({
+          productId: c.component.id,
+          name: c.component.name,
+          slug: c.component.slug,
+          quantity: c.quantity,
+          available: availableOf(c.component),
+        })),
+      };
+    });
+  }
+
+  /**
+   * Lanza 400 si el usuario no puede llevar esa cantidad
+   */
+  async assertAvailable(manager, product, quantity, userId = null) {
+    const available = await this.available(manager, product, userId);
+    if (available < quantity) {
+      throw new HttpError(
+        400,
+        `Stock insuficiente para ${product.name}. Disponible: ${available}, Solicitado: ${quantity}`
+      );
+    }
+  }
+
+  /**
+   * Inicia el checkout del carrito: reserva sus unidades por INVENTORY_RESERVATION_MINUTES.
+   * Reemplaza la reserva anterior del carrito (renueva el plazo).
+   * @param {number} userId
+   * @param {Array} items - [{ productId, quantity }]
+   * @returns {Promise<Object>} { items: [{ productId, quantity }], expiresAt }
+   */
+  async reserveCart(userId, items) {
+    return AppDataSource.transaction(async (manager) => {
+      await this.releaseCart(userId, 'Reemplazada por una nueva reserva', manager);
+
+      const expiresAt = reservationDeadline();
+      const loaded = [];
+      for (const item of items) {
+        const product = await manager.findOne(Game, { where: { id: item.productId } });
+        if (!product) {
+          throw new HttpError(404, `Producto ${item.productId} no encontrado`);
+        }
+        loaded.push({ product, quantity: item.quantity });
+      }
+
+      // Los bundles reservan las unidades de sus componentes
+      for (const unit of await bundleService.expand(manager, loaded)) {
+        await this.assertAvailable(manager, unit.product, unit.quantity, userId);
+        const reservation = await manager.save(InventoryReservation, manager.create(InventoryReservation, {
+          product: unit.product,
+          user: { id: userId },
+          quantity: unit.quantity,
+          expiresAt,
+        }));
+        await this.recordMovement(manager, reservation, -unit.quantity, 'Reserva del carrito');
+      }
+
+      return { items: items.map(i => ({ productId: i.productId, quantity: i.quantity })), expiresAt };
+    });
+  }
+
+  /**
+   * Libera las reservas activas del carrito de un usuario
+   * @param {number} userId
+   * @param {string} reason
+   * @param {EntityManager} manager
+   * @param {number[]|null} productIds - Solo esos productos (null = todo el carrito); un bundle libera sus componentes
+   * @returns {Promise<number>} Reservas liberadas
+   */
+  async releaseCart(userId, reason, manager = AppDataSource.manager, productIds = null) {
+    const where = { user: { id: userId }, order: IsNull(), status: RESERVATION_STATUS.ACTIVE };
+    if (productIds) where.product = { id: In(await bundleService.stockProductIds(manager, productIds)) };
+    return this.markReservations(manager, where, RESERVATION_STATUS.RELEASED, { releaseReason: reason });
+  }
+
+  /**
+   * La orden se quedó con las unidades que el usuario tenía reservadas en el carrito
+   * @param {EntityManager} manager - Manager de la transacción de la orden
+   * @param {number} userId
+   * @param {number[]} productIds - Productos de la orden (un bundle consume las reservas de sus componentes)
+   * @param {Object} order - Orden creada
+   */
+  async consumeCart(manager, userId, productIds, order) {
+    const stockIds = await bundleService.stockProductIds(manager, productIds);
+    return this.markReservations(
+      manager,
+      { user: { id: userId }, order: IsNull(), status: RESERVATION_STATUS.ACTIVE, product: { id: In(stockIds) } },
+      RESERVATION_STATUS.CONSUMED,
+      { order }
+    );
+  }
+
+  /**
+   * Reserva las unidades de una orden PENDING hasta su vencimiento
+   * @param {EntityManager} manager - Manager de la transacción de la orden
+   * @param {Object} order - Orden PENDING con user y paymentExpiresAt
+   * @param {Array} items - [{ product, quantity }] (los bundles reservan sus componentes)
+   */
+  async reserveForOrder(manager, order, items) {
+    for (const item of await bundleService.expand(manager, items)) {
+      const reservation = await manager.save(InventoryReservation, manager.create(InventoryReservation, {
+        product: item.product,
+        user: order.user,
+        order,
+        quantity: item.quantity,
+        expiresAt: order.paymentExpiresAt,
+      }));
+      await this.recordMovement(manager, reservation, -item.quantity, 'Reserva de orden pendiente');
+    }
+  }
+
+  /**
+   * Confirma la venta de una orden PENDING: descuenta del stock las unidades reservadas
+   * @param {EntityManager} manager - Manager de la transacción de la orden
+   * @param {number} orderId
+   */
+  async consumeOrder(manager, orderId) {
+    const reservations = await manager.find(InventoryReservation, {
+      where: { order: { id: orderId }, status: In([RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.EXPIRED]) },
+      relations: ['product', 'order', 'user'],
+    });
+
+    for (const reservation of reservations) {
+      const { product } = await stockMovementService.changeStock(manager, reservation.product.id, -reservation.quantity, {
+        type: MOVEMENT_TYPES.SALE,
+        order: reservation.order,
+        user: reservation.user,
+      });
+      await this.markReservation(manager, { ...reservation, product }, RESERVATION_STATUS.CONSUMED, 'Reserva consumida por la venta');
+    }
+  }
+
+  /**
+   * Libera las unidades de una orden PENDING (cancelada, rechazada o vencida)
+   * @param {EntityManager} manager - Manager de la transacción de la orden
+   * @param {number} orderId
+   * @param {string} reason
+   * @returns {Promise<boolean>} false si la orden no tenía reservas (creada antes de las reservas)
+   */
+  async releaseOrder(manager, orderId, reason) {
+    const count = await manager.count(InventoryReservation, { where: { order: { id: orderId } } });
+    if (count === 0) return false;
+
+    await this.markReservations(
+      manager,
+      { order: { id: orderId }, status: In([RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.EXPIRED]) },
+      RESERVATION_STATUS.RELEASED,
+      { releaseReason: reason }
+    );
+    return true;
+  }
+
+  /**
+   * Marca como EXPIRED las reservas activas vencidas (ya no cuentan como reservadas)
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<number>} Reservas expiradas
+   */
+  async expireReservations(now = new Date()) {
+    return this.markReservations(
+      AppDataSource.manager,
+      { status: RESERVATION_STATUS.ACTIVE, expiresAt: LessThanOrEqual(now) },
+      RESERVATION_STATUS.EXPIRED,
+      { releaseReason: 'Reserva vencida' }
+    );
+  }
+
+  async markReservations(manager, where, status, changes = {}) {
+    const reservations = await manager.find(InventoryReservation, { where, relations: ['product', 'order', 'user'] });
+    for (const reservation of reservations) {
+      Object.assign(reservation, changes);
+      await this.markReservation(manager, reservation, status, changes.releaseReason || 'Reserva consumida por la orden');
+    }
+    return reservations.length;
+  }
+
+  /**
+   * Cambia el estado de una reserva; si estaba activa devuelve sus unidades al disponible en el libro
+   */
+  async markReservation(manager, reservation, status, reason) {
+    const wasActive = reservation.status === RESERVATION_STATUS.ACTIVE;
+    reservation.status = status;
+    await manager.save(InventoryReservation, reservation);
+    if (wasActive) {
+      await this.recordMovement(manager, reservation, reservation.quantity, reason);
+    }
+  }
+
+  async recordMovement(manager, reservation, quantity, reason) {
+    await stockMovementService.record(manager, {
+      product: reservation.product,
+      type: MOVEMENT_TYPES.RESERVATION,
+      quantity,
+      reason,
+      order: reservation.order,
+      user: reservation.user,
+    });
+  }
+}
+
+module.exports = new InventoryService();
+module.exports.RESERVATION_STATUS = RESERVATION_STATUS;
@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+const MediaStorage = require('./MediaStorage');
+
+const DEFAULT_MEDIA_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * LocalDiskStorage
+ * Guarda los medios en disco, en MEDIA_STORAGE_DIR (por defecto uploads/).
+ * Los archivos se sirven desde GET /v2/media/{key}; MEDIA_BASE_URL cambia el prefijo de las URLs
+ * (por ejemplo si un CDN o el servidor web sirven el directorio directamente).
+ */
+class LocalDiskStorage extends MediaStorage {
+  root() {
+    return path.resolve(process.env.MEDIA_STORAGE_DIR || DEFAULT_MEDIA_DIR);
+  }
+
+  /**
+   * Ruta en disco de una clave; rechaza claves que salgan del directorio de medios
+   */
+  resolve(key) {
+    const root = this.root();
+    const filePath = path.resolve(root, String(key));
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      return null;
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    if (!filePath) {
+      throw new Error(`Clave de archivo inválida: ${key}`);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    const filePath = this.resolve(key);
+    if (!filePath) return null;
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    const filePath = this.resolve(key);
+    if (!filePath) return;
+    await fs.rm(filePath, { force: true });
+  }
+
+  url(key) {
+    const base = (process.env.MEDIA_BASE_URL || '/v2/media').replace(/\/+$/, '');
+    return `${base}/${key}`;
+  }
+}
+
+module.exports = LocalDiskStorage;
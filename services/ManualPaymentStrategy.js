@@ -0,0 +1,62 @@
+const PaymentStrategy = require('./PaymentStrategy');
+const HttpError = require('../utils/HttpError');
+
+/**
+ * ManualPaymentStrategy
+ * Base para pagos que el cliente realiza fuera de la API (transferencia, Pago Móvil).
+ * No cobra nada: valida los datos reportados y deja la orden PENDING hasta que
+ * staff/admin confirme o rechace la referencia (ver OrderService.confirmPayment/rejectPayment).
+ */
+class ManualPaymentStrategy extends PaymentStrategy {
+  constructor() {
+    super();
+    this.label = 'Pago manual';
+    // Formato de cada campo reportado: { campo: [regex, descripción del formato] }
+    // (la presencia de los campos y la moneda las valida PaymentMethodRegistry)
+    this.fieldFormats = {
+      paymentReference: [/^[A-Za-z0-9]{4,30}$/, 'entre 4 y 30 caracteres alfanuméricos'],
+    };
+  }
+
+  /**
+   * Registra un pago pendiente de confirmación
+   * @param {Object} paymentDetails - Datos reportados por el cliente (paymentReference, bankCode, ...)
+   * @returns {Promise<Object>} { success, transactionId, reference, details, message }
+   */
+  async processPayment(paymentDetails) {
+    const details = {};
+    for (const [field, [pattern, format]] of Object.entries(this.fieldFormats)) {
+      const value = paymentDetails[field] === undefined || paymentDetails[field] === null
+        ? ''
+        : String(paymentDetails[field]).trim();
+      if (!pattern.test(value)) {
+        throw new HttpError(400, `${field} inválido para ${this.label} (${format})`);
+      }
+      details[field] = value;
+    }
+
+    const { paymentReference, ...payer } = details;
+    return {
+      success: true,
+      transactionId: null,
+      reference: paymentReference,
+      details: payer,
+      message: 'Pago pendiente de confirmación',
+    };
+  }
+
+  /**
+   * Los reembolsos de pagos manuales los hace el personal fuera del sistema;
+   * aquí solo se deja constancia para que la orden pueda cambiar de estado.
+   */
+  async refund(transactionId, amount, currency, reason) {
+    return {
+      success: true,
+      refundId: null,
+      manual: true,
+      message: `Reembolso manual de ${amount} ${currency} pendiente de ejecutar: ${reason || 'sin motivo'}`,
+    };
+  }
+}
+
+module.exports = ManualPaymentStrategy;
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { In } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const GameImage = require('../models/GameImage');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+const MEDIA_KINDS = Object.freeze({
+  COVER: 'COVER',
+  SCREENSHOT: 'SCREENSHOT',
+});
+
+// Formatos aceptados (según el contenido real del archivo, no solo el Content-Type declarado)
+const IMAGE_FORMATS = Object.freeze({
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+});
+const ALLOWED_MIME_TYPES = Object.values(IMAGE_FORMATS).map(format => format.mimeType);
+
+// Ancho de las miniaturas (se generan en WebP, sin agrandar imágenes más chicas)
+const THUMBNAIL_WIDTH = 320;
+// Capturas por juego
+const MAX_SCREENSHOTS = 20;
+
+/**
+ * MediaService
+ * Portada y galería de capturas de cada juego. Valida tipo y tamaño de cada imagen, genera su
+ * miniatura y guarda ambos archivos en el almacenamiento configurado (LocalDiskStorage por defecto).
+ */
+class MediaService {
+  constructor() {
+    this.imageRepo = AppDataSource.getRepository(GameImage);
+    this.storage = new LocalDiskStorage();
+  }
+
+  /**
+   * Reemplaza el almacenamiento (debe extender MediaStorage)
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Tamaño máximo por imagen en bytes (MEDIA_MAX_BYTES, 5 MB por defecto)
+   */
+  maxBytes() {
+    return Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+  }
+
+  /**
+   * Sube (o reemplaza) la portada de un juego
+   * @param {number} gameId
+   * @param {Object} file - Archivo de multer { originalname, mimetype, size, buffer }
+   * @returns {Promise<Object>} Imagen guardada
+   */
+  async setCover(gameId, file) {
+    await this.findGame(gameId);
+    const [inspected] = await this.inspect([file]);
+    const previous = await this.imageRepo.find({ where: { game: { id: gameId }, kind: MEDIA_KINDS.COVER } });
+
+    const [cover] = await this.store(gameId, [inspected], MEDIA_KINDS.COVER, 0);
+    await this.removeFiles(previous);
+    await this.imageRepo.remove(previous);
+    return this.view(cover);
+  }
+
+  /**
+   * Agrega capturas al final de la galería
+   * @param {number} gameId
+   * @param {Array} files - Archivos de multer
+   * @returns {Promise<Array>} Galería completa en orden
+   */
+  async addScreenshots(gameId, files) {
+    await this.findGame(gameId);
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new HttpError(400, 'Se requiere al menos una imagen (campo images)');
+    }
+
+    const gallery = await this.screenshots(gameId);
+    if (gallery.length + files.length > MAX_SCREENSHOTS) {
+      throw new HttpError(400, `Máximo ${MAX_SCREENSHOTS} capturas por juego (ya tiene ${gallery.length})`);
+    }
+
+    const inspected = await this.inspect(files);
+    const next = gallery.length > 0 ? gallery[gallery.length - 1].position + 1 : 0;
+    await this.store(gameId, inspected, MEDIA_KINDS.SCREENSHOT, next);
+    return (await this.screenshots(gameId)).map(image => this.view(image));
+  }
+
+  /**
+   * Reordena la galería: imageIds debe listar todas las capturas del juego en el orden nuevo
+   * @returns {Promise<Array>} Galería en orden
+   */
+  async reorder(gameId, imageIds) {
+    await this.findGame(gameId);
+    const gallery = await this.screenshots(gameId);
+
+    const ids = Array.isArray(imageIds) ? imageIds.map(Number) : [];
+    const current = gallery.map(image => image.id);
+    const sameSet = ids.length === current.length && new Set(ids).size === ids.length && ids.every(id => current.includes(id));
+    if (!sameSet) {
+      throw new HttpError(400, `imageIds debe incluir cada captura del juego una vez: ${current.join(', ')}`);
+    }
+
+    await AppDataSource.transaction(async (manager) => {
+      for (const [position, id] of ids.entries()) {
+        await manager.update(GameImage, { id }, { position });
+      }
+    });
+    return (await this.screenshots(gameId)).map(image => this.view(image));
+  }
+
+  /**
+   * Elimina una imagen y sus archivos; la galería se compacta
+   */
+  async remove(gameId, imageId) {
+    const image = await this.imageRepo.findOne({ where: { id: imageId, game: { id: gameId } } });
+    if (!image) {
+      throw new HttpError(404, 'Imagen no encontrada');
+    }
+
+    await this.imageRepo.remove(image);
+    await this.removeFiles([image]);
+    if (image.kind === MEDIA_KINDS.SCREENSHOT) {
+      const gallery = await this.screenshots(gameId);
+      for (const [position, screenshot] of gallery.entries()) {
+        if (screenshot.position !== position) {
+          await this.imageRepo.update({ id: screenshot.id }, { position });
+        }
+      }
+    }
+  }
+
+  /**
+   * Elimina un juego y después los archivos de sus imágenes (las filas caen en cascada).
+   * Si el juego no puede eliminarse, las imágenes quedan intactas.
+   * @param {number} gameId
+   * @param {Function} removeGame - Elimina el juego
+   */
+  async removeWithGame(gameId, removeGame) {
+    const images = await this.imageRepo.find({ where: { game: { id: gameId } } });
+    await removeGame();
+    await this.removeFiles(images);
+  }
+
+  /**
+   * Agrega `images` ({ cover, screenshots }) a juegos ya cargados
+   * @param {Array} products - Games
+   * @returns {Promise<Array>}
+   */
+  async withImages(products) {
+    const images = products.length === 0 ? [] : await this.imageRepo.find({
+      where: { game: { id: In(products.map(p => p.id)) } },
+      loadRelationIds: { relations: ['game'] },
+      order: { position: 'ASC', id: 'ASC' },
+    });
+
+    return products.map(product => {
+      const own = images.filter(image => image.game === product.id);
+      const cover = own.find(image => image.kind === MEDIA_KINDS.COVER);
+      return {
+        ...product,
+        images: {
+          cover: cover ? this.view(cover) : null,
+          screenshots: own.filter(image => image.kind === MEDIA_KINDS.SCREENSHOT).map(image => this.view(image)),
+        },
+      };
+    });
+  }
+
+  /**
+   * Lee un archivo del almacenamiento para servirlo
+   * @returns {Promise<Object|null>} { buffer, contentType }
+   */
+  async read(key) {
+    const buffer = await this.storage.read(key);
+    if (!buffer) return null;
+    const extension = path.extname(key).slice(1).toLowerCase();
+    const format = Object.values(IMAGE_FORMATS).find(f => f.extension === extension);
+    return { buffer, contentType: format ? format.mimeType : 'application/octet-stream' };
+  }
+
+  view(image) {
+    return {
+      id: image.id,
+      kind: image.kind,
+      url: this.storage.url(image.storageKey),
+      thumbnailUrl: this.storage.url(image.thumbnailKey),
+      mimeType: image.mimeType,
+      size: image.size,
+      width: image.width,
+      height: image.height,
+      position: image.position,
+    };
+  }
+
+  async findGame(gameId) {
+    const game = await AppDataSource.getRepository(Game).findOneBy({ id: gameId });
+    if (!game) {
+      throw new HttpError(404, 'Product not found');
+    }
+    return game;
+  }
+
+  async screenshots(gameId) {
+    return this.imageRepo.find({
+      where: { game: { id: gameId }, kind: MEDIA_KINDS.SCREENSHOT },
+      order: { position: 'ASC', id: 'ASC' },
+    });
+  }
+
+  /**
+   * Valida tipo y tamaño de cada archivo antes de guardar ninguno.
+   * El formato se detecta del contenido: un archivo que no es imagen no pasa aunque declare image/png.
+   * @returns {Promise<Array>} [{ file, format, width, height }]
+   */
+  async inspect(files) {
+    const inspected = [];
+    for (const file of files) {
+      if (!file || !file.buffer) {
+        throw new HttpError(400, 'Se requiere un archivo de imagen');
+      }
+      const name = file.originalname || 'archivo';
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        throw new HttpError(400, `${name}: tipo no permitido (${file.mimetype}). Permitidos: ${ALLOWED_MIME_TYPES.join(', ')}`);
+      }
+      if (file.size > this.maxBytes()) {
+        throw new HttpError(400, `${name}: supera el tamaño máximo de ${this.maxBytes()} bytes`);
+      }
+
+      let metadata;
+      try {
+        metadata = await sharp(file.buffer).metadata();
+      } catch (error) {
+        throw new HttpError(400, `${name}: no es una imagen válida`);
+      }
+      const format = IMAGE_FORMATS[metadata.format];
+      if (!format) {
+        throw new HttpError(400, `${name}: formato ${metadata.format} no permitido`);
+      }
+      inspected.push({ file, format, width: metadata.width, height: metadata.height });
+    }
+    return inspected;
+  }
+
+  /**
+   * Guarda los archivos y sus miniaturas y luego las filas; si algo falla no deja archivos sueltos
+   * @returns {Promise<Array>} Imágenes guardadas
+   */
+  async store(gameId, inspected, kind, firstPosition) {
+    const images = [];
+    try {
+      for (const [index, { file, format, width, height }] of inspected.entries()) {
+        const name = crypto.randomUUID();
+        const image = this.imageRepo.create({
+          game: { id: gameId },
+          kind,
+          storageKey: `games/${gameId}/${name}.${format.extension}`,
+          thumbnailKey: `games/${gameId}/${name}-thumb.webp`,
+          mimeType: format.mimeType,
+          size: file.buffer.length,
+          width,
+          height,
+          position: firstPosition + index,
+        });
+        images.push(image);
+
+        const thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+          .webp()
+          .toBuffer();
+        await this.storage.save(image.storageKey, file.buffer, format.mimeType);
+        await this.storage.save(image.thumbnailKey, thumbnail, 'image/webp');
+      }
+      return await this.imageRepo.save(images);
+    } catch (error) {
+      await this.removeFiles(images);
+      throw error;
+    }
+  }
+
+  async removeFiles(images) {
+    for (const image of images) {
+      await this.storage.remove(image.storageKey);
+      await this.storage.remove(image.thumbnailKey);
+    }
+  }
+}
+
+module.exports = new MediaService();
+module.exports.MEDIA_KINDS = MEDIA_KINDS;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
@@ -0,0 +1,46 @@
+/**
+ * MediaStorage
+ * Interfaz base para el almacenamiento de archivos de medios (imágenes de juegos).
+ * Las claves son rutas relativas (ej. games/12/abc.png); cada implementación decide dónde guardarlas.
+ */
+class MediaStorage {
+  /**
+   * Guarda un archivo
+   * @param {string} key - Clave del archivo
+   * @param {Buffer} buffer - Contenido
+   * @param {string} contentType - Tipo MIME
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer, contentType) {
+    throw new Error('save() debe ser implementado por el almacenamiento concreto');
+  }
+
+  /**
+   * Lee un archivo
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<Buffer|null>} - null si no existe
+   */
+  async read(key) {
+    throw new Error('read() debe ser implementado por el almacenamiento concreto');
+  }
+
+  /**
+   * Elimina un archivo (no falla si ya no existe)
+   * @param {string} key - Clave del archivo
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error('remove() debe ser implementado por el almacenamiento concreto');
+  }
+
+  /**
+   * URL pública del archivo
+   * @param {string} key - Clave del archivo
+   * @returns {string}
+   */
+  url(key) {
+    throw new Error('url() debe ser implementado por el almacenamiento concreto');
+  }
+}
+
+module.exports = MediaStorage;
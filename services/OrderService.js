@@ -1,20 +1,59 @@
 const { AppDataSource } = require('../config/databaseConfig');
-const CreditCardPaymentStrategy = require('./CreditCardPaymentStrategy');
+const { LessThanOrEqual, Not, In } = require('typeorm');
+const paymentMethodRegistry = require('./PaymentMethodRegistry');
+const giftCardService = require('./GiftCardService');
+const couponService = require('./CouponService');
+const taxService = require('./TaxService');
+const exchangeRateService = require('./ExchangeRateService');
+const inventoryService = require('./InventoryService');
+const preorderService = require('./PreorderService');
+const { PREORDER_PAYMENT } = require('./PreorderService');
+const outboxService = require('./OutboxService');
+const digitalKeyService = require('./DigitalKeyService');
+const bundleService = require('./BundleService');
+const variantService = require('./VariantService');
+const stockMovementService = require('./StockMovementService');
+const { MOVEMENT_TYPES } = require('./StockMovementService');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
 const Game = require('../models/Product');
 const Usuario = require('../models/usuario');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+const { ROLES } = require('../middlewares/authorize');
+const { ORDER_STATUS, normalizeStatus, assertTransition } = require('./OrderStateMachine');
+
+const GIFT_CARD = 'GIFT_CARD';
+
+// Tiempo para confirmar un pago manual antes de que la orden expire (minutos)
+const pendingPaymentDeadline = () => {
+  const minutes = Number(process.env.PENDING_PAYMENT_EXPIRY_MINUTES) || 24 * 60;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+// Solo se guardan los últimos 4 dígitos de la tarjeta
+const maskCardNumber = (cardNumber) => {
+  if (!cardNumber) return null;
+  const digits = String(cardNumber).replace(/\D/g, '');
+  return digits.length >= 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : null;
+};
 
 /**
  * OrderService
  * Fachada que orquesta todo el proceso de compra (Patrón Facade)
  * Maneja:
  * - Validación de stock
- * - Cálculo de totales
+ * - Conversión de precios a la moneda de la orden (ver ExchangeRateService)
+ * - Cálculo de totales, descuentos por cupón (ver PromotionEngine) e impuestos (ver TaxService)
  * - Procesamiento de pagos (usando Strategy Pattern)
  * - Transacciones de base de datos (atómicas)
  * - Actualización de stock
+ * - Preventas de juegos no lanzados (ver PreorderService) y su liberación al lanzamiento
+ * - Asignación de claves digitales al pagarse la orden (ver DigitalKeyService)
+ * - Bundles: se vende una línea al precio del bundle y el stock sale de sus componentes (ver BundleService)
+ * - Variantes (ediciones) con precio y stock propios (ver VariantService)
  * - Creación de órdenes
+ * - Cambios de estado (cancelación, reembolso, entrega, confirmación de pagos manuales) según OrderStateMachine
  */
 class OrderService {
   constructor() {
@@ -27,8 +66,8 @@ class OrderService {
   /**
    * Crea una orden completa con pago (transacción atómica)
    * @param {number} userId - ID del usuario comprador
-   * @param {Array} items - Items a comprar [{productId, quantity}, ...]
-   * @param {Object} paymentData - Datos del pago {paymentMethod, amount, currency, ...}
+   * @param {Array} items - Items a comprar [{productId, variantId?, quantity}, ...]
+   * @param {Object} paymentData - Datos del pago {paymentMethod, amount, currency, couponCode, billingCountry, billingRegion, preorderPayment, ...}
    * @returns {Promise<Object>} - Orden creada
    */
   async createOrderWithPayment(userId, items, paymentData) {
@@ -36,6 +75,11 @@ class OrderService {
     await queryRunner.connect();
     await queryRunner.startTransaction();
 
+    // Datos del intento de pago, para registrarlo si el pago falla
+    let failedAttempt = null;
+    // Cobro ya aprobado por el proveedor, para reembolsarlo si la orden no llega a guardarse
+    let charge = null;
+
     try {
       // 1. Obtener usuario
       const user = await queryRunner.manager.findOne(Usuario, { where: { id: userId } });
@@ -43,9 +87,13 @@ class OrderService {
         throw new Error('Usuario no encontrado');
       }
 
-      // 2. Validar stock y construir OrderItems
-      let totalAmount = 0;
+      // 2. Validar stock y construir OrderItems con los precios convertidos a la moneda de la orden
+      const method = paymentMethodRegistry.get(paymentData.paymentMethod);
+      const currency = paymentMethodRegistry.resolveCurrency(method.code, paymentData.currency);
+      const exchangeRate = await exchangeRateService.getRate(currency, queryRunner.manager);
+
       const orderItemsData = [];
+      let preorderItems = 0;
 
       for (const item of items) {
         const product = await queryRunner.manager.findOne(Game, { 
@@ -56,76 +104,241 @@ class OrderService {
           throw new Error(`Producto ${item.productId} no encontrado`);
         }
 
-        // Verificar stock suficiente
-        if (product.stock < item.quantity) {
-          throw new Error(
-            `Stock insuficiente para ${product.name}. Disponible: ${product.stock}, Solicitado: ${item.quantity}`
-          );
+        // Verificar disponible (stock - unidades reservadas por otros usuarios); las preventas usan su propio stock
+        // y en un bundle el disponible sale de sus componentes
+        if (product.bundle && preorderService.isPreorder(product)) {
+          throw new HttpError(400, `El bundle ${product.name} todavía no está a la venta`);
         }
 
-        const subtotal = product.price * item.quantity;
-        totalAmount += subtotal;
+        // Variante (edición): precio y stock propios
+        let variant = null;
+        if (item.variantId !== undefined && item.variantId !== null) {
+          if (product.bundle || preorderService.isPreorder(product)) {
+            throw new HttpError(400, `${product.name} no se vende por variantes`);
+          }
+          variant = await variantService.findForGame(queryRunner.manager, product, item.variantId);
+        }
+
+        // Las variantes se verifican con el total de la orden (ver assertOrderStock)
+        if (!variant && preorderService.isPreorder(product)) {
+          preorderItems += 1;
+        } else if (!variant) {
+          const available = await inventoryService.available(queryRunner.manager, product, userId);
+          if (available < item.quantity) {
+            throw new Error(
+              `Stock insuficiente para ${product.name}. Disponible: ${available}, Solicitado: ${item.quantity}`
+            );
+          }
+        }
+
+        // Montos en centavos (Money): el subtotal es el precio unitario convertido por la cantidad
+        const unitPrice = exchangeRateService.convert(variant ? variant.price : product.price, exchangeRate, currency);
 
         orderItemsData.push({
           product,
+          variant,
           quantity: item.quantity,
-          unitPrice: product.price,
-          subtotal,
+          unitPrice,
+          subtotal: unitPrice.multiply(item.quantity),
+          discountAmount: Money.zero(currency),
+          components: await bundleService.snapshot(queryRunner.manager, product),
+        });
+      }
+      const subtotalAmount = Money.sum(orderItemsData.map(i => i.subtotal), currency);
+
+      // Antes de cobrar: el stock debe alcanzar para el total de la orden, no solo para cada línea
+      await this.assertOrderStock(queryRunner.manager, orderItemsData, userId);
+
+      // 2a. Preventa: todos los juegos deben estar sin lanzar; se valida stock de preventa, límite y modo de cobro
+      let preorderPayment = null;
+      if (preorderItems === 0 && String(paymentData.preorderPayment || '').toUpperCase() === PREORDER_PAYMENT.ON_RELEASE) {
+        // Sin juegos en preventa se cobra ahora, y los datos de pago no se validaron al recibir la orden
+        throw new HttpError(400, 'preorderPayment ON_RELEASE solo aplica a preventas');
+      }
+      if (preorderItems > 0) {
+        if (preorderItems !== orderItemsData.length) {
+          throw new HttpError(400, 'Los juegos en preventa deben comprarse en una orden separada');
+        }
+        preorderPayment = preorderService.resolvePayment(paymentData.preorderPayment, method, paymentData);
+        await preorderService.assertAllocatable(queryRunner.manager, userId, orderItemsData);
+      }
+      // Con cobro al lanzamiento no se cobra nada ahora
+      const deferPayment = preorderPayment === PREORDER_PAYMENT.ON_RELEASE;
+
+      // 2b. Cupón: el descuento se reparte entre los items y se guarda en cada línea
+      let promotion = null;
+      if (paymentData.couponCode) {
+        promotion = await couponService.validateForOrder(
+          queryRunner.manager, paymentData.couponCode, userId, orderItemsData, currency
+        );
+        promotion.lineDiscounts.forEach((discount, index) => {
+          orderItemsData[index].discountAmount = discount;
         });
       }
+      const discountAmount = promotion ? promotion.discountAmount : Money.zero(currency);
+
+      // 2c. Impuestos sobre el neto de cada línea, según la ubicación de facturación
+      const location = taxService.resolveLocation(paymentData.billingCountry, paymentData.billingRegion);
+      const taxes = await taxService.calculate(queryRunner.manager, orderItemsData, location, currency);
+      taxes.lines.forEach((tax, index) => Object.assign(orderItemsData[index], tax));
+
+      const totalAmount = taxes.totalAmount;
+      const pricing = {
+        subtotalAmount,
+        discountAmount,
+        taxAmount: taxes.taxAmount,
+        totalAmount,
+        couponCode: promotion ? promotion.coupon.code : null,
+        discountLines: promotion
+          ? [{ couponCode: promotion.coupon.code, type: promotion.coupon.type, description: promotion.description, amount: discountAmount.toMajor() }]
+          : null,
+        taxLines: taxes.taxLines,
+        billingCountry: location.country,
+        billingRegion: location.region,
+        exchangeRate,
+        baseCurrency: exchangeRateService.baseCurrency(),
+      };
 
       // 3. Procesar pago
-      const paymentStrategy = this.getPaymentStrategy(paymentData.paymentMethod);
-      const paymentResult = await paymentStrategy.processPayment(
-        {
-          cardNumber: paymentData.cardNumber,
-          fullName: paymentData.fullName,
-          expirationMonth: paymentData.expirationMonth,
-          expirationYear: paymentData.expirationYear,
-          cvv: paymentData.cvv,
-          reference: `ORD-${userId}-${Date.now()}`,
-        },
-        Math.round(totalAmount * 100) / 100, // Redondear a 2 decimales
-        paymentData.currency || 'USD',
-        paymentData.description || 'Purchase'
-      );
+      const amountDue = totalAmount;
+
+      // Una referencia de pago manual solo puede usarse en una orden
+      if (paymentData.paymentReference) {
+        await this.assertReferenceNotUsed(queryRunner.manager, method.code, paymentData.paymentReference);
+      }
+
+      // 3a. Tarjeta de regalo: paga todo (GIFT_CARD) o una parte (pago dividido con otro método).
+      // Usa el manager de la transacción, así un rechazo posterior devuelve el saldo con el rollback.
+      let giftCardPayment = null;
+      if (!deferPayment && (method.code === GIFT_CARD || paymentData.giftCardCode)) {
+        if (!method.synchronous) {
+          throw new HttpError(400, 'La tarjeta de regalo solo puede combinarse con métodos de pago sincrónicos');
+        }
+        giftCardPayment = await paymentMethodRegistry.createStrategy(GIFT_CARD).processPayment(
+          {
+            giftCardCode: paymentData.giftCardCode,
+            manager: queryRunner.manager,
+            allowPartial: method.code !== GIFT_CARD,
+          },
+          amountDue,
+          currency
+        );
+      }
+      const giftCardAmount = giftCardPayment ? Money.of(giftCardPayment.amount, currency) : Money.zero(currency);
+      const remaining = amountDue.subtract(giftCardAmount);
+
+      // 3b. El resto se cobra con el método elegido
+      let paymentResult = { success: true, transactionId: null };
+      if (!deferPayment && method.code !== GIFT_CARD && remaining.isPositive()) {
+        try {
+          paymentResult = await paymentMethodRegistry.createStrategy(method.code).processPayment(
+            {
+              cardNumber: paymentData.cardNumber,
+              fullName: paymentData.fullName,
+              expirationMonth: paymentData.expirationMonth,
+              expirationYear: paymentData.expirationYear,
+              cvv: paymentData.cvv,
+              paymentReference: paymentData.paymentReference,
+              bankCode: paymentData.bankCode,
+              phone: paymentData.phone,
+              documentId: paymentData.documentId,
+              reference: `ORD-${userId}-${Date.now()}`,
+            },
+            remaining.toMajor(),
+            currency,
+            paymentData.description || 'Purchase'
+          );
+        } catch (error) {
+          // Datos de pago inválidos: no es un rechazo del proveedor
+          if (error.statusCode) throw error;
+          paymentResult = { success: false, message: error.message };
+        }
+      }
 
       if (!paymentResult.success) {
+        failedAttempt = { user, orderItemsData, pricing, currency, reason: paymentResult.message };
         throw new Error(`Pago rechazado: ${paymentResult.message}`);
       }
-
-      // 4. Actualizar stock (solo después de pago exitoso)
-      for (const item of items) {
-        const product = await queryRunner.manager.findOne(Game, { 
-          where: { id: item.productId } 
-        });
-        product.stock -= item.quantity;
-        await queryRunner.manager.save(Game, product);
+      if (method.synchronous && paymentResult.transactionId) {
+        charge = { paymentMethod: method.code, transactionId: paymentResult.transactionId, amount: remaining, currency };
       }
 
-      // 5. Crear la Order
+      // 4. Crear la Order (PENDING si el pago debe confirmarse manualmente, PREORDERED si es preventa)
+      const pending = !method.synchronous;
+      let status = pending ? ORDER_STATUS.PENDING : ORDER_STATUS.PAID;
+      if (preorderPayment) status = ORDER_STATUS.PREORDERED;
       const order = queryRunner.manager.create(Order, {
         user,
-        status: 'COMPLETED',
-        totalAmount,
-        currency: paymentData.currency || 'USD',
+        status,
+        ...pricing,
+        currency,
         transactionId: paymentResult.transactionId,
-        paymentMethod: paymentData.paymentMethod,
+        // Si la tarjeta de regalo cubrió todo, no hubo cobro con el otro método
+        paymentMethod: remaining.isPositive() ? method.code : GIFT_CARD,
+        giftCard: giftCardPayment ? giftCardPayment.giftCard : null,
+        giftCardAmount,
+        maskedCard: remaining.isPositive() && !deferPayment ? maskCardNumber(paymentData.cardNumber) : null,
+        paymentReference: pending ? paymentResult.reference : null,
+        paymentDetails: pending ? paymentResult.details : null,
+        paymentExpiresAt: pending ? pendingPaymentDeadline() : null,
+        preorderPayment,
+        preorderReleaseDate: preorderPayment ? preorderService.releaseDate(orderItemsData) : null,
         description: paymentData.description || 'Purchase',
       });
 
       const savedOrder = await queryRunner.manager.save(Order, order);
 
-      // 6. Crear OrderItems
+      // 5. Crear OrderItems
+      const savedItems = [];
       for (const itemData of orderItemsData) {
         const orderItem = queryRunner.manager.create(OrderItem, {
           order: savedOrder,
           product: itemData.product,
+          variant: itemData.variant,
           quantity: itemData.quantity,
           unitPrice: itemData.unitPrice,
           subtotal: itemData.subtotal,
+          discountAmount: itemData.discountAmount,
+          taxRate: itemData.taxRate,
+          taxAmount: itemData.taxAmount,
+          total: itemData.total,
+          components: itemData.components,
         });
-        await queryRunner.manager.save(OrderItem, orderItem);
+        savedItems.push(await queryRunner.manager.save(OrderItem, orderItem));
+      }
+
+      // 6. Actualizar stock (después del pago) registrando la venta en el libro de movimientos.
+      // En pagos manuales las unidades quedan reservadas hasta confirmar; la reserva del checkout pasa a la orden.
+      // Las preventas descuentan del stock de preventa; los bundles descuentan sus componentes.
+      // Las variantes descuentan su stock al crearse la orden (aunque el pago quede pendiente) y se devuelve si no se concreta.
+      const stockItems = orderItemsData.filter(i => !i.variant);
+      for (const itemData of orderItemsData.filter(i => i.variant)) {
+        await variantService.changeStock(queryRunner.manager, itemData.variant.id, -itemData.quantity, {
+          type: MOVEMENT_TYPES.SALE,
+          order: savedOrder,
+          user,
+        });
+      }
+      if (preorderPayment) {
+        await preorderService.allocate(queryRunner.manager, orderItemsData);
+      } else if (pending) {
+        await inventoryService.reserveForOrder(queryRunner.manager, savedOrder, stockItems);
+      } else {
+        for (const unit of await bundleService.expand(queryRunner.manager, stockItems)) {
+          await stockMovementService.changeStock(queryRunner.manager, unit.product.id, -unit.quantity, {
+            type: MOVEMENT_TYPES.SALE,
+            order: savedOrder,
+            user,
+          });
+        }
+        // Orden pagada: los juegos digitales reciben sus claves
+        await digitalKeyService.assignForOrder(queryRunner.manager, { ...savedOrder, items: savedItems });
+      }
+      await inventoryService.consumeCart(queryRunner.manager, userId, stockItems.map(i => i.product.id), savedOrder);
+
+      // 7. Registrar el uso del cupón (cuenta para los límites de uso)
+      if (promotion) {
+        await couponService.redeem(queryRunner.manager, promotion.coupon, user, savedOrder, discountAmount);
       }
 
       // Commit de la transacción
@@ -139,24 +352,113 @@ class OrderService {
     } catch (error) {
       // Rollback en caso de error
       await queryRunner.rollbackTransaction();
+
+      // El intento de pago fallido se registra fuera de la transacción revertida
+      if (failedAttempt) {
+        await this.recordFailedPayment(failedAttempt, paymentData);
+      }
+      // El rollback no deshace un cobro con el proveedor
+      if (charge) {
+        await this.refundCharge(charge, 'Orden no completada');
+      }
       throw error;
     } finally {
       await queryRunner.release();
     }
   }
 
+  /**
+   * Verifica el stock de toda la orden antes de cobrar. Suma las unidades por variante y por juego
+   * con stock propio (los bundles se cambian por sus componentes), así las líneas repetidas o un
+   * bundle junto a uno de sus componentes no pasan cada una por separado.
+   * @param {EntityManager} manager
+   * @param {Array} orderItemsData - [{ product, variant, quantity }]
+   * @param {number} userId - Sus propias reservas del carrito no le restan disponible
+   */
+  async assertOrderStock(manager, orderItemsData, userId) {
+    const variants = new Map();
+    for (const { product, variant, quantity } of orderItemsData.filter(i => i.variant)) {
+      const current = variants.get(variant.id);
+      variants.set(variant.id, { product, variant, quantity: (current ? current.quantity : 0) + quantity });
+    }
+    for (const { product, variant, quantity } of variants.values()) {
+      if (variant.stock < quantity) {
+        throw new Error(
+          `Stock insuficiente para ${product.name} (${variant.edition}). Disponible: ${variant.stock}, Solicitado: ${quantity}`
+        );
+      }
+    }
+
+    const stockItems = orderItemsData.filter(i => !i.variant && !preorderService.isPreorder(i.product));
+    for (const unit of await bundleService.expand(manager, stockItems)) {
+      const available = await inventoryService.available(manager, unit.product, userId);
+      if (available < unit.quantity) {
+        throw new Error(
+          `Stock insuficiente para ${unit.product.name}. Disponible: ${available}, Solicitado: ${unit.quantity}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Reembolsa un cobro aprobado cuya orden no llegó a guardarse.
+   * Un error al reembolsar no debe ocultar el error original de la orden.
+   * @param {Object} charge - { paymentMethod, transactionId, amount (Money), currency }
+   * @param {string} reason
+   */
+  async refundCharge(charge, reason) {
+    try {
+      await this.getPaymentStrategy(charge.paymentMethod)
+        .refund(charge.transactionId, charge.amount.toMajor(), charge.currency, reason);
+    } catch (error) {
+      console.error(`No se pudo reembolsar el cobro ${charge.transactionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Persiste un intento de pago rechazado como orden PAYMENT_FAILED (sin tocar stock)
+   * para que soporte pueda explicar el rechazo al cliente.
+   * Un error al registrarlo no debe ocultar el error original del pago.
+   * @param {Object} attempt - { user, orderItemsData, pricing, currency, reason }
+   * @param {Object} paymentData - Datos del pago recibidos
+   */
+  async recordFailedPayment(attempt, paymentData) {
+    try {
+      const order = this.orderRepo.create({
+        user: attempt.user,
+        status: ORDER_STATUS.PAYMENT_FAILED,
+        ...attempt.pricing,
+        currency: attempt.currency,
+        paymentMethod: String(paymentData.paymentMethod).toUpperCase(),
+        maskedCard: maskCardNumber(paymentData.cardNumber),
+        failureReason: attempt.reason,
+        description: paymentData.description || 'Purchase',
+        items: attempt.orderItemsData.map(itemData => this.orderItemRepo.create(itemData)),
+      });
+      await this.orderRepo.save(order);
+    } catch (error) {
+      console.error('Error registrando el pago fallido:', error);
+    }
+  }
+
   /**
    * Obtiene órdenes del usuario con paginación
    * @param {number} userId - ID del usuario
    * @param {number} page - Número de página
    * @param {number} limit - Elementos por página
+   * @param {Object} filters - Filtros opcionales {status}
    * @returns {Promise<Object>} - {items, total, page, limit, totalPages}
    */
-  async getUserOrders(userId, page = 1, limit = 10) {
+  async getUserOrders(userId, page = 1, limit = 10, filters = {}) {
     const offset = (page - 1) * limit;
 
+    const where = { user: { id: userId } };
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
     const [items, total] = await this.orderRepo.findAndCount({
-      where: { user: { id: userId } },
+      where,
       relations: ['items', 'items.product'],
       skip: offset,
       take: limit,
@@ -192,23 +494,484 @@ class OrderService {
   }
 
   /**
-   * Selecciona la estrategia de pago basada en el tipo
-   * @param {string} paymentMethod - Tipo de pago (CREDIT_CARD, ...)
+   * Cancela una orden. Si ya estaba pagada reembolsa el saldo pendiente.
+   * Devuelve al stock las unidades que no habían sido reembolsadas (si estaba PENDING libera su reserva;
+   * una preventa las devuelve al stock de preventa).
+   * @param {number} orderId - ID de la orden
+   * @param {Object} actor - Usuario que cancela {id, role}; staff/admin pueden cancelar cualquier orden
+   * @param {string} reason - Motivo de la cancelación
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async cancelOrder(orderId, actor, reason) {
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, actor);
+      const from = order.status;
+      assertTransition(from, ORDER_STATUS.CANCELED);
+
+      // Si ya hubo cobro (también en preventas pagadas por adelantado), reembolsar lo que falte antes de cancelar
+      const wasPaid = normalizeStatus(from) === ORDER_STATUS.PAID
+        || (from === ORDER_STATUS.PREORDERED && order.preorderPayment === PREORDER_PAYMENT.UPFRONT);
+      if (wasPaid) {
+        const pending = Money.of(order.totalAmount, order.currency).subtract(order.refundedAmount);
+        if (pending.isPositive()) {
+          await this.refundPayments(manager, order, pending, reason || 'Orden cancelada');
+          order.refundedAmount = pending.add(order.refundedAmount);
+        }
+      }
+
+      if (normalizeStatus(from) === ORDER_STATUS.PENDING) {
+        await this.releasePendingStock(manager, order, reason || 'Orden cancelada');
+      } else {
+        if (from === ORDER_STATUS.PREORDERED) {
+          await preorderService.restore(manager, order);
+        }
+        for (const item of order.items) {
+          const units = item.quantity - item.refundedQuantity;
+          if (from !== ORDER_STATUS.PREORDERED) {
+            await this.restoreItemStock(manager, item, units, order, reason || 'Orden cancelada');
+            await digitalKeyService.releaseForItem(manager, item, units);
+          }
+          if (wasPaid) {
+            item.refundedQuantity = item.quantity;
+            await manager.save(OrderItem, item);
+          }
+        }
+      }
+
+      order.status = ORDER_STATUS.CANCELED;
+      await manager.save(Order, order);
+      return order.id;
+    });
+  }
+
+  /**
+   * Reembolsa una orden pagada, total o parcialmente por items.
+   * Devuelve al stock las unidades reembolsadas.
+   * @param {number} orderId - ID de la orden
+   * @param {Array|undefined} items - [{productId, variantId?, quantity}]; si se omite se reembolsa todo lo pendiente
+   * @param {string} reason - Motivo del reembolso
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async refundOrder(orderId, items, reason) {
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, { role: ROLES.ADMIN });
+
+      const lines = this.resolveRefundLines(order, items);
+      const amount = Money.sum(lines.map(l => this.refundableAmount(l.item, l.quantity)), order.currency);
+
+      const fullyRefunded = order.items.every(item => {
+        const line = lines.find(l => l.item.id === item.id);
+        return item.refundedQuantity + (line ? line.quantity : 0) === item.quantity;
+      });
+      const to = fullyRefunded ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED;
+      assertTransition(order.status, to);
+
+      await this.refundPayments(manager, order, amount, reason || 'Reembolso');
+
+      for (const { item, quantity } of lines) {
+        item.refundedQuantity += quantity;
+        await manager.save(OrderItem, item);
+        await this.restoreItemStock(manager, item, quantity, order, reason || 'Reembolso');
+        await digitalKeyService.releaseForItem(manager, item, quantity);
+      }
+
+      order.refundedAmount = amount.add(order.refundedAmount);
+      order.status = to;
+      await manager.save(Order, order);
+      return order.id;
+    });
+  }
+
+  /**
+   * Marca una orden pagada como entregada
+   * @param {number} orderId - ID de la orden
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async fulfillOrder(orderId) {
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, { role: ROLES.ADMIN });
+      assertTransition(order.status, ORDER_STATUS.FULFILLED);
+      order.status = ORDER_STATUS.FULFILLED;
+      await manager.save(Order, order);
+      return order.id;
+    });
+  }
+
+  /**
+   * Confirma la referencia de un pago manual: la orden PENDING pasa a PAID
+   * @param {number} orderId - ID de la orden
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async confirmPayment(orderId) {
+    // Una orden vencida se cancela antes, así no puede confirmarse fuera de plazo
+    await this.expirePendingOrders();
+
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, { role: ROLES.ADMIN });
+      assertTransition(order.status, ORDER_STATUS.PAID);
+      // Recién con el pago confirmado las unidades reservadas salen del stock
+      await inventoryService.consumeOrder(manager, order.id);
+      await digitalKeyService.assignForOrder(manager, order);
+      order.status = ORDER_STATUS.PAID;
+      order.paymentExpiresAt = null;
+      await manager.save(Order, order);
+      return order.id;
+    });
+  }
+
+  /**
+   * Rechaza la referencia de un pago manual: la orden pasa a PAYMENT_FAILED y se libera el stock reservado
+   * @param {number} orderId - ID de la orden
+   * @param {string} reason - Motivo del rechazo
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async rejectPayment(orderId, reason) {
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, { role: ROLES.ADMIN });
+      assertTransition(order.status, ORDER_STATUS.PAYMENT_FAILED);
+      await this.releasePendingStock(manager, order, reason || 'Referencia de pago rechazada');
+
+      order.status = ORDER_STATUS.PAYMENT_FAILED;
+      order.failureReason = reason || 'Referencia de pago rechazada';
+      order.paymentExpiresAt = null;
+      await manager.save(Order, order);
+      return order.id;
+    });
+  }
+
+  /**
+   * Paga una preventa con cobro al lanzamiento (ya liberada, en PENDING). El juego ya salió,
+   * así que con el cobro aprobado la orden pasa a PAID y se entrega (FULFILLED).
+   * @param {number} orderId - ID de la orden
+   * @param {Object} actor - Usuario que paga {id, role}
+   * @param {Object} paymentData - Datos de la tarjeta
+   * @returns {Promise<Object>} - Orden actualizada
+   */
+  async payPreorder(orderId, actor, paymentData) {
+    // Una preventa con el plazo de pago vencido se cancela antes
+    await this.expirePendingOrders();
+
+    return this.runInTransaction(async (manager) => {
+      const order = await this.findOrderForActor(manager, orderId, actor);
+      if (order.preorderPayment !== PREORDER_PAYMENT.ON_RELEASE || order.status !== ORDER_STATUS.PENDING) {
+        throw new HttpError(409, 'La orden no tiene un pago de preventa pendiente');
+      }
+
+      const missing = paymentMethodRegistry.missingFields(order.paymentMethod, paymentData);
+      if (missing.length > 0) {
+        throw new HttpError(400, `Datos de pago incompletos para ${order.paymentMethod} (${missing.join(', ')})`);
+      }
+
+      // Sin claves para los juegos digitales no se cobra
+      await digitalKeyService.assertAssignable(manager, order);
+
+      let paymentResult;
+      try {
+        paymentResult = await this.getPaymentStrategy(order.paymentMethod).processPayment(
+          { ...paymentData, reference: `ORD-${order.user.id}-${order.id}` },
+          Money.of(order.totalAmount, order.currency).toMajor(),
+          order.currency,
+          order.description || 'Purchase'
+        );
+      } catch (error) {
+        if (error.statusCode) throw error;
+        paymentResult = { success: false, message: error.message };
+      }
+      if (!paymentResult.success) {
+        throw new Error(`Pago rechazado: ${paymentResult.message}`);
+      }
+
+      try {
+        assertTransition(order.status, ORDER_STATUS.PAID);
+        order.transactionId = paymentResult.transactionId;
+        order.maskedCard = maskCardNumber(paymentData.cardNumber);
+        order.paymentExpiresAt = null;
+        assertTransition(ORDER_STATUS.PAID, ORDER_STATUS.FULFILLED);
+        await digitalKeyService.assignForOrder(manager, order);
+        order.status = ORDER_STATUS.FULFILLED;
+        await manager.save(Order, order);
+      } catch (error) {
+        // El rollback no deshace el cobro
+        await this.refundCharge({
+          paymentMethod: order.paymentMethod,
+          transactionId: paymentResult.transactionId,
+          amount: Money.of(order.totalAmount, order.currency),
+          currency: order.currency,
+        }, 'Preventa no completada');
+        throw error;
+      }
+      return order.id;
+    });
+  }
+
+  /**
+   * Libera las preventas cuyo juego ya salió: las pagadas por adelantado se entregan (FULFILLED)
+   * y las de cobro al lanzamiento pasan a PENDING con el plazo de pago habitual.
+   * En ambos casos se encola un aviso PREORDER_RELEASED para el cliente en el outbox.
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<Object>} - { fulfilled: ids, awaitingPayment: ids }
+   */
+  async releasePreorders(now = new Date()) {
+    const due = await this.orderRepo.find({
+      where: { status: ORDER_STATUS.PREORDERED, preorderReleaseDate: LessThanOrEqual(preorderService.today(now)) },
+    });
+
+    const result = { fulfilled: [], awaitingPayment: [] };
+    for (const { id } of due) {
+      await this.runInTransaction(async (manager) => {
+        const order = await manager.findOne(Order, { where: { id }, relations: ['user', 'items', 'items.product'] });
+        // Pudo cancelarse mientras tanto
+        if (order.status !== ORDER_STATUS.PREORDERED) return order.id;
+
+        if (order.preorderPayment === PREORDER_PAYMENT.UPFRONT) {
+          assertTransition(order.status, ORDER_STATUS.FULFILLED);
+          await digitalKeyService.assignForOrder(manager, order);
+          order.status = ORDER_STATUS.FULFILLED;
+          result.fulfilled.push(order.id);
+        } else {
+          assertTransition(order.status, ORDER_STATUS.PENDING);
+          order.status = ORDER_STATUS.PENDING;
+          order.paymentExpiresAt = pendingPaymentDeadline();
+          result.awaitingPayment.push(order.id);
+        }
+        await manager.save(Order, order);
+
+        await outboxService.enqueue(manager, {
+          type: 'PREORDER_RELEASED',
+          recipient: order.user.email,
+          payload: {
+            orderId: order.id,
+            status: order.status,
+            totalAmount: order.totalAmount,
+            currency: order.currency,
+            paymentExpiresAt: order.paymentExpiresAt,
+          },
+        });
+        return order.id;
+      }).catch((error) => {
+        // Sin claves digitales suficientes la preventa queda PREORDERED y se reintenta en la próxima corrida
+        console.error(`Error liberando la preventa ${id}:`, error.message);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Cancela las órdenes PENDING cuyo plazo de confirmación venció y libera su stock
+   * @param {Date} now - Fecha de referencia
+   * @returns {Promise<number[]>} - IDs de las órdenes expiradas
+   */
+  async expirePendingOrders(now = new Date()) {
+    const expired = await this.orderRepo.find({
+      where: { status: ORDER_STATUS.PENDING, paymentExpiresAt: LessThanOrEqual(now) },
+    });
+
+    const ids = [];
+    for (const { id } of expired) {
+      await this.runInTransaction(async (manager) => {
+        const order = await manager.findOne(Order, { where: { id }, relations: ['items', 'items.product'] });
+        // Pudo confirmarse o cancelarse mientras tanto
+        if (order.status !== ORDER_STATUS.PENDING) return order.id;
+
+        assertTransition(order.status, ORDER_STATUS.CANCELED);
+        await this.releasePendingStock(manager, order, 'Pago no confirmado dentro del plazo');
+        order.status = ORDER_STATUS.CANCELED;
+        order.failureReason = 'Pago no confirmado dentro del plazo';
+        await manager.save(Order, order);
+        ids.push(order.id);
+        return order.id;
+      });
+    }
+    return ids;
+  }
+
+  /**
+   * Ejecuta fn(manager) en una transacción y devuelve la orden resultante con relaciones
+   */
+  async runInTransaction(fn) {
+    const queryRunner = AppDataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+      const orderId = await fn(queryRunner.manager);
+      await queryRunner.commitTransaction();
+
+      return await this.orderRepo.findOne({
+        where: { id: orderId },
+        relations: ['user', 'items', 'items.product'],
+      });
+    } catch (error) {
+      await queryRunner.rollbackTransaction();
+      throw error;
+    } finally {
+      await queryRunner.release();
+    }
+  }
+
+  /**
+   * Busca una orden; los clientes solo pueden acceder a sus propias órdenes
+   */
+  async findOrderForActor(manager, orderId, actor) {
+    const order = await manager.findOne(Order, {
+      where: { id: orderId },
+      relations: ['user', 'items', 'items.product', 'giftCard'],
+    });
+
+    const isStaff = actor.role === ROLES.STAFF || actor.role === ROLES.ADMIN;
+    if (!order || (!isStaff && order.user.id !== actor.id)) {
+      throw new HttpError(404, 'Orden no encontrada o no pertenece al usuario');
+    }
+    return order;
+  }
+
+  /**
+   * Valida los items a reembolsar contra lo pendiente de cada OrderItem
+   * @returns {Array} [{item, quantity}]
+   */
+  resolveRefundLines(order, items) {
+    if (items === undefined || items === null) {
+      const pending = order.items
+        .filter(item => item.quantity - item.refundedQuantity > 0)
+        .map(item => ({ item, quantity: item.quantity - item.refundedQuantity }));
+      if (pending.length === 0) {
+        throw new HttpError(409, 'La orden no tiene unidades pendientes de reembolso');
+      }
+      return pending;
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new HttpError(400, 'items debe ser un array no vacío de {productId, quantity}');
+    }
+
+    return items.map(({ productId, variantId, quantity }) => {
+      // Con variantId se distingue entre ediciones del mismo juego
+      const item = order.items.find(i => i.product.id === Number(productId)
+        && (variantId === undefined || variantId === null || (i.variant && i.variant.id === Number(variantId))));
+      if (!item) {
+        throw new HttpError(400, `El producto ${productId} no pertenece a la orden`);
+      }
+      const qty = Number(quantity);
+      const remaining = item.quantity - item.refundedQuantity;
+      if (!Number.isInteger(qty) || qty < 1 || qty > remaining) {
+        throw new HttpError(400, `Cantidad a reembolsar inválida para el producto ${productId} (pendiente: ${remaining})`);
+      }
+      return { item, quantity: qty };
+    });
+  }
+
+  /**
+   * Monto a devolver por unidades de un item: su total con descuentos e impuestos.
+   * Si se reembolsan todas las unidades pendientes se devuelve exactamente el neto restante,
+   * así el redondeo por unidad nunca devuelve más (o menos) de lo cobrado.
+   */
+  refundableAmount(item, quantity) {
+    const net = item.total !== null && item.total !== undefined
+      ? Money.of(item.total)
+      : Money.of(item.subtotal).subtract(item.discountAmount || 0);
+    const refunded = net.multiply(item.refundedQuantity / item.quantity);
+    if (item.refundedQuantity + quantity === item.quantity) {
+      return net.subtract(refunded);
+    }
+    return net.multiply(quantity / item.quantity);
+  }
+
+  /**
+   * Devuelve un monto de la orden a sus medios de pago: primero al método cobrado
+   * (tarjeta, transferencia...) y el resto al saldo de la tarjeta de regalo
+   */
+  async refundPayments(manager, order, amount, reason) {
+    const chargedAmount = Money.of(order.totalAmount, order.currency).subtract(order.giftCardAmount);
+    const refundedFromCharge = chargedAmount.min(order.refundedAmount);
+    const toCharge = amount.min(chargedAmount.subtract(refundedFromCharge));
+    const toGiftCard = amount.subtract(toCharge);
+
+    if (toCharge.isPositive()) {
+      await this.getPaymentStrategy(order.paymentMethod).refund(order.transactionId, toCharge.toMajor(), order.currency, reason);
+    }
+    if (toGiftCard.isPositive()) {
+      await giftCardService.restore(manager, order.giftCard.id, toGiftCard);
+    }
+  }
+
+  /**
+   * Rechaza una referencia de pago manual que ya figura en otra orden vigente
+   */
+  async assertReferenceNotUsed(manager, paymentMethod, paymentReference) {
+    const existing = await manager.findOne(Order, {
+      where: {
+        paymentMethod,
+        paymentReference: String(paymentReference).trim(),
+        status: Not(In([ORDER_STATUS.PAYMENT_FAILED, ORDER_STATUS.CANCELED])),
+      },
+    });
+    if (existing) {
+      throw new HttpError(409, 'La referencia de pago ya fue registrada en otra orden');
+    }
+  }
+
+  /**
+   * Libera las unidades retenidas por una orden PENDING. Las órdenes creadas antes de las
+   * reservas de inventario descontaron el stock al crearse; a esas se les devuelve el stock.
+   */
+  async releasePendingStock(manager, order, reason) {
+    // Preventa liberada que no se pagó: sus unidades vuelven al stock de preventa
+    if (order.preorderPayment) {
+      await preorderService.restore(manager, order);
+      return;
+    }
+    // Las variantes descontaron su stock al crearse la orden
+    const [variantItems, stockItems] = [order.items.filter(i => i.variant), order.items.filter(i => !i.variant)];
+    for (const item of variantItems) {
+      await this.restoreItemStock(manager, item, item.quantity - item.refundedQuantity, order, reason);
+    }
+    const released = await inventoryService.releaseOrder(manager, order.id, reason);
+    if (released) return;
+    for (const item of stockItems) {
+      await this.restoreItemStock(manager, item, item.quantity - item.refundedQuantity, order, reason);
+    }
+  }
+
+  /**
+   * Devuelve al stock las unidades de un OrderItem; una variante las devuelve a su propio stock
+   * y un bundle devuelve los componentes que incluía al venderse
+   */
+  async restoreItemStock(manager, item, quantity, order, reason) {
+    if (item.variant) {
+      if (quantity <= 0) return;
+      await variantService.changeStock(manager, item.variant.id, quantity, { type: MOVEMENT_TYPES.REFUND, reason, order });
+      return;
+    }
+    if (!item.components) {
+      return this.restoreStock(manager, item.product.id, quantity, order, reason);
+    }
+    for (const component of item.components) {
+      await this.restoreStock(manager, component.productId, component.quantity * quantity, order, reason);
+    }
+  }
+
+  /**
+   * Devuelve unidades al stock de un producto y registra el movimiento
+   */
+  async restoreStock(manager, productId, quantity, order, reason) {
+    if (quantity <= 0) return;
+    const product = await manager.findOne(Game, { where: { id: productId } });
+    if (product) {
+      await stockMovementService.changeStock(manager, productId, quantity, {
+        type: MOVEMENT_TYPES.REFUND,
+        reason,
+        order,
+      });
+    }
+  }
+
+  /**
+   * Selecciona la estrategia de pago registrada para el método
+   * @param {string} paymentMethod - Código del método (ver PaymentMethodRegistry)
    * @returns {PaymentStrategy} - Instancia de la estrategia de pago
    */
   getPaymentStrategy(paymentMethod = 'CREDIT_CARD') {
-    // Validar que paymentMethod no sea undefined
-    if (!paymentMethod) {
-      throw new Error('Método de pago no especificado');
-    }
-    
-    switch (String(paymentMethod).toUpperCase()) {
-      case 'CREDIT_CARD':
-        return new CreditCardPaymentStrategy();
-      // Futuras estrategias: PAYPAL, CRYPTO, etc.
-      default:
-        throw new Error(`Método de pago no soportado: ${paymentMethod}`);
-    }
+    return paymentMethodRegistry.createStrategy(paymentMethod);
   }
 }
 
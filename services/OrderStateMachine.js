@@ -0,0 +1,71 @@
+const HttpError = require('../utils/HttpError');
+
+/**
+ * OrderStateMachine
+ * Define los estados posibles de una Order y las transiciones permitidas.
+ * Toda modificación de Order.status debe pasar por assertTransition().
+ */
+const ORDER_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  PREORDERED: 'PREORDERED',
+  PAID: 'PAID',
+  FULFILLED: 'FULFILLED',
+  CANCELED: 'CANCELED',
+  REFUNDED: 'REFUNDED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  PAYMENT_FAILED: 'PAYMENT_FAILED',
+});
+
+// Órdenes creadas antes de la máquina de estados se guardaban como COMPLETED (equivale a PAID)
+const LEGACY_ALIASES = Object.freeze({
+  COMPLETED: ORDER_STATUS.PAID,
+});
+
+const TRANSITIONS = Object.freeze({
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELED, ORDER_STATUS.PAYMENT_FAILED],
+  // Preventa: al lanzarse el juego se entrega (pagada por adelantado) o pasa a PENDING hasta que se pague
+  [ORDER_STATUS.PREORDERED]: [ORDER_STATUS.FULFILLED, ORDER_STATUS.PENDING, ORDER_STATUS.CANCELED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.FULFILLED, ORDER_STATUS.CANCELED, ORDER_STATUS.REFUNDED, ORDER_STATUS.PARTIALLY_REFUNDED],
+  [ORDER_STATUS.FULFILLED]: [ORDER_STATUS.REFUNDED, ORDER_STATUS.PARTIALLY_REFUNDED],
+  [ORDER_STATUS.PARTIALLY_REFUNDED]: [ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+  [ORDER_STATUS.PAYMENT_FAILED]: [],
+});
+
+/**
+ * Normaliza un estado almacenado (resuelve alias heredados)
+ * @param {string} status
+ * @returns {string}
+ */
+const normalizeStatus = (status) => LEGACY_ALIASES[status] || status;
+
+/**
+ * Indica si la transición from -> to está permitida
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  const allowed = TRANSITIONS[normalizeStatus(from)] || [];
+  return allowed.includes(to);
+};
+
+/**
+ * Lanza HttpError 409 si la transición no está permitida
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new HttpError(409, `Transición de estado no permitida: ${from} -> ${to}`);
+  }
+};
+
+module.exports = {
+  ORDER_STATUS,
+  TRANSITIONS,
+  normalizeStatus,
+  canTransition,
+  assertTransition,
+};
@@ -0,0 +1,43 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const OutboxMessage = require('../models/OutboxMessage');
+
+const OUTBOX_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+});
+
+/**
+ * OutboxService
+ * Outbox local de mensajes a clientes. enqueue() escribe en el EntityManager del cambio que
+ * origina el mensaje (mismo commit o rollback); el envío real lee los PENDING con pending()
+ * y los confirma con markSent().
+ */
+class OutboxService {
+  constructor() {
+    this.messageRepo = AppDataSource.getRepository(OutboxMessage);
+  }
+
+  /**
+   * Encola un mensaje
+   * @param {EntityManager} manager
+   * @param {Object} message - { type, recipient, payload }
+   */
+  async enqueue(manager, { type, recipient, payload }) {
+    return manager.save(OutboxMessage, manager.create(OutboxMessage, { type, recipient, payload }));
+  }
+
+  /**
+   * Mensajes pendientes de envío (más antiguos primero)
+   * @param {number} limit
+   */
+  async pending(limit = 100) {
+    return this.messageRepo.find({ where: { status: OUTBOX_STATUS.PENDING }, order: { id: 'ASC' }, take: limit });
+  }
+
+  async markSent(id) {
+    await this.messageRepo.update({ id }, { status: OUTBOX_STATUS.SENT, sentAt: new Date() });
+  }
+}
+
+module.exports = new OutboxService();
+module.exports.OUTBOX_STATUS = OUTBOX_STATUS;
@@ -0,0 +1,20 @@
+const ManualPaymentStrategy = require('./ManualPaymentStrategy');
+
+/**
+ * PagoMovilPaymentStrategy
+ * Pago Móvil interbancario en VES, confirmado manualmente con la referencia reportada
+ */
+class PagoMovilPaymentStrategy extends ManualPaymentStrategy {
+  constructor() {
+    super();
+    this.label = 'Pago Móvil';
+    this.fieldFormats = {
+      ...this.fieldFormats,
+      bankCode: [/^\d{4}$/, 'código de banco de 4 dígitos, ej. 0102'],
+      phone: [/^04\d{9}$/, 'teléfono del pagador, ej. 04141234567'],
+      documentId: [/^[VEJPG]-?\d{6,9}$/i, 'cédula o RIF del pagador, ej. V12345678'],
+    };
+  }
+}
+
+module.exports = PagoMovilPaymentStrategy;
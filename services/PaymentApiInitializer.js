@@ -5,6 +5,7 @@
  */
 
 const axios = require('axios');
+const { startFakePaymentServer } = require('./FakePaymentProvider');
 
 class PaymentApiInitializer {
   /**
@@ -105,6 +106,11 @@ class PaymentApiInitializer {
   static async inicializar() {
     console.log('📋 Inicializando configuración de pagos...');
 
+    // FAKE_PAYMENT_API=local levanta el proveedor de pagos local en lugar del servicio remoto
+    if (process.env.FAKE_PAYMENT_API === 'local') {
+      await this.iniciarProveedorLocal();
+    }
+
     // Validar conexión
     const esValido = await this.validarConfiguracion();
 
@@ -129,6 +135,17 @@ class PaymentApiInitializer {
     
     console.log('✅ Configuración de pagos lista\n');
   }
+
+  /**
+   * Levanta el proveedor de pagos local y apunta FAKE_PAYMENT_API a su URL
+   * El puerto se toma de FAKE_PAYMENT_PORT (0 = puerto libre aleatorio)
+   */
+  static async iniciarProveedorLocal() {
+    const port = Number(process.env.FAKE_PAYMENT_PORT) || 0;
+    const { url } = await startFakePaymentServer(port);
+    process.env.FAKE_PAYMENT_API = url;
+    console.log(`✅ Proveedor de pagos local corriendo en ${url}`);
+  }
 }
 
 module.exports = PaymentApiInitializer;
@@ -0,0 +1,170 @@
+const HttpError = require('../utils/HttpError');
+const CreditCardPaymentStrategy = require('./CreditCardPaymentStrategy');
+const BankTransferPaymentStrategy = require('./BankTransferPaymentStrategy');
+const PagoMovilPaymentStrategy = require('./PagoMovilPaymentStrategy');
+const GiftCardPaymentStrategy = require('./GiftCardPaymentStrategy');
+
+/**
+ * PaymentMethodRegistry
+ * Registro de estrategias de pago por código de método (CREDIT_CARD, PAGO_MOVIL, ...).
+ * Para agregar un método basta con registrar su estrategia y metadatos:
+ *
+ *   paymentMethodRegistry.register('PAYPAL', PaypalPaymentStrategy, {
+ *     label: 'PayPal',
+ *     currencies: ['USD'],
+ *     requiredFields: ['paypalEmail'],
+ *     synchronous: true,
+ *   });
+ *
+ * Metadatos:
+ * - currencies: monedas aceptadas; la primera es la moneda por defecto
+ * - requiredFields: campos del body que el cliente debe enviar
+ * - synchronous: true si el cobro se resuelve en la misma solicitud (orden PAID);
+ *   false si queda pendiente de confirmación manual (orden PENDING)
+ */
+class PaymentMethodRegistry {
+  constructor() {
+    this.methods = new Map();
+  }
+
+  /**
+   * Registra (o reemplaza) una estrategia de pago
+   * @param {string} code - Código del método
+   * @param {Function} StrategyClass - Clase que extiende PaymentStrategy
+   * @param {Object} metadata - { label, description, currencies, requiredFields, synchronous }
+   */
+  register(code, StrategyClass, metadata = {}) {
+    const key = String(code).toUpperCase();
+    if (!Array.isArray(metadata.currencies) || metadata.currencies.length === 0) {
+      throw new Error(`El método de pago ${key} debe declarar al menos una moneda`);
+    }
+
+    this.methods.set(key, {
+      code: key,
+      StrategyClass,
+      label: metadata.label || key,
+      description: metadata.description || null,
+      currencies: metadata.currencies.map(c => c.toUpperCase()),
+      requiredFields: metadata.requiredFields || [],
+      synchronous: metadata.synchronous !== false,
+    });
+  }
+
+  /**
+   * Quita un método del registro
+   * @param {string} code
+   * @returns {boolean} true si estaba registrado
+   */
+  unregister(code) {
+    return this.methods.delete(String(code).toUpperCase());
+  }
+
+  has(code) {
+    return Boolean(code) && this.methods.has(String(code).toUpperCase());
+  }
+
+  /**
+   * Obtiene la definición de un método; HttpError 400 si no está registrado
+   * @param {string} code
+   * @returns {Object} { code, StrategyClass, label, currencies, requiredFields, synchronous }
+   */
+  get(code) {
+    if (!code) {
+      throw new HttpError(400, 'Método de pago no especificado');
+    }
+    const method = this.methods.get(String(code).toUpperCase());
+    if (!method) {
+      throw new HttpError(400, `Método de pago no soportado: ${code}. Disponibles: ${this.codes().join(', ')}`);
+    }
+    return method;
+  }
+
+  /**
+   * Crea una instancia de la estrategia del método
+   * @param {string} code
+   * @returns {PaymentStrategy}
+   */
+  createStrategy(code) {
+    const { StrategyClass } = this.get(code);
+    return new StrategyClass();
+  }
+
+  /**
+   * Campos requeridos del método que faltan en los datos recibidos (un número inválido cuenta como faltante)
+   * @param {string} code
+   * @param {Object} data - Body de la solicitud
+   * @returns {string[]}
+   */
+  missingFields(code, data = {}) {
+    return this.get(code).requiredFields.filter(field =>
+      data[field] === undefined || data[field] === null || Number.isNaN(data[field]) || String(data[field]).trim() === ''
+    );
+  }
+
+  /**
+   * Moneda a usar para el método: la solicitada si la acepta, o la de defecto
+   * @param {string} code
+   * @param {string} currency - Moneda solicitada (opcional)
+   * @returns {string}
+   */
+  resolveCurrency(code, currency) {
+    const method = this.get(code);
+    if (!currency) {
+      return method.currencies[0];
+    }
+    const requested = String(currency).toUpperCase();
+    if (!method.currencies.includes(requested)) {
+      throw new HttpError(400, `${method.label} no acepta ${requested} (monedas: ${method.currencies.join(', ')})`);
+    }
+    return requested;
+  }
+
+  codes() {
+    return [...this.methods.keys()];
+  }
+
+  /**
+   * Métodos disponibles para los clientes (sin la clase de la estrategia)
+   * @returns {Object[]}
+   */
+  list() {
+    return [...this.methods.values()].map(({ StrategyClass, ...metadata }) => metadata);
+  }
+}
+
+const paymentMethodRegistry = new PaymentMethodRegistry();
+
+// Métodos incluidos
+paymentMethodRegistry.register('CREDIT_CARD', CreditCardPaymentStrategy, {
+  label: 'Tarjeta de crédito',
+  description: 'Cobro inmediato a través del proveedor de pagos',
+  currencies: ['USD', 'EUR', 'VES'],
+  requiredFields: ['cardNumber', 'cvv', 'expirationMonth', 'expirationYear', 'fullName'],
+  synchronous: true,
+});
+
+paymentMethodRegistry.register('BANK_TRANSFER', BankTransferPaymentStrategy, {
+  label: 'Transferencia bancaria',
+  description: 'La orden queda pendiente hasta que se confirme la referencia de la transferencia',
+  currencies: ['VES'],
+  requiredFields: ['paymentReference', 'bankCode'],
+  synchronous: false,
+});
+
+paymentMethodRegistry.register('PAGO_MOVIL', PagoMovilPaymentStrategy, {
+  label: 'Pago Móvil',
+  description: 'La orden queda pendiente hasta que se confirme la referencia del Pago Móvil',
+  currencies: ['VES'],
+  requiredFields: ['paymentReference', 'bankCode', 'phone', 'documentId'],
+  synchronous: false,
+});
+
+paymentMethodRegistry.register('GIFT_CARD', GiftCardPaymentStrategy, {
+  label: 'Tarjeta de regalo',
+  description: 'Paga con el saldo de una tarjeta de regalo; para pago dividido envía giftCardCode junto a otro método sincrónico',
+  currencies: ['USD', 'EUR', 'VES'],
+  requiredFields: ['giftCardCode'],
+  synchronous: true,
+});
+
+module.exports = paymentMethodRegistry;
@@ -13,6 +13,18 @@ class PaymentStrategy {
     throw new Error('processPayment() debe ser implementado por la estrategia concreta');
   }
 
+  /**
+   * Reembolsa total o parcialmente un pago
+   * @param {string} transactionId - ID de la transacción original
+   * @param {number} amount - Monto a reembolsar
+   * @param {string} currency - Moneda del reembolso
+   * @param {string} reason - Motivo del reembolso
+   * @returns {Promise<Object>} - Resultado del reembolso {success, refundId, message}
+   */
+  async refund(transactionId, amount, currency, reason) {
+    throw new Error('refund() debe ser implementado por la estrategia concreta');
+  }
+
   /**
    * Obtiene el estado de una transacción
    * @param {string} transactionId - ID de la transacción
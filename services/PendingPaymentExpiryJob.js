@@ -0,0 +1,19 @@
+const IntervalJob = require('./IntervalJob');
+const orderService = require('./OrderService');
+
+/**
+ * PendingPaymentExpiryJob
+ * Revisa periódicamente las órdenes PENDING de pagos manuales y cancela las vencidas,
+ * liberando el stock reservado. Intervalo configurable con PENDING_PAYMENT_SWEEP_MINUTES.
+ */
+module.exports = new IntervalJob({
+  envVar: 'PENDING_PAYMENT_SWEEP_MINUTES',
+  defaultMinutes: 5,
+  errorMessage: 'Error expirando órdenes pendientes:',
+  async task() {
+    const expired = await orderService.expirePendingOrders();
+    if (expired.length > 0) {
+      console.log(`Órdenes con pago vencido canceladas: ${expired.join(', ')}`);
+    }
+  },
+});
@@ -0,0 +1,19 @@
+const IntervalJob = require('./IntervalJob');
+const orderService = require('./OrderService');
+
+/**
+ * PreorderReleaseJob
+ * Libera periódicamente las preventas cuyo juego ya salió (ver OrderService.releasePreorders).
+ * Intervalo configurable con PREORDER_RELEASE_SWEEP_MINUTES.
+ */
+module.exports = new IntervalJob({
+  envVar: 'PREORDER_RELEASE_SWEEP_MINUTES',
+  defaultMinutes: 60,
+  errorMessage: 'Error liberando preventas:',
+  async task() {
+    const { fulfilled, awaitingPayment } = await orderService.releasePreorders();
+    if (fulfilled.length > 0 || awaitingPayment.length > 0) {
+      console.log(`Preventas liberadas: entregadas ${fulfilled.join(', ') || '-'}; con pago pendiente ${awaitingPayment.join(', ') || '-'}`);
+    }
+  },
+});
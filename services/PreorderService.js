@@ -0,0 +1,126 @@
+const { In, Not, IsNull } = require('typeorm');
+const OrderItem = require('../models/OrderItem');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const { ORDER_STATUS } = require('./OrderStateMachine');
+
+// Cuándo se cobra una preventa
+const PREORDER_PAYMENT = Object.freeze({
+  UPFRONT: 'UPFRONT',
+  ON_RELEASE: 'ON_RELEASE',
+});
+
+// Estados en los que una preventa ya no ocupa unidades ni cuenta para el límite por cliente
+const CLOSED_STATUSES = [ORDER_STATUS.CANCELED, ORDER_STATUS.PAYMENT_FAILED, ORDER_STATUS.REFUNDED];
+
+// Fecha (YYYY-MM-DD) de un valor date de la base o de un Date
+const toDateString = (value) =>
+  value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+
+/**
+ * PreorderService
+ * Preventas de juegos con releaseDate futura. Se venden contra Game.preorderStock (separado
+ * del stock normal, no pasa por reservas ni por el libro de movimientos) y respetan
+ * Game.preorderLimit por cliente. Los métodos reciben el EntityManager de la transacción de la orden.
+ */
+class PreorderService {
+  /**
+   * Indica si el juego todavía no salió (se vende en preventa)
+   * @param {Object} product - Game
+   * @param {Date} now - Fecha de referencia
+   */
+  isPreorder(product, now = new Date()) {
+    return Boolean(product.releaseDate) && toDateString(product.releaseDate) > toDateString(now);
+  }
+
+  today(now = new Date()) {
+    return toDateString(now);
+  }
+
+  /**
+   * Valida el modo de cobro pedido para la preventa
+   * @param {string} value - UPFRONT (por defecto) u ON_RELEASE
+   * @param {Object} method - Método de pago registrado
+   * @param {Object} paymentData - Datos del pago (giftCardCode)
+   * @returns {string} Modo normalizado
+   */
+  resolvePayment(value, method, paymentData) {
+    const payment = value ? String(value).toUpperCase() : PREORDER_PAYMENT.UPFRONT;
+    if (!Object.values(PREORDER_PAYMENT).includes(payment)) {
+      throw new HttpError(400, `preorderPayment debe ser uno de: ${Object.values(PREORDER_PAYMENT).join(', ')}`);
+    }
+    if (!method.synchronous) {
+      throw new HttpError(400, 'Las preventas requieren un método de pago sincrónico');
+    }
+    if (payment === PREORDER_PAYMENT.ON_RELEASE && (method.code === 'GIFT_CARD' || paymentData.giftCardCode)) {
+      throw new HttpError(400, 'Las preventas con cobro al lanzamiento no admiten tarjetas de regalo');
+    }
+    return payment;
+  }
+
+  /**
+   * Verifica stock de preventa y límite por cliente de cada item
+   * @param {EntityManager} manager
+   * @param {number} userId
+   * @param {Array} items - [{ product, quantity }]
+   */
+  async assertAllocatable(manager, userId, items) {
+    for (const { product, quantity } of items) {
+      if (product.preorderStock < quantity) {
+        throw new HttpError(
+          400,
+          `Stock de preventa insuficiente para ${product.name}. Disponible: ${product.preorderStock}, Solicitado: ${quantity}`
+        );
+      }
+
+      if (product.preorderLimit !== null && product.preorderLimit !== undefined) {
+        const previous = await manager.find(OrderItem, {
+          where: {
+            product: { id: product.id },
+            order: { user: { id: userId }, preorderPayment: Not(IsNull()), status: Not(In(CLOSED_STATUSES)) },
+          },
+        });
+        const held = previous.reduce((sum, item) => sum + item.quantity - item.refundedQuantity, 0);
+        if (held + quantity > product.preorderLimit) {
+          throw new HttpError(
+            400,
+            `Límite de preventa de ${product.name}: ${product.preorderLimit} por cliente (ya tienes ${held})`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Fecha en que se libera la preventa: el lanzamiento más tardío de sus juegos
+   */
+  releaseDate(items) {
+    return items.map(i => toDateString(i.product.releaseDate)).sort().pop();
+  }
+
+  /**
+   * Descuenta las unidades del stock de preventa
+   */
+  async allocate(manager, items) {
+    for (const { product, quantity } of items) {
+      await manager.decrement(Game, { id: product.id }, 'preorderStock', quantity);
+    }
+  }
+
+  /**
+   * Devuelve al stock de preventa las unidades de una preventa cancelada o no pagada
+   * @param {EntityManager} manager
+   * @param {Object} order - Orden con items y items.product
+   */
+  async restore(manager, order) {
+    for (const item of order.items) {
+      const units = item.quantity - item.refundedQuantity;
+      if (units > 0) {
+        await manager.increment(Game, { id: item.product.id }, 'preorderStock', units);
+      }
+    }
+  }
+}
+
+module.exports = new PreorderService();
+module.exports.PREORDER_PAYMENT = PREORDER_PAYMENT;
@@ -1,5 +1,13 @@
 const { AppDataSource } = require('../config/databaseConfig');
 const Game = require('../models/Product');
+const Money = require('../utils/Money');
+
+// Promedio de calificaciones publicadas de un juego (NULL si no tiene reseñas aprobadas),
+// redondeado a un decimal como el que muestran las respuestas (ReviewService.summaries)
+const RATING_AVERAGE_SQL = "(SELECT ROUND(AVG(review.rating), 1) FROM reviews review WHERE review.gameId = game.id AND review.status = 'APPROVED')";
+
+// Ordenamientos disponibles (sort); sin sort, los más recientes primero
+const SORT_OPTIONS = ['rating_desc', 'rating_asc'];
 
 /**
  * ProductFilterValidator
@@ -154,6 +162,21 @@ class ProductFilterValidator {
     return str;
   }
 
+  /**
+   * Valida un filtro booleano (true/false)
+   */
+  validateBoolean(value, fieldName) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const str = String(value).trim().toLowerCase();
+    if (str !== 'true' && str !== 'false') {
+      this.errors.push(`${fieldName} must be true or false`);
+      return null;
+    }
+
+    return str === 'true';
+  }
+
   /**
    * Valida una fecha
    */
@@ -247,6 +270,48 @@ class ProductFilterValidator {
     const releaseDate = this.validateDate(rawFilters.releaseDate);
     if (releaseDate) filters.releaseDate = releaseDate;
 
+    // Solo bundles (true) o solo juegos sueltos (false)
+    const bundle = this.validateBoolean(rawFilters.bundle, 'bundle');
+    if (bundle !== null) filters.bundle = bundle;
+
+    // Atributos de las variantes (edition, region, format) y SKU
+    const edition = this.validateStringFilter(rawFilters.edition, 'Edition', 100);
+    if (edition) filters.edition = edition;
+
+    const region = this.validateStringFilter(rawFilters.region, 'Region', 50);
+    if (region) filters.region = region;
+
+    const format = this.validateStringFilter(rawFilters.format, 'Format', 20);
+    if (format) {
+      if (['PHYSICAL', 'DIGITAL'].includes(format.toUpperCase())) {
+        filters.format = format.toUpperCase();
+      } else {
+        this.errors.push('format must be PHYSICAL or DIGITAL');
+      }
+    }
+
+    const sku = this.validateStringFilter(rawFilters.sku, 'SKU', 100);
+    if (sku) filters.sku = sku;
+
+    // Calificación promedio mínima (1 a 5); excluye juegos sin reseñas
+    if (rawFilters.rating_min !== undefined && rawFilters.rating_min !== '') {
+      const ratingMin = Number(rawFilters.rating_min);
+      if (!this.isValidNumber(rawFilters.rating_min) || ratingMin < 1 || ratingMin > 5) {
+        this.errors.push('rating_min must be a number between 1 and 5');
+      } else {
+        filters.rating_min = ratingMin;
+      }
+    }
+
+    if (rawFilters.sort !== undefined && rawFilters.sort !== '') {
+      const sort = String(rawFilters.sort).trim().toLowerCase();
+      if (SORT_OPTIONS.includes(sort)) {
+        filters.sort = sort;
+      } else {
+        this.errors.push(`sort must be one of: ${SORT_OPTIONS.join(', ')}`);
+      }
+    }
+
     return {
       isValid: this.errors.length === 0,
       filters,
@@ -355,6 +420,13 @@ class ProductQueryBuilder {
       brand,
       generation,
       releaseDate,
+      bundle,
+      edition,
+      region,
+      format,
+      sku,
+      rating_min,
+      sort,
     } = filters;
 
     // Filtro de categoría (ID o nombre)
@@ -371,12 +443,12 @@ class ProductQueryBuilder {
       qb.andWhere('tags.id IN (:...tagIds)', { tagIds: tags });
     }
 
-    // Filtro de rango de precio
+    // Filtro de rango de precio (el precio se guarda en centavos)
     if (price_min !== undefined) {
-      qb.andWhere('game.price >= :pmin', { pmin: price_min });
+      qb.andWhere('game.price >= :pmin', { pmin: Money.of(price_min).minor });
     }
     if (price_max !== undefined) {
-      qb.andWhere('game.price <= :pmax', { pmax: price_max });
+      qb.andWhere('game.price <= :pmax', { pmax: Money.of(price_max).minor });
     }
 
     // Búsqueda de texto (name, description)
@@ -418,8 +490,44 @@ class ProductQueryBuilder {
       qb.andWhere('DATE(game.releaseDate) = :rdate', { rdate: releaseDate });
     }
 
-    // Ordenamiento por defecto
-    qb.orderBy('game.id', 'DESC');
+    // Filtro de bundles
+    if (bundle !== undefined) {
+      qb.andWhere('game.bundle = :bundle', { bundle });
+    }
+
+    // Filtros de variantes: el juego debe tener al menos una variante que cumpla todos a la vez
+    const variantConditions = [];
+    if (edition) variantConditions.push('LOWER(variant.edition) = LOWER(:edition)');
+    if (region) variantConditions.push('LOWER(variant.region) = LOWER(:region)');
+    if (format) variantConditions.push('variant.format = :format');
+    if (variantConditions.length > 0) {
+      qb.andWhere(
+        `EXISTS (SELECT 1 FROM game_variants variant WHERE variant.gameId = game.id AND ${variantConditions.join(' AND ')})`,
+        { edition, region, format }
+      );
+    }
+
+    // SKU del juego o de alguna de sus variantes
+    if (sku) {
+      qb.andWhere(
+        '(LOWER(game.sku) = LOWER(:sku) OR EXISTS (SELECT 1 FROM game_variants variant WHERE variant.gameId = game.id AND LOWER(variant.sku) = LOWER(:sku)))',
+        { sku }
+      );
+    }
+
+    // Filtro de calificación promedio
+    if (rating_min !== undefined) {
+      qb.andWhere(`${RATING_AVERAGE_SQL} >= :ratingMin`, { ratingMin: rating_min });
+    }
+
+    // Ordenamiento por calificación (los juegos sin reseñas cuentan como 0) o por defecto
+    if (sort === 'rating_desc' || sort === 'rating_asc') {
+      qb.addSelect(`COALESCE(${RATING_AVERAGE_SQL}, 0)`, 'rating_average')
+        .orderBy('rating_average', sort === 'rating_desc' ? 'DESC' : 'ASC')
+        .addOrderBy('game.id', 'DESC');
+    } else {
+      qb.orderBy('game.id', 'DESC');
+    }
 
     return qb;
   }
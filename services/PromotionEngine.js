@@ -0,0 +1,122 @@
+const Money = require('../utils/Money');
+
+const COUPON_TYPES = Object.freeze({
+  PERCENTAGE: 'PERCENTAGE',
+  FIXED_AMOUNT: 'FIXED_AMOUNT',
+  BUY_X_GET_Y: 'BUY_X_GET_Y',
+});
+
+const COUPON_SCOPES = Object.freeze({
+  ORDER: 'ORDER',
+  CATEGORY: 'CATEGORY',
+  TAG: 'TAG',
+  GAMES: 'GAMES',
+});
+
+/**
+ * PromotionEngine
+ * Calcula el descuento de un cupón sobre las líneas de una orden.
+ * No accede a la base de datos: recibe las líneas ({ product, quantity, unitPrice, subtotal } con montos Money)
+ * y devuelve cuánto descontar a cada una, para que OrderService lo persista en Order/OrderItem.
+ */
+class PromotionEngine {
+  /**
+   * Indica si un producto está dentro del alcance del cupón
+   * @param {Object} coupon
+   * @param {Object} product - Game con category y tags cargados
+   * @returns {boolean}
+   */
+  isEligible(coupon, product) {
+    const ids = (coupon.scopeIds || []).map(Number);
+    switch (coupon.scope) {
+      case COUPON_SCOPES.CATEGORY:
+        return Boolean(product.category) && ids.includes(product.category.id);
+      case COUPON_SCOPES.TAG:
+        return (product.tags || []).some(tag => ids.includes(tag.id));
+      case COUPON_SCOPES.GAMES:
+        return ids.includes(product.id);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Aplica un cupón a las líneas de una orden
+   * @param {Object} coupon - Cupón ya validado (vigencia, límites, moneda)
+   * @param {Array} lines - [{ product, quantity, unitPrice: Money, subtotal: Money }]
+   * @param {string} currency - Moneda de la orden
+   * @returns {Object} { discountAmount: Money, lineDiscounts: Money[] (mismo orden que lines), description }
+   */
+  apply(coupon, lines, currency) {
+    const eligible = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) => this.isEligible(coupon, line.product));
+
+    const lineDiscounts = lines.map(() => Money.zero(currency));
+    if (eligible.length === 0) {
+      return { discountAmount: Money.zero(currency), lineDiscounts, description: this.describe(coupon) };
+    }
+
+    const rate = Math.min(coupon.value, 100);
+    switch (coupon.type) {
+      case COUPON_TYPES.PERCENTAGE: {
+        for (const { line, index } of eligible) {
+          lineDiscounts[index] = line.subtotal.percentage(rate);
+        }
+        break;
+      }
+      case COUPON_TYPES.FIXED_AMOUNT: {
+        // Se reparte en proporción al subtotal de cada línea elegible, sin perder centavos
+        const eligibleSubtotal = Money.sum(eligible.map(({ line }) => line.subtotal), currency);
+        const shares = Money.of(coupon.value, currency)
+          .min(eligibleSubtotal)
+          .allocate(eligible.map(({ line }) => line.subtotal.minor));
+        eligible.forEach(({ index }, position) => {
+          lineDiscounts[index] = shares[position];
+        });
+        break;
+      }
+      case COUPON_TYPES.BUY_X_GET_Y: {
+        // Por cada grupo de X + Y unidades elegibles, las Y más baratas llevan el descuento
+        const units = eligible
+          .flatMap(({ line, index }) => Array.from({ length: line.quantity }, () => ({ index, price: line.unitPrice })))
+          .sort((a, b) => a.price.compare(b.price));
+        const groupSize = coupon.buyQuantity + coupon.getQuantity;
+        const freeUnits = Math.floor(units.length / groupSize) * coupon.getQuantity;
+        for (const unit of units.slice(0, freeUnits)) {
+          lineDiscounts[unit.index] = lineDiscounts[unit.index].add(unit.price.percentage(rate));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    return {
+      discountAmount: Money.sum(lineDiscounts, currency),
+      lineDiscounts,
+      description: this.describe(coupon),
+    };
+  }
+
+  /**
+   * Texto que se guarda en la línea de descuento de la orden
+   */
+  describe(coupon) {
+    if (coupon.description) return coupon.description;
+    switch (coupon.type) {
+      case COUPON_TYPES.PERCENTAGE:
+        return `${coupon.value}% de descuento`;
+      case COUPON_TYPES.FIXED_AMOUNT:
+        return `${coupon.value} ${coupon.currency} de descuento`;
+      case COUPON_TYPES.BUY_X_GET_Y:
+        return `Compra ${coupon.buyQuantity} y lleva ${coupon.getQuantity} con ${coupon.value}% de descuento`;
+      default:
+        return coupon.code;
+    }
+  }
+}
+
+module.exports = new PromotionEngine();
+module.exports.COUPON_TYPES = COUPON_TYPES;
+module.exports.COUPON_SCOPES = COUPON_SCOPES;
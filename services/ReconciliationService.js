@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const orderRepository = require('../repositories/OrderRepository');
+const orderService = require('./OrderService');
+const { ORDER_STATUS, normalizeStatus } = require('./OrderStateMachine');
+const Money = require('../utils/Money');
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'reports');
+
+// Estados locales en los que el cobro debe existir en el proveedor
+const CHARGED_STATUSES = [
+  ORDER_STATUS.PAID,
+  // Preventas pagadas por adelantado (las de cobro al lanzamiento no tienen transacción)
+  ORDER_STATUS.PREORDERED,
+  ORDER_STATUS.FULFILLED,
+  ORDER_STATUS.PARTIALLY_REFUNDED,
+  ORDER_STATUS.REFUNDED,
+  ORDER_STATUS.CANCELED,
+];
+
+// Estados del proveedor que indican que el cobro se realizó (aunque luego se reembolsara)
+const PROVIDER_CHARGED_STATUSES = ['APPROVED', 'COMPLETED', 'SUCCEEDED', 'PAID', 'REFUNDED', 'PARTIALLY_REFUNDED'];
+
+const MISMATCH = Object.freeze({
+  MISSING_AT_PROVIDER: 'MISSING_AT_PROVIDER', // registrada como cobrada, el proveedor no tiene el cobro
+  NOT_RECORDED_AS_PAID: 'NOT_RECORDED_AS_PAID', // cobrada en el proveedor, la orden no figura como cobrada
+  UNKNOWN_TRANSACTION: 'UNKNOWN_TRANSACTION', // cobrada en el proveedor, no existe orden con ese transactionId
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  REFUND_MISMATCH: 'REFUND_MISMATCH',
+});
+
+/**
+ * ReconciliationService
+ * Compara las órdenes locales con el estado de sus transacciones en el proveedor de pagos
+ * y escribe un reporte JSON con las diferencias encontradas.
+ */
+class ReconciliationService {
+  /**
+   * Ejecuta la conciliación
+   * @param {Object} options
+   * @param {string[]} options.transactionIds - IDs reportados por el proveedor (ej. su extracto) para detectar cobros sin orden
+   * @returns {Promise<Object>} Reporte { generatedAt, checkedOrders, checkedTransactions, mismatches, errors, reportPath }
+   */
+  async reconcile({ transactionIds = [] } = {}) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      checkedOrders: 0,
+      checkedTransactions: 0,
+      mismatches: [],
+      errors: [],
+    };
+
+    // 1. Órdenes locales con transacción -> estado en el proveedor
+    const orders = await this.findOrdersWithTransaction();
+    for (const order of orders) {
+      report.checkedOrders++;
+      try {
+        const transaction = await orderService
+          .getPaymentStrategy(order.paymentMethod)
+          .getTransactionStatus(order.transactionId);
+        report.mismatches.push(...this.compare(order, transaction));
+      } catch (error) {
+        report.errors.push({ orderId: order.id, transactionId: order.transactionId, message: error.message });
+      }
+    }
+
+    // 2. Transacciones del proveedor -> orden local
+    const checkedIds = new Set(orders.map(o => o.transactionId));
+    for (const transactionId of new Set(transactionIds)) {
+      if (checkedIds.has(transactionId)) continue;
+      report.checkedTransactions++;
+
+      const order = await orderRepository.findByTransactionId(transactionId);
+      try {
+        const transaction = await orderService
+          .getPaymentStrategy(order ? order.paymentMethod : 'CREDIT_CARD')
+          .getTransactionStatus(transactionId);
+
+        if (order) {
+          report.mismatches.push(...this.compare(order, transaction));
+        } else if (this.isCharged(transaction)) {
+          report.mismatches.push(this.mismatch(MISMATCH.UNKNOWN_TRANSACTION, null, transaction,
+            'El proveedor tiene un cobro sin orden asociada'));
+        }
+      } catch (error) {
+        report.errors.push({ orderId: order ? order.id : null, transactionId, message: error.message });
+      }
+    }
+
+    report.reportPath = this.writeReport(report);
+    return report;
+  }
+
+  /**
+   * Compara una orden con la transacción del proveedor
+   * @returns {Object[]} Lista de diferencias (vacía si coinciden)
+   */
+  compare(order, transaction) {
+    const status = normalizeStatus(order.status);
+    const recordedAsCharged = CHARGED_STATUSES.includes(status);
+
+    if (!this.isCharged(transaction)) {
+      return recordedAsCharged
+        ? [this.mismatch(MISMATCH.MISSING_AT_PROVIDER, order, transaction,
+          'La orden figura como cobrada pero el proveedor no registra el cobro')]
+        : [];
+    }
+
+    if (!recordedAsCharged) {
+      return [this.mismatch(MISMATCH.NOT_RECORDED_AS_PAID, order, transaction,
+        `El proveedor registra el cobro pero la orden está en ${order.status}`)];
+    }
+
+    // En pagos divididos el proveedor solo cobró la parte no cubierta por la tarjeta de regalo,
+    // y los reembolsos se aplican primero a ese cobro (ver OrderService.refundPayments)
+    const charged = Money.of(order.totalAmount).subtract(order.giftCardAmount || 0);
+    const refunded = charged.min(order.refundedAmount || 0);
+    const providerAmount = Money.of(transaction.amount);
+    const providerRefunded = Money.of(transaction.refundedAmount || 0);
+
+    const mismatches = [];
+    if (!providerAmount.equals(charged)) {
+      mismatches.push(this.mismatch(MISMATCH.AMOUNT_MISMATCH, order, transaction,
+        `Monto local ${charged.toMajor()} vs proveedor ${providerAmount.toMajor()}`));
+    }
+    if (!providerRefunded.equals(refunded)) {
+      mismatches.push(this.mismatch(MISMATCH.REFUND_MISMATCH, order, transaction,
+        `Reembolsado local ${refunded.toMajor()} vs proveedor ${providerRefunded.toMajor()}`));
+    }
+    return mismatches;
+  }
+
+  isCharged(transaction) {
+    return Boolean(transaction && transaction.found && PROVIDER_CHARGED_STATUSES.includes(transaction.status));
+  }
+
+  mismatch(type, order, transaction, detail) {
+    return {
+      type,
+      orderId: order ? order.id : null,
+      transactionId: order ? order.transactionId : transaction.transactionId,
+      localStatus: order ? order.status : null,
+      localAmount: order ? order.totalAmount : null,
+      localRefundedAmount: order ? order.refundedAmount : null,
+      providerStatus: transaction && transaction.found ? transaction.status : null,
+      providerAmount: transaction && transaction.found ? transaction.amount : null,
+      providerRefundedAmount: transaction && transaction.found ? transaction.refundedAmount : null,
+      detail,
+    };
+  }
+
+  async findOrdersWithTransaction() {
+    // COMPLETED: órdenes anteriores a la máquina de estados
+    const statuses = [...Object.values(ORDER_STATUS), 'COMPLETED'];
+    const orders = [];
+    for (const status of statuses) {
+      const found = await orderRepository.findByStatus(status);
+      orders.push(...found.filter(o => o.transactionId));
+    }
+    return orders.sort((a, b) => a.id - b.id);
+  }
+
+  writeReport(report) {
+    const reportDir = process.env.RECONCILIATION_REPORT_DIR || DEFAULT_REPORT_DIR;
+    fs.mkdirSync(reportDir, { recursive: true });
+    const stamp = report.generatedAt.replace(/[:.]/g, '-');
+    const reportPath = path.join(reportDir, `reconciliation-${stamp}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,20 @@
+const IntervalJob = require('./IntervalJob');
+const inventoryService = require('./InventoryService');
+
+/**
+ * ReservationExpiryJob
+ * Marca periódicamente como EXPIRED las reservas de inventario vencidas.
+ * Una reserva vencida ya no descuenta del disponible aunque el job no haya corrido;
+ * el job solo deja el historial al día. Intervalo configurable con INVENTORY_RESERVATION_SWEEP_MINUTES.
+ */
+module.exports = new IntervalJob({
+  envVar: 'INVENTORY_RESERVATION_SWEEP_MINUTES',
+  defaultMinutes: 5,
+  errorMessage: 'Error expirando reservas de inventario:',
+  async task() {
+    const expired = await inventoryService.expireReservations();
+    if (expired > 0) {
+      console.log(`Reservas de inventario vencidas: ${expired}`);
+    }
+  },
+});
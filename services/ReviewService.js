@@ -0,0 +1,395 @@
+const { In } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const Review = require('../models/Review');
+const ReviewReport = require('../models/ReviewReport');
+const OrderItem = require('../models/OrderItem');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const { ORDER_STATUS } = require('./OrderStateMachine');
+
+// Órdenes que habilitan a reseñar: cobradas (o entregadas) y el alias heredado COMPLETED
+const REVIEWABLE_ORDER_STATUSES = Object.freeze([
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.FULFILLED,
+  ORDER_STATUS.PARTIALLY_REFUNDED,
+  'COMPLETED',
+]);
+
+const REVIEW_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+});
+
+// Filtro de la cola de moderación: REPORTED son las reseñas con reportes abiertos
+const QUEUE_FILTERS = [REVIEW_STATUS.PENDING, 'REPORTED', REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED];
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+
+// Reglas de moderación (se leen en cada uso):
+// - REVIEW_BANNED_WORDS: palabras o frases prohibidas separadas por coma; una reseña que las contenga se rechaza (400)
+// - REVIEW_AUTO_APPROVE_AFTER: reseñas aprobadas que necesita un autor para que sus reseñas con texto
+//   se publiquen sin revisión (3 por defecto; 0 aprueba todas). Las reseñas sin texto se aprueban siempre.
+// - REVIEW_REPORT_THRESHOLD: reportes abiertos que devuelven una reseña aprobada a PENDING (3 por defecto)
+const numberSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// Minúsculas y sin acentos, para comparar palabras prohibidas
+const fold = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * ReviewService
+ * Reseñas de juegos. Solo puede reseñar quien tiene una orden completada con el juego
+ * (sin reembolsar del todo); cada usuario tiene una reseña por juego.
+ * Las reseñas pasan por moderación (ver reglas arriba): solo las aprobadas se publican
+ * y cuentan en el promedio, que se calcula desde la tabla de reseñas.
+ */
+class ReviewService {
+  constructor() {
+    this.reviewRepo = AppDataSource.getRepository(Review);
+  }
+
+  /**
+   * Reseñas de un juego, las más recientes primero
+   * @returns {Promise<Object>} { items, rating, total, page, limit, totalPages }
+   */
+  async list(gameId, { page = 1, limit = 20 } = {}) {
+    await this.findGame(gameId);
+
+    const [items, total] = await this.reviewRepo.findAndCount({
+      where: { game: { id: gameId }, status: REVIEW_STATUS.APPROVED },
+      relations: ['user'],
+      order: { id: 'DESC' },
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+    const summaries = await this.summaries([gameId]);
+
+    return {
+      items: items.map(review => this.view(review)),
+      rating: summaries.get(gameId),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  /**
+   * Crea la reseña del usuario para un juego que compró
+   * @param {number} gameId
+   * @param {Object} user - Usuario autenticado ({ id })
+   * @param {Object} data - { rating, text }
+   */
+  async create(gameId, user, data) {
+    await this.findGame(gameId);
+    const values = this.normalize(data);
+    if (values.rating === undefined) {
+      throw new HttpError(400, 'rating es requerido');
+    }
+
+    if (await this.findOwn(gameId, user.id)) {
+      throw new HttpError(409, 'Ya reseñaste este juego (usa PUT para editar la reseña)');
+    }
+    if (!(await this.hasPurchased(user.id, gameId))) {
+      throw new HttpError(403, 'Solo pueden reseñar los clientes con una orden completada de este juego');
+    }
+
+    const review = await this.reviewRepo.save(this.reviewRepo.create({
+      ...values,
+      status: await this.initialStatus(user.id, values.text),
+      user: { id: user.id },
+      game: { id: gameId },
+    }));
+    return this.view(await this.reviewRepo.findOne({ where: { id: review.id }, relations: ['user'] }));
+  }
+
+  /**
+   * Edita la reseña del usuario; la versión nueva vuelve a pasar por las reglas de moderación
+   */
+  async update(gameId, user, data) {
+    const review = await this.findOwn(gameId, user.id);
+    if (!review) {
+      throw new HttpError(404, 'No tienes una reseña de este juego');
+    }
+
+    Object.assign(review, this.normalize(data));
+    review.status = await this.initialStatus(user.id, review.text, review.id);
+    review.moderationReason = null;
+    review.moderatedAt = null;
+    review.moderatedBy = null;
+    return this.view(await this.reviewRepo.save(review));
+  }
+
+  /**
+   * Elimina la reseña del usuario
+   */
+  async remove(gameId, user) {
+    const review = await this.findOwn(gameId, user.id);
+    if (!review) {
+      throw new HttpError(404, 'No tienes una reseña de este juego');
+    }
+    await this.reviewRepo.remove(review);
+  }
+
+  /**
+   * Cola de moderación (staff)
+   * @param {Object} options - { status: PENDING (por defecto) | REPORTED | APPROVED | REJECTED, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit, totalPages }
+   */
+  async queue({ status = REVIEW_STATUS.PENDING, page = 1, limit = 20 } = {}) {
+    const filter = String(status).toUpperCase();
+    if (!QUEUE_FILTERS.includes(filter)) {
+      throw new HttpError(400, `status debe ser uno de: ${QUEUE_FILTERS.join(', ')}`);
+    }
+
+    const qb = this.reviewRepo.createQueryBuilder('review')
+      .leftJoinAndSelect('review.user', 'user')
+      .leftJoinAndSelect('review.game', 'game')
+      .leftJoinAndSelect('review.moderatedBy', 'moderatedBy');
+    if (filter === 'REPORTED') {
+      qb.where('EXISTS (SELECT 1 FROM review_reports report WHERE report.reviewId = review.id AND report.resolved = 0)');
+    } else {
+      qb.where('review.status = :status', { status: filter });
+    }
+    // Lo más antiguo primero: es el orden en que se atiende la cola
+    const [items, total] = await qb
+      .orderBy('review.id', 'ASC')
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    const reports = items.length === 0 ? [] : await AppDataSource.getRepository(ReviewReport).find({
+      where: { review: { id: In(items.map(item => item.id)) }, resolved: false },
+      loadRelationIds: { relations: ['review', 'user'] },
+      order: { id: 'ASC' },
+    });
+
+    return {
+      items: items.map(review => ({
+        ...this.view(review),
+        game: { id: review.game.id, name: review.game.name },
+        moderatedBy: review.moderatedBy ? { id: review.moderatedBy.id, nombre: review.moderatedBy.nombre } : null,
+        reports: reports
+          .filter(report => report.review === review.id)
+          .map(report => ({ id: report.id, userId: report.user, reason: report.reason, createdAt: report.createdAt })),
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  /**
+   * Aprueba o rechaza una reseña (staff). Rechazar exige un motivo.
+   * La decisión atiende los reportes abiertos de la reseña.
+   * @param {number} reviewId
+   * @param {string} status - APPROVED o REJECTED
+   * @param {string} reason - Motivo (requerido al rechazar)
+   * @param {Object} actor - Staff que decide
+   */
+  async moderate(reviewId, status, reason, actor) {
+    const text = reason === undefined || reason === null ? '' : String(reason).trim();
+    if (status === REVIEW_STATUS.REJECTED && !text) {
+      throw new HttpError(400, 'reason es requerido para rechazar una reseña');
+    }
+    if (text.length > MAX_REASON_LENGTH) {
+      throw new HttpError(400, `reason admite hasta ${MAX_REASON_LENGTH} caracteres`);
+    }
+
+    return AppDataSource.transaction(async (manager) => {
+      const review = await manager.findOne(Review, { where: { id: reviewId }, relations: ['user'] });
+      if (!review) {
+        throw new HttpError(404, 'Reseña no encontrada');
+      }
+
+      review.status = status;
+      review.moderationReason = text || null;
+      review.moderatedAt = new Date();
+      review.moderatedBy = actor ? { id: actor.id } : null;
+      const saved = await manager.save(Review, review);
+      await manager.update(ReviewReport, { review: { id: reviewId }, resolved: false }, { resolved: true });
+      return this.view(saved);
+    });
+  }
+
+  /**
+   * Reporta una reseña publicada como abusiva. Con REVIEW_REPORT_THRESHOLD reportes abiertos
+   * la reseña deja de publicarse y vuelve a la cola (PENDING).
+   * @returns {Promise<Object>} { reviewId, openReports, status }
+   */
+  async report(reviewId, user, reason) {
+    const text = reason === undefined || reason === null ? '' : String(reason).trim();
+    if (!text) {
+      throw new HttpError(400, 'reason es requerido');
+    }
+    if (text.length > MAX_REASON_LENGTH) {
+      throw new HttpError(400, `reason admite hasta ${MAX_REASON_LENGTH} caracteres`);
+    }
+
+    return AppDataSource.transaction(async (manager) => {
+      const review = await manager.findOne(Review, { where: { id: reviewId, status: REVIEW_STATUS.APPROVED }, relations: ['user'] });
+      if (!review) {
+        throw new HttpError(404, 'Reseña no encontrada');
+      }
+      if (review.user.id === user.id) {
+        throw new HttpError(400, 'No puedes reportar tu propia reseña');
+      }
+      if (await manager.findOne(ReviewReport, { where: { review: { id: reviewId }, user: { id: user.id } } })) {
+        throw new HttpError(409, 'Ya reportaste esta reseña');
+      }
+
+      await manager.save(ReviewReport, manager.create(ReviewReport, {
+        review: { id: reviewId },
+        user: { id: user.id },
+        reason: text,
+      }));
+      const openReports = await manager.count(ReviewReport, { where: { review: { id: reviewId }, resolved: false } });
+      if (openReports >= numberSetting('REVIEW_REPORT_THRESHOLD', 3)) {
+        review.status = REVIEW_STATUS.PENDING;
+        await manager.save(Review, review);
+      }
+      return { reviewId, openReports, status: review.status };
+    });
+  }
+
+  /**
+   * Estado inicial de una reseña nueva o editada: sin texto o de un autor con suficientes
+   * reseñas aprobadas se publica directamente; si no, queda PENDING
+   */
+  async initialStatus(userId, text, exceptReviewId = null) {
+    if (!text) return REVIEW_STATUS.APPROVED;
+
+    const required = numberSetting('REVIEW_AUTO_APPROVE_AFTER', 3);
+    if (required === 0) return REVIEW_STATUS.APPROVED;
+
+    const qb = this.reviewRepo.createQueryBuilder('review')
+      .where('review.userId = :userId', { userId })
+      .andWhere('review.status = :status', { status: REVIEW_STATUS.APPROVED });
+    if (exceptReviewId) qb.andWhere('review.id != :exceptReviewId', { exceptReviewId });
+    return (await qb.getCount()) >= required ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.PENDING;
+  }
+
+  /**
+   * Palabras prohibidas (REVIEW_BANNED_WORDS) presentes en un texto
+   * @returns {string[]}
+   */
+  bannedWordsIn(text) {
+    if (!text) return [];
+    const folded = fold(text);
+    return (process.env.REVIEW_BANNED_WORDS || '')
+      .split(',')
+      .map(word => word.trim())
+      .filter(Boolean)
+      .filter(word => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(fold(word))}($|[^\\p{L}\\p{N}])`, 'u').test(folded));
+  }
+
+  /**
+   * Indica si el usuario tiene una orden completada con unidades del juego sin reembolsar
+   */
+  async hasPurchased(userId, gameId) {
+    const count = await AppDataSource.getRepository(OrderItem)
+      .createQueryBuilder('item')
+      .innerJoin('item.order', 'order')
+      .where('order.userId = :userId', { userId })
+      .andWhere('item.productId = :gameId', { gameId })
+      .andWhere('order.status IN (:...statuses)', { statuses: REVIEWABLE_ORDER_STATUSES })
+      .andWhere('item.refundedQuantity < item.quantity')
+      .getCount();
+    return count > 0;
+  }
+
+  /**
+   * Promedio y cantidad de reseñas de varios juegos
+   * @param {number[]} gameIds
+   * @returns {Promise<Map<number, Object>>} gameId -> { average, count } (average null sin reseñas)
+   */
+  async summaries(gameIds) {
+    const summaries = new Map(gameIds.map(id => [id, { average: null, count: 0 }]));
+    if (gameIds.length === 0) return summaries;
+
+    const rows = await this.reviewRepo.createQueryBuilder('review')
+      .select('review.gameId', 'gameId')
+      .addSelect('AVG(review.rating)', 'average')
+      .addSelect('COUNT(review.id)', 'count')
+      .where('review.gameId IN (:...gameIds)', { gameIds })
+      .andWhere('review.status = :status', { status: REVIEW_STATUS.APPROVED })
+      .groupBy('review.gameId')
+      .getRawMany();
+    for (const row of rows) {
+      summaries.set(Number(row.gameId), {
+        average: Math.round(Number(row.average) * 10) / 10,
+        count: Number(row.count),
+      });
+    }
+    return summaries;
+  }
+
+  /**
+   * Agrega `rating` ({ average, count }) a juegos ya cargados
+   * @param {Array} products - Games
+   * @returns {Promise<Array>}
+   */
+  async withRatings(products) {
+    const summaries = await this.summaries(products.map(p => p.id));
+    return products.map(product => ({ ...product, rating: summaries.get(product.id) }));
+  }
+
+  view(review) {
+    const { user, moderatedBy, ...rest } = review;
+    return {
+      ...rest,
+      user: user ? { id: user.id, nombre: user.nombre } : undefined,
+    };
+  }
+
+  async findGame(gameId) {
+    const game = await AppDataSource.getRepository(Game).findOneBy({ id: gameId });
+    if (!game) {
+      throw new HttpError(404, 'Product not found');
+    }
+    return game;
+  }
+
+  async findOwn(gameId, userId) {
+    return this.reviewRepo.findOne({
+      where: { game: { id: gameId }, user: { id: userId } },
+      relations: ['user'],
+    });
+  }
+
+  /**
+   * Toma rating y text, validando rango y largo
+   */
+  normalize(data = {}) {
+    const values = {};
+    if (data.rating !== undefined) {
+      const rating = Number(data.rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw new HttpError(400, 'rating debe ser un entero entre 1 y 5');
+      }
+      values.rating = rating;
+    }
+    if (data.text !== undefined) {
+      const text = data.text === null ? '' : String(data.text).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new HttpError(400, `text admite hasta ${MAX_TEXT_LENGTH} caracteres`);
+      }
+      const banned = this.bannedWordsIn(text);
+      if (banned.length > 0) {
+        throw new HttpError(400, `La reseña contiene palabras no permitidas: ${banned.join(', ')}`);
+      }
+      values.text = text || null;
+    }
+    return values;
+  }
+}
+
+module.exports = new ReviewService();
+module.exports.REVIEWABLE_ORDER_STATUSES = REVIEWABLE_ORDER_STATUSES;
+module.exports.REVIEW_STATUS = REVIEW_STATUS;
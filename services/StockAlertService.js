@@ -0,0 +1,236 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const StockAlert = require('../models/StockAlert');
+const StockSubscription = require('../models/StockSubscription');
+const BundleComponent = require('../models/BundleComponent');
+const GameVariant = require('../models/GameVariant');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const bundleService = require('./BundleService');
+const outboxService = require('./OutboxService');
+
+const ALERT_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  RESOLVED: 'RESOLVED',
+});
+
+const SUBSCRIPTION_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  NOTIFIED: 'NOTIFIED',
+  CANCELED: 'CANCELED',
+});
+
+const subscriptionView = (subscription, productId) => ({
+  id: subscription.id,
+  productId,
+  status: subscription.status,
+  notifiedAt: subscription.notifiedAt,
+  createdAt: subscription.createdAt,
+});
+
+/**
+ * StockAlertService
+ * Alertas de stock bajo y avisos de vuelta de stock. onStockChange() se llama desde el libro
+ * de movimientos (StockMovementService.record) con el EntityManager del cambio, así las
+ * alertas y los mensajes del outbox se guardan junto con el stock.
+ * Miran el stock vendible (ver stockOf): el de las variantes cuenta para su juego, y un bundle
+ * reacciona a los cambios de stock de sus componentes.
+ */
+class StockAlertService {
+  constructor() {
+    this.alertRepo = AppDataSource.getRepository(StockAlert);
+    this.subscriptionRepo = AppDataSource.getRepository(StockSubscription);
+  }
+
+  /**
+   * Reacciona a un cambio del stock de un juego (o de una de sus variantes)
+   * @param {EntityManager} manager
+   * @param {number} productId
+   * @param {number} quantity - Unidades del movimiento (negativo si descontó)
+   * @param {Object|null} variant - Variante del movimiento, si la hay
+   */
+  async onStockChange(manager, productId, quantity, variant = null) {
+    const product = await manager.findOne(Game, { where: { id: productId } });
+    if (!product) return;
+
+    const stock = await this.evaluate(manager, product);
+    if (stock - quantity <= 0 && stock > 0) {
+      await this.notifySubscribers(manager, product, stock);
+    }
+
+    // Los bundles se arman con el stock propio de sus componentes (no con el de sus variantes)
+    if (variant) return;
+    const rows = await manager.find(BundleComponent, {
+      where: { component: { id: productId } },
+      loadRelationIds: { relations: ['bundle'] },
+    });
+    const bundles = await bundleService.componentsOf(manager, rows.map(row => row.bundle));
+    for (const components of bundles.values()) {
+      const bundle = components[0].bundle;
+      const units = bundleService.units(components, game => game.stock);
+      const previous = bundleService.units(components, game => (game.id === productId ? game.stock - quantity : game.stock));
+      await this.evaluate(manager, bundle, units);
+      if (previous <= 0 && units > 0) {
+        await this.notifySubscribers(manager, bundle, units);
+      }
+    }
+  }
+
+  /**
+   * Stock vendible de un juego: el propio más el de sus variantes. El de un bundle son las
+   * unidades que alcanzan a armarse con el stock de sus componentes.
+   * @param {EntityManager} manager
+   * @param {Object} product - Game
+   * @returns {Promise<number>}
+   */
+  async stockOf(manager, product) {
+    if (product.bundle) {
+      const components = (await bundleService.componentsOf(manager, [product.id])).get(product.id) || [];
+      return bundleService.units(components, game => game.stock);
+    }
+    const variants = await manager.find(GameVariant, { where: { game: { id: product.id } } });
+    return variants.reduce((total, variant) => total + variant.stock, Number(product.stock));
+  }
+
+  /**
+   * Abre una alerta si el stock está por debajo del umbral, o resuelve la activa si ya no lo está
+   * @param {EntityManager} manager
+   * @param {Object} product - Game con lowStockThreshold actual
+   * @param {number} [stock] - Stock vendible, si ya se calculó
+   * @returns {Promise<number>} Stock vendible
+   */
+  async evaluate(manager, product, stock) {
+    if (stock === undefined) {
+      stock = await this.stockOf(manager, product);
+    }
+    const active = await manager.findOne(StockAlert, {
+      where: { product: { id: product.id }, status: ALERT_STATUS.ACTIVE },
+    });
+
+    if (stock < product.lowStockThreshold) {
+      if (!active) {
+        await manager.save(StockAlert, manager.create(StockAlert, {
+          product: { id: product.id },
+          threshold: product.lowStockThreshold,
+          stockAtAlert: stock,
+        }));
+      }
+    } else if (active) {
+      active.status = ALERT_STATUS.RESOLVED;
+      active.resolvedAt = new Date();
+      await manager.save(StockAlert, active);
+    }
+    return stock;
+  }
+
+  /**
+   * Encola el aviso de vuelta de stock para cada suscripción activa del juego
+   */
+  async notifySubscribers(manager, product, stock) {
+    const subscriptions = await manager.find(StockSubscription, {
+      where: { product: { id: product.id }, status: SUBSCRIPTION_STATUS.ACTIVE },
+      relations: ['user'],
+    });
+
+    for (const subscription of subscriptions) {
+      await outboxService.enqueue(manager, {
+        type: 'BACK_IN_STOCK',
+        recipient: subscription.user.email,
+        payload: {
+          subscriptionId: subscription.id,
+          productId: product.id,
+          name: product.name,
+          slug: product.slug,
+          stock,
+        },
+      });
+      subscription.status = SUBSCRIPTION_STATUS.NOTIFIED;
+      subscription.notifiedAt = new Date();
+      await manager.save(StockSubscription, subscription);
+    }
+    return subscriptions.length;
+  }
+
+  /**
+   * Alertas de stock bajo (más recientes primero)
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} { items, total, page, limit, totalPages }
+   */
+  async listAlerts({ status = ALERT_STATUS.ACTIVE, page = 1, limit = 20 } = {}) {
+    const [items, total] = await this.alertRepo.findAndCount({
+      where: { status },
+      relations: ['product'],
+      order: { id: 'DESC' },
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    const views = [];
+    for (const alert of items) {
+      views.push({
+        ...alert,
+        product: {
+          id: alert.product.id,
+          name: alert.product.name,
+          stock: await this.stockOf(AppDataSource.manager, alert.product),
+          lowStockThreshold: alert.product.lowStockThreshold,
+        },
+      });
+    }
+
+    return {
+      items: views,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    };
+  }
+
+  /**
+   * Suscribe a un cliente al aviso de vuelta de stock de un juego agotado
+   * @param {number} userId
+   * @param {number} productId
+   * @returns {Promise<Object>} { subscription, created }
+   */
+  async subscribe(userId, productId) {
+    const product = await AppDataSource.getRepository(Game).findOneBy({ id: productId });
+    if (!product) {
+      throw new HttpError(404, 'Product not found');
+    }
+    if (await this.stockOf(AppDataSource.manager, product) > 0) {
+      throw new HttpError(409, `${product.name} tiene stock disponible`);
+    }
+
+    const existing = await this.subscriptionRepo.findOne({
+      where: { user: { id: userId }, product: { id: productId }, status: SUBSCRIPTION_STATUS.ACTIVE },
+    });
+    if (existing) {
+      return { subscription: subscriptionView(existing, productId), created: false };
+    }
+
+    const subscription = await this.subscriptionRepo.save(this.subscriptionRepo.create({
+      user: { id: userId },
+      product: { id: productId },
+    }));
+    return { subscription: subscriptionView(subscription, productId), created: true };
+  }
+
+  /**
+   * Cancela la suscripción activa de un cliente
+   */
+  async unsubscribe(userId, productId) {
+    const subscription = await this.subscriptionRepo.findOne({
+      where: { user: { id: userId }, product: { id: productId }, status: SUBSCRIPTION_STATUS.ACTIVE },
+    });
+    if (!subscription) {
+      throw new HttpError(404, 'Suscripción no encontrada');
+    }
+    subscription.status = SUBSCRIPTION_STATUS.CANCELED;
+    await this.subscriptionRepo.save(subscription);
+    return subscriptionView(subscription, productId);
+  }
+}
+
+module.exports = new StockAlertService();
+module.exports.ALERT_STATUS = ALERT_STATUS;
+module.exports.SUBSCRIPTION_STATUS = SUBSCRIPTION_STATUS;
@@ -0,0 +1,177 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const StockMovement = require('../models/StockMovement');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const stockAlertService = require('./StockAlertService');
+
+const MOVEMENT_TYPES = Object.freeze({
+  SALE: 'SALE',
+  REFUND: 'REFUND',
+  ADJUSTMENT: 'ADJUSTMENT',
+  RESTOCK: 'RESTOCK',
+  RESERVATION: 'RESERVATION',
+});
+
+// Motivos de un ajuste manual y el signo que admiten (1 entrada, -1 salida, 0 cualquiera)
+const ADJUSTMENT_REASONS = Object.freeze({
+  RESTOCK: 1,
+  FOUND: 1,
+  CUSTOMER_RETURN: 1,
+  DAMAGED: -1,
+  LOST: -1,
+  RETURN_TO_SUPPLIER: -1,
+  CYCLE_COUNT: 0,
+  OTHER: 0,
+});
+
+/**
+ * StockMovementService
+ * Libro de movimientos de inventario. Todo cambio de Game.stock pasa por changeStock(),
+ * que actualiza el stock y registra el movimiento en el mismo EntityManager (la transacción
+ * de la orden o del ajuste), así el historial nunca queda desfasado del stock.
+ * Los movimientos que cambian el stock disparan las alertas de stock bajo y los avisos de vuelta de stock.
+ */
+class StockMovementService {
+  constructor() {
+    this.movementRepo = AppDataSource.getRepository(StockMovement);
+  }
+
+  /**
+   * Registra un movimiento; product.stock (o variant.stock) ya debe tener el valor resultante
+   * @param {EntityManager} manager
+   * @param {Object} movement - { product, variant, type, quantity, reason, note, order, user }
+   */
+  async record(manager, { product, variant = null, type, quantity, reason = null, note = null, order = null, user = null }) {
+    const movement = await manager.save(StockMovement, manager.create(StockMovement, {
+      product: { id: product.id },
+      variant: variant ? { id: variant.id } : null,
+      type,
+      quantity,
+      stockAfter: variant ? variant.stock : product.stock,
+      reason,
+      note,
+      order: order ? { id: order.id } : null,
+      user: user ? { id: user.id } : null,
+    }));
+
+    if (type !== MOVEMENT_TYPES.RESERVATION) {
+      await stockAlertService.onStockChange(manager, product.id, quantity, variant);
+    }
+    return movement;
+  }
+
+  /**
+   * Suma (o resta) unidades al stock de un juego y registra el movimiento
+   * @param {EntityManager} manager
+   * @param {number} productId
+   * @param {number} delta - Unidades a sumar (negativo para descontar)
+   * @param {Object} movement - { type, reason, note, order, user }
+   * @returns {Promise<Object>} Movimiento registrado (con el Game actualizado en product)
+   */
+  async changeStock(manager, productId, delta, movement) {
+    const product = await manager.findOne(Game, { where: { id: productId } });
+    if (!product) {
+      throw new HttpError(404, `Producto ${productId} no encontrado`);
+    }
+    if (product.stock + delta < 0) {
+      throw new HttpError(409, `Stock insuficiente para ${product.name}. Stock: ${product.stock}, Movimiento: ${delta}`);
+    }
+
+    product.stock += delta;
+    await manager.save(Game, product);
+    const saved = await this.record(manager, { ...movement, product, quantity: delta });
+    return { ...saved, product };
+  }
+
+  /**
+   * Ajuste manual de stock (staff/admin) con código de motivo
+   * @param {number} productId
+   * @param {Object} data - { quantity, reason, note }
+   * @param {Object} actor - Usuario que ajusta
+   * @returns {Promise<Object>} Movimiento registrado con el juego actualizado
+   */
+  async adjust(productId, data, actor) {
+    const quantity = Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new HttpError(400, 'quantity debe ser un entero distinto de 0 (negativo para descontar)');
+    }
+
+    const reason = String(data.reason || '').toUpperCase();
+    if (!(reason in ADJUSTMENT_REASONS)) {
+      throw new HttpError(400, `reason debe ser uno de: ${Object.keys(ADJUSTMENT_REASONS).join(', ')}`);
+    }
+    const sign = ADJUSTMENT_REASONS[reason];
+    if (sign !== 0 && Math.sign(quantity) !== sign) {
+      throw new HttpError(400, `Un ajuste ${reason} debe ${sign > 0 ? 'sumar' : 'descontar'} unidades`);
+    }
+
+    const note = data.note ? String(data.note).trim() : null;
+    if (reason === 'OTHER' && !note) {
+      throw new HttpError(400, 'note es requerido cuando reason es OTHER');
+    }
+
+    return AppDataSource.transaction(async (manager) => {
+      const product = await manager.findOne(Game, { where: { id: productId } });
+      if (product && product.digital) {
+        throw new HttpError(400, 'El stock de un juego digital se deriva de sus claves (ver POST /v2/games/:id/keys)');
+      }
+      if (product && product.bundle) {
+        throw new HttpError(400, 'Un bundle no tiene stock propio: se ajusta el stock de sus juegos');
+      }
+      return this.changeStock(manager, productId, quantity, {
+        type: reason === 'RESTOCK' ? MOVEMENT_TYPES.RESTOCK : MOVEMENT_TYPES.ADJUSTMENT,
+        reason,
+        note,
+        user: actor,
+      });
+    });
+  }
+
+  /**
+   * Historial de movimientos de un juego (más recientes primero)
+   * @param {number} productId
+   * @param {Object} options - { page, limit, type }
+   * @returns {Promise<Object>} { items, total, page, limit, totalPages, stock }
+   */
+  async history(productId, { page = 1, limit = 20, type } = {}) {
+    const product = await AppDataSource.getRepository(Game).findOneBy({ id: productId });
+    if (!product) {
+      throw new HttpError(404, 'Product not found');
+    }
+
+    const where = { product: { id: productId } };
+    if (type) {
+      const normalized = String(type).toUpperCase();
+      if (!Object.values(MOVEMENT_TYPES).includes(normalized)) {
+        throw new HttpError(400, `type debe ser uno de: ${Object.values(MOVEMENT_TYPES).join(', ')}`);
+      }
+      where.type = normalized;
+    }
+
+    const [items, total] = await this.movementRepo.findAndCount({
+      where,
+      relations: ['order', 'user', 'variant'],
+      order: { id: 'DESC' },
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    return {
+      items: items.map(movement => ({
+        ...movement,
+        variant: movement.variant ? { id: movement.variant.id, sku: movement.variant.sku } : null,
+        order: movement.order ? { id: movement.order.id, status: movement.order.status } : null,
+        user: movement.user ? { id: movement.user.id, nombre: movement.user.nombre, role: movement.user.role } : null,
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      stock: product.stock,
+    };
+  }
+}
+
+module.exports = new StockMovementService();
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
+module.exports.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
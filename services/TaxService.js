@@ -0,0 +1,204 @@
+const { AppDataSource } = require('../config/databaseConfig');
+const TaxRule = require('../models/TaxRule');
+const Category = require('../models/Category');
+const HttpError = require('../utils/HttpError');
+const Money = require('../utils/Money');
+
+// País de facturación cuando el cliente no envía billingCountry
+const defaultCountry = () => (process.env.TAX_DEFAULT_COUNTRY || 'VE').toUpperCase();
+
+const normalizeRegion = (region) => (region ? String(region).trim().toUpperCase() : null);
+
+/**
+ * TaxService
+ * Administración de reglas de impuesto y cálculo de impuestos de una orden.
+ *
+ * Para cada item se usa la regla activa más específica del país de facturación:
+ * categoría + región > categoría > región > país. Una regla inclusive extrae el impuesto
+ * del precio (el total no cambia); una regla no inclusive lo suma al precio.
+ * El impuesto se calcula sobre el neto de la línea (subtotal - descuento del cupón).
+ */
+class TaxService {
+  constructor() {
+    this.taxRuleRepo = AppDataSource.getRepository(TaxRule);
+    this.categoryRepo = AppDataSource.getRepository(Category);
+  }
+
+  async list() {
+    return this.taxRuleRepo.find({ order: { country: 'ASC', id: 'ASC' } });
+  }
+
+  /**
+   * Crea una regla
+   * @param {Object} data - { name, country, region, categoryId, rate, inclusive, active }
+   */
+  async create(data) {
+    const rule = this.taxRuleRepo.create({ active: true, inclusive: false });
+    await this.applyChanges(rule, data, true);
+    return this.taxRuleRepo.save(rule);
+  }
+
+  /**
+   * Actualiza los campos enviados de una regla
+   * @param {number} id
+   * @param {Object} data
+   */
+  async update(id, data) {
+    const rule = await this.findById(id);
+    await this.applyChanges(rule, data, false);
+    return this.taxRuleRepo.save(rule);
+  }
+
+  /**
+   * Elimina una regla; las órdenes ya creadas conservan sus impuestos
+   * @param {number} id
+   */
+  async remove(id) {
+    const rule = await this.findById(id);
+    await this.taxRuleRepo.remove(rule);
+  }
+
+  async findById(id) {
+    const rule = await this.taxRuleRepo.findOneBy({ id });
+    if (!rule) {
+      throw new HttpError(404, 'Regla de impuesto no encontrada');
+    }
+    return rule;
+  }
+
+  /**
+   * Valida y copia a la regla los campos recibidos
+   * @param {boolean} creating - true exige los campos requeridos
+   */
+  async applyChanges(rule, data, creating) {
+    if (creating || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) {
+        throw new HttpError(400, 'name es requerido');
+      }
+      rule.name = String(data.name).trim();
+    }
+
+    if (creating || data.country !== undefined) {
+      const country = String(data.country || '').trim().toUpperCase();
+      if (!/^[A-Z]{2}$/.test(country)) {
+        throw new HttpError(400, 'country debe ser un código ISO de 2 letras (ej. VE)');
+      }
+      rule.country = country;
+    }
+
+    if (data.region !== undefined) {
+      rule.region = normalizeRegion(data.region);
+    }
+
+    if (creating || data.rate !== undefined) {
+      const rate = Number(data.rate);
+      if (data.rate === undefined || data.rate === null || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw new HttpError(400, 'rate debe ser un porcentaje entre 0 y 100');
+      }
+      rule.rate = rate;
+    }
+
+    if (data.inclusive !== undefined) {
+      rule.inclusive = Boolean(data.inclusive);
+    }
+    if (data.active !== undefined) {
+      rule.active = Boolean(data.active);
+    }
+
+    if (data.categoryId !== undefined) {
+      if (data.categoryId === null) {
+        rule.category = null;
+      } else {
+        const category = await this.categoryRepo.findOneBy({ id: Number(data.categoryId) });
+        if (!category) {
+          throw new HttpError(400, `Categoría ${data.categoryId} no encontrada`);
+        }
+        rule.category = category;
+      }
+    }
+  }
+
+  /**
+   * Normaliza la ubicación de facturación de una orden
+   * @param {string} country - Código ISO de 2 letras (opcional)
+   * @param {string} region - Región/estado (opcional)
+   * @returns {Object} { country, region }
+   */
+  resolveLocation(country, region) {
+    const code = country ? String(country).trim().toUpperCase() : defaultCountry();
+    if (!/^[A-Z]{2}$/.test(code)) {
+      throw new HttpError(400, 'billingCountry debe ser un código ISO de 2 letras (ej. VE)');
+    }
+    return { country: code, region: normalizeRegion(region) };
+  }
+
+  /**
+   * Regla aplicable a un producto (la más específica) o null si no hay
+   */
+  findRule(rules, product, region) {
+    const categoryId = product.category ? product.category.id : null;
+    let best = null;
+    let bestScore = -1;
+    for (const rule of rules) {
+      if (rule.region && rule.region !== region) continue;
+      if (rule.category && rule.category.id !== categoryId) continue;
+      const score = (rule.category ? 2 : 0) + (rule.region ? 1 : 0);
+      if (score > bestScore) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Calcula los impuestos de las líneas de una orden
+   * @param {EntityManager} manager - Manager de la transacción
+   * @param {Array} lines - [{ product, subtotal: Money, discountAmount: Money }]
+   * @param {Object} location - { country, region } (ver resolveLocation)
+   * @param {string} currency - Moneda de la orden
+   * @returns {Promise<Object>} { lines: [{ taxRate, taxAmount, total }], taxAmount, totalAmount, taxLines } con montos Money
+   */
+  async calculate(manager, lines, location, currency) {
+    const rules = await manager.find(TaxRule, { where: { country: location.country, active: true } });
+
+    const taxLines = new Map();
+    const results = lines.map(line => {
+      const net = line.subtotal.subtract(line.discountAmount || Money.zero(currency));
+      const rule = this.findRule(rules, line.product, location.region);
+      if (!rule || rule.rate === 0) {
+        return { taxRate: 0, taxAmount: Money.zero(currency), total: net };
+      }
+
+      const taxAmount = rule.inclusive
+        ? net.multiply(rule.rate / (100 + rule.rate))
+        : net.percentage(rule.rate);
+      const total = rule.inclusive ? net : net.add(taxAmount);
+
+      const summary = taxLines.get(rule.id) || {
+        ruleId: rule.id,
+        name: rule.name,
+        rate: rule.rate,
+        inclusive: rule.inclusive,
+        taxableAmount: Money.zero(currency),
+        amount: Money.zero(currency),
+      };
+      summary.taxableAmount = summary.taxableAmount.add(rule.inclusive ? net.subtract(taxAmount) : net);
+      summary.amount = summary.amount.add(taxAmount);
+      taxLines.set(rule.id, summary);
+
+      return { taxRate: rule.rate, taxAmount, total };
+    });
+
+    return {
+      lines: results,
+      taxAmount: Money.sum(results.map(r => r.taxAmount), currency),
+      totalAmount: Money.sum(results.map(r => r.total), currency),
+      taxLines: taxLines.size > 0
+        ? [...taxLines.values()].map(l => ({ ...l, taxableAmount: l.taxableAmount.toMajor(), amount: l.amount.toMajor() }))
+        : null,
+    };
+  }
+}
+
+module.exports = new TaxService();
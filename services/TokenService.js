@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { IsNull } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const HttpError = require('../utils/HttpError');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * TokenService
+ * Emite access tokens de corta duración y refresh tokens rotativos persistidos en SQLite.
+ * Cada login crea una Session; el access token lleva su id (sid) y un jti propio,
+ * de modo que revocar la sesión invalida también los access tokens emitidos.
+ */
+class TokenService {
+  constructor() {
+    this.sessionRepo = AppDataSource.getRepository(Session);
+    this.refreshRepo = AppDataSource.getRepository(RefreshToken);
+  }
+
+  /**
+   * Crea una sesión nueva para el usuario y emite el primer par de tokens
+   * @param {Object} usuario - Usuario autenticado
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  async startSession(usuario) {
+    const session = this.sessionRepo.create({
+      id: crypto.randomUUID(),
+      user: { id: usuario.id },
+      expiresAt: this.refreshExpiry(),
+    });
+    await this.sessionRepo.save(session);
+
+    return this.issueTokens(usuario, session);
+  }
+
+  /**
+   * Canjea un refresh token por un par nuevo (rotación).
+   * Si el token ya fue usado se asume robo y se revoca la sesión completa.
+   * El token se marca como usado con un UPDATE condicional: de dos canjes simultáneos solo uno lo consigue.
+   * @param {string} rawToken - Refresh token entregado por el cliente
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+   */
+  async refresh(rawToken) {
+    const stored = await this.refreshRepo.findOne({
+      where: { tokenHash: hashToken(String(rawToken)) },
+      relations: ['session', 'session.user'],
+    });
+
+    if (!stored) {
+      throw new HttpError(401, 'Refresh token no válido');
+    }
+
+    const { session } = stored;
+
+    const { affected } = await this.refreshRepo.update({ id: stored.id, usedAt: IsNull() }, { usedAt: new Date() });
+    if (!affected) {
+      await this.revokeSession(session.id);
+      throw new HttpError(401, 'Refresh token reutilizado: la sesión fue revocada');
+    }
+
+    if (session.revokedAt || new Date(stored.expiresAt) <= new Date() || new Date(session.expiresAt) <= new Date()) {
+      throw new HttpError(401, 'Sesión revocada o expirada');
+    }
+
+    session.expiresAt = this.refreshExpiry();
+    await this.sessionRepo.save(session);
+
+    return this.issueTokens(session.user, session);
+  }
+
+  /**
+   * Revoca la sesión asociada a un refresh token, solo si pertenece al usuario
+   * @param {string} rawToken
+   * @param {number} userId - Usuario autenticado
+   * @returns {Promise<boolean>} true si se revocó la sesión
+   */
+  async revokeByRefreshToken(rawToken, userId) {
+    const stored = await this.refreshRepo.findOne({
+      where: { tokenHash: hashToken(String(rawToken)) },
+      relations: ['session', 'session.user'],
+    });
+    if (!stored || stored.session.user.id !== userId) {
+      return false;
+    }
+    await this.revokeSession(stored.session.id);
+    return true;
+  }
+
+  /**
+   * Revoca una sesión (logout)
+   * @param {string} sessionId
+   */
+  async revokeSession(sessionId) {
+    await this.sessionRepo.update({ id: sessionId, revokedAt: IsNull() }, { revokedAt: new Date() });
+  }
+
+  /**
+   * Revoca todas las sesiones activas de un usuario (logout everywhere)
+   * @param {number} userId
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  async revokeAllForUser(userId) {
+    const result = await this.sessionRepo.update(
+      { user: { id: userId }, revokedAt: IsNull() },
+      { revokedAt: new Date() }
+    );
+    return result.affected || 0;
+  }
+
+  /**
+   * Indica si la sesión sigue vigente (existe, no revocada y no expirada)
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    const session = await this.sessionRepo.findOneBy({ id: sessionId });
+    return Boolean(session && !session.revokedAt && new Date(session.expiresAt) > new Date());
+  }
+
+  async issueTokens(usuario, session) {
+    const token = jwt.sign(
+      { id: usuario.id, role: usuario.role, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const stored = this.refreshRepo.create({
+      tokenHash: hashToken(refreshToken),
+      expiresAt: this.refreshExpiry(),
+      session: { id: session.id },
+    });
+    await this.refreshRepo.save(stored);
+
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new TokenService();
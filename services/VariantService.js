@@ -0,0 +1,198 @@
+const { In, Not } = require('typeorm');
+const { AppDataSource } = require('../config/databaseConfig');
+const GameVariant = require('../models/GameVariant');
+const OrderItem = require('../models/OrderItem');
+const Game = require('../models/Product');
+const HttpError = require('../utils/HttpError');
+const stockMovementService = require('./StockMovementService');
+const { MOVEMENT_TYPES } = require('./StockMovementService');
+
+const VARIANT_FORMATS = Object.freeze({
+  PHYSICAL: 'PHYSICAL',
+  DIGITAL: 'DIGITAL',
+});
+
+// Campos editables de una variante
+const FIELDS = ['edition', 'region', 'format', 'sku', 'price', 'stock'];
+
+/**
+ * VariantService
+ * Ediciones de un juego (GameVariant) con SKU, precio y stock propios. Los cambios de stock
+ * de una variante quedan en el libro de movimientos del juego, marcados con la variante.
+ * Los bundles y los juegos digitales (stock por claves) no admiten variantes.
+ */
+class VariantService {
+  constructor() {
+    this.variantRepo = AppDataSource.getRepository(GameVariant);
+  }
+
+  /**
+   * Variantes de varios juegos
+   * @param {EntityManager} manager
+   * @param {number[]} gameIds
+   * @returns {Promise<Map<number, Array>>} gameId -> [GameVariant]
+   */
+  async variantsOf(manager, gameIds) {
+    const variants = new Map();
+    if (gameIds.length === 0) return variants;
+
+    const rows = await manager.find(GameVariant, {
+      where: { game: { id: In(gameIds) } },
+      loadRelationIds: { relations: ['game'] },
+      order: { id: 'ASC' },
+    });
+    for (const { game, ...variant } of rows) {
+      const list = variants.get(game) || [];
+      list.push(variant);
+      variants.set(game, list);
+    }
+    return variants;
+  }
+
+  /**
+   * Variante de un juego (para una orden)
+   * @returns {Promise<Object>} GameVariant
+   */
+  async findForGame(manager, game, variantId) {
+    const variant = await manager.findOne(GameVariant, { where: { id: Number(variantId), game: { id: game.id } } });
+    if (!variant) {
+      throw new HttpError(400, `Variante ${variantId} no encontrada para ${game.name}`);
+    }
+    return variant;
+  }
+
+  /**
+   * Crea una variante de un juego (admin)
+   * @param {number} gameId
+   * @param {Object} data - { edition, region, format, sku, price, stock }
+   * @param {Object} actor - Usuario que la crea
+   */
+  async create(gameId, data, actor) {
+    return AppDataSource.transaction(async (manager) => {
+      const game = await manager.findOne(Game, { where: { id: gameId } });
+      if (!game) {
+        throw new HttpError(404, 'Product not found');
+      }
+      if (game.bundle || game.digital) {
+        throw new HttpError(400, 'Los bundles y los juegos digitales no admiten variantes');
+      }
+
+      const values = this.normalize(data);
+      if (!values.sku) {
+        throw new HttpError(400, 'sku es requerido');
+      }
+      await this.assertSkuFree(manager, values.sku);
+
+      const variant = await manager.save(GameVariant, manager.create(GameVariant, { ...values, game: { id: gameId } }));
+      if (variant.stock > 0) {
+        await stockMovementService.record(manager, {
+          product: game,
+          variant,
+          type: MOVEMENT_TYPES.RESTOCK,
+          quantity: variant.stock,
+          reason: 'INITIAL_STOCK',
+          user: actor,
+        });
+      }
+      return variant;
+    });
+  }
+
+  /**
+   * Edita una variante; un cambio de stock deja su movimiento (la diferencia)
+   */
+  async update(gameId, variantId, data, actor) {
+    return AppDataSource.transaction(async (manager) => {
+      const variant = await this.findOwned(manager, gameId, variantId);
+      const values = this.normalize(data);
+      if (values.sku && values.sku !== variant.sku) {
+        await this.assertSkuFree(manager, values.sku, variant.id);
+      }
+
+      const previousStock = variant.stock;
+      Object.assign(variant, values);
+      const saved = await manager.save(GameVariant, variant);
+      if (saved.stock !== previousStock) {
+        await stockMovementService.record(manager, {
+          product: { id: gameId },
+          variant: saved,
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          quantity: saved.stock - previousStock,
+          reason: 'VARIANT_UPDATE',
+          user: actor,
+        });
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * Elimina una variante que nunca se vendió
+   */
+  async remove(gameId, variantId) {
+    const variant = await this.findOwned(AppDataSource.manager, gameId, variantId);
+    const sold = await AppDataSource.manager.count(OrderItem, { where: { variant: { id: variant.id } } });
+    if (sold > 0) {
+      throw new HttpError(409, 'La variante ya figura en órdenes y no puede eliminarse');
+    }
+    await this.variantRepo.remove(variant);
+  }
+
+  /**
+   * Suma (o resta) unidades al stock de una variante y registra el movimiento
+   * @param {EntityManager} manager
+   * @param {number} variantId
+   * @param {number} delta - Unidades a sumar (negativo para descontar)
+   * @param {Object} movement - { type, reason, order, user }
+   */
+  async changeStock(manager, variantId, delta, movement) {
+    const variant = await manager.findOne(GameVariant, { where: { id: variantId }, relations: ['game'] });
+    if (!variant) {
+      throw new HttpError(404, `Variante ${variantId} no encontrada`);
+    }
+    if (variant.stock + delta < 0) {
+      throw new HttpError(409, `Stock insuficiente para ${variant.game.name} (${variant.edition}). Stock: ${variant.stock}, Movimiento: ${delta}`);
+    }
+
+    variant.stock += delta;
+    await manager.save(GameVariant, variant);
+    return stockMovementService.record(manager, { ...movement, product: variant.game, variant, quantity: delta });
+  }
+
+  async findOwned(manager, gameId, variantId) {
+    const variant = await manager.findOne(GameVariant, { where: { id: variantId, game: { id: gameId } } });
+    if (!variant) {
+      throw new HttpError(404, 'Variante no encontrada');
+    }
+    return variant;
+  }
+
+  async assertSkuFree(manager, sku, exceptId = null) {
+    const where = exceptId ? { sku, id: Not(exceptId) } : { sku };
+    if (await manager.findOne(GameVariant, { where })) {
+      throw new HttpError(409, `Ya existe una variante con el SKU ${sku}`);
+    }
+  }
+
+  /**
+   * Toma solo los campos editables y normaliza formato y SKU
+   */
+  normalize(data = {}) {
+    const values = {};
+    for (const field of FIELDS) {
+      if (data[field] !== undefined) values[field] = data[field];
+    }
+    if (values.sku !== undefined) values.sku = String(values.sku).trim();
+    if (values.format !== undefined) {
+      values.format = String(values.format).toUpperCase();
+      if (!Object.values(VARIANT_FORMATS).includes(values.format)) {
+        throw new HttpError(400, `format debe ser uno de: ${Object.values(VARIANT_FORMATS).join(', ')}`);
+      }
+    }
+    if (values.stock !== undefined) values.stock = Number(values.stock);
+    return values;
+  }
+}
+
+module.exports = new VariantService();
+module.exports.VARIANT_FORMATS = VARIANT_FORMATS;
@@ -1,51 +1,24 @@
 const request = require('supertest');
 require('dotenv').config();
 
-// Mock axios ANTES de cargar la app
-jest.mock('axios', () => {
-  const mockAxios = jest.fn();
-  
-  // Mock para GET requests (obtener API Key)
-  mockAxios.get = jest.fn((url) => {
-    if (url.includes('/api-key')) {
-      return Promise.resolve({ data: { apiKey: 'mock-api-key-123' } });
-    }
-    return Promise.resolve({ data: {} });
-  });
-  
-  // Mock para POST requests (procesar pagos)
-  mockAxios.post = jest.fn((url, data, config) => {
-    if (url.includes('/payments')) {
-      // Simular tarjeta rechazada (4000000000000002)
-      if (data['card-number'] === '4000000000000002') {
-        return Promise.resolve({
-          status: 400,
-          data: { success: false, message: 'Fondos insuficientes' }
-        });
-      }
-      // Simular tarjeta válida (retornar 302 redirect)
-      return Promise.resolve({
-        status: 302,
-        headers: { location: '/payments/txn_mock_12345' },
-        data: { success: true, transaction_id: 'txn_mock_12345' }
-      });
-    }
-    return Promise.resolve({ data: { success: true } });
-  });
-  
-  return mockAxios;
-});
-
 const app = require('../app');
 const { AppDataSource } = require('../config/databaseConfig');
 const Usuario = require('../models/usuario');
 const Categoria = require('../models/Category');
 const Tag = require('../models/Tag');
 const Game = require('../models/Product');
+const ExchangeRate = require('../models/ExchangeRate');
+const Money = require('../utils/Money');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const { startFakePaymentServer } = require('../services/FakePaymentProvider');
+const tokenService = require('../services/TokenService');
 
 beforeAll(async () => {
+    // Proveedor de pagos local en lugar de https://fakepayment.onrender.com
+    global.__PAYMENT_PROVIDER = await startFakePaymentServer();
+    process.env.FAKE_PAYMENT_API = global.__PAYMENT_PROVIDER.url;
+
     await AppDataSource.initialize();
 
     const userRepo = AppDataSource.getRepository(Usuario);
@@ -65,9 +38,9 @@ beforeAll(async () => {
         const nombre = `Seed User ${i}`;
         const plain = `Password${i}!`;
         const hashed = await bcrypt.hash(plain, 10);
-        const user = userRepo.create({ nombre, email, contrasena: hashed });
+        const user = userRepo.create({ nombre, email, contrasena: hashed, role: 'admin' });
         await userRepo.save(user);
-        const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+        const { token } = await tokenService.startSession(user);
         global.__SEEDED_USERS.push({ id: user.id, email, plain });
         global.__SEEDED_TOKENS.push(token);
     }
@@ -78,6 +51,10 @@ beforeAll(async () => {
     const t2 = tagRepo.create({ name: 'SeedTag2' });
     await tagRepo.save([t1, t2]);
 
+    // Tipos de cambio desde USD (moneda base de los precios) para órdenes en EUR/VES
+    const rateRepo = AppDataSource.getRepository(ExchangeRate);
+    await rateRepo.save([rateRepo.create({ currency: 'EUR', rate: 0.9 }), rateRepo.create({ currency: 'VES', rate: 40 })]);
+
     global.__SEEDED_CATEGORY = baseCat;
     global.__SEEDED_TAGS = [t1, t2];
     global.__SEEDED_GAMES = [];
@@ -109,6 +86,7 @@ beforeEach(async () => {
 
 afterAll(async () => {
     await AppDataSource.destroy();
+    await global.__PAYMENT_PROVIDER.close();
 });
 
 describe('Pruebas de Endpoints de Autenticación', () => {
@@ -255,6 +233,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -273,6 +252,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -293,6 +273,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -307,6 +288,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -339,6 +321,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -356,6 +339,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -370,6 +354,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -402,6 +387,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -417,6 +403,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -432,6 +419,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -447,6 +435,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -462,6 +451,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -476,6 +466,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -490,6 +481,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -504,6 +496,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -518,6 +511,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -540,6 +534,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -554,6 +549,7 @@ describe('Negative tests - Controllers', () => {
       const email = `errtest_${Date.now()}@example.com`;
       const pass = 'Password1!';
       await request(app).post('/auth/register').send({ nombre: 'ErrTester', email, contrasena: pass });
+      await AppDataSource.getRepository(Usuario).update({ email }, { role: 'staff' });
       const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
       return r.body.token;
     }
@@ -674,7 +670,7 @@ describe('Critical Transactional Tests - Orders & Payments', () => {
     expect(res.status).toBe(201);
     expect(res.body.status).toBe('success');
     expect(res.body.data).toHaveProperty('id');
-    expect(res.body.data.status).toBe('COMPLETED');
+    expect(res.body.data.status).toBe('PAID');
     expect(res.body.data.totalAmount).toBe(testProduct.price * 2); // Debe ser precio del producto * cantidad
     expect(res.body.data.items).toHaveLength(1);
     expect(res.body.data.items[0].quantity).toBe(2);
@@ -783,19 +779,18 @@ describe('Critical Transactional Tests - Orders & Payments', () => {
 
     const initialStock = testProductForPaymentFail.stock;
 
-    // Act: Usar tarjeta de prueba que rechaza el pago
-    // Tarjeta 4000000000000002 es rechazada en muchas APIs de prueba
+    // Act: El proveedor rechaza el pago según el nombre del titular
     const res = await request(app)
       .post('/v2/orders')
       .set('Authorization', `Bearer ${testToken}`)
       .send({
         items: [{ productId: testProductForPaymentFail.id, quantity: 3 }],
         paymentMethod: 'CREDIT_CARD',
-        cardNumber: '4000000000000002', // Tarjeta rechazada
+        cardNumber: '4000000000000002',
         cvv: '123',
         expirationMonth: 12,
         expirationYear: 2025,
-        fullName: 'Test User',
+        fullName: 'Card rejected', // Pago rechazado
         currency: 'USD',
       });
 
@@ -808,15 +803,11 @@ describe('Critical Transactional Tests - Orders & Payments', () => {
     const finalProduct = await GameRepo.findOne({ where: { id: testProductForPaymentFail.id } });
     expect(finalProduct.stock).toBe(initialStock); // Stock no modificado
 
-    // Assert: Verificar que NO se creó la orden
-    const ordersForUser = await OrderRepo.find({ 
-      where: { user: { id: testUser.id } },
-      relations: ['items'],
+    // Assert: El intento queda registrado solo como PAYMENT_FAILED (nunca como orden pagada)
+    const ordersForProduct = await OrderRepo.find({
+      where: { items: { product: { id: testProductForPaymentFail.id } } },
     });
-    const problemOrderExists = ordersForUser.some(o => 
-      o.items && o.items.some(item => item.productId === testProductForPaymentFail.id)
-    );
-    expect(problemOrderExists).toBe(false); // La orden no debe existir
+    expect(ordersForProduct.every(o => o.status === 'PAYMENT_FAILED')).toBe(true);
   }, 30000);
 
   test('[SECURITY] Orders endpoints deny access to unauthenticated users (401 Unauthorized)', async () => {
@@ -872,3 +863,2613 @@ describe('Critical Transactional Tests - Orders & Payments', () => {
     expect(res.body.data.items[0].unitPrice).toBe(originalPrice);
   }, 30000);
 });
+
+// ==================== ROLE-BASED ACCESS CONTROL ====================
+describe('Role-based access control', () => {
+  let customer;
+  let customerToken;
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+
+  beforeAll(async () => {
+    const email = `customer_${Date.now()}@example.com`;
+    const pass = 'Password1!';
+    const reg = await request(app).post('/auth/register').send({ nombre: 'Customer', email, contrasena: pass });
+    customer = reg.body.data;
+    const login = await request(app).post('/auth/login').send({ email, contrasena: pass });
+    customerToken = login.body.token;
+  });
+
+  test('Login embeds the role in the JWT (customer by default)', async () => {
+    const decoded = jwt.verify(customerToken, process.env.JWT_SECRET);
+    expect(decoded.id).toBe(customer.id);
+    expect(decoded.role).toBe('customer');
+  });
+
+  test('Customer cannot manage catalog (403 JSend)', async () => {
+    const cat = await request(app).post('/v2/categories').set('Authorization', `Bearer ${customerToken}`).send({ name: `NoRole-${Date.now()}` });
+    expect(cat.status).toBe(403);
+    expect(cat.body.status).toBe('fail');
+
+    const tag = await request(app).post('/v2/tags').set('Authorization', `Bearer ${customerToken}`).send({ name: `NoRole-${Date.now()}` });
+    expect(tag.status).toBe(403);
+
+    const game = await request(app).post('/v2/games').set('Authorization', `Bearer ${customerToken}`).send({ name: 'NoRole' });
+    expect(game.status).toBe(403);
+
+    const del = await request(app).delete(`/v2/games/${global.__SEEDED_GAMES[0].id}`).set('Authorization', `Bearer ${customerToken}`);
+    expect(del.status).toBe(403);
+  });
+
+  test('Customer cannot list, delete or update other users', async () => {
+    const list = await request(app).get('/users').set('Authorization', `Bearer ${customerToken}`);
+    expect(list.status).toBe(403);
+
+    const otherId = global.__SEEDED_USERS[1].id;
+    const del = await request(app).delete(`/users/${otherId}`).set('Authorization', `Bearer ${customerToken}`);
+    expect(del.status).toBe(403);
+    expect(del.body.status).toBe('fail');
+
+    const put = await request(app).put(`/users/${otherId}`).set('Authorization', `Bearer ${customerToken}`).send({ nombre: 'Hacked' });
+    expect(put.status).toBe(403);
+  });
+
+  test('Customer can read own profile but cannot escalate own role', async () => {
+    const own = await request(app).get(`/users/${customer.id}`).set('Authorization', `Bearer ${customerToken}`);
+    expect(own.status).toBe(200);
+
+    const escalate = await request(app).put(`/users/${customer.id}`).set('Authorization', `Bearer ${customerToken}`).send({ role: 'admin' });
+    expect(escalate.status).toBe(403);
+    const stored = await AppDataSource.getRepository(Usuario).findOneBy({ id: customer.id });
+    expect(stored.role).toBe('customer');
+  });
+
+  test('Admin can change roles and list users', async () => {
+    const list = await request(app).get('/users').set('Authorization', `Bearer ${adminToken()}`);
+    expect(list.status).toBe(200);
+
+    const invalid = await request(app).put(`/users/${customer.id}`).set('Authorization', `Bearer ${adminToken()}`).send({ role: 'superuser' });
+    expect(invalid.status).toBe(400);
+
+    const promote = await request(app).put(`/users/${customer.id}`).set('Authorization', `Bearer ${adminToken()}`).send({ role: 'staff' });
+    expect(promote.status).toBe(200);
+    expect(promote.body.data.role).toBe('staff');
+  });
+});
+
+// ==================== REFRESH TOKENS & LOGOUT ====================
+describe('Refresh tokens and session revocation', () => {
+  const pass = 'Password1!';
+  let email;
+
+  const login = async () => {
+    const r = await request(app).post('/auth/login').send({ email, contrasena: pass });
+    expect(r.status).toBe(200);
+    return r.body;
+  };
+
+  beforeAll(async () => {
+    email = `session_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Session User', email, contrasena: pass });
+  });
+
+  test('Login returns access token with sid/jti and a refresh token', async () => {
+    const body = await login();
+    expect(body).toHaveProperty('refreshToken');
+    const decoded = jwt.verify(body.token, process.env.JWT_SECRET);
+    expect(decoded).toHaveProperty('sid');
+    expect(decoded).toHaveProperty('jti');
+  });
+
+  test('Access tokens without a session id are rejected', async () => {
+    const body = await login();
+    const { id, role } = jwt.verify(body.token, process.env.JWT_SECRET);
+    const sessionless = jwt.sign({ id, role }, process.env.JWT_SECRET);
+    expect((await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${body.token}`)).status).toBe(200);
+    const res = await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${sessionless}`);
+    expect(res.status).toBe(401);
+  });
+
+  test('POST /auth/refresh rotates the refresh token and rejects reuse', async () => {
+    const first = await login();
+
+    const r1 = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken });
+    expect(r1.status).toBe(200);
+    expect(r1.body.status).toBe('success');
+    expect(r1.body.refreshToken).not.toBe(first.refreshToken);
+
+    const me = jwt.verify(r1.body.token, process.env.JWT_SECRET);
+    const own = await request(app).get(`/users/${me.id}`).set('Authorization', `Bearer ${r1.body.token}`);
+    expect(own.status).toBe(200);
+
+    // Reutilizar el token ya canjeado revoca toda la sesión
+    const reuse = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken });
+    expect(reuse.status).toBe(401);
+    const afterReuse = await request(app).post('/auth/refresh').send({ refreshToken: r1.body.refreshToken });
+    expect(afterReuse.status).toBe(401);
+    const revoked = await request(app).get(`/users/${me.id}`).set('Authorization', `Bearer ${r1.body.token}`);
+    expect(revoked.status).toBe(401);
+  });
+
+  test('POST /auth/refresh validates input', async () => {
+    const missing = await request(app).post('/auth/refresh').send({});
+    expect(missing.status).toBe(400);
+    const unknown = await request(app).post('/auth/refresh').send({ refreshToken: 'not-a-token' });
+    expect(unknown.status).toBe(401);
+  });
+
+  test('POST /auth/logout revokes the current session only', async () => {
+    const a = await login();
+    const b = await login();
+    const { id } = jwt.verify(a.token, process.env.JWT_SECRET);
+
+    const out = await request(app).post('/auth/logout').set('Authorization', `Bearer ${a.token}`);
+    expect(out.status).toBe(200);
+
+    const rejected = await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${a.token}`);
+    expect(rejected.status).toBe(401);
+    const refreshRejected = await request(app).post('/auth/refresh').send({ refreshToken: a.refreshToken });
+    expect(refreshRejected.status).toBe(401);
+
+    const stillValid = await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${b.token}`);
+    expect(stillValid.status).toBe(200);
+  });
+
+  test('Concurrent refreshes with the same token issue a single new pair', async () => {
+    const { refreshToken } = await login();
+    const results = await Promise.all([1, 2, 3].map(() => request(app).post('/auth/refresh').send({ refreshToken })));
+    expect(results.filter(r => r.status === 200)).toHaveLength(1);
+    expect(results.filter(r => r.status === 401)).toHaveLength(2);
+  });
+
+  test('POST /auth/logout ignores a refresh token from another user', async () => {
+    const victimEmail = `victim_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Victim', email: victimEmail, contrasena: pass });
+    const victim = (await request(app).post('/auth/login').send({ email: victimEmail, contrasena: pass })).body;
+    const attacker = await login();
+
+    const out = await request(app).post('/auth/logout').set('Authorization', `Bearer ${attacker.token}`)
+      .send({ refreshToken: victim.refreshToken });
+    expect(out.status).toBe(200);
+
+    const { id } = jwt.verify(victim.token, process.env.JWT_SECRET);
+    expect((await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${victim.token}`)).status).toBe(200);
+    expect((await request(app).post('/auth/refresh').send({ refreshToken: victim.refreshToken })).status).toBe(200);
+  });
+
+  test('POST /auth/logout-all revokes every session of the user', async () => {
+    const a = await login();
+    const b = await login();
+    const { id } = jwt.verify(a.token, process.env.JWT_SECRET);
+
+    const out = await request(app).post('/auth/logout-all').set('Authorization', `Bearer ${a.token}`);
+    expect(out.status).toBe(200);
+    expect(out.body.data.revokedSessions).toBeGreaterThanOrEqual(2);
+
+    const rb = await request(app).get(`/users/${id}`).set('Authorization', `Bearer ${b.token}`);
+    expect(rb.status).toBe(401);
+    const refreshB = await request(app).post('/auth/refresh').send({ refreshToken: b.refreshToken });
+    expect(refreshB.status).toBe(401);
+  });
+});
+
+// ==================== SHOPPING CART ====================
+describe('Shopping cart', () => {
+  const token = () => global.__SEEDED_TOKENS[6];
+  const GameRepo = AppDataSource.getRepository(Game);
+  let gameA;
+  let gameB;
+
+  beforeAll(async () => {
+    gameA = await GameRepo.save(GameRepo.create({ name: 'Cart Game A', slug: `cart-game-a-${Date.now()}`, price: 10.5, stock: 5 }));
+    gameB = await GameRepo.save(GameRepo.create({ name: 'Cart Game B', slug: `cart-game-b-${Date.now()}`, price: 20.25, stock: 3 }));
+  });
+
+  test('Cart endpoints require authentication', async () => {
+    const res = await request(app).get('/v2/cart');
+    expect(res.status).toBe(401);
+  });
+
+  test('Add, change quantity, remove and view with computed totals', async () => {
+    const add1 = await request(app).post('/v2/cart/items').set('Authorization', `Bearer ${token()}`).send({ productId: gameA.id, quantity: 2 });
+    expect(add1.status).toBe(200);
+    const add2 = await request(app).post('/v2/cart/items').set('Authorization', `Bearer ${token()}`).send({ productId: gameB.id });
+    expect(add2.body.data.items).toHaveLength(2);
+    expect(add2.body.data.totalAmount).toBe(41.25);
+
+    // Agregar de nuevo suma la cantidad
+    const add3 = await request(app).post('/v2/cart/items').set('Authorization', `Bearer ${token()}`).send({ productId: gameA.id, quantity: 1 });
+    expect(add3.body.data.items.find(i => i.product.id === gameA.id).quantity).toBe(3);
+
+    const put = await request(app).put(`/v2/cart/items/${gameB.id}`).set('Authorization', `Bearer ${token()}`).send({ quantity: 2 });
+    expect(put.status).toBe(200);
+    expect(put.body.data.totalItems).toBe(5);
+    expect(put.body.data.totalAmount).toBe(72);
+
+    // Los totales usan el precio vigente
+    await GameRepo.update({ id: gameA.id }, { price: 11 });
+    const view = await request(app).get('/v2/cart').set('Authorization', `Bearer ${token()}`);
+    expect(view.body.data.totalAmount).toBe(73.5);
+
+    const del = await request(app).delete(`/v2/cart/items/${gameB.id}`).set('Authorization', `Bearer ${token()}`);
+    expect(del.status).toBe(200);
+    expect(del.body.data.items).toHaveLength(1);
+  });
+
+  test('Rejects quantities above stock and unknown products', async () => {
+    const tooMany = await request(app).put(`/v2/cart/items/${gameA.id}`).set('Authorization', `Bearer ${token()}`).send({ quantity: 99 });
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.message).toMatch(/Stock insuficiente/);
+
+    const unknown = await request(app).post('/v2/cart/items').set('Authorization', `Bearer ${token()}`).send({ productId: 999999 });
+    expect(unknown.status).toBe(404);
+
+    const notInCart = await request(app).delete(`/v2/cart/items/${gameB.id}`).set('Authorization', `Bearer ${token()}`);
+    expect(notInCart.status).toBe(404);
+  });
+
+  test('Checkout creates an order from the cart and empties it', async () => {
+    const payment = {
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2025,
+      fullName: 'Test User',
+    };
+
+    const res = await request(app).post('/v2/cart/checkout').set('Authorization', `Bearer ${token()}`).send(payment);
+    expect(res.status).toBe(201);
+    expect(res.body.data.items).toHaveLength(1);
+    expect(res.body.data.items[0].quantity).toBe(3);
+
+    const product = await GameRepo.findOneBy({ id: gameA.id });
+    expect(product.stock).toBe(2);
+
+    const view = await request(app).get('/v2/cart').set('Authorization', `Bearer ${token()}`);
+    expect(view.body.data.items).toHaveLength(0);
+
+    const empty = await request(app).post('/v2/cart/checkout').set('Authorization', `Bearer ${token()}`).send(payment);
+    expect(empty.status).toBe(400);
+  });
+
+  test('Failed checkout keeps the cart and DELETE /v2/cart clears it', async () => {
+    await request(app).post('/v2/cart/items').set('Authorization', `Bearer ${token()}`).send({ productId: gameB.id, quantity: 1 });
+
+    const res = await request(app).post('/v2/cart/checkout').set('Authorization', `Bearer ${token()}`).send({
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4000000000000002',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2025,
+      fullName: 'Card error',
+    });
+    expect(res.status).toBeGreaterThanOrEqual(400);
+
+    const view = await request(app).get('/v2/cart').set('Authorization', `Bearer ${token()}`);
+    expect(view.body.data.items).toHaveLength(1);
+
+    const cleared = await request(app).delete('/v2/cart').set('Authorization', `Bearer ${token()}`);
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.data.items).toHaveLength(0);
+  });
+});
+
+// ==================== ORDER STATE MACHINE ====================
+describe('Order state machine: cancel, refund and fulfill', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[4];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2025,
+    fullName: 'Test User',
+  };
+  let customerToken;
+  let game;
+
+  const placeOrder = async (token, quantity) => {
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token}`)
+      .send({ ...card, items: [{ productId: game.id, quantity }] });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+  const stock = async () => (await GameRepo.findOneBy({ id: game.id })).stock;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'State Game', slug: `state-game-${Date.now()}`, price: 15, stock: 20 }));
+    const email = `orders_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Buyer', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  test('New orders are PAID and customers can cancel their own paid order (refund + stock restored)', async () => {
+    const order = await placeOrder(customerToken, 2);
+    expect(order.status).toBe('PAID');
+    expect(await stock()).toBe(18);
+
+    const res = await request(app).post(`/v2/orders/${order.id}/cancel`).set('Authorization', `Bearer ${customerToken}`).send({ reason: 'Changed my mind' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('CANCELED');
+    expect(res.body.data.refundedAmount).toBe(30);
+    expect(await stock()).toBe(20);
+
+    const again = await request(app).post(`/v2/orders/${order.id}/cancel`).set('Authorization', `Bearer ${customerToken}`);
+    expect(again.status).toBe(409);
+    expect(again.body.status).toBe('fail');
+  });
+
+  test('Customers cannot cancel orders of other users nor issue refunds', async () => {
+    const order = await placeOrder(adminToken(), 1);
+
+    const cancel = await request(app).post(`/v2/orders/${order.id}/cancel`).set('Authorization', `Bearer ${customerToken}`);
+    expect(cancel.status).toBe(404);
+
+    const refund = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${customerToken}`);
+    expect(refund.status).toBe(403);
+  });
+
+  test('Partial then full refund moves PAID -> PARTIALLY_REFUNDED -> REFUNDED', async () => {
+    const order = await placeOrder(customerToken, 3);
+    const before = await stock();
+
+    const partial = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], reason: 'Damaged' });
+    expect(partial.status).toBe(200);
+    expect(partial.body.data.status).toBe('PARTIALLY_REFUNDED');
+    expect(partial.body.data.refundedAmount).toBe(15);
+    expect(partial.body.data.items[0].refundedQuantity).toBe(1);
+    expect(await stock()).toBe(before + 1);
+
+    const tooMany = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ items: [{ productId: game.id, quantity: 5 }] });
+    expect(tooMany.status).toBe(400);
+
+    const full = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(full.status).toBe(200);
+    expect(full.body.data.status).toBe('REFUNDED');
+    expect(full.body.data.refundedAmount).toBe(45);
+    expect(await stock()).toBe(before + 3);
+
+    const again = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('Fulfilled orders cannot be canceled but can be refunded', async () => {
+    const order = await placeOrder(customerToken, 1);
+
+    const forbidden = await request(app).post(`/v2/orders/${order.id}/fulfill`).set('Authorization', `Bearer ${customerToken}`);
+    expect(forbidden.status).toBe(403);
+
+    const fulfill = await request(app).post(`/v2/orders/${order.id}/fulfill`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(fulfill.status).toBe(200);
+    expect(fulfill.body.data.status).toBe('FULFILLED');
+
+    const cancel = await request(app).post(`/v2/orders/${order.id}/cancel`).set('Authorization', `Bearer ${customerToken}`);
+    expect(cancel.status).toBe(409);
+
+    const refund = await request(app).post(`/v2/orders/${order.id}/refund`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(refund.status).toBe(200);
+    expect(refund.body.data.status).toBe('REFUNDED');
+  });
+});
+
+// ==================== IDEMPOTENCY KEYS ====================
+describe('Idempotency-Key on order creation', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const OrderRepo = AppDataSource.getRepository(require('../models/Order'));
+  const token = () => global.__SEEDED_TOKENS[3];
+  let game;
+  let body;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Idem Game', slug: `idem-game-${Date.now()}`, price: 12, stock: 10 }));
+    body = {
+      items: [{ productId: game.id, quantity: 2 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2025,
+      fullName: 'Test User',
+    };
+  });
+
+  test('Retry with the same key and body replays the stored response without charging again', async () => {
+    const key = `order-${Date.now()}`;
+    const first = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).set('Idempotency-Key', key).send(body);
+    expect(first.status).toBe(201);
+
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    const charges = transactions.size;
+
+    const retry = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).set('Idempotency-Key', key).send(body);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.id).toBe(first.body.data.id);
+    expect(transactions.size).toBe(charges);
+
+    const product = await GameRepo.findOneBy({ id: game.id });
+    expect(product.stock).toBe(8);
+    const orders = await OrderRepo.find({ where: { items: { product: { id: game.id } } } });
+    expect(orders).toHaveLength(1);
+  });
+
+  test('Reusing a key with a different body returns 422', async () => {
+    const key = `order-diff-${Date.now()}`;
+    const first = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).set('Idempotency-Key', key).send(body);
+    expect(first.status).toBe(201);
+
+    const other = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).set('Idempotency-Key', key)
+      .send({ ...body, items: [{ productId: game.id, quantity: 1 }] });
+    expect(other.status).toBe(422);
+    expect(other.body.status).toBe('fail');
+  });
+
+  test('Keys are scoped per user', async () => {
+    const key = `order-shared-${Date.now()}`;
+    const a = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).set('Idempotency-Key', key).send(body);
+    const b = await request(app).post('/v2/orders').set('Authorization', `Bearer ${global.__SEEDED_TOKENS[2]}`).set('Idempotency-Key', key).send(body);
+    expect(a.status).toBe(201);
+    expect(b.status).toBe(201);
+    expect(b.headers['idempotent-replayed']).toBeUndefined();
+    expect(b.body.data.id).not.toBe(a.body.data.id);
+  });
+
+  test('A request that fails without a JSON response releases its key for retries', async () => {
+    const express = require('express');
+    const { idempotent } = require('../middlewares/idempotency');
+    const IdempotencyKey = require('../models/IdempotencyKey');
+    let calls = 0;
+    const mini = express();
+    mini.use(express.json());
+    mini.use((req, res, next) => { req.user = { id: 999001 }; next(); });
+    mini.post('/throws', idempotent(), async () => { calls += 1; throw new Error('boom'); });
+    mini.post('/text', idempotent(), (req, res) => { calls += 1; res.status(202).send('accepted'); });
+
+    for (const path of ['/throws', '/text']) {
+      const key = `release${path.replace('/', '-')}-${Date.now()}`;
+      const first = await request(mini).post(path).set('Idempotency-Key', key).send({ a: 1 });
+      const retry = await request(mini).post(path).set('Idempotency-Key', key).send({ a: 1 });
+      expect(retry.status).toBe(first.status);
+      expect(retry.status).not.toBe(409);
+      expect(await AppDataSource.getRepository(IdempotencyKey).countBy({ userId: 999001, key })).toBe(0);
+    }
+    expect(calls).toBe(4);
+  });
+});
+
+// ==================== FAILED PAYMENT ATTEMPTS ====================
+describe('Failed payment attempts are recorded as PAYMENT_FAILED orders', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  let game;
+  let customerToken;
+  let customerId;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Declined Game', slug: `declined-game-${Date.now()}`, price: 25, stock: 4 }));
+    const email = `declined_${Date.now()}@example.com`;
+    const reg = await request(app).post('/auth/register').send({ nombre: 'Declined', email, contrasena: 'Password1!' });
+    customerId = reg.body.data.id;
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  test('Declined payment leaves stock untouched and stores reason, masked card and amount', async () => {
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: game.id, quantity: 2 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4000000000000002',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2025,
+      fullName: 'Insufficient funds',
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Pago rechazado/);
+
+    const product = await GameRepo.findOneBy({ id: game.id });
+    expect(product.stock).toBe(4);
+
+    const list = await request(app).get('/v2/orders').query({ status: 'PAYMENT_FAILED' }).set('Authorization', `Bearer ${customerToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.items).toHaveLength(1);
+    const failed = list.body.data.items[0];
+    expect(failed.status).toBe('PAYMENT_FAILED');
+    expect(failed.totalAmount).toBe(50);
+    expect(failed.maskedCard).toBe('************0002');
+    expect(failed.failureReason).toMatch(/Insufficient funds/);
+    expect(JSON.stringify(failed)).not.toContain('4000000000000002');
+
+    const paid = await request(app).get('/v2/orders').query({ status: 'PAID' }).set('Authorization', `Bearer ${customerToken}`);
+    expect(paid.body.data.items).toHaveLength(0);
+  });
+
+  test('Status filter is validated and only staff can look up other users', async () => {
+    const invalid = await request(app).get('/v2/orders').query({ status: 'NOPE' }).set('Authorization', `Bearer ${customerToken}`);
+    expect(invalid.status).toBe(400);
+
+    const forbidden = await request(app).get('/v2/orders').query({ userId: 1 }).set('Authorization', `Bearer ${customerToken}`);
+    expect(forbidden.status).toBe(403);
+
+    const support = await request(app).get('/v2/orders').query({ status: 'PAYMENT_FAILED', userId: customerId })
+      .set('Authorization', `Bearer ${global.__SEEDED_TOKENS[0]}`);
+    expect(support.status).toBe(200);
+    expect(support.body.data.items).toHaveLength(1);
+  });
+});
+
+// ==================== LOCAL PAYMENT PROVIDER ====================
+describe('Local fake payment provider', () => {
+  const provider = () => global.__PAYMENT_PROVIDER.app;
+  const payment = {
+    'card-number': '4111111111111111',
+    'expiration-month': '12',
+    'expiration-year': '2030',
+    cvv: '123',
+    amount: 40,
+    currency: 'usd',
+  };
+  let apiKey;
+
+  beforeAll(async () => {
+    const res = await request(provider()).get('/payments/api-key');
+    apiKey = res.body.apiKey;
+  });
+
+  test('POST /payments requires an API key and redirects to the transaction on approval', async () => {
+    const noKey = await request(provider()).post('/payments').send({ ...payment, 'full-name': 'Test User' });
+    expect(noKey.status).toBe(401);
+
+    const res = await request(provider()).post('/payments').set('Authorization', `Bearer ${apiKey}`)
+      .send({ ...payment, 'full-name': 'Test User' });
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(/^\/payments\/txn_/);
+
+    const lookup = await request(provider()).get(res.headers.location).set('Authorization', `Bearer ${apiKey}`);
+    expect(lookup.status).toBe(200);
+    expect(lookup.body.data).toMatchObject({ status: 'APPROVED', amount: 40, currency: 'USD', card_last4: '1111' });
+
+    const missing = await request(provider()).get('/payments/txn_unknown').set('Authorization', `Bearer ${apiKey}`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('Full name selects the decline behavior', async () => {
+    for (const fullName of ['Card rejected', 'Card error', 'Insufficient funds']) {
+      const res = await request(provider()).post('/payments').set('Authorization', `Bearer ${apiKey}`)
+        .send({ ...payment, 'full-name': fullName });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ success: false, message: fullName });
+    }
+  });
+
+  test('Order refunds are reflected in the provider transaction', async () => {
+    const GameRepo = AppDataSource.getRepository(Game);
+    const game = await GameRepo.save(GameRepo.create({ name: 'Provider Game', slug: `provider-game-${Date.now()}`, price: 15, stock: 5 }));
+    const adminToken = global.__SEEDED_TOKENS[0];
+
+    const order = await request(app).post('/v2/orders').set('Authorization', `Bearer ${adminToken}`).send({
+      items: [{ productId: game.id, quantity: 2 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2030,
+      fullName: 'Test User',
+    });
+    expect(order.status).toBe(201);
+
+    const refund = await request(app).post(`/v2/orders/${order.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }] });
+    expect(refund.status).toBe(200);
+
+    const transaction = global.__PAYMENT_PROVIDER.app.locals.transactions.get(order.body.data.transactionId);
+    expect(transaction.amount).toBe(30);
+    expect(transaction.refunded_amount).toBe(15);
+    expect(transaction.status).toBe('PARTIALLY_REFUNDED');
+  });
+});
+
+// ==================== PAYMENT RECONCILIATION ====================
+describe('Payment reconciliation against the provider', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const GameRepo = AppDataSource.getRepository(Game);
+  const OrderRepo = AppDataSource.getRepository(require('../models/Order'));
+  const adminToken = () => global.__SEEDED_TOKENS[7];
+  let reportDir;
+
+  beforeAll(() => {
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconciliation-'));
+    process.env.RECONCILIATION_REPORT_DIR = reportDir;
+  });
+
+  afterAll(() => {
+    delete process.env.RECONCILIATION_REPORT_DIR;
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  });
+
+  test('Flags refund, missing and unknown transactions and writes a report', async () => {
+    const game = await GameRepo.save(GameRepo.create({ name: 'Recon Game', slug: `recon-game-${Date.now()}`, price: 20, stock: 5 }));
+    const order = await request(app).post('/v2/orders').set('Authorization', `Bearer ${adminToken()}`).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2030,
+      fullName: 'Test User',
+    });
+    expect(order.status).toBe(201);
+
+    // Reembolso hecho directamente en el proveedor, sin pasar por la API
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    Object.assign(transactions.get(order.body.data.transactionId), { refunded_amount: 20, status: 'REFUNDED' });
+
+    // Orden marcada como pagada cuyo cobro no existe en el proveedor
+    const ghost = await OrderRepo.save(OrderRepo.create({
+      user: { id: global.__SEEDED_USERS[7].id },
+      status: 'PAID',
+      totalAmount: 10,
+      transactionId: 'txn_not_at_provider',
+      paymentMethod: 'CREDIT_CARD',
+    }));
+
+    // Cobro en el proveedor sin orden local
+    const provider = global.__PAYMENT_PROVIDER.app;
+    const { body: { apiKey } } = await request(provider).get('/payments/api-key');
+    const charge = await request(provider).post('/payments').set('Authorization', `Bearer ${apiKey}`).send({
+      'full-name': 'Test User', 'card-number': '4111111111111111', 'expiration-month': '12',
+      'expiration-year': '2030', cvv: '123', amount: 5, currency: 'USD',
+    });
+    const orphanId = charge.headers.location.split('/').pop();
+
+    const res = await request(app).post('/v2/payments/reconciliation').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ transactionIds: [orphanId] });
+    expect(res.status).toBe(200);
+
+    const report = res.body.data;
+    const byType = (type) => report.mismatches.filter(m => m.type === type);
+    expect(byType('REFUND_MISMATCH').map(m => m.orderId)).toContain(order.body.data.id);
+    expect(byType('MISSING_AT_PROVIDER').map(m => m.orderId)).toContain(ghost.id);
+    expect(byType('UNKNOWN_TRANSACTION')).toEqual([expect.objectContaining({ transactionId: orphanId, orderId: null })]);
+    expect(report.checkedTransactions).toBe(1);
+
+    const saved = JSON.parse(fs.readFileSync(report.reportPath, 'utf8'));
+    expect(path.dirname(report.reportPath)).toBe(reportDir);
+    expect(saved.mismatches).toHaveLength(report.mismatches.length);
+  });
+
+  test('Reconciliation is admin-only and validates transactionIds', async () => {
+    const email = `recon_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Recon', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+
+    const forbidden = await request(app).post('/v2/payments/reconciliation').set('Authorization', `Bearer ${login.body.token}`);
+    expect(forbidden.status).toBe(403);
+
+    const invalid = await request(app).post('/v2/payments/reconciliation').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ transactionIds: 'txn_1' });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+// ==================== MANUAL PAYMENTS (BANK TRANSFER / PAGO MÓVIL) ====================
+describe('Manual payments: bank transfer and Pago Móvil', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const OrderRepo = AppDataSource.getRepository(require('../models/Order'));
+  const adminToken = () => global.__SEEDED_TOKENS[1];
+  let game;
+  let customerToken;
+  const pagoMovil = (paymentReference, extra = {}) => ({
+    items: [{ productId: game.id, quantity: 2 }],
+    paymentMethod: 'PAGO_MOVIL',
+    paymentReference,
+    bankCode: '0102',
+    phone: '04141234567',
+    documentId: 'V12345678',
+    ...extra,
+  });
+  // Las órdenes PENDING reservan unidades sin descontar el stock: se mide el disponible
+  const stock = async () => (await request(app).get(`/v2/games/${game.id}`)
+    .set('Authorization', `Bearer ${customerToken}`)).body.data.available;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Manual Pay Game', slug: `manual-pay-${Date.now()}`, price: 30, stock: 10 }));
+    const email = `manualpay_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Manual', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  test('Pago Móvil creates a PENDING order in VES and reserves stock', async () => {
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send(pagoMovil('PM0001'));
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      status: 'PENDING',
+      currency: 'VES',
+      paymentReference: 'PM0001',
+      transactionId: null,
+      paymentDetails: { bankCode: '0102', phone: '04141234567', documentId: 'V12345678' },
+    });
+    expect(new Date(res.body.data.paymentExpiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(await stock()).toBe(8);
+
+    const duplicate = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send(pagoMovil('PM0001'));
+    expect(duplicate.status).toBe(409);
+    expect(await stock()).toBe(8);
+  });
+
+  test('Invalid manual payment data is rejected without touching stock or recording a failed payment', async () => {
+    const before = await stock();
+    const missingPhone = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send(pagoMovil('PM0002', { phone: undefined }));
+    expect(missingPhone.status).toBe(400);
+    expect(missingPhone.body.message).toMatch(/phone/);
+
+    const usd = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send(pagoMovil('PM0003', { currency: 'USD' }));
+    expect(usd.status).toBe(400);
+
+    const unknown = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ ...pagoMovil('PM0004'), paymentMethod: 'CRYPTO' });
+    expect(unknown.status).toBe(400);
+
+    expect(await stock()).toBe(before);
+    const failed = await OrderRepo.find({ where: { status: 'PAYMENT_FAILED', items: { product: { id: game.id } } } });
+    expect(failed).toHaveLength(0);
+  });
+
+  test('Staff confirms a pending reference; customers cannot', async () => {
+    const created = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send(pagoMovil('PM0005'));
+    const id = created.body.data.id;
+
+    const forbidden = await request(app).post(`/v2/orders/${id}/confirm-payment`).set('Authorization', `Bearer ${customerToken}`);
+    expect(forbidden.status).toBe(403);
+
+    const confirmed = await request(app).post(`/v2/orders/${id}/confirm-payment`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data.status).toBe('PAID');
+    expect(confirmed.body.data.paymentExpiresAt).toBeNull();
+
+    const again = await request(app).post(`/v2/orders/${id}/confirm-payment`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('Rejecting a bank transfer releases the reserved stock', async () => {
+    const before = await stock();
+    const created = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: 'TR0001',
+      bankCode: '0134',
+    });
+    expect(created.status).toBe(201);
+    expect(await stock()).toBe(before - 1);
+
+    const rejected = await request(app).post(`/v2/orders/${created.body.data.id}/reject-payment`)
+      .set('Authorization', `Bearer ${adminToken()}`).send({ reason: 'Referencia no encontrada' });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data).toMatchObject({ status: 'PAYMENT_FAILED', failureReason: 'Referencia no encontrada' });
+    expect(await stock()).toBe(before);
+
+    // La referencia de una orden rechazada puede volver a usarse
+    const retry = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: 'TR0001',
+      bankCode: '0134',
+    });
+    expect(retry.status).toBe(201);
+  });
+
+  test('Unconfirmed orders expire, release stock and can no longer be confirmed', async () => {
+    const created = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send(pagoMovil('PM0006'));
+    const id = created.body.data.id;
+    const reserved = await stock();
+
+    await OrderRepo.update({ id }, { paymentExpiresAt: new Date(Date.now() - 60 * 1000) });
+
+    const late = await request(app).post(`/v2/orders/${id}/confirm-payment`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(late.status).toBe(409);
+
+    const order = await OrderRepo.findOneBy({ id });
+    expect(order.status).toBe('CANCELED');
+    expect(order.failureReason).toMatch(/plazo/);
+    expect(await stock()).toBe(reserved + 2);
+  });
+});
+
+// ==================== PAYMENT METHOD REGISTRY ====================
+describe('Payment method registry', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const paymentMethodRegistry = require('../services/PaymentMethodRegistry');
+  const PaymentStrategy = require('../services/PaymentStrategy');
+  const token = () => global.__SEEDED_TOKENS[1];
+  let game;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Registry Game', slug: `registry-game-${Date.now()}`, price: 10, stock: 10 }));
+  });
+
+  afterAll(() => {
+    paymentMethodRegistry.unregister('STORE_CREDIT');
+  });
+
+  test('GET /v2/payment-methods lists methods with currencies, required fields and sync flag', async () => {
+    const res = await request(app).get('/v2/payment-methods');
+    expect(res.status).toBe(200);
+    const card = res.body.data.find(m => m.code === 'CREDIT_CARD');
+    expect(card).toMatchObject({ synchronous: true, requiredFields: expect.arrayContaining(['cardNumber', 'cvv']) });
+    const pagoMovil = res.body.data.find(m => m.code === 'PAGO_MOVIL');
+    expect(pagoMovil).toMatchObject({ synchronous: false, currencies: ['VES'] });
+    expect(res.body.data.every(m => m.StrategyClass === undefined)).toBe(true);
+  });
+
+  test('Orders validate the required fields of the chosen method', async () => {
+    const missingCvv = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'credit_card',
+      cardNumber: '4111111111111111',
+      expirationMonth: 12,
+      expirationYear: 2030,
+      fullName: 'Test User',
+    });
+    expect(missingCvv.status).toBe(400);
+    expect(missingCvv.body.message).toBe('Datos de pago incompletos para CREDIT_CARD (cvv)');
+
+    const unknown = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], paymentMethod: 'BITCOIN' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toMatch(/Disponibles: .*CREDIT_CARD/);
+
+    const checkout = await request(app).post('/v2/cart/checkout').set('Authorization', `Bearer ${token()}`)
+      .send({ paymentMethod: 'BANK_TRANSFER', paymentReference: 'TR9999' });
+    expect(checkout.status).toBe(400);
+    expect(checkout.body.message).toMatch(/bankCode/);
+  });
+
+  test('New strategies can be registered without touching OrderService', async () => {
+    class StoreCreditPaymentStrategy extends PaymentStrategy {
+      async processPayment(details, amount) {
+        return { success: true, transactionId: `credit_${details.reference}_${amount}` };
+      }
+    }
+    paymentMethodRegistry.register('STORE_CREDIT', StoreCreditPaymentStrategy, {
+      label: 'Crédito de tienda',
+      currencies: ['USD'],
+      requiredFields: [],
+      synchronous: true,
+    });
+
+    const listed = await request(app).get('/v2/payment-methods');
+    expect(listed.body.data.map(m => m.code)).toContain('STORE_CREDIT');
+
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`)
+      .send({ items: [{ productId: game.id, quantity: 2 }], paymentMethod: 'store_credit' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'PAID', paymentMethod: 'STORE_CREDIT', currency: 'USD', totalAmount: 20 });
+    expect(res.body.data.transactionId).toMatch(/^credit_ORD-/);
+
+    const eur = await request(app).post('/v2/orders').set('Authorization', `Bearer ${token()}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], paymentMethod: 'STORE_CREDIT', currency: 'EUR' });
+    expect(eur.status).toBe(400);
+  });
+});
+
+// ==================== GIFT CARDS ====================
+describe('Gift cards and split tender', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[4];
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  let game;
+  let customerToken;
+
+  const issue = (body) => request(app).post('/v2/gift-cards').set('Authorization', `Bearer ${adminToken()}`).send(body);
+  const balanceOf = async (code) =>
+    (await request(app).get(`/v2/gift-cards/${code}/balance`).set('Authorization', `Bearer ${customerToken}`)).body.data;
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Gift Game', slug: `gift-game-${Date.now()}`, price: 40, stock: 20 }));
+    const email = `giftcard_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Gift', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  test('Only admins issue gift cards and the amount is validated', async () => {
+    const forbidden = await request(app).post('/v2/gift-cards').set('Authorization', `Bearer ${customerToken}`).send({ amount: 10 });
+    expect(forbidden.status).toBe(403);
+
+    const invalid = await issue({ amount: -5 });
+    expect(invalid.status).toBe(400);
+
+    const res = await issue({ amount: 25 });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ balance: 25, initialBalance: 25, currency: 'USD', status: 'ACTIVE' });
+    expect(res.body.data.code).toMatch(/^GC-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  });
+
+  test('GIFT_CARD pays the whole order only when the balance covers it', async () => {
+    const { body: { data: giftCard } } = await issue({ amount: 100 });
+
+    const short = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 3 }], paymentMethod: 'GIFT_CARD', giftCardCode: giftCard.code });
+    expect(short.status).toBe(400);
+    expect(short.body.message).toMatch(/Saldo insuficiente/);
+
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 2 }], paymentMethod: 'GIFT_CARD', giftCardCode: giftCard.code.toLowerCase() });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'PAID', paymentMethod: 'GIFT_CARD', giftCardAmount: 80, transactionId: null });
+    expect((await balanceOf(giftCard.code)).balance).toBe(20);
+  });
+
+  test('Split tender charges the remainder to the credit card and refunds go back to both', async () => {
+    const { body: { data: giftCard } } = await issue({ amount: 50 });
+
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 2 }], ...card, giftCardCode: giftCard.code });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'PAID', paymentMethod: 'CREDIT_CARD', totalAmount: 80, giftCardAmount: 50 });
+    expect(transaction(res.body.data.transactionId).amount).toBe(30);
+    expect((await balanceOf(giftCard.code)).balance).toBe(0);
+
+    // Reembolso parcial de 40: 30 a la tarjeta de crédito y 10 a la tarjeta de regalo
+    const partial = await request(app).post(`/v2/orders/${res.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }] });
+    expect(partial.status).toBe(200);
+    expect(transaction(res.body.data.transactionId).refunded_amount).toBe(30);
+    expect((await balanceOf(giftCard.code)).balance).toBe(10);
+
+    const rest = await request(app).post(`/v2/orders/${res.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken()}`).send({});
+    expect(rest.body.data.status).toBe('REFUNDED');
+    expect((await balanceOf(giftCard.code)).balance).toBe(50);
+  });
+
+  test('A declined card in split tender rolls back the gift card balance and stock', async () => {
+    const { body: { data: giftCard } } = await issue({ amount: 30 });
+    const stockBefore = (await GameRepo.findOneBy({ id: game.id })).stock;
+
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], ...card, fullName: 'Card rejected', giftCardCode: giftCard.code });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Pago rechazado/);
+
+    expect((await balanceOf(giftCard.code)).balance).toBe(30);
+    expect((await GameRepo.findOneBy({ id: game.id })).stock).toBe(stockBefore);
+  });
+
+  test('Voided cards, currency mismatches and manual methods are rejected', async () => {
+    const { body: { data: giftCard } } = await issue({ amount: 60 });
+
+    const voided = await request(app).post(`/v2/gift-cards/${giftCard.id}/void`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ reason: 'Emitida por error' });
+    expect(voided.status).toBe(200);
+    expect(voided.body.data.status).toBe('VOID');
+    const again = await request(app).post(`/v2/gift-cards/${giftCard.id}/void`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(again.status).toBe(409);
+
+    const useVoided = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], paymentMethod: 'GIFT_CARD', giftCardCode: giftCard.code });
+    expect(useVoided.status).toBe(400);
+    expect(useVoided.body.message).toMatch(/anulada/);
+
+    const { body: { data: eurCard } } = await issue({ amount: 60, currency: 'EUR' });
+    const wrongCurrency = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+      .send({ items: [{ productId: game.id, quantity: 1 }], paymentMethod: 'GIFT_CARD', giftCardCode: eurCard.code });
+    expect(wrongCurrency.status).toBe(400);
+
+    const manual = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: 'GIFT0001',
+      bankCode: '0102',
+      giftCardCode: eurCard.code,
+    });
+    expect(manual.status).toBe(400);
+    expect(manual.body.message).toMatch(/sincrónicos/);
+  });
+});
+
+describe('Coupons and promotions at checkout', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  let category;
+  let tag;
+  let rpg;
+  let puzzle;
+  let customerToken;
+
+  const createCoupon = (body) => request(app).post('/v2/coupons').set('Authorization', `Bearer ${adminToken()}`).send(body);
+  const order = (items, extra = {}) => request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+    .send({ items, ...card, ...extra });
+
+  beforeAll(async () => {
+    const stamp = Date.now();
+    category = await AppDataSource.getRepository(Categoria).save({ name: `PromoCat ${stamp}` });
+    tag = await AppDataSource.getRepository(Tag).save({ name: `promo-tag-${stamp}` });
+    rpg = await GameRepo.save(GameRepo.create({ name: 'Promo RPG', slug: `promo-rpg-${stamp}`, price: 40, stock: 50, category, tags: [tag] }));
+    puzzle = await GameRepo.save(GameRepo.create({ name: 'Promo Puzzle', slug: `promo-puzzle-${stamp}`, price: 25, stock: 50 }));
+
+    const email = `coupons_${stamp}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Coupon', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  test('Only staff/admin manage coupons and the rules are validated', async () => {
+    const forbidden = await request(app).post('/v2/coupons').set('Authorization', `Bearer ${customerToken}`)
+      .send({ code: 'NOPE10', type: 'PERCENTAGE', value: 10 });
+    expect(forbidden.status).toBe(403);
+
+    expect((await createCoupon({ code: 'BAD1', type: 'PERCENTAGE', value: 150 })).status).toBe(400);
+    expect((await createCoupon({ code: 'BAD2', type: 'BUY_X_GET_Y' })).status).toBe(400);
+    expect((await createCoupon({ code: 'BAD3', type: 'PERCENTAGE', value: 10, scope: 'CATEGORY' })).status).toBe(400);
+
+    const res = await createCoupon({ code: 'welcome5', type: 'FIXED_AMOUNT', value: 5 });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ code: 'WELCOME5', currency: 'USD', scope: 'ORDER', timesUsed: 0, active: true });
+    expect((await createCoupon({ code: 'WELCOME5', type: 'PERCENTAGE', value: 10 })).status).toBe(409);
+  });
+
+  test('A category-scoped percentage only discounts eligible items and refunds return the net price', async () => {
+    await createCoupon({ code: 'RPG10', type: 'PERCENTAGE', value: 10, scope: 'CATEGORY', scopeIds: [category.id] });
+
+    const res = await order([{ productId: rpg.id, quantity: 2 }, { productId: puzzle.id, quantity: 1 }], { couponCode: 'rpg10' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ subtotalAmount: 105, discountAmount: 8, totalAmount: 97, couponCode: 'RPG10' });
+    expect(res.body.data.discountLines).toEqual([
+      { couponCode: 'RPG10', type: 'PERCENTAGE', description: '10% de descuento', amount: 8 },
+    ]);
+    const rpgItem = res.body.data.items.find(i => i.product.id === rpg.id);
+    const puzzleItem = res.body.data.items.find(i => i.product.id === puzzle.id);
+    expect(rpgItem.discountAmount).toBe(8);
+    expect(puzzleItem.discountAmount).toBe(0);
+    expect(transaction(res.body.data.transactionId).amount).toBe(97);
+
+    const refund = await request(app).post(`/v2/orders/${res.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ items: [{ productId: rpg.id, quantity: 1 }] });
+    expect(refund.status).toBe(200);
+    expect(refund.body.data.refundedAmount).toBe(36);
+
+    const rest = await request(app).post(`/v2/orders/${res.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken()}`).send({});
+    expect(rest.body.data).toMatchObject({ status: 'REFUNDED', refundedAmount: 97 });
+  });
+
+  test('Buy X get Y discounts the cheapest eligible units and fixed amounts are split across tagged items', async () => {
+    await createCoupon({ code: 'B2G1', type: 'BUY_X_GET_Y', buyQuantity: 2, getQuantity: 1, scope: 'GAMES', scopeIds: [rpg.id, puzzle.id] });
+    const bogo = await order([{ productId: rpg.id, quantity: 2 }, { productId: puzzle.id, quantity: 1 }], { couponCode: 'B2G1' });
+    expect(bogo.status).toBe(201);
+    expect(bogo.body.data).toMatchObject({ discountAmount: 25, totalAmount: 80 });
+    expect(bogo.body.data.items.find(i => i.product.id === puzzle.id).discountAmount).toBe(25);
+
+    await createCoupon({ code: 'TAG15', type: 'FIXED_AMOUNT', value: 15, scope: 'TAG', scopeIds: [tag.id] });
+    const fixed = await order([{ productId: rpg.id, quantity: 3 }, { productId: puzzle.id, quantity: 1 }], { couponCode: 'TAG15' });
+    expect(fixed.status).toBe(201);
+    expect(fixed.body.data).toMatchObject({ subtotalAmount: 145, discountAmount: 15, totalAmount: 130 });
+
+    const eur = await order([{ productId: rpg.id, quantity: 1 }], { couponCode: 'TAG15', currency: 'EUR' });
+    expect(eur.status).toBe(400);
+    expect(eur.body.message).toMatch(/USD/);
+
+    const notEligible = await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'TAG15' });
+    expect(notEligible.status).toBe(400);
+    expect(notEligible.body.message).toMatch(/no aplica/);
+  });
+
+  test('Usage limits and validity windows are enforced; declined payments do not use the coupon', async () => {
+    const { body: { data: once } } = await createCoupon({ code: 'ONCE', type: 'PERCENTAGE', value: 5, maxUsesPerUser: 1 });
+
+    const declined = await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'ONCE', fullName: 'Card rejected' });
+    expect(declined.status).toBe(400);
+    expect(declined.body.message).toMatch(/Pago rechazado/);
+
+    expect((await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'ONCE' })).status).toBe(201);
+    const second = await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'ONCE' });
+    expect(second.status).toBe(400);
+    expect(second.body.message).toMatch(/máximo/);
+
+    const list = await request(app).get('/v2/coupons').set('Authorization', `Bearer ${adminToken()}`);
+    expect(list.body.data.find(c => c.id === once.id).timesUsed).toBe(1);
+
+    await createCoupon({ code: 'GLOBAL1', type: 'PERCENTAGE', value: 5, maxUses: 1 });
+    expect((await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'GLOBAL1' })).status).toBe(201);
+    const exhausted = await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'GLOBAL1' });
+    expect(exhausted.body.message).toMatch(/límite de usos/);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    await createCoupon({ code: 'SOON', type: 'PERCENTAGE', value: 5, startsAt: tomorrow });
+    expect((await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'SOON' })).body.message).toMatch(/vigente/);
+
+    const { body: { data: off } } = await createCoupon({ code: 'OFF', type: 'PERCENTAGE', value: 5 });
+    const deactivated = await request(app).post(`/v2/coupons/${off.id}/deactivate`).set('Authorization', `Bearer ${adminToken()}`);
+    expect(deactivated.body.data.active).toBe(false);
+    expect((await order([{ productId: puzzle.id, quantity: 1 }], { couponCode: 'OFF' })).body.message).toMatch(/no válido/);
+  });
+});
+
+describe('Tax rules and tax lines on orders', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  let category;
+  let book;
+  let puzzle;
+  let customerToken;
+  const ruleIds = [];
+
+  const createRule = async (body) => {
+    const res = await request(app).post('/v2/tax-rules').set('Authorization', `Bearer ${adminToken()}`).send(body);
+    if (res.status === 201) ruleIds.push(res.body.data.id);
+    return res;
+  };
+  const order = (items, extra = {}) => request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`)
+    .send({ items, ...card, ...extra });
+
+  beforeAll(async () => {
+    const stamp = Date.now();
+    category = await AppDataSource.getRepository(Categoria).save({ name: `TaxCat ${stamp}` });
+    book = await GameRepo.save(GameRepo.create({ name: 'Tax Book', slug: `tax-book-${stamp}`, price: 40, stock: 50, category }));
+    puzzle = await GameRepo.save(GameRepo.create({ name: 'Tax Puzzle', slug: `tax-puzzle-${stamp}`, price: 25, stock: 50 }));
+
+    const email = `taxes_${stamp}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Tax', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    // Las reglas son por país; se eliminan para no afectar otras pruebas
+    for (const id of ruleIds) {
+      await request(app).delete(`/v2/tax-rules/${id}`).set('Authorization', `Bearer ${adminToken()}`);
+    }
+  });
+
+  test('Only admins manage tax rules and rates are validated', async () => {
+    const forbidden = await request(app).post('/v2/tax-rules').set('Authorization', `Bearer ${customerToken}`)
+      .send({ name: 'IVA', country: 'ES', rate: 21 });
+    expect(forbidden.status).toBe(403);
+
+    expect((await createRule({ name: 'IVA', country: 'ESP', rate: 21 })).status).toBe(400);
+    expect((await createRule({ name: 'IVA', country: 'ES', rate: 150 })).status).toBe(400);
+    expect((await createRule({ name: 'IVA', country: 'ES', rate: 21, categoryId: 999999 })).status).toBe(400);
+
+    const res = await createRule({ name: 'IVA', country: 'es', rate: 21 });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ country: 'ES', rate: 21, inclusive: false, active: true, region: null });
+  });
+
+  test('Exclusive taxes use the most specific rule per item and are added to the charged total', async () => {
+    await createRule({ name: 'IVA superreducido', country: 'ES', rate: 4, categoryId: category.id });
+
+    const res = await order([{ productId: book.id, quantity: 1 }, { productId: puzzle.id, quantity: 2 }], { billingCountry: 'ES' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ subtotalAmount: 90, taxAmount: 12.1, totalAmount: 102.1, billingCountry: 'ES' });
+    expect(res.body.data.taxLines).toHaveLength(2);
+    expect(transaction(res.body.data.transactionId).amount).toBe(102.1);
+
+    const bookItem = res.body.data.items.find(i => i.product.id === book.id);
+    const puzzleItem = res.body.data.items.find(i => i.product.id === puzzle.id);
+    expect(bookItem).toMatchObject({ subtotal: 40, taxRate: 4, taxAmount: 1.6, total: 41.6 });
+    expect(puzzleItem).toMatchObject({ subtotal: 50, taxRate: 21, taxAmount: 10.5, total: 60.5 });
+
+    // El reembolso devuelve el precio con impuesto
+    const refund = await request(app).post(`/v2/orders/${res.body.data.id}/refund`).set('Authorization', `Bearer ${adminToken()}`)
+      .send({ items: [{ productId: puzzle.id, quantity: 1 }] });
+    expect(refund.body.data.refundedAmount).toBe(30.25);
+
+    // Una regla regional se prefiere a la del país, pero no a la de categoría
+    await createRule({ name: 'IGIC', country: 'ES', region: 'Canarias', rate: 7 });
+    const canarias = await order([{ productId: book.id, quantity: 1 }, { productId: puzzle.id, quantity: 1 }],
+      { billingCountry: 'ES', billingRegion: 'canarias' });
+    expect(canarias.body.data.items.find(i => i.product.id === puzzle.id).taxRate).toBe(7);
+    expect(canarias.body.data.items.find(i => i.product.id === book.id).taxRate).toBe(4);
+  });
+
+  test('Inclusive taxes are extracted from the price after discounts without changing the total', async () => {
+    await createRule({ name: 'IVA incluido', country: 'PT', rate: 23, inclusive: true });
+    await request(app).post('/v2/coupons').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ code: 'TAXTEN', type: 'PERCENTAGE', value: 10 });
+
+    const res = await order([{ productId: puzzle.id, quantity: 2 }], { billingCountry: 'PT', couponCode: 'TAXTEN' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ subtotalAmount: 50, discountAmount: 5, taxAmount: 8.41, totalAmount: 45 });
+    expect(res.body.data.taxLines[0]).toMatchObject({ name: 'IVA incluido', inclusive: true, taxableAmount: 36.59, amount: 8.41 });
+
+    // Sin reglas para el país de facturación no hay impuesto
+    const untaxed = await order([{ productId: puzzle.id, quantity: 1 }], { billingCountry: 'US' });
+    expect(untaxed.body.data).toMatchObject({ taxAmount: 0, totalAmount: 25, taxLines: null });
+
+    const invalid = await order([{ productId: puzzle.id, quantity: 1 }], { billingCountry: 'Spain' });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('Exchange rates and multi-currency pricing', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  let game;
+  let customerToken;
+
+  const setRate = (currency, body, token = adminToken()) =>
+    request(app).put(`/v2/exchange-rates/${currency}`).set('Authorization', `Bearer ${token}`).send(body);
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Forex Quest', slug: `forex-quest-${Date.now()}`, price: 40, stock: 20 }));
+    const email = `forex_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Forex', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    await setRate('EUR', { rate: 0.9 });
+  });
+
+  test('Rates are public to read and only admins can update them', async () => {
+    const list = await request(app).get('/v2/exchange-rates');
+    expect(list.status).toBe(200);
+    expect(list.body.data.baseCurrency).toBe('USD');
+    expect(list.body.data.rates.find(r => r.currency === 'EUR').rate).toBe(0.9);
+
+    expect((await setRate('GBP', { rate: 0.8 }, customerToken)).status).toBe(403);
+    expect((await setRate('USD', { rate: 2 })).status).toBe(400);
+    expect((await setRate('GBP', { rate: -1 })).status).toBe(400);
+
+    const res = await setRate('gbp', { rate: 0.8 });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ currency: 'GBP', rate: 0.8, source: 'MANUAL' });
+  });
+
+  test('Rates can be imported from JSON or CSV files and invalid files import nothing', async () => {
+    const json = await request(app).post('/v2/exchange-rates/import').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ base: 'USD', rates: { GBP: 0.79, MXN: 17.2 } });
+    expect(json.status).toBe(200);
+    expect(json.body.data.map(r => r.currency)).toEqual(['GBP', 'MXN']);
+    expect(json.body.data[0].source).toBe('FILE');
+
+    const invalid = await request(app).post('/v2/exchange-rates/import').set('Authorization', `Bearer ${adminToken()}`)
+      .set('Content-Type', 'text/csv').send('currency,rate\nCOP,4000\nBRL,abc\n');
+    expect(invalid.status).toBe(400);
+    const afterInvalid = await request(app).get('/v2/exchange-rates');
+    expect(afterInvalid.body.data.rates.map(r => r.currency)).not.toContain('COP');
+
+    const csv = await request(app).post('/v2/exchange-rates/import').set('Authorization', `Bearer ${adminToken()}`)
+      .set('Content-Type', 'text/csv').send('currency,rate\nCOP,4000\nMXN,17.5\n');
+    expect(csv.status).toBe(200);
+    const rates = (await request(app).get('/v2/exchange-rates')).body.data.rates;
+    expect(rates.find(r => r.currency === 'MXN').rate).toBe(17.5);
+  });
+
+  test('Checkout converts prices to the order currency and keeps the rate used', async () => {
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: game.id, quantity: 2 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2030,
+      fullName: 'Test User',
+      currency: 'EUR',
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ currency: 'EUR', exchangeRate: 0.9, baseCurrency: 'USD', totalAmount: 72 });
+    expect(res.body.data.items[0].unitPrice).toBe(36);
+    expect(transaction(res.body.data.transactionId)).toMatchObject({ amount: 72, currency: 'EUR' });
+
+    await setRate('EUR', { rate: 0.95 });
+    const stored = await request(app).get(`/v2/orders/${res.body.data.id}`).set('Authorization', `Bearer ${customerToken}`);
+    expect(stored.body.data).toMatchObject({ exchangeRate: 0.9, totalAmount: 72 });
+  });
+
+  test('GET /v2/games?currency= returns converted prices and filters by price in that currency', async () => {
+    await setRate('EUR', { rate: 0.9 });
+
+    const res = await request(app).get('/v2/games').query({ search: 'Forex Quest', currency: 'eur' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.items[0]).toMatchObject({ id: game.id, price: 36, currency: 'EUR' });
+    expect(res.body.data.meta).toMatchObject({ currency: 'EUR', baseCurrency: 'USD', exchangeRate: 0.9 });
+
+    const below = await request(app).get('/v2/games').query({ search: 'Forex Quest', currency: 'EUR', price_max: 35 });
+    expect(below.body.data.items).toHaveLength(0);
+    const within = await request(app).get('/v2/games').query({ search: 'Forex Quest', currency: 'EUR', price_max: 36 });
+    expect(within.body.data.items).toHaveLength(1);
+
+    const base = await request(app).get('/v2/games').query({ search: 'Forex Quest' });
+    expect(base.body.data.items[0].price).toBe(40);
+    expect(base.body.data.meta.currency).toBeUndefined();
+
+    const unknown = await request(app).get('/v2/games').query({ currency: 'XYZ' });
+    expect(unknown.status).toBe(400);
+  });
+});
+
+describe('Money in integer minor units', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  let shirt;
+  let sticker;
+  let customerToken;
+  let ruleId;
+
+  beforeAll(async () => {
+    const stamp = Date.now();
+    shirt = await GameRepo.save(GameRepo.create({ name: 'Cents Shirt', slug: `cents-shirt-${stamp}`, price: 19.99, stock: 10 }));
+    sticker = await GameRepo.save(GameRepo.create({ name: 'Cents Sticker', slug: `cents-sticker-${stamp}`, price: 10.01, stock: 10 }));
+
+    const email = `cents_${stamp}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Cents', email, contrasena: 'Password1!' });
+    const login = await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' });
+    customerToken = login.body.token;
+  });
+
+  afterAll(async () => {
+    if (ruleId) {
+      await request(app).delete(`/v2/tax-rules/${ruleId}`).set('Authorization', `Bearer ${adminToken()}`);
+    }
+  });
+
+  test('Money rounds half away from zero and allocates without losing cents', () => {
+    expect(Money.of(1.005).minor).toBe(101);
+    expect(Money.of(0.1).add(0.2).toMajor()).toBe(0.3);
+    expect(Money.of(19.99, 'USD').multiply(3).toMajor()).toBe(59.97);
+    expect(Money.of(-0.125).percentage(100).minor).toBe(-13);
+
+    const parts = Money.of(10).allocate([1, 1, 1]);
+    expect(parts.map(p => p.toMajor())).toEqual([3.34, 3.33, 3.33]);
+    expect(Money.sum(parts).toMajor()).toBe(10);
+
+    expect(() => Money.of(1, 'USD').add(Money.of(1, 'EUR'))).toThrow();
+    expect(JSON.stringify({ total: Money.of(54.97) })).toBe('{"total":54.97}');
+  });
+
+  test('Order totals, discounts, taxes and refunds add up to the cent and are stored as integers', async () => {
+    const rule = await request(app).post('/v2/tax-rules').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ name: 'TVA', country: 'FR', rate: 20 });
+    ruleId = rule.body.data.id;
+    await request(app).post('/v2/coupons').set('Authorization', `Bearer ${adminToken()}`)
+      .send({ code: 'CENTS10', type: 'FIXED_AMOUNT', value: 10, currency: 'USD' });
+
+    const res = await request(app).post('/v2/orders').set('Authorization', `Bearer ${customerToken}`).send({
+      items: [{ productId: shirt.id, quantity: 3 }, { productId: sticker.id, quantity: 1 }],
+      paymentMethod: 'CREDIT_CARD',
+      cardNumber: '4111111111111111',
+      cvv: '123',
+      expirationMonth: 12,
+      expirationYear: 2030,
+      fullName: 'Test User',
+      couponCode: 'CENTS10',
+      billingCountry: 'FR',
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ subtotalAmount: 69.98, discountAmount: 10, taxAmount: 12, totalAmount: 71.98 });
+
+    // El descuento fijo se reparte por subtotal y las líneas suman exactamente los totales de la orden
+    const shirtItem = res.body.data.items.find(i => i.product.id === shirt.id);
+    const stickerItem = res.body.data.items.find(i => i.product.id === sticker.id);
+    expect(shirtItem).toMatchObject({ subtotal: 59.97, discountAmount: 8.57, taxAmount: 10.28, total: 61.68 });
+    expect(stickerItem).toMatchObject({ subtotal: 10.01, discountAmount: 1.43, taxAmount: 1.72, total: 10.3 });
+
+    const [stored] = await AppDataSource.query(
+      'SELECT subtotalAmountCents, discountAmountCents, taxAmountCents, totalAmountCents FROM orders WHERE id = ?',
+      [res.body.data.id]
+    );
+    expect(stored).toEqual({ subtotalAmountCents: 6998, discountAmountCents: 1000, taxAmountCents: 1200, totalAmountCents: 7198 });
+
+    // Reembolsos parciales y luego el resto: se devuelve exactamente lo cobrado
+    const refund = (items) => request(app).post(`/v2/orders/${res.body.data.id}/refund`)
+      .set('Authorization', `Bearer ${adminToken()}`).send(items ? { items } : {});
+    expect((await refund([{ productId: shirt.id, quantity: 1 }])).body.data.refundedAmount).toBe(20.56);
+    const full = await refund();
+    expect(full.body.data).toMatchObject({ status: 'REFUNDED', refundedAmount: 71.98 });
+    expect(transaction(res.body.data.transactionId)).toMatchObject({ amount: 71.98, refunded_amount: 71.98 });
+  });
+});
+
+describe('Inventory reservations', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const ReservationRepo = AppDataSource.getRepository(require('../models/InventoryReservation'));
+  const inventoryService = require('../services/InventoryService');
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  let game;
+  let buyerToken;
+  let otherToken;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const listed = async () => (await request(app).get('/v2/games').query({ search: 'Reserved Quest' })).body.data.items[0];
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeAll(async () => {
+    game = await GameRepo.save(GameRepo.create({ name: 'Reserved Quest', slug: `reserved-quest-${Date.now()}`, price: 20, stock: 3 }));
+    buyerToken = await register('reserver');
+    otherToken = await register('latecomer');
+  });
+
+  test('A cart reservation holds units for the buyer and checkout consumes it', async () => {
+    await request(app).post('/v2/cart/items').set(as(buyerToken)).send({ productId: game.id, quantity: 2 });
+    const reservation = await request(app).post('/v2/cart/reservation').set(as(buyerToken));
+    expect(reservation.status).toBe(201);
+    expect(reservation.body.data.items).toEqual([{ productId: game.id, quantity: 2 }]);
+    expect(new Date(reservation.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    expect(await listed()).toMatchObject({ stock: 3, available: 1 });
+
+    // Otro usuario ve el disponible y no puede llevarse las unidades reservadas
+    const late = await request(app).post('/v2/orders').set(as(otherToken))
+      .send({ items: [{ productId: game.id, quantity: 2 }], ...card });
+    expect(late.status).toBe(400);
+    expect(late.body.message).toMatch(/Disponible: 1/);
+    const cartAdd = await request(app).post('/v2/cart/items').set(as(otherToken)).send({ productId: game.id, quantity: 2 });
+    expect(cartAdd.status).toBe(400);
+
+    const checkout = await request(app).post('/v2/cart/checkout').set(as(buyerToken)).send(card);
+    expect(checkout.status).toBe(201);
+    expect(await listed()).toMatchObject({ stock: 1, available: 1 });
+
+    const consumed = await ReservationRepo.find({ where: { order: { id: checkout.body.data.id } } });
+    expect(consumed.map(r => r.status)).toEqual(['CONSUMED']);
+  });
+
+  test('Reservations stop counting when they expire or are released', async () => {
+    await request(app).post('/v2/cart/items').set(as(otherToken)).send({ productId: game.id, quantity: 1 });
+    await request(app).post('/v2/cart/reservation').set(as(otherToken));
+    expect((await listed()).available).toBe(0);
+
+    const [active] = await ReservationRepo.find({ where: { product: { id: game.id }, status: 'ACTIVE' } });
+    await ReservationRepo.update({ id: active.id }, { expiresAt: new Date(Date.now() - 1000) });
+    expect((await listed()).available).toBe(1);
+    expect(await inventoryService.expireReservations()).toBeGreaterThanOrEqual(1);
+    expect((await ReservationRepo.findOneBy({ id: active.id })).status).toBe('EXPIRED');
+
+    await request(app).post('/v2/cart/reservation').set(as(otherToken));
+    expect((await listed()).available).toBe(0);
+    const released = await request(app).delete('/v2/cart/reservation').set(as(otherToken));
+    expect(released.body.data.released).toBe(1);
+    expect((await listed()).available).toBe(1);
+
+    await request(app).delete('/v2/cart').set(as(otherToken));
+    const empty = await request(app).post('/v2/cart/reservation').set(as(otherToken));
+    expect(empty.status).toBe(400);
+  });
+
+  test('Pending orders reserve units until the payment is confirmed or the order is canceled', async () => {
+    await GameRepo.update({ id: game.id }, { stock: 5 });
+    const pagoMovil = (paymentReference) => ({
+      items: [{ productId: game.id, quantity: 2 }],
+      paymentMethod: 'PAGO_MOVIL',
+      paymentReference,
+      bankCode: '0102',
+      phone: '04141234567',
+      documentId: 'V12345678',
+    });
+
+    const confirmed = await request(app).post('/v2/orders').set(as(buyerToken)).send(pagoMovil('RSV001'));
+    expect(confirmed.body.data.status).toBe('PENDING');
+    expect(await listed()).toMatchObject({ stock: 5, available: 3 });
+
+    await request(app).post(`/v2/orders/${confirmed.body.data.id}/confirm-payment`).set(as(adminToken()));
+    expect(await listed()).toMatchObject({ stock: 3, available: 3 });
+
+    const canceled = await request(app).post('/v2/orders').set(as(buyerToken)).send(pagoMovil('RSV002'));
+    expect(await listed()).toMatchObject({ stock: 3, available: 1 });
+    const cancel = await request(app).post(`/v2/orders/${canceled.body.data.id}/cancel`).set(as(buyerToken));
+    expect(cancel.body.data.status).toBe('CANCELED');
+    expect(await listed()).toMatchObject({ stock: 3, available: 3 });
+  });
+
+  test('A buyer cannot take the units held by their own pending order', async () => {
+    await GameRepo.update({ id: game.id }, { stock: 1 });
+    const pending = await request(app).post('/v2/orders').set(as(buyerToken)).send({
+      items: [{ productId: game.id, quantity: 1 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: 'RSV003',
+      bankCode: '0134',
+    });
+    expect(pending.body.data.status).toBe('PENDING');
+
+    const second = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: game.id, quantity: 1 }], ...card });
+    expect(second.status).toBe(400);
+    expect(second.body.message).toMatch(/Disponible: 0/);
+
+    const confirm = await request(app).post(`/v2/orders/${pending.body.data.id}/confirm-payment`).set(as(adminToken()));
+    expect(confirm.status).toBe(200);
+    expect(await listed()).toMatchObject({ stock: 0, available: 0 });
+  });
+});
+
+describe('Stock movement ledger', () => {
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  let game;
+  let customerToken;
+
+  const movements = async (query = {}) =>
+    (await request(app).get(`/v2/games/${game.id}/stock-movements`).set(as(adminToken())).query(query)).body.data;
+
+  beforeAll(async () => {
+    const created = await request(app).post('/v2/games').set(as(adminToken()))
+      .send({ name: `Ledger Quest ${Date.now()}`, price: 10, stock: 5 });
+    game = created.body.data;
+    const email = `ledger_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'Ledger', email, contrasena: 'Password1!' });
+    customerToken = (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  });
+
+  test('Initial stock, sales, refunds and reservations are recorded in order', async () => {
+    await request(app).post('/v2/cart/items').set(as(customerToken)).send({ productId: game.id, quantity: 2 });
+    await request(app).post('/v2/cart/reservation').set(as(customerToken));
+    const order = await request(app).post('/v2/cart/checkout').set(as(customerToken)).send(card);
+    expect(order.status).toBe(201);
+    await request(app).post(`/v2/orders/${order.body.data.id}/refund`).set(as(adminToken()))
+      .send({ items: [{ productId: game.id, quantity: 1 }] });
+
+    const history = await movements();
+    expect(history.stock).toBe(4);
+    const ledger = history.items.slice().reverse().map(m => [m.type, m.quantity, m.stockAfter]);
+    expect(ledger).toEqual([
+      ['RESTOCK', 5, 5],
+      ['RESERVATION', -2, 5],
+      ['SALE', -2, 3],
+      ['RESERVATION', 2, 3],
+      ['REFUND', 1, 4],
+    ]);
+    expect(history.items[0].order).toMatchObject({ id: order.body.data.id, status: 'PARTIALLY_REFUNDED' });
+    expect(history.items.find(m => m.type === 'SALE').user.role).toBe('customer');
+
+    // La suma de los movimientos que tocan el stock cuadra con el stock actual
+    const net = history.items.filter(m => m.type !== 'RESERVATION').reduce((sum, m) => sum + m.quantity, 0);
+    expect(net).toBe(history.stock);
+  });
+
+  test('Admins adjust stock with reason codes; invalid adjustments are rejected', async () => {
+    const adjust = (body, token = adminToken()) =>
+      request(app).post(`/v2/games/${game.id}/stock-adjustments`).set(as(token)).send(body);
+
+    const damaged = await adjust({ quantity: -1, reason: 'damaged', note: 'Caja rota' });
+    expect(damaged.status).toBe(201);
+    expect(damaged.body.data).toMatchObject({ type: 'ADJUSTMENT', quantity: -1, stockAfter: 3, reason: 'DAMAGED' });
+
+    const restock = await adjust({ quantity: 7, reason: 'RESTOCK' });
+    expect(restock.body.data).toMatchObject({ type: 'RESTOCK', stockAfter: 10 });
+
+    expect((await adjust({ quantity: 2, reason: 'LOST' })).status).toBe(400);
+    expect((await adjust({ quantity: 2, reason: 'OTHER' })).status).toBe(400);
+    expect((await adjust({ quantity: 1.5, reason: 'FOUND' })).status).toBe(400);
+    expect((await adjust({ quantity: -1, reason: 'BROKEN' })).status).toBe(400);
+    expect((await adjust({ quantity: -50, reason: 'CYCLE_COUNT' })).status).toBe(409);
+    expect((await adjust({ quantity: 1, reason: 'FOUND' }, customerToken)).status).toBe(403);
+    expect((await request(app).post('/v2/games/999999/stock-adjustments').set(as(adminToken()))
+      .send({ quantity: 1, reason: 'FOUND' })).status).toBe(404);
+
+    const updated = await request(app).put(`/v2/games/${game.id}`).set(as(adminToken())).send({ stock: 12 });
+    expect(updated.status).toBe(200);
+    expect((await movements()).items[0]).toMatchObject({ type: 'ADJUSTMENT', quantity: 2, stockAfter: 12, reason: 'PRODUCT_UPDATE' });
+  });
+
+  test('History is paginated, filterable by type and restricted to staff/admin', async () => {
+    const page = await movements({ limit: 2, page: 2 });
+    expect(page.items).toHaveLength(2);
+    expect(page.meta).toMatchObject({ page: 2, limit: 2 });
+    expect(page.meta.totalPages).toBe(Math.ceil(page.meta.total / 2));
+
+    const sales = await movements({ type: 'sale' });
+    expect(sales.items.map(m => m.type)).toEqual(['SALE']);
+
+    const badType = await request(app).get(`/v2/games/${game.id}/stock-movements`).set(as(adminToken())).query({ type: 'GIFT' });
+    expect(badType.status).toBe(400);
+    const forbidden = await request(app).get(`/v2/games/${game.id}/stock-movements`).set(as(customerToken));
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('A failed ledger write rolls back the game create or stock update', async () => {
+    const stockMovementService = require('../services/StockMovementService');
+    const GameRepo = AppDataSource.getRepository(Game);
+    const spy = jest.spyOn(stockMovementService, 'record').mockRejectedValue(new Error('ledger unavailable'));
+    try {
+      const name = `Unledgered ${Date.now()}`;
+      const created = await request(app).post('/v2/games').set(as(adminToken())).send({ name, price: 5, stock: 3 });
+      expect(created.status).toBe(500);
+      expect(await GameRepo.findOneBy({ name })).toBeNull();
+
+      const before = (await GameRepo.findOneBy({ id: game.id })).stock;
+      const updated = await request(app).put(`/v2/games/${game.id}`).set(as(adminToken())).send({ stock: before + 4 });
+      expect(updated.status).toBe(500);
+      expect((await GameRepo.findOneBy({ id: game.id })).stock).toBe(before);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('Orders are checked against their total demand before charging and refunded if they fail later', async () => {
+    const stockMovementService = require('../services/StockMovementService');
+    const GameRepo = AppDataSource.getRepository(Game);
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    const limited = (await request(app).post('/v2/games').set(as(adminToken()))
+      .send({ name: `Limited Ledger ${Date.now()}`, price: 10, stock: 5 })).body.data;
+
+    // Cada línea alcanza por separado, el total no: no se cobra nada
+    const charges = transactions.size;
+    const duplicated = await request(app).post('/v2/orders').set(as(customerToken))
+      .send({ items: [{ productId: limited.id, quantity: 3 }, { productId: limited.id, quantity: 3 }], ...card });
+    expect(duplicated.status).toBe(400);
+    expect(duplicated.body.message).toMatch(/Disponible: 5, Solicitado: 6/);
+    expect(transactions.size).toBe(charges);
+
+    const spy = jest.spyOn(stockMovementService, 'changeStock').mockRejectedValue(new Error('ledger unavailable'));
+    try {
+      const failed = await request(app).post('/v2/orders').set(as(customerToken))
+        .send({ items: [{ productId: limited.id, quantity: 1 }], ...card });
+      expect(failed.status).toBe(500);
+    } finally {
+      spy.mockRestore();
+    }
+    const [charge] = [...transactions.values()].slice(-1);
+    expect(transactions.size).toBe(charges + 1);
+    expect(charge.refunded_amount).toBe(charge.amount);
+    expect((await GameRepo.findOneBy({ id: limited.id })).stock).toBe(5);
+  });
+});
+
+describe('Low-stock alerts and back-in-stock notifications', () => {
+  const OutboxRepo = AppDataSource.getRepository(require('../models/OutboxMessage'));
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return { email, token: (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token };
+  };
+  const createGame = async (name, stock) =>
+    (await request(app).post('/v2/games').set(as(adminToken())).send({ name: `${name} ${Date.now()}`, price: 10, stock })).body.data;
+  const adjust = (game, quantity, reason) =>
+    request(app).post(`/v2/games/${game.id}/stock-adjustments`).set(as(adminToken())).send({ quantity, reason });
+  const alertsFor = async (game, status = 'ACTIVE') =>
+    (await request(app).get('/v2/stock-alerts').set(as(adminToken())).query({ status, limit: 50 }))
+      .body.data.items.filter(alert => alert.product.id === game.id);
+
+  test('Dropping below the threshold opens one alert that resolves once stock recovers', async () => {
+    const game = await createGame('Alert Quest', 6);
+    expect(game.lowStockThreshold).toBe(5);
+    expect(await alertsFor(game)).toHaveLength(0);
+
+    await adjust(game, -2, 'DAMAGED');
+    const buyer = await register('alerted');
+    const order = await request(app).post('/v2/orders').set(as(buyer.token))
+      .send({ items: [{ productId: game.id, quantity: 1 }], ...card });
+    expect(order.status).toBe(201);
+
+    const [alert] = await alertsFor(game);
+    expect(alert).toMatchObject({ status: 'ACTIVE', threshold: 5, stockAtAlert: 4 });
+    expect(alert.product).toMatchObject({ stock: 3, lowStockThreshold: 5 });
+    expect(await alertsFor(game)).toHaveLength(1);
+
+    await adjust(game, 2, 'RESTOCK');
+    expect(await alertsFor(game)).toHaveLength(0);
+    expect((await alertsFor(game, 'RESOLVED'))[0].resolvedAt).toBeTruthy();
+
+    // Subir el umbral por encima del stock abre una alerta nueva
+    await request(app).put(`/v2/games/${game.id}`).set(as(adminToken())).send({ lowStockThreshold: 10 });
+    expect(await alertsFor(game)).toEqual([expect.objectContaining({ threshold: 10, stockAtAlert: 5 })]);
+
+    const forbidden = await request(app).get('/v2/stock-alerts').set(as(buyer.token));
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('Subscribers of a sold-out game are notified through the outbox when stock returns', async () => {
+    const game = await createGame('Sold Out Quest', 1);
+    const fan = await register('fan');
+    const quitter = await register('quitter');
+    const subscribe = (user) => request(app).post(`/v2/games/${game.id}/stock-subscription`).set(as(user.token));
+
+    expect((await subscribe(fan)).status).toBe(409);
+    await request(app).post('/v2/orders').set(as(fan.token)).send({ items: [{ productId: game.id, quantity: 1 }], ...card });
+
+    const created = await subscribe(fan);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ productId: game.id, status: 'ACTIVE' });
+    expect((await subscribe(fan)).status).toBe(200);
+
+    await subscribe(quitter);
+    const canceled = await request(app).delete(`/v2/games/${game.id}/stock-subscription`).set(as(quitter.token));
+    expect(canceled.body.data.status).toBe('CANCELED');
+    expect((await request(app).delete(`/v2/games/${game.id}/stock-subscription`).set(as(quitter.token))).status).toBe(404);
+
+    await adjust(game, 3, 'RESTOCK');
+    const messages = (await OutboxRepo.find({ where: { type: 'BACK_IN_STOCK' } }))
+      .filter(message => message.payload.productId === game.id);
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ recipient: fan.email, status: 'PENDING', payload: { stock: 3 } });
+
+    // Ya notificada: otra reposición no vuelve a encolar el aviso
+    await adjust(game, 1, 'RESTOCK');
+    expect((await OutboxRepo.find({ where: { type: 'BACK_IN_STOCK' } }))
+      .filter(message => message.payload.productId === game.id)).toHaveLength(1);
+  });
+
+  test('Variant stock and bundle availability drive alerts and back-in-stock notices', async () => {
+    const backInStock = async (product) => (await OutboxRepo.find({ where: { type: 'BACK_IN_STOCK' } }))
+      .filter(message => message.payload.productId === product.id);
+    const fan = await register('editionfan');
+    const subscribe = (product) => request(app).post(`/v2/games/${product.id}/stock-subscription`).set(as(fan.token));
+
+    // Juego que solo se vende por sus ediciones
+    const editions = await createGame('Editions Only Quest', 0);
+    expect((await subscribe(editions)).status).toBe(201);
+    const variant = await request(app).post(`/v2/games/${editions.id}/variants`).set(as(adminToken()))
+      .send({ edition: 'Deluxe', sku: `EOQ-${Date.now()}`, price: 20, stock: 3 });
+    expect(variant.status).toBe(201);
+    expect(await backInStock(editions)).toEqual([expect.objectContaining({ recipient: fan.email, payload: expect.objectContaining({ stock: 3 }) })]);
+    expect(await alertsFor(editions)).toEqual([expect.objectContaining({ stockAtAlert: 3, product: expect.objectContaining({ stock: 3 }) })]);
+    expect((await subscribe(editions)).status).toBe(409);
+
+    // Bundle: su stock son las unidades que alcanzan sus componentes
+    const component = await createGame('Bundled Quest', 1);
+    const bundle = (await request(app).post('/v2/games').set(as(adminToken())).send({
+      name: `Quest Bundle ${Date.now()}`, price: 15, bundle: true, components: [{ productId: component.id, quantity: 1 }],
+    })).body.data;
+    expect(await alertsFor(bundle)).toEqual([expect.objectContaining({ stockAtAlert: 1 })]);
+
+    await request(app).post('/v2/orders').set(as(fan.token)).send({ items: [{ productId: component.id, quantity: 1 }], ...card });
+    expect((await subscribe(bundle)).status).toBe(201);
+    await adjust(component, 6, 'RESTOCK');
+    expect(await backInStock(bundle)).toEqual([expect.objectContaining({ payload: expect.objectContaining({ stock: 6 }) })]);
+    expect(await alertsFor(bundle)).toHaveLength(0);
+  });
+});
+
+describe('Pre-orders for unreleased games', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const OutboxRepo = AppDataSource.getRepository(require('../models/OutboxMessage'));
+  const orderService = require('../services/OrderService');
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const transaction = (id) => global.__PAYMENT_PROVIDER.app.locals.transactions.get(id);
+  let upcoming;
+  let released;
+  let buyerToken;
+  let otherToken;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const preorder = (token, quantity, extra = {}) =>
+    request(app).post('/v2/orders').set(as(token)).send({ items: [{ productId: upcoming.id, quantity }], ...card, ...extra });
+  const preorderStock = async () => (await GameRepo.findOneBy({ id: upcoming.id })).preorderStock;
+
+  beforeAll(async () => {
+    upcoming = await GameRepo.save(GameRepo.create({
+      name: 'Future Quest', slug: `future-quest-${Date.now()}`, price: 40, stock: 0,
+      releaseDate: '2099-03-01', preorderStock: 5, preorderLimit: 2,
+    }));
+    released = await GameRepo.save(GameRepo.create({ name: 'Past Quest', slug: `past-quest-${Date.now()}`, price: 10, stock: 5, releaseDate: '2020-01-01' }));
+    buyerToken = await register('preorderer');
+    otherToken = await register('patient');
+  });
+
+  test('Upfront pre-orders are charged, held as PREORDERED and fulfilled by the release job', async () => {
+    const created = await preorder(buyerToken, 1);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ status: 'PREORDERED', preorderPayment: 'UPFRONT', preorderReleaseDate: '2099-03-01' });
+    expect(transaction(created.body.data.transactionId).amount).toBe(40);
+    expect(await preorderStock()).toBe(4);
+
+    const overLimit = await preorder(buyerToken, 2);
+    expect(overLimit.status).toBe(400);
+    expect(overLimit.body.message).toMatch(/Límite de preventa/);
+    const mixed = await request(app).post('/v2/orders').set(as(otherToken))
+      .send({ items: [{ productId: upcoming.id, quantity: 1 }, { productId: released.id, quantity: 1 }], ...card });
+    expect(mixed.status).toBe(400);
+    const manual = await request(app).post('/v2/orders').set(as(otherToken)).send({
+      items: [{ productId: upcoming.id, quantity: 1 }],
+      paymentMethod: 'PAGO_MOVIL', paymentReference: 'PRE001', bankCode: '0102', phone: '04141234567', documentId: 'V12345678',
+    });
+    expect(manual.status).toBe(400);
+
+    expect((await orderService.releasePreorders(new Date('2099-02-28T12:00:00Z'))).fulfilled).not.toContain(created.body.data.id);
+    const result = await orderService.releasePreorders(new Date('2099-03-01T12:00:00Z'));
+    expect(result.fulfilled).toContain(created.body.data.id);
+
+    const order = await request(app).get(`/v2/orders/${created.body.data.id}`).set(as(buyerToken));
+    expect(order.body.data.status).toBe('FULFILLED');
+    const messages = await OutboxRepo.find({ where: { type: 'PREORDER_RELEASED' } });
+    expect(messages.find(m => m.payload.orderId === created.body.data.id).payload.status).toBe('FULFILLED');
+  });
+
+  test('Pay-on-release pre-orders charge nothing until release, then are paid by the customer', async () => {
+    const notPreorder = await request(app).post('/v2/orders').set(as(otherToken)).send({
+      items: [{ productId: released.id, quantity: 1 }], paymentMethod: 'CREDIT_CARD', preorderPayment: 'ON_RELEASE',
+    });
+    expect(notPreorder.status).toBe(400);
+
+    // Sin datos de tarjeta: se piden recién al pagar
+    const created = await request(app).post('/v2/orders').set(as(otherToken)).send({
+      items: [{ productId: upcoming.id, quantity: 2 }], paymentMethod: 'CREDIT_CARD', preorderPayment: 'ON_RELEASE',
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ status: 'PREORDERED', preorderPayment: 'ON_RELEASE', transactionId: null, maskedCard: null });
+
+    const early = await request(app).post(`/v2/orders/${created.body.data.id}/pay`).set(as(otherToken)).send(card);
+    expect(early.status).toBe(409);
+
+    const { awaitingPayment } = await orderService.releasePreorders(new Date('2099-03-01T12:00:00Z'));
+    expect(awaitingPayment).toContain(created.body.data.id);
+
+    const missing = await request(app).post(`/v2/orders/${created.body.data.id}/pay`).set(as(otherToken)).send({});
+    expect(missing.status).toBe(400);
+    // Como al crear la orden, el vencimiento puede llegar como texto
+    const paid = await request(app).post(`/v2/orders/${created.body.data.id}/pay`).set(as(otherToken))
+      .send({ ...card, expirationMonth: '12', expirationYear: '2030' });
+    expect(paid.status).toBe(200);
+    expect(paid.body.data).toMatchObject({ status: 'FULFILLED', paymentExpiresAt: null });
+    expect(transaction(paid.body.data.transactionId).amount).toBe(80);
+  });
+
+  test('Canceling a pre-order refunds it and returns the units to pre-order stock', async () => {
+    const before = await preorderStock();
+    const cancelerToken = await register('canceler');
+    const upfront = await preorder(buyerToken, 1);
+    const deferred = await preorder(cancelerToken, 1, { preorderPayment: 'ON_RELEASE' });
+    expect(await preorderStock()).toBe(before - 2);
+
+    const canceled = await request(app).post(`/v2/orders/${upfront.body.data.id}/cancel`).set(as(buyerToken));
+    expect(canceled.body.data.status).toBe('CANCELED');
+    expect(transaction(upfront.body.data.transactionId).refunded_amount).toBe(40);
+    await request(app).post(`/v2/orders/${deferred.body.data.id}/cancel`).set(as(cancelerToken));
+    expect(await preorderStock()).toBe(before);
+  });
+
+  test('A digital pre-order without keys is not charged when the customer pays', async () => {
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    const digital = await GameRepo.save(GameRepo.create({
+      name: 'Future Download', slug: `future-download-${Date.now()}`, price: 25, stock: 0, digital: true,
+      releaseDate: '2099-04-01', preorderStock: 3,
+    }));
+    const keyBuyerToken = await register('keylesspreorder');
+    const created = await request(app).post('/v2/orders').set(as(keyBuyerToken)).send({
+      items: [{ productId: digital.id, quantity: 1 }], paymentMethod: 'CREDIT_CARD', preorderPayment: 'ON_RELEASE',
+    });
+    expect(created.status).toBe(201);
+    await orderService.releasePreorders(new Date('2099-04-01T12:00:00Z'));
+
+    const charges = transactions.size;
+    const noKeys = await request(app).post(`/v2/orders/${created.body.data.id}/pay`).set(as(keyBuyerToken)).send(card);
+    expect(noKeys.status).toBe(409);
+    expect(noKeys.body.message).toMatch(/No hay claves disponibles/);
+    expect(transactions.size).toBe(charges);
+
+    await request(app).post(`/v2/games/${digital.id}/keys`).set(as(global.__SEEDED_TOKENS[0])).send({ codes: [`FD-${Date.now()}`] });
+    const paid = await request(app).post(`/v2/orders/${created.body.data.id}/pay`).set(as(keyBuyerToken)).send(card);
+    expect(paid.status).toBe(200);
+    expect(paid.body.data.status).toBe('FULFILLED');
+  });
+});
+
+describe('Digital product keys', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const KeyRepo = AppDataSource.getRepository(require('../models/DigitalKey'));
+  const RevealRepo = AppDataSource.getRepository(require('../models/DigitalKeyReveal'));
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const suffix = Date.now();
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const createDigital = async (name) => (await request(app).post('/v2/games').set(as(adminToken()))
+    .send({ name, price: 20, digital: true })).body.data;
+  const upload = (game, codes) => request(app).post(`/v2/games/${game.id}/keys`).set(as(adminToken())).send({ codes });
+  const stock = async (game) => (await GameRepo.findOneBy({ id: game.id })).stock;
+
+  test('Admins upload keys as JSON or text and stock follows the available keys', async () => {
+    const game = await createDigital('Key Quest');
+    expect(game.stock).toBe(0);
+
+    const json = await upload(game, [`KQ-${suffix}-1`, `KQ-${suffix}-2`, `KQ-${suffix}-1`]);
+    expect(json.status).toBe(201);
+    expect(json.body.data).toMatchObject({ added: 2, duplicates: [`KQ-${suffix}-1`], summary: { stock: 2, keys: { AVAILABLE: 2 } } });
+
+    const text = await request(app).post(`/v2/games/${game.id}/keys`).set(as(adminToken()))
+      .set('Content-Type', 'text/plain').send(`KQ-${suffix}-3\n\nKQ-${suffix}-2\n`);
+    expect(text.body.data).toMatchObject({ added: 1, duplicates: [`KQ-${suffix}-2`] });
+    expect(await stock(game)).toBe(3);
+
+    const edit = await request(app).put(`/v2/games/${game.id}`).set(as(adminToken())).send({ stock: 10 });
+    expect(edit.status).toBe(400);
+    const adjustment = await request(app).post(`/v2/games/${game.id}/stock-adjustments`).set(as(adminToken()))
+      .send({ quantity: 5, reason: 'RESTOCK' });
+    expect(adjustment.status).toBe(400);
+
+    const physical = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: 'Boxed Quest', price: 20, stock: 1 })).body.data;
+    expect((await upload(physical, ['BOX-1'])).status).toBe(400);
+    expect((await upload(game, [])).status).toBe(400);
+  });
+
+  test('Paid orders get keys assigned and only the buyer can reveal them', async () => {
+    const game = await createDigital('Reveal Quest');
+    await upload(game, [`RQ-${suffix}-1`, `RQ-${suffix}-2`]);
+    const buyerToken = await register('keybuyer');
+    const strangerToken = await register('keystranger');
+
+    const order = await request(app).post('/v2/orders').set(as(buyerToken)).send({ items: [{ productId: game.id, quantity: 2 }], ...card });
+    expect(order.status).toBe(201);
+    expect(await stock(game)).toBe(0);
+
+    const reveal = await request(app).post(`/v2/orders/${order.body.data.id}/keys/reveal`).set(as(buyerToken)).set('User-Agent', 'jest-agent');
+    expect(reveal.status).toBe(200);
+    expect(reveal.body.data.map(key => key.code).sort()).toEqual([`RQ-${suffix}-1`, `RQ-${suffix}-2`]);
+    expect(reveal.body.data[0]).toMatchObject({ productId: game.id, productName: 'Reveal Quest' });
+
+    const logs = await RevealRepo.find({ where: { key: { id: reveal.body.data[0].keyId } } });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].userAgent).toBe('jest-agent');
+
+    const stranger = await request(app).post(`/v2/orders/${order.body.data.id}/keys/reveal`).set(as(strangerToken));
+    expect(stranger.status).toBe(404);
+    expect((await request(app).post(`/v2/games/${game.id}/keys`).set(as(buyerToken)).send({ codes: ['X'] })).status).toBe(403);
+
+    const soldOut = await request(app).post('/v2/orders').set(as(strangerToken)).send({ items: [{ productId: game.id, quantity: 1 }], ...card });
+    expect(soldOut.status).toBe(400);
+  });
+
+  test('Refunds return unrevealed keys to stock and revoke revealed ones', async () => {
+    const game = await createDigital('Refund Key Quest');
+    await upload(game, [`FQ-${suffix}-1`, `FQ-${suffix}-2`]);
+    const buyerToken = await register('keyrefund');
+    const order = (await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: game.id, quantity: 1 }], ...card })).body.data;
+    const [revealed] = (await request(app).post(`/v2/orders/${order.id}/keys/reveal`).set(as(buyerToken))).body.data;
+    await request(app).post(`/v2/orders/${order.id}/refund`).set(as(adminToken()));
+    expect((await KeyRepo.findOneBy({ id: revealed.keyId })).status).toBe('REVOKED');
+
+    const unrevealed = (await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: game.id, quantity: 1 }], ...card })).body.data;
+    expect(await stock(game)).toBe(0);
+    const canceled = await request(app).post(`/v2/orders/${unrevealed.id}/cancel`).set(as(buyerToken));
+    expect(canceled.body.data.status).toBe('CANCELED');
+    expect(await stock(game)).toBe(1);
+
+    const summary = await request(app).get(`/v2/games/${game.id}/keys`).set(as(adminToken()));
+    expect(summary.body.data).toMatchObject({ stock: 1, keys: { AVAILABLE: 1, ASSIGNED: 0, REVOKED: 1 } });
+  });
+});
+
+describe('Product bundles', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const stock = async (game) => (await GameRepo.findOneBy({ id: game.id })).stock;
+  let first;
+  let second;
+  let bundle;
+  let buyerToken;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const createGame = async (body) => (await request(app).post('/v2/games').set(as(adminToken())).send(body)).body.data;
+
+  beforeAll(async () => {
+    first = await createGame({ name: 'Uncharted Drake Fortune', price: 20, stock: 5 });
+    second = await createGame({ name: 'Uncharted Among Thieves', price: 20, stock: 4 });
+    buyerToken = await register('bundler');
+  });
+
+  test('Admins create bundles whose availability comes from their components', async () => {
+    const created = await request(app).post('/v2/games').set(as(adminToken())).send({
+      name: 'Uncharted Collection', price: 50, bundle: true,
+      components: [{ productId: first.id, quantity: 1 }, { productId: second.id, quantity: 2 }],
+    });
+    expect(created.status).toBe(201);
+    bundle = created.body.data;
+    expect(bundle).toMatchObject({ bundle: true, stock: 2, available: 2, price: 50 });
+    expect(bundle.components).toEqual([
+      expect.objectContaining({ productId: first.id, quantity: 1, available: 5 }),
+      expect.objectContaining({ productId: second.id, quantity: 2, available: 4 }),
+    ]);
+
+    const listed = await request(app).get('/v2/games').query({ bundle: 'true', limit: 100 });
+    expect(listed.body.data.items.find(item => item.id === bundle.id)).toMatchObject({ stock: 2, available: 2 });
+    expect(listed.body.data.items.every(item => item.bundle)).toBe(true);
+    const view = await request(app).get(`/v2/p/${bundle.id}-${bundle.slug}`);
+    expect(view.body.data.components).toHaveLength(2);
+
+    const digital = await createGame({ name: 'Digital Drake', price: 10, digital: true });
+    const invalid = await request(app).post('/v2/games').set(as(adminToken()))
+      .send({ name: 'Broken Bundle', price: 5, bundle: true, components: [{ productId: digital.id, quantity: 1 }] });
+    expect(invalid.status).toBe(400);
+    const missing = await request(app).post('/v2/games').set(as(adminToken()))
+      .send({ name: 'Ghost Bundle', price: 5, bundle: true, components: [{ productId: 999999 }] });
+    expect(missing.status).toBe(404);
+    expect((await request(app).put(`/v2/games/${bundle.id}`).set(as(adminToken())).send({ stock: 3 })).status).toBe(400);
+    expect((await request(app).delete(`/v2/games/${second.id}`).set(as(adminToken()))).status).toBe(409);
+  });
+
+  test('Buying a bundle sells one line and takes its components out of stock', async () => {
+    const order = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: bundle.id, quantity: 1 }], ...card });
+    expect(order.status).toBe(201);
+    expect(order.body.data.totalAmount).toBe(50);
+    expect(order.body.data.items).toHaveLength(1);
+    expect(order.body.data.items[0].components).toEqual([
+      { productId: first.id, name: 'Uncharted Drake Fortune', quantity: 1 },
+      { productId: second.id, name: 'Uncharted Among Thieves', quantity: 2 },
+    ]);
+    expect(await stock(first)).toBe(4);
+    expect(await stock(second)).toBe(2);
+
+    const tooMany = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: bundle.id, quantity: 2 }], ...card });
+    expect(tooMany.status).toBe(400);
+
+    const refund = await request(app).post(`/v2/orders/${order.body.data.id}/refund`).set(as(adminToken()));
+    expect(refund.body.data.status).toBe('REFUNDED');
+    expect(await stock(first)).toBe(5);
+    expect(await stock(second)).toBe(4);
+  });
+
+  test('Reserving a bundle in the cart holds its components', async () => {
+    await request(app).post('/v2/cart/items').set(as(buyerToken)).send({ productId: bundle.id, quantity: 1 });
+    const reserved = await request(app).post('/v2/cart/reservation').set(as(buyerToken));
+    expect(reserved.status).toBe(201);
+
+    const component = await request(app).get(`/v2/p/${second.id}`);
+    expect(component.body.data.available).toBe(2);
+    const otherToken = await register('latebundler');
+    const blocked = await request(app).post('/v2/orders').set(as(otherToken))
+      .send({ items: [{ productId: bundle.id, quantity: 2 }], ...card });
+    expect(blocked.status).toBe(400);
+
+    await request(app).delete(`/v2/cart/items/${bundle.id}`).set(as(buyerToken));
+    expect((await request(app).get(`/v2/p/${second.id}`)).body.data.available).toBe(4);
+  });
+
+  test('A bundle and one of its components are checked together before charging', async () => {
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    const charges = transactions.size;
+    const mixerToken = await register('bundlemixer');
+
+    // 2 unidades por el bundle + 3 sueltas superan las 4 en stock, aunque cada línea alcance sola
+    const order = await request(app).post('/v2/orders').set(as(mixerToken))
+      .send({ items: [{ productId: bundle.id, quantity: 1 }, { productId: second.id, quantity: 3 }], ...card });
+    expect(order.status).toBe(400);
+    expect(order.body.message).toMatch(/Uncharted Among Thieves\. Disponible: 4, Solicitado: 5/);
+    expect(transactions.size).toBe(charges);
+    expect(await stock(second)).toBe(4);
+  });
+});
+
+describe('Product variants and editions', () => {
+  const GameRepo = AppDataSource.getRepository(Game);
+  const VariantRepo = AppDataSource.getRepository(require('../models/GameVariant'));
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const suffix = Date.now();
+  const variantStock = async (variant) => (await VariantRepo.findOneBy({ id: variant.id })).stock;
+  let game;
+  let standard;
+  let deluxe;
+  let buyerToken;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const addVariant = (body, token = adminToken()) =>
+    request(app).post(`/v2/games/${game.id}/variants`).set(as(token)).send(body);
+
+  beforeAll(async () => {
+    game = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: 'Horizon Editions', price: 40, stock: 10 })).body.data;
+    buyerToken = await register('editionbuyer');
+  });
+
+  test('Admins add editions that are nested in game responses and filterable', async () => {
+    const created = await addVariant({ edition: 'Standard', region: 'NTSC-U', sku: `HZ-STD-${suffix}`, price: 40, stock: 5 });
+    expect(created.status).toBe(201);
+    standard = created.body.data;
+    deluxe = (await addVariant({ edition: 'Deluxe', region: 'PAL', format: 'physical', sku: `HZ-DLX-${suffix}`, price: 70, stock: 2 })).body.data;
+    expect(deluxe).toMatchObject({ format: 'PHYSICAL', price: 70 });
+
+    expect((await addVariant({ edition: 'Copy', sku: `HZ-STD-${suffix}`, price: 1 })).status).toBe(409);
+    expect((await addVariant({ edition: 'Bad', sku: `HZ-BAD-${suffix}`, price: 1, format: 'TAPE' })).status).toBe(400);
+    const customer = await register('editioncustomer');
+    expect((await addVariant({ sku: `HZ-NO-${suffix}`, price: 1 }, customer)).status).toBe(403);
+
+    const view = await request(app).get(`/v2/p/${game.id}-${game.slug}`);
+    expect(view.body.data.variants.map(v => v.sku)).toEqual([`HZ-STD-${suffix}`, `HZ-DLX-${suffix}`]);
+
+    const filtered = await request(app).get('/v2/games').query({ edition: 'deluxe', region: 'PAL', limit: 100 });
+    expect(filtered.body.data.items.map(item => item.id)).toContain(game.id);
+    const mismatch = await request(app).get('/v2/games').query({ edition: 'Deluxe', region: 'NTSC-U', limit: 100 });
+    expect(mismatch.body.data.items.map(item => item.id)).not.toContain(game.id);
+    const bySku = await request(app).get('/v2/games').query({ sku: `HZ-DLX-${suffix}` });
+    expect(bySku.body.data.items.map(item => item.id)).toEqual([game.id]);
+    expect((await request(app).get('/v2/games').query({ format: 'VHS' })).status).toBe(400);
+  });
+
+  test('Order items reference a variant, paying its price and taking its stock', async () => {
+    const order = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: game.id, variantId: deluxe.id, quantity: 2 }, { productId: game.id, quantity: 1 }], ...card });
+    expect(order.status).toBe(201);
+    expect(order.body.data.subtotalAmount).toBe(180);
+    const line = order.body.data.items.find(item => item.variant);
+    expect(line).toMatchObject({ unitPrice: 70, variant: { id: deluxe.id, edition: 'Deluxe' } });
+    expect(await variantStock(deluxe)).toBe(0);
+    expect((await GameRepo.findOneBy({ id: game.id })).stock).toBe(9);
+
+    const soldOut = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: game.id, variantId: deluxe.id, quantity: 1 }], ...card });
+    expect(soldOut.status).toBe(400);
+    const other = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: 'Unrelated Edition Game', price: 5, stock: 1 })).body.data;
+    const foreign = await request(app).post('/v2/orders').set(as(buyerToken))
+      .send({ items: [{ productId: other.id, variantId: deluxe.id, quantity: 1 }], ...card });
+    expect(foreign.status).toBe(400);
+
+    const refund = await request(app).post(`/v2/orders/${order.body.data.id}/refund`).set(as(adminToken()))
+      .send({ items: [{ productId: game.id, variantId: deluxe.id, quantity: 1 }] });
+    expect(refund.body.data.status).toBe('PARTIALLY_REFUNDED');
+    expect(await variantStock(deluxe)).toBe(1);
+    expect((await GameRepo.findOneBy({ id: game.id })).stock).toBe(9);
+
+    const history = await request(app).get(`/v2/games/${game.id}/stock-movements`).set(as(adminToken()));
+    expect(history.body.data.items[0]).toMatchObject({ type: 'REFUND', quantity: 1, stockAfter: 1, variant: { id: deluxe.id } });
+    expect((await request(app).delete(`/v2/games/${game.id}/variants/${deluxe.id}`).set(as(adminToken()))).status).toBe(409);
+  });
+
+  test('Pending payments hold variant stock until the payment is rejected', async () => {
+    const before = await variantStock(standard);
+    const created = await request(app).post('/v2/orders').set(as(buyerToken)).send({
+      items: [{ productId: game.id, variantId: standard.id, quantity: 2 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: `VAR${String(suffix).slice(-6)}`,
+      bankCode: '0134',
+    });
+    expect(created.status).toBe(201);
+    expect(await variantStock(standard)).toBe(before - 2);
+
+    await request(app).post(`/v2/orders/${created.body.data.id}/reject-payment`).set(as(adminToken())).send({ reason: 'No llegó' });
+    expect(await variantStock(standard)).toBe(before);
+
+    const updated = await request(app).put(`/v2/games/${game.id}/variants/${standard.id}`).set(as(adminToken())).send({ stock: before + 3 });
+    expect(updated.body.data.stock).toBe(before + 3);
+  });
+
+  test('Repeated lines for the same variant are checked against its stock together before charging', async () => {
+    const { transactions } = global.__PAYMENT_PROVIDER.app.locals;
+    const charges = transactions.size;
+    const available = await variantStock(standard);
+
+    const order = await request(app).post('/v2/orders').set(as(buyerToken)).send({
+      items: [
+        { productId: game.id, variantId: standard.id, quantity: available },
+        { productId: game.id, variantId: standard.id, quantity: 1 },
+      ],
+      ...card,
+    });
+    expect(order.status).toBe(400);
+    expect(order.body.message).toMatch(new RegExp(`Disponible: ${available}, Solicitado: ${available + 1}`));
+    expect(transactions.size).toBe(charges);
+    expect(await variantStock(standard)).toBe(available);
+  });
+});
+
+describe('Game images and media', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const sharp = require('sharp');
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const png = (width, height, color = '#3366ff') =>
+    sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+  let mediaDir;
+  let game;
+
+  const uploadCover = (buffer, options = {}, token = adminToken()) =>
+    request(app).put(`/v2/games/${game.id}/cover`).set(as(token))
+      .attach('image', buffer, { filename: 'cover.png', contentType: 'image/png', ...options });
+  const fetchMedia = (url) => request(app).get(url).buffer(true).parse((res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+  });
+
+  beforeAll(async () => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-media-'));
+    process.env.MEDIA_STORAGE_DIR = mediaDir;
+    game = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: 'Gallery Quest', price: 20, stock: 4 })).body.data;
+  });
+
+  afterAll(() => {
+    delete process.env.MEDIA_STORAGE_DIR;
+    delete process.env.MEDIA_MAX_BYTES;
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  test('A cover upload stores the image and a thumbnail and shows up in game responses', async () => {
+    const first = await uploadCover(await png(800, 450));
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ kind: 'COVER', mimeType: 'image/png', width: 800, height: 450 });
+
+    const original = await fetchMedia(first.body.data.url);
+    expect(original.status).toBe(200);
+    expect(original.headers['content-type']).toMatch(/image\/png/);
+    const thumbnail = await fetchMedia(first.body.data.thumbnailUrl);
+    expect(thumbnail.headers['content-type']).toMatch(/image\/webp/);
+    expect((await sharp(thumbnail.body).metadata()).width).toBe(320);
+
+    // Reemplazar la portada borra la anterior y sus archivos
+    const second = await uploadCover(await png(640, 360, '#ff3300'));
+    expect(second.status).toBe(200);
+    expect((await request(app).get(first.body.data.url)).status).toBe(404);
+
+    const view = await request(app).get(`/v2/p/${game.id}-${game.slug}`);
+    expect(view.body.data.images).toEqual({ cover: second.body.data, screenshots: [] });
+    const list = await request(app).get('/v2/games').query({ search: 'Gallery Quest' });
+    expect(list.body.data.items.find(item => item.id === game.id).images.cover.id).toBe(second.body.data.id);
+  });
+
+  test('Uploads are validated by content type, real content and size', async () => {
+    const fake = await uploadCover(Buffer.from('definitely not an image'));
+    expect(fake.status).toBe(400);
+    const text = await uploadCover(await png(10, 10), { filename: 'notes.txt', contentType: 'text/plain' });
+    expect(text.status).toBe(400);
+    expect((await request(app).put(`/v2/games/${game.id}/cover`).set(as(adminToken()))).status).toBe(400);
+
+    process.env.MEDIA_MAX_BYTES = '200';
+    const large = await uploadCover(await sharp({ create: { width: 300, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 30 } } }).png().toBuffer());
+    delete process.env.MEDIA_MAX_BYTES;
+    expect(large.status).toBe(400);
+
+    const email = `mediacustomer_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: 'mediacustomer', email, contrasena: 'Password1!' });
+    const customer = (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+    expect((await uploadCover(await png(10, 10), {}, customer)).status).toBe(403);
+    expect((await request(app).get('/v2/media/..%2F..%2Fpackage.json')).status).toBe(404);
+  });
+
+  test('Screenshots are appended, reordered and removed with a compacted gallery', async () => {
+    const uploaded = await request(app).post(`/v2/games/${game.id}/screenshots`).set(as(adminToken()))
+      .attach('images', await png(1280, 720, '#111111'), { filename: 'one.png', contentType: 'image/png' })
+      .attach('images', await png(1280, 720, '#222222'), { filename: 'two.png', contentType: 'image/png' })
+      .attach('images', await sharp({ create: { width: 100, height: 100, channels: 3, background: '#333333' } }).jpeg().toBuffer(), { filename: 'three.jpg', contentType: 'image/jpeg' });
+    expect(uploaded.status).toBe(201);
+    const [one, two, three] = uploaded.body.data;
+    expect(uploaded.body.data.map(image => image.position)).toEqual([0, 1, 2]);
+    expect(three).toMatchObject({ mimeType: 'image/jpeg', width: 100 });
+
+    const invalid = await request(app).put(`/v2/games/${game.id}/screenshots/order`).set(as(adminToken())).send({ imageIds: [three.id, one.id] });
+    expect(invalid.status).toBe(400);
+    const reordered = await request(app).put(`/v2/games/${game.id}/screenshots/order`).set(as(adminToken())).send({ imageIds: [three.id, one.id, two.id] });
+    expect(reordered.status).toBe(200);
+    expect(reordered.body.data.map(image => image.id)).toEqual([three.id, one.id, two.id]);
+
+    expect((await request(app).delete(`/v2/games/${game.id}/images/${three.id}`).set(as(adminToken()))).status).toBe(200);
+    expect((await request(app).get(three.thumbnailUrl)).status).toBe(404);
+    const detail = await request(app).get(`/v2/games/${game.id}`).set(as(adminToken()));
+    expect(detail.body.data.images.screenshots.map(image => [image.id, image.position])).toEqual([[one.id, 0], [two.id, 1]]);
+  });
+});
+
+describe('Game reviews and ratings', () => {
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const suffix = Date.now();
+  let loved;
+  let panned;
+  let buyerToken;
+  let otherBuyerToken;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const review = (game, token, body, method = 'post') =>
+    request(app)[method](`/v2/games/${game.id}/reviews`).set(as(token)).send(body);
+
+  beforeAll(async () => {
+    // Estas pruebas cubren reseñas y promedios: se publican sin pasar por la cola de moderación
+    process.env.REVIEW_AUTO_APPROVE_AFTER = '0';
+    loved = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: `Rated Loved ${suffix}`, price: 30, stock: 10 })).body.data;
+    panned = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: `Rated Panned ${suffix}`, price: 30, stock: 10 })).body.data;
+    buyerToken = await register('reviewbuyer');
+    otherBuyerToken = await register('reviewbuyertwo');
+    for (const token of [buyerToken, otherBuyerToken]) {
+      await request(app).post('/v2/orders').set(as(token))
+        .send({ items: [{ productId: loved.id, quantity: 1 }, { productId: panned.id, quantity: 1 }], ...card });
+    }
+  });
+
+  afterAll(() => {
+    delete process.env.REVIEW_AUTO_APPROVE_AFTER;
+  });
+
+  test('Only customers with a completed order for the game can review it, once', async () => {
+    const outsider = await register('reviewoutsider');
+    expect((await review(loved, outsider, { rating: 5, text: 'Sin comprarlo' })).status).toBe(403);
+
+    // Una orden pendiente de pago no habilita la reseña
+    await request(app).post('/v2/orders').set(as(outsider)).send({
+      items: [{ productId: loved.id, quantity: 1 }],
+      paymentMethod: 'BANK_TRANSFER',
+      paymentReference: `REV${String(suffix).slice(-6)}`,
+      bankCode: '0134',
+    });
+    expect((await review(loved, outsider, { rating: 5 })).status).toBe(403);
+
+    const created = await review(loved, buyerToken, { rating: 5, text: '  Excelente  ' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ rating: 5, text: 'Excelente', user: { nombre: 'reviewbuyer' } });
+    expect((await review(loved, buyerToken, { rating: 4 })).status).toBe(409);
+    expect((await review(loved, otherBuyerToken, { rating: 6 })).status).toBe(400);
+    expect((await request(app).post(`/v2/games/${loved.id}/reviews`).send({ rating: 3 })).status).toBe(401);
+  });
+
+  test('Average rating and count appear on game responses and follow edits and deletions', async () => {
+    await review(loved, otherBuyerToken, { rating: 4 });
+    await review(panned, buyerToken, { rating: 2, text: 'Corto' });
+
+    const listed = await request(app).get(`/v2/games/${loved.id}/reviews`);
+    expect(listed.status).toBe(200);
+    expect(listed.body.data.rating).toEqual({ average: 4.5, count: 2 });
+    expect(listed.body.data.items).toHaveLength(2);
+
+    const view = await request(app).get(`/v2/p/${loved.id}-${loved.slug}`);
+    expect(view.body.data.rating).toEqual({ average: 4.5, count: 2 });
+
+    const edited = await review(loved, otherBuyerToken, { rating: 2 }, 'put');
+    expect(edited.body.data.rating).toBe(2);
+    const detail = await request(app).get(`/v2/games/${loved.id}`).set(as(adminToken()));
+    expect(detail.body.data.rating).toEqual({ average: 3.5, count: 2 });
+
+    expect((await review(loved, otherBuyerToken, {}, 'delete')).status).toBe(200);
+    expect((await review(loved, otherBuyerToken, { rating: 1 }, 'put')).status).toBe(404);
+    const after = await request(app).get(`/v2/games/${loved.id}/reviews`);
+    expect(after.body.data.rating).toEqual({ average: 5, count: 1 });
+  });
+
+  test('Listings filter by minimum rating and sort by rating', async () => {
+    const filtered = await request(app).get('/v2/games').query({ search: String(suffix), rating_min: 4 });
+    const ids = filtered.body.data.items.map(item => item.id);
+    expect(ids).toContain(loved.id);
+    expect(ids).not.toContain(panned.id);
+    expect(filtered.body.data.items.find(item => item.id === loved.id).rating.average).toBe(5);
+
+    const sorted = await request(app).get('/v2/games').query({ search: String(suffix), sort: 'rating_desc' });
+    expect(sorted.body.data.items.map(item => item.id)).toEqual([loved.id, panned.id]);
+    const ascending = await request(app).get('/v2/games').query({ search: String(suffix), sort: 'rating_asc' });
+    expect(ascending.body.data.items.map(item => item.id)).toEqual([panned.id, loved.id]);
+
+    expect((await request(app).get('/v2/games').query({ rating_min: 7 })).status).toBe(400);
+    expect((await request(app).get('/v2/games').query({ sort: 'price' })).status).toBe(400);
+  });
+
+  test('rating_min compares the same one-decimal average that responses show', async () => {
+    const mixed = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: `Rated Mixed ${suffix}`, price: 30, stock: 10 })).body.data;
+    const thirdBuyerToken = await register('reviewbuyerthree');
+    for (const [token, rating] of [[buyerToken, 5], [otherBuyerToken, 5], [thirdBuyerToken, 4]]) {
+      await request(app).post('/v2/orders').set(as(token)).send({ items: [{ productId: mixed.id, quantity: 1 }], ...card });
+      expect((await review(mixed, token, { rating })).status).toBe(201);
+    }
+
+    // 14 / 3 = 4.67 se muestra como 4.7 y debe pasar un rating_min de 4.7
+    const filtered = await request(app).get('/v2/games').query({ search: `Rated Mixed ${suffix}`, rating_min: 4.7 });
+    expect(filtered.body.data.items.map(item => item.id)).toEqual([mixed.id]);
+    expect(filtered.body.data.items[0].rating.average).toBe(4.7);
+  });
+});
+
+describe('Review moderation', () => {
+  const adminToken = () => global.__SEEDED_TOKENS[0];
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+  const card = {
+    paymentMethod: 'CREDIT_CARD',
+    cardNumber: '4111111111111111',
+    cvv: '123',
+    expirationMonth: 12,
+    expirationYear: 2030,
+    fullName: 'Test User',
+  };
+  const suffix = Date.now();
+  let game;
+  let authorToken;
+  let reporters;
+
+  const register = async (name) => {
+    const email = `${name}_${Date.now()}@example.com`;
+    await request(app).post('/auth/register').send({ nombre: name, email, contrasena: 'Password1!' });
+    return (await request(app).post('/auth/login').send({ email, contrasena: 'Password1!' })).body.token;
+  };
+  const queue = async (status) =>
+    (await request(app).get('/v2/reviews/moderation').set(as(adminToken())).query({ status, limit: 50 })).body.data.items;
+  const publicReviews = async () => (await request(app).get(`/v2/games/${game.id}/reviews`)).body.data;
+
+  beforeAll(async () => {
+    process.env.REVIEW_BANNED_WORDS = 'estafa, basura total';
+    process.env.REVIEW_REPORT_THRESHOLD = '2';
+    game = (await request(app).post('/v2/games').set(as(adminToken())).send({ name: `Moderated ${suffix}`, price: 15, stock: 10 })).body.data;
+    authorToken = await register('moderatedauthor');
+    reporters = [await register('reporterone'), await register('reportertwo')];
+    for (const token of [authorToken, ...reporters]) {
+      await request(app).post('/v2/orders').set(as(token)).send({ items: [{ productId: game.id, quantity: 1 }], ...card });
+    }
+  });
+
+  afterAll(() => {
+    delete process.env.REVIEW_BANNED_WORDS;
+    delete process.env.REVIEW_REPORT_THRESHOLD;
+  });
+
+  test('Text reviews wait in the queue, rating-only reviews publish and banned words are refused', async () => {
+    const banned = await request(app).post(`/v2/games/${game.id}/reviews`).set(as(authorToken)).send({ rating: 1, text: 'Una ESTAFA, no lo compren' });
+    expect(banned.status).toBe(400);
+    expect(banned.body.message).toMatch(/estafa/);
+    // Solo palabras completas: "estafado" no coincide con "estafa"
+    const pending = await request(app).post(`/v2/games/${game.id}/reviews`).set(as(authorToken)).send({ rating: 4, text: 'Me sentí estafado por el final, pero vale la pena' });
+    expect(pending.status).toBe(201);
+    expect(pending.body.data.status).toBe('PENDING');
+    expect((await publicReviews()).rating).toEqual({ average: null, count: 0 });
+
+    const ratingOnly = await request(app).post(`/v2/games/${game.id}/reviews`).set(as(reporters[0])).send({ rating: 2 });
+    expect(ratingOnly.body.data.status).toBe('APPROVED');
+    expect((await publicReviews()).rating).toEqual({ average: 2, count: 1 });
+
+    const queued = await queue();
+    expect(queued.map(item => item.id)).toContain(pending.body.data.id);
+    expect(queued.find(item => item.id === pending.body.data.id).game).toEqual({ id: game.id, name: game.name });
+    expect((await request(app).get('/v2/reviews/moderation').set(as(authorToken))).status).toBe(403);
+  });
+
+  test('Staff approve or reject with a reason and the decision drives publication', async () => {
+    const [pending] = (await queue()).filter(item => item.game.id === game.id);
+    expect((await request(app).post(`/v2/reviews/${pending.id}/reject`).set(as(adminToken())).send({})).status).toBe(400);
+
+    const rejected = await request(app).post(`/v2/reviews/${pending.id}/reject`).set(as(adminToken())).send({ reason: 'Spoilers del final' });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data).toMatchObject({ status: 'REJECTED', moderationReason: 'Spoilers del final' });
+    expect((await queue('REJECTED')).map(item => item.id)).toContain(pending.id);
+    expect((await publicReviews()).items.map(item => item.id)).not.toContain(pending.id);
+
+    // Editar la reseña la devuelve a la cola
+    const edited = await request(app).put(`/v2/games/${game.id}/reviews`).set(as(authorToken)).send({ text: 'Muy buen juego, sin spoilers' });
+    expect(edited.body.data).toMatchObject({ status: 'PENDING', moderationReason: null });
+
+    const approved = await request(app).post(`/v2/reviews/${pending.id}/approve`).set(as(adminToken())).send({});
+    expect(approved.body.data.status).toBe('APPROVED');
+    const published = await publicReviews();
+    expect(published.items.map(item => item.id)).toContain(pending.id);
+    expect(published.rating).toEqual({ average: 3, count: 2 });
+    expect((await request(app).post('/v2/reviews/999999/approve').set(as(adminToken())).send({})).status).toBe(404);
+  });
+
+  test('Customers report abusive reviews and enough reports send them back to the queue', async () => {
+    const [target] = (await publicReviews()).items.filter(item => item.user.nombre === 'moderatedauthor');
+    const report = (token, body = { reason: 'Lenguaje ofensivo' }) =>
+      request(app).post(`/v2/reviews/${target.id}/report`).set(as(token)).send(body);
+
+    expect((await report(authorToken)).status).toBe(400);
+    expect((await report(reporters[0], {})).status).toBe(400);
+    const first = await report(reporters[0]);
+    expect(first.status).toBe(201);
+    expect(first.body.data).toEqual({ reviewId: target.id, openReports: 1, status: 'APPROVED' });
+    expect((await report(reporters[0])).status).toBe(409);
+
+    const second = await report(reporters[1], { reason: 'Spam' });
+    expect(second.body.data).toMatchObject({ openReports: 2, status: 'PENDING' });
+    expect((await publicReviews()).items.map(item => item.id)).not.toContain(target.id);
+
+    const reported = (await queue('REPORTED')).find(item => item.id === target.id);
+    expect(reported.reports.map(r => r.reason)).toEqual(['Lenguaje ofensivo', 'Spam']);
+
+    await request(app).post(`/v2/reviews/${target.id}/approve`).set(as(adminToken())).send({ reason: 'Los reportes no aplican' });
+    expect((await queue('REPORTED')).map(item => item.id)).not.toContain(target.id);
+    expect((await publicReviews()).items.map(item => item.id)).toContain(target.id);
+  });
+});
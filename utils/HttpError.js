@@ -0,0 +1,15 @@
+/**
+ * HttpError
+ * Error de dominio con código HTTP asociado.
+ * Los controladores (y middlewares/errorHandler.js) usan statusCode para responder en formato JSend.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+module.exports = HttpError;
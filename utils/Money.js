@@ -0,0 +1,218 @@
+/**
+ * Money
+ * Monto inmutable en unidades menores enteras (centavos) con su moneda.
+ * Todas las operaciones trabajan con enteros, así los totales no acumulan errores de punto flotante.
+ * Las monedas soportadas (USD, EUR, VES, ...) usan 2 decimales.
+ *
+ *   const total = Money.of(19.99, 'USD').multiply(3).subtract(Money.of(5, 'USD'));
+ *   total.minor     // 5497
+ *   total.toMajor() // 54.97
+ *   JSON.stringify({ total }) // {"total":54.97}
+ */
+const SCALE = 100;
+
+// Redondeo a entero "half away from zero" (Math.round redondea -0.5 hacia arriba)
+const roundHalfAway = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+class Money {
+  /**
+   * @param {number} minor - Monto en unidades menores (entero)
+   * @param {string|null} currency - Código ISO de 3 letras; null si la moneda la define el contexto
+   */
+  constructor(minor, currency = null) {
+    if (!Number.isInteger(minor)) {
+      throw new TypeError(`Money requiere un entero de unidades menores, recibió ${minor}`);
+    }
+    this.minor = minor;
+    this.currency = currency ? String(currency).toUpperCase() : null;
+    Object.freeze(this);
+  }
+
+  /**
+   * Crea un monto desde unidades mayores (ej. 19.99)
+   * Se escala con notación exponencial para que 1.005 sea 101 centavos y no 100.
+   */
+  static of(major, currency = null) {
+    if (major instanceof Money) return major;
+    const value = Number(major);
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Monto inválido: ${major}`);
+    }
+    const scaled = Number(`${value}e2`);
+    return new Money(roundHalfAway(Number.isNaN(scaled) ? value * SCALE : scaled), currency);
+  }
+
+  static fromMinor(minor, currency = null) {
+    return new Money(minor, currency);
+  }
+
+  static zero(currency = null) {
+    return new Money(0, currency);
+  }
+
+  /**
+   * Suma una lista de montos (o números en unidades mayores)
+   */
+  static sum(amounts, currency = null) {
+    return amounts.reduce((total, amount) => total.add(amount), Money.zero(currency));
+  }
+
+  /**
+   * Monto en unidades mayores con 2 decimales exactos, para guardar o responder
+   */
+  toMajor() {
+    return this.minor / SCALE;
+  }
+
+  toJSON() {
+    return this.toMajor();
+  }
+
+  toString() {
+    return `${(this.minor / SCALE).toFixed(2)}${this.currency ? ` ${this.currency}` : ''}`;
+  }
+
+  add(other) {
+    const money = this.coerce(other);
+    return new Money(this.minor + money.minor, this.currency || money.currency);
+  }
+
+  subtract(other) {
+    const money = this.coerce(other);
+    return new Money(this.minor - money.minor, this.currency || money.currency);
+  }
+
+  /**
+   * Multiplica por una cantidad o factor y redondea al centavo
+   */
+  multiply(factor) {
+    return new Money(roundHalfAway(this.minor * Number(factor)), this.currency);
+  }
+
+  /**
+   * Porcentaje del monto (rate = 16 para 16%)
+   */
+  percentage(rate) {
+    return this.multiply(Number(rate) / 100);
+  }
+
+  /**
+   * Divide por un factor y redondea al centavo
+   */
+  divide(divisor) {
+    return new Money(roundHalfAway(this.minor / Number(divisor)), this.currency);
+  }
+
+  /**
+   * Convierte a otra moneda con un tipo de cambio
+   * @param {number} rate - Unidades de la moneda destino por 1 unidad de esta moneda
+   * @param {string} currency - Moneda destino
+   */
+  convert(rate, currency) {
+    return new Money(roundHalfAway(this.minor * Number(rate)), currency);
+  }
+
+  /**
+   * Reparte el monto en proporción a los pesos sin perder centavos:
+   * los centavos sobrantes se asignan a las partes con mayor residuo.
+   * @param {number[]} weights
+   * @returns {Money[]}
+   */
+  allocate(weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) {
+      return weights.map(() => Money.zero(this.currency));
+    }
+
+    const shares = weights.map(w => (this.minor * w) / total);
+    const parts = shares.map(Math.floor);
+    let remainder = this.minor - parts.reduce((sum, p) => sum + p, 0);
+    const byRemainder = shares
+      .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+      .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+    for (const { index } of byRemainder) {
+      if (remainder <= 0) break;
+      parts[index] += 1;
+      remainder -= 1;
+    }
+    return parts.map(minor => new Money(minor, this.currency));
+  }
+
+  min(other) {
+    const money = this.coerce(other);
+    return this.minor <= money.minor ? this : money;
+  }
+
+  max(other) {
+    const money = this.coerce(other);
+    return this.minor >= money.minor ? this : money;
+  }
+
+  compare(other) {
+    return Math.sign(this.minor - this.coerce(other).minor);
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  /**
+   * Acepta otro Money o un número en unidades mayores; no permite mezclar monedas
+   */
+  coerce(other) {
+    const money = other instanceof Money ? other : Money.of(other, this.currency);
+    if (this.currency && money.currency && this.currency !== money.currency) {
+      throw new Error(`No se pueden combinar montos en ${this.currency} y ${money.currency}`);
+    }
+    return money;
+  }
+}
+
+/**
+ * Definición de columna TypeORM para montos: se guarda como entero en centavos y
+ * la entidad expone el monto en unidades mayores (número con 2 decimales exactos).
+ * La moneda la define la entidad (Order.currency, GiftCard.currency, BASE_CURRENCY para Game.price).
+ *
+ * El default se aplica en el transformer y no como default de la columna: TypeORM vuelve a leer
+ * las columnas con default después de un INSERT y les aplica el transformer dos veces.
+ * @param {string} name - Nombre de la columna en la base de datos (ej. totalAmountCents)
+ * @param {Object} options - { nullable, default } con el default en unidades mayores
+ */
+const moneyColumn = (name, { nullable = false, default: defaultValue } = {}) => ({
+  type: 'integer',
+  name,
+  nullable,
+  transformer: {
+    to: (value) => {
+      if (value === undefined && defaultValue !== undefined) return Money.of(defaultValue).minor;
+      if (value === null || value === undefined) return value;
+      // FindOperator u otros valores que TypeORM pasa sin convertir
+      if (typeof value === 'object' && !(value instanceof Money)) return value;
+      return Money.of(value).minor;
+    },
+    from: (value) => (value === null || value === undefined ? value : Money.fromMinor(Number(value)).toMajor()),
+  },
+});
+
+module.exports = Money;
+module.exports.moneyColumn = moneyColumn;
@@ -0,0 +1,29 @@
+/**
+ * Utilidades compartidas por los controladores
+ */
+
+/**
+ * Responde un error en formato JSend: los HttpError con su statusCode ('fail', o 'error' si es 5xx),
+ * cualquier otro como 500 ('error') con el mensaje indicado
+ * @param {Response} res
+ * @param {Error} error
+ * @param {string} message - Mensaje para errores inesperados
+ */
+const handleError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ status: error.statusCode >= 500 ? 'error' : 'fail', message: error.message });
+  }
+  return res.status(500).json({ status: 'error', message, error: error.message });
+};
+
+/**
+ * Convierte un parámetro de ruta en un id entero positivo
+ * @param {string} value
+ * @returns {number|null} null si no es válido
+ */
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+module.exports = { handleError, parseId };